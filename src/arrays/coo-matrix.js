@@ -0,0 +1,171 @@
+// Internal dependencies
+import CSRMatrix from './csr-matrix';
+
+/**
+ * Sparse matrix in coordinate (COO) format, storing a list of (row, column, value) triplets. This
+ * format is convenient for constructing sparse matrices incrementally; convert it to CSR format
+ * using {@link COOMatrix#toCSR} for efficient arithmetic and row slicing.
+ *
+ * @example
+ * var X = new COOMatrix([0, 2, 2], [0, 1, 2], [1, 3, 4], [3, 3]);
+ * X.toArray(); // [[1, 0, 0], [0, 0, 0], [0, 3, 4]]
+ */
+export default class COOMatrix {
+  /**
+   * Constructor. Create a COO matrix from a list of triplets.
+   *
+   * @param {Array.<number>} rows - Row index of each element
+   * @param {Array.<number>} cols - Column index of each element
+   * @param {Array.<number>} values - Value of each element. Values of duplicate (row, column) pairs
+   *   are summed
+   * @param {Array.<number>} shape - Number of rows and columns of the matrix
+   */
+  constructor(rows, cols, values, shape) {
+    if (rows.length !== values.length || cols.length !== values.length) {
+      throw new Error('The number of row indices, column indices and values must be equal.');
+    }
+
+    if (rows.some(i => i < 0 || i >= shape[0]) || cols.some(j => j < 0 || j >= shape[1])) {
+      throw new Error('Element indices must lie within the matrix shape.');
+    }
+
+    /**
+     * Row index of each element
+     *
+     * @type {Array.<number>}
+     */
+    this.rows = rows.slice();
+
+    /**
+     * Column index of each element
+     *
+     * @type {Array.<number>}
+     */
+    this.cols = cols.slice();
+
+    /**
+     * Value of each element
+     *
+     * @type {Array.<number>}
+     */
+    this.values = values.slice();
+
+    /**
+     * Number of rows and columns of the matrix
+     *
+     * @type {Array.<number>}
+     */
+    this.shape = shape.slice();
+  }
+
+  /**
+   * Create a COO matrix from a dense matrix.
+   *
+   * @param {Array.<Array.<number>>} A - Dense matrix
+   * @return {COOMatrix} Sparse matrix containing the non-zero elements of the dense matrix
+   */
+  static fromArray(A) {
+    const rows = [];
+    const cols = [];
+    const values = [];
+
+    A.forEach((row, i) => row.forEach((x, j) => {
+      if (x !== 0) {
+        rows.push(i);
+        cols.push(j);
+        values.push(x);
+      }
+    }));
+
+    return new COOMatrix(rows, cols, values, [A.length, A.length > 0 ? A[0].length : 0]);
+  }
+
+  /**
+   * Create a COO matrix from a CSR matrix.
+   *
+   * @param {CSRMatrix} A - CSR matrix
+   * @return {COOMatrix} Sparse matrix in COO format
+   */
+  static fromCSR(A) {
+    const rows = [];
+
+    for (let i = 0; i < A.shape[0]; i += 1) {
+      for (let k = A.indptr[i]; k < A.indptr[i + 1]; k += 1) {
+        rows.push(i);
+      }
+    }
+
+    return new COOMatrix(rows, A.indices, A.data, A.shape);
+  }
+
+  /**
+   * Number of stored elements, including duplicates and explicitly stored zeros.
+   *
+   * @type {number}
+   */
+  get nnz() {
+    return this.values.length;
+  }
+
+  /**
+   * Convert the matrix to CSR format. Duplicate elements are summed, and zeros are not stored.
+   *
+   * @return {CSRMatrix} Sparse matrix in CSR format
+   */
+  toCSR() {
+    // Sort the elements by row, then by column
+    const order = [...Array(this.nnz).keys()].sort((a, b) =>
+      (this.rows[a] - this.rows[b]) || (this.cols[a] - this.cols[b])
+    );
+
+    // Merge duplicate elements by summing their values
+    const merged = [];
+
+    order.forEach((k) => {
+      const last = merged[merged.length - 1];
+
+      if (last && last.row === this.rows[k] && last.col === this.cols[k]) {
+        last.value += this.values[k];
+      } else {
+        merged.push({ row: this.rows[k], col: this.cols[k], value: this.values[k] });
+      }
+    });
+
+    // Store the non-zero elements row by row
+    const nonZero = merged.filter(x => x.value !== 0);
+    const indptr = new Array(this.shape[0] + 1).fill(0);
+    nonZero.forEach((x) => { indptr[x.row + 1] += 1; });
+
+    for (let i = 0; i < this.shape[0]; i += 1) {
+      indptr[i + 1] += indptr[i];
+    }
+
+    return new CSRMatrix(
+      nonZero.map(x => x.value),
+      nonZero.map(x => x.col),
+      indptr,
+      this.shape
+    );
+  }
+
+  /**
+   * Convert the matrix to a dense matrix.
+   *
+   * @return {Array.<Array.<number>>} Dense matrix
+   */
+  toArray() {
+    const A = [...Array(this.shape[0])].map(() => new Array(this.shape[1]).fill(0));
+    this.values.forEach((x, k) => { A[this.rows[k]][this.cols[k]] += x; });
+
+    return A;
+  }
+
+  /**
+   * Get all rows of the matrix.
+   *
+   * @return {Array.<SparseVector>} Rows as sparse vectors
+   */
+  getRows() {
+    return this.toCSR().getRows();
+  }
+}
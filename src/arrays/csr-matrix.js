@@ -0,0 +1,390 @@
+// Internal dependencies
+import SparseVector from './sparse-vector';
+
+/**
+ * Sparse matrix in compressed sparse row (CSR) format. The non-zero elements are stored row by
+ * row: for row i, the column indices and values of its non-zero elements are stored in
+ * indices[indptr[i]:indptr[i + 1]] and data[indptr[i]:indptr[i + 1]], respectively. This format
+ * allows efficient row slicing and matrix-vector products, which makes it suitable for feature
+ * matrices where each row is a sample.
+ *
+ * @example
+ * var X = CSRMatrix.fromArray([[1, 0, 0], [0, 0, 2], [0, 3, 4]]);
+ * X.nnz; // 4
+ * X.dot([1, 1, 1]); // [1, 2, 7]
+ * X.getRow(2).toArray(); // [0, 3, 4]
+ */
+export default class CSRMatrix {
+  /**
+   * Constructor. Create a CSR matrix from its underlying arrays.
+   *
+   * @param {Array.<number>} data - Values of the non-zero elements, row by row
+   * @param {Array.<number>} indices - Column index of each non-zero element. Within each row, the
+   *   column indices should be strictly increasing
+   * @param {Array.<number>} indptr - For each row, the position in data and indices where the row
+   *   starts, followed by the total number of non-zero elements
+   * @param {Array.<number>} shape - Number of rows and columns of the matrix
+   */
+  constructor(data, indices, indptr, shape) {
+    if (data.length !== indices.length) {
+      throw new Error('The number of column indices must equal the number of values.');
+    }
+
+    if (indptr.length !== shape[0] + 1 || indptr[shape[0]] !== data.length) {
+      throw new Error('Row pointers are inconsistent with the matrix shape and number of values.');
+    }
+
+    /**
+     * Values of the non-zero elements, row by row
+     *
+     * @type {Array.<number>}
+     */
+    this.data = data.slice();
+
+    /**
+     * Column index of each non-zero element
+     *
+     * @type {Array.<number>}
+     */
+    this.indices = indices.slice();
+
+    /**
+     * Position in data and indices where each row starts, followed by the number of non-zero
+     * elements
+     *
+     * @type {Array.<number>}
+     */
+    this.indptr = indptr.slice();
+
+    /**
+     * Number of rows and columns of the matrix
+     *
+     * @type {Array.<number>}
+     */
+    this.shape = shape.slice();
+  }
+
+  /**
+   * Create a CSR matrix from a list of rows.
+   *
+   * @param {Array.<SparseVector|Array.<number>>} rows - Rows of the matrix, either sparse vectors
+   *   or dense arrays. All rows should have the same length
+   * @param {number} [numColumns = null] - Number of columns. Defaults to the length of the first
+   *   row. Required when there are no rows
+   * @return {CSRMatrix} Sparse matrix with the specified rows
+   */
+  static fromRows(rows, numColumns = null) {
+    const n = numColumns === null ? rows[0].length : numColumns;
+    const data = [];
+    const indices = [];
+    const indptr = [0];
+
+    rows.forEach((row) => {
+      if (row.length !== n) {
+        throw new Error('All rows must have the same length.');
+      }
+
+      const sparseRow = row instanceof SparseVector ? row : SparseVector.fromArray(row);
+
+      // Append element by element, as spreading very wide rows exceeds the maximum number of
+      // function arguments
+      sparseRow.indices.forEach((index, i) => {
+        indices.push(index);
+        data.push(sparseRow.values[i]);
+      });
+
+      indptr.push(data.length);
+    });
+
+    return new CSRMatrix(data, indices, indptr, [rows.length, n]);
+  }
+
+  /**
+   * Create a CSR matrix from a dense matrix.
+   *
+   * @param {Array.<Array.<number>>} A - Dense matrix
+   * @return {CSRMatrix} Sparse matrix containing the non-zero elements of the dense matrix
+   */
+  static fromArray(A) {
+    return CSRMatrix.fromRows(A, A.length > 0 ? A[0].length : 0);
+  }
+
+  /**
+   * Number of explicitly stored (non-zero) elements.
+   *
+   * @type {number}
+   */
+  get nnz() {
+    return this.data.length;
+  }
+
+  /**
+   * Get a single element of the matrix.
+   *
+   * @param {number} i - Row index
+   * @param {number} j - Column index
+   * @return {number} Element value
+   */
+  get(i, j) {
+    for (let k = this.indptr[i]; k < this.indptr[i + 1]; k += 1) {
+      if (this.indices[k] === j) {
+        return this.data[k];
+      }
+    }
+
+    return 0;
+  }
+
+  /**
+   * Get a single row of the matrix.
+   *
+   * @param {number} i - Row index. Negative indices count from the last row
+   * @return {SparseVector} Row as a sparse vector
+   */
+  getRow(i) {
+    const useIndex = i < 0 ? this.shape[0] + i : i;
+
+    if (useIndex < 0 || useIndex >= this.shape[0]) {
+      throw new Error('Row index out of bounds.');
+    }
+
+    const start = this.indptr[useIndex];
+    const end = this.indptr[useIndex + 1];
+
+    return new SparseVector(
+      this.indices.slice(start, end),
+      this.data.slice(start, end),
+      this.shape[1]
+    );
+  }
+
+  /**
+   * Get all rows of the matrix.
+   *
+   * @return {Array.<SparseVector>} Rows as sparse vectors
+   */
+  getRows() {
+    return [...Array(this.shape[0])].map((x, i) => this.getRow(i));
+  }
+
+  /**
+   * Convert the matrix to a dense matrix.
+   *
+   * @return {Array.<Array.<number>>} Dense matrix
+   */
+  toArray() {
+    return this.getRows().map(row => row.toArray());
+  }
+
+  /**
+   * Select a list of rows.
+   *
+   * @param {Array.<number>} rowIndices - Indices of the rows to select. Indices can occur multiple
+   *   times and in any order
+   * @return {CSRMatrix} Matrix consisting of the selected rows
+   */
+  takeRows(rowIndices) {
+    return CSRMatrix.fromRows(rowIndices.map(i => this.getRow(i)), this.shape[1]);
+  }
+
+  /**
+   * Select a contiguous range of rows.
+   *
+   * @param {number} start - Index of the first row. Negative indices count from the last row
+   * @param {number} [stop = null] - Index of the row to stop at (exclusive). Negative indices count
+   *   from the last row. Defaults to the number of rows
+   * @return {CSRMatrix} Matrix consisting of the selected rows
+   */
+  sliceRows(start, stop = null) {
+    const numRows = this.shape[0];
+    const parse = x => Math.min(numRows, Math.max(0, x < 0 ? numRows + x : x));
+    const useStart = parse(start);
+    const useStop = Math.max(useStart, parse(stop === null ? numRows : stop));
+    const offset = this.indptr[useStart];
+
+    return new CSRMatrix(
+      this.data.slice(offset, this.indptr[useStop]),
+      this.indices.slice(offset, this.indptr[useStop]),
+      this.indptr.slice(useStart, useStop + 1).map(x => x - offset),
+      [useStop - useStart, this.shape[1]]
+    );
+  }
+
+  /**
+   * Transpose the matrix.
+   *
+   * @return {CSRMatrix} Transposed matrix
+   */
+  transpose() {
+    const [m, n] = this.shape;
+
+    // Count the number of non-zero elements per column, which become the rows of the transpose
+    const indptr = new Array(n + 1).fill(0);
+    this.indices.forEach((j) => { indptr[j + 1] += 1; });
+
+    for (let j = 0; j < n; j += 1) {
+      indptr[j + 1] += indptr[j];
+    }
+
+    // Fill the transposed matrix row by row, so that the column indices remain sorted
+    const next = indptr.slice(0, n);
+    const data = new Array(this.nnz);
+    const indices = new Array(this.nnz);
+
+    for (let i = 0; i < m; i += 1) {
+      for (let k = this.indptr[i]; k < this.indptr[i + 1]; k += 1) {
+        const position = next[this.indices[k]];
+        data[position] = this.data[k];
+        indices[position] = i;
+        next[this.indices[k]] += 1;
+      }
+    }
+
+    return new CSRMatrix(data, indices, indptr, [n, m]);
+  }
+
+  /**
+   * Multiply the matrix by a dense vector or matrix.
+   *
+   * @param {Array.<number>|Array.<Array.<number>>} B - Dense vector of length n or dense matrix
+   *   with n rows, where n is the number of columns of this matrix
+   * @return {Array.<number>|Array.<Array.<number>>} Dense product vector or matrix
+   */
+  dot(B) {
+    if (B.length !== this.shape[1]) {
+      throw new Error('Matrix dimensions do not match.');
+    }
+
+    const isMatrix = Array.isArray(B[0]);
+
+    return [...Array(this.shape[0])].map((x, i) => {
+      const start = this.indptr[i];
+      const end = this.indptr[i + 1];
+
+      if (!isMatrix) {
+        let result = 0;
+
+        for (let k = start; k < end; k += 1) {
+          result += this.data[k] * B[this.indices[k]];
+        }
+
+        return result;
+      }
+
+      const row = new Array(B[0].length).fill(0);
+
+      for (let k = start; k < end; k += 1) {
+        const BRow = B[this.indices[k]];
+
+        for (let j = 0; j < row.length; j += 1) {
+          row[j] += this.data[k] * BRow[j];
+        }
+      }
+
+      return row;
+    });
+  }
+
+  /**
+   * Multiply all elements by a scalar.
+   *
+   * @param {number} c - Scalar
+   * @return {CSRMatrix} Scaled matrix
+   */
+  scale(c) {
+    return new CSRMatrix(this.data.map(x => x * c), this.indices, this.indptr, this.shape);
+  }
+
+  /**
+   * Sum the matrix elements, either all elements or per column or row. Zeros are taken into
+   * account.
+   *
+   * @param {number} [axis = null] - 0 to sum each column, 1 to sum each row, null to sum all
+   *   elements
+   * @return {number|Array.<number>} Sum of all elements, or array of column or row sums
+   */
+  sum(axis = null) {
+    if (axis === null) {
+      return this.data.reduce((r, a) => r + a, 0);
+    }
+
+    if (axis === 0) {
+      const sums = new Array(this.shape[1]).fill(0);
+      this.data.forEach((x, k) => { sums[this.indices[k]] += x; });
+
+      return sums;
+    }
+
+    if (axis === 1) {
+      return [...Array(this.shape[0])].map((x, i) =>
+        this.data.slice(this.indptr[i], this.indptr[i + 1]).reduce((r, a) => r + a, 0)
+      );
+    }
+
+    throw new Error('Axis must be 0, 1 or null.');
+  }
+
+  /**
+   * Calculate the mean of the matrix elements, either of all elements or per column or row. Zeros
+   * are taken into account.
+   *
+   * @param {number} [axis = null] - 0 for column means, 1 for row means, null for the mean of all
+   *   elements
+   * @return {number|Array.<number>} Mean of all elements, or array of column or row means
+   */
+  mean(axis = null) {
+    const sums = this.sum(axis);
+
+    if (axis === null) {
+      return sums / (this.shape[0] * this.shape[1]);
+    }
+
+    return sums.map(x => x / this.shape[axis]);
+  }
+
+  /**
+   * Calculate the variance of each column (or row) of the matrix. Zeros are taken into account.
+   *
+   * @param {number} [axis = 0] - 0 for column variances, 1 for row variances
+   * @param {number} [ddof = 0] - Delta degrees of freedom. The sum of squared deviations is divided
+   *   by n - ddof, where n is the number of elements per column (or row)
+   * @return {Array.<number>} Array of column or row variances
+   */
+  variance(axis = 0, ddof = 0) {
+    if (axis !== 0 && axis !== 1) {
+      throw new Error('Axis must be 0 or 1.');
+    }
+
+    const n = this.shape[axis];
+    const means = this.mean(axis);
+
+    // Sum the squared deviations of the non-zero elements, and add those of the zero elements
+    const squaredDeviations = new Array(this.shape[1 - axis]).fill(0);
+    const counts = this.countNonZero(axis);
+    const target = axis === 0 ? this : this.transpose();
+
+    target.data.forEach((x, k) => {
+      const i = target.indices[k];
+      squaredDeviations[i] += (x - means[i]) ** 2;
+    });
+
+    return squaredDeviations.map((x, i) => (x + (n - counts[i]) * means[i] ** 2) / (n - ddof));
+  }
+
+  /**
+   * Count the number of non-zero elements per column or row.
+   *
+   * @param {number} [axis = 0] - 0 to count per column, 1 to count per row
+   * @return {Array.<number>} Number of non-zero elements per column or row
+   */
+  countNonZero(axis = 0) {
+    if (axis === 1) {
+      return [...Array(this.shape[0])].map((x, i) => this.indptr[i + 1] - this.indptr[i]);
+    }
+
+    const counts = new Array(this.shape[1]).fill(0);
+    this.indices.forEach((j) => { counts[j] += 1; });
+
+    return counts;
+  }
+}
@@ -0,0 +1,91 @@
+var expect = require('chai').expect;
+var CSRMatrix = require('./csr-matrix.js');
+var COOMatrix = require('./coo-matrix.js');
+var SparseVector = require('./sparse-vector.js');
+var arrays = require('./index.js');
+
+describe('Arrays.CSRMatrix', function() {
+  var A = [[1, 0, 0], [0, 0, 2], [0, 3, 4], [0, 0, 0]];
+
+  describe('.fromArray, .toArray', function() {
+    it('should convert dense matrices to and from CSR format', function() {
+      var X = CSRMatrix.fromArray(A);
+
+      expect(X.data).to.deep.equal([1, 2, 3, 4]);
+      expect(X.indices).to.deep.equal([0, 2, 1, 2]);
+      expect(X.indptr).to.deep.equal([0, 1, 2, 4, 4]);
+      expect(X.shape).to.deep.equal([4, 3]);
+      expect(X.get(2, 1)).to.equal(3);
+      expect(X.get(0, 1)).to.equal(0);
+      expect(X.toArray()).to.deep.equal(A);
+    });
+
+    it('should create matrices from very wide rows', function() {
+      var row = new SparseVector([...Array(500000).keys()], arrays.full(500000, 1), 500000);
+      var X = CSRMatrix.fromRows([row]);
+
+      expect(X.data).to.have.lengthOf(500000);
+      expect(X.indptr).to.deep.equal([0, 500000]);
+    });
+  });
+
+  describe('row selection', function() {
+    it('should get, slice and take rows', function() {
+      var X = CSRMatrix.fromArray(A);
+
+      expect(X.getRow(2).toArray()).to.deep.equal([0, 3, 4]);
+      expect(X.getRows()).to.have.lengthOf(4);
+      expect(X.sliceRows(1, 3).toArray()).to.deep.equal([[0, 0, 2], [0, 3, 4]]);
+      expect(X.sliceRows(-2).toArray()).to.deep.equal([[0, 3, 4], [0, 0, 0]]);
+      expect(X.takeRows([2, 0, 2]).toArray()).to.deep.equal([[0, 3, 4], [1, 0, 0], [0, 3, 4]]);
+    });
+  });
+
+  describe('.dot, .transpose', function() {
+    it('should multiply with dense vectors and matrices', function() {
+      var X = CSRMatrix.fromArray(A);
+
+      expect(X.dot([1, 1, 1])).to.deep.equal([1, 2, 7, 0]);
+      expect(X.dot([[1, 0], [0, 1], [1, 1]])).to.deep.equal([[1, 0], [2, 2], [4, 7], [0, 0]]);
+      expect(X.transpose().toArray()).to.deep.equal(arrays.transpose(A));
+    });
+  });
+
+  describe('column statistics', function() {
+    it('should compute sums, means, variances and non-zero counts', function() {
+      var X = CSRMatrix.fromArray(A);
+
+      expect(X.sum()).to.equal(10);
+      expect(X.sum(0)).to.deep.equal([1, 3, 6]);
+      expect(X.sum(1)).to.deep.equal([1, 2, 7, 0]);
+      expect(X.mean(0)).to.deep.equal([0.25, 0.75, 1.5]);
+      expect(X.variance(0)).to.deep.equal(arrays.variance(A, 0));
+      expect(X.variance(1, 1)).to.deep.equal(arrays.variance(A, 1, 1));
+      expect(X.countNonZero(0)).to.deep.equal([1, 1, 2]);
+    });
+  });
+
+  describe('COOMatrix', function() {
+    it('should convert to CSR format, summing duplicates', function() {
+      var X = new COOMatrix([2, 0, 2, 1, 2], [2, 0, 1, 1, 2], [1, 1, 3, 0, 3], [3, 3]);
+
+      expect(X.toArray()).to.deep.equal([[1, 0, 0], [0, 0, 0], [0, 3, 4]]);
+      expect(X.toCSR().indptr).to.deep.equal([0, 1, 1, 3]);
+      expect(X.toCSR().toArray()).to.deep.equal(X.toArray());
+      expect(COOMatrix.fromCSR(CSRMatrix.fromArray(A)).toArray()).to.deep.equal(A);
+      expect(COOMatrix.fromArray(A).toCSR().toArray()).to.deep.equal(A);
+    });
+  });
+
+  describe('Arrays integration', function() {
+    it('should get the rows and shape of sparse matrices', function() {
+      var X = CSRMatrix.fromArray(A);
+
+      expect(arrays.isSparse(X)).to.equal(true);
+      expect(arrays.getShape(X)).to.deep.equal([4, 3]);
+      expect(arrays.getRows(X)[2].toArray()).to.deep.equal([0, 3, 4]);
+      expect(arrays.getRows(A)).to.equal(A);
+      expect(arrays.toArray(X)).to.deep.equal(A);
+    });
+  });
+});
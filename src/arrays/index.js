@@ -4,6 +4,79 @@
  * array manipulation algorithms, and several algorithms in the domain of linear algebra.
  */
 
+// Internal dependencies
+import NDArray from './ndarray';
+import SparseVector from './sparse-vector';
+import CSRMatrix from './csr-matrix';
+import COOMatrix from './coo-matrix';
+import RandomState, { checkRandomState } from '../random/random-state';
+
+export {
+  NDArray,
+  SparseVector,
+  CSRMatrix,
+  COOMatrix,
+};
+
+/**
+ * Check whether an array is an NDArray, i.e. a typed-array backed array, as opposed to a nested
+ * JavaScript array.
+ *
+ * @param {mixed} A - Array to check
+ * @return {boolean} Whether the array is an NDArray
+ */
+export function isNDArray(A) {
+  return A instanceof NDArray;
+}
+
+/**
+ * Check whether an array is sparse, i.e. a sparse vector or a sparse matrix in CSR or COO format.
+ *
+ * @param {mixed} A - Array to check
+ * @return {boolean} Whether the array is sparse
+ */
+export function isSparse(A) {
+  return A instanceof SparseVector || A instanceof CSRMatrix || A instanceof COOMatrix;
+}
+
+/**
+ * Get the rows of a matrix as a list. This allows estimators to loop over the samples of both
+ * dense and sparse feature matrices. Nested arrays are returned as is, the rows of sparse matrices
+ * are returned as sparse vectors, and NDArrays are converted to nested arrays.
+ *
+ * @param {Array.<Array.<number>>|CSRMatrix|COOMatrix|NDArray} X - Matrix
+ * @return {Array.<Array.<number>|SparseVector>} List of matrix rows
+ */
+export function getRows(X) {
+  if (X instanceof CSRMatrix || X instanceof COOMatrix) {
+    return X.getRows();
+  }
+
+  return isNDArray(X) ? X.toArray() : X;
+}
+
+/**
+ * Convert an arbitrarily nested array to an NDArray. NDArrays are returned as is.
+ *
+ * @param {Array.<mixed>|NDArray} A - Nested array or NDArray
+ * @return {NDArray} NDArray with the same shape and elements as the input array
+ */
+export function toNDArray(A) {
+  return isNDArray(A) ? A : NDArray.fromArray(A);
+}
+
+/**
+ * Convert an NDArray or a sparse array to an arbitrarily nested (dense) array. Nested arrays are
+ * returned as is.
+ *
+ * @param {Array.<mixed>|NDArray|SparseVector|CSRMatrix|COOMatrix} A - Nested, typed or sparse
+ *   array
+ * @return {Array.<mixed>} Nested array with the same shape and elements as the input array
+ */
+export function toArray(A) {
+  return isNDArray(A) || isSparse(A) ? A.toArray() : A;
+}
+
 /**
  * Find the shape of an array, i.e. the number of elements per dimension of the array. Note that
  * this function assumes that the array dimensionality is consistent, and determines the size of
@@ -17,6 +90,14 @@
  *   element corresponds to the number of elements in the n-th dimension.
  */
 export function getShape(A) {
+  if (isNDArray(A) || A instanceof CSRMatrix || A instanceof COOMatrix) {
+    return A.shape.slice();
+  }
+
+  if (A instanceof SparseVector) {
+    return [A.length];
+  }
+
   if (!Array.isArray(A)) {
     return [];
   }
@@ -39,6 +120,10 @@ export function getShape(A) {
  * @return {boolean} True if the input array has the specified shape, false otherwise.
  */
 export function hasShape(A, shape) {
+  if (isNDArray(A)) {
+    return A.ndim === shape.length && A.shape.every((x, i) => x === shape[i]);
+  }
+
   if (!Array.isArray(A)) {
     return shape.length === 0;
   }
@@ -57,6 +142,11 @@ export function hasShape(A, shape) {
  * @return {boolean} Whether the array dimensions are consistent
  */
 export function areArrayDimensionsConsistent(A) {
+  // NDArrays always have consistent dimensions
+  if (isNDArray(A)) {
+    return true;
+  }
+
   // Get dimensionality by recursively checking the size of the first element of the array along
   // each axis
   const firstElementShape = [];
@@ -80,6 +170,10 @@ export function areArrayDimensionsConsistent(A) {
  * @return {boolean} Whether the two arrays are the same
  */
 export function equal(array1, array2) {
+  if (isNDArray(array1) || isNDArray(array2)) {
+    return equal(toArray(array1), toArray(array2));
+  }
+
   if (!Array.isArray(array1) || !Array.isArray(array2)) {
     return array1 === array2;
   }
@@ -105,6 +199,15 @@ export function equal(array1, array2) {
  * @return {mixed} Array element value at index
  */
 export function getArrayElement(A, index) {
+  if (isNDArray(A)) {
+    if (index.length === A.ndim) {
+      return A.get(index);
+    }
+
+    // Return a view on the sub-array at the index
+    return A.slice(index, index.map(x => x + 1)).reshape(A.shape.slice(index.length));
+  }
+
   if (index.length === 1) {
     return A[index];
   }
@@ -127,6 +230,10 @@ export function getArrayElement(A, index) {
  * @return {Array.<mixed>} Array slice extracted from input array
  */
 export function slice(A, start, stop) {
+  if (isNDArray(A)) {
+    return A.slice(start, stop);
+  }
+
   // Check whether the same number of start and stop indices is supplied
   if (start.length !== stop.length) {
     throw new Error('"start" and "stop" must contain the same number of indices.');
@@ -183,6 +290,10 @@ export function slice(A, start, stop) {
  * @return {Array.<mixed>} Sub-block extracted from array
  */
 export function subBlock(A, offset, shape) {
+  if (isNDArray(A)) {
+    return A.subBlock(offset, shape);
+  }
+
   if (offset.length === 1) {
     return A.slice(offset[0], offset[0] + shape[0]);
   }
@@ -227,6 +338,13 @@ export function wrapSlice(array, begin, end) {
  * @param {mixed} value New element value at index
  */
 export function setArrayElement(A, index, value) {
+  if (isNDArray(A)) {
+    const B = A.copy();
+    B.set(index, value);
+
+    return B;
+  }
+
   const B = A.slice();
 
   B[index[0]] = index.length === 1 ? value : setArrayElement(A[index[0]], index.slice(1), value);
@@ -360,13 +478,29 @@ export function repeat(axis, numRepeats, A) {
 // -----
 
 /**
- * Calculate dot product of two vectors. Vectors should have same size.
+ * Calculate dot product of two vectors. Vectors should have same size. Either vector can be
+ * sparse, in which case only its non-zero elements are visited.
  *
- * @param {Array.<number>} x - First vector
- * @param {Array.<number>} y - Second vector
+ * @param {Array.<number>|SparseVector} x - First vector
+ * @param {Array.<number>|SparseVector} y - Second vector
  * @return {number} Dot product scalar result
  */
 export function dot(x, y) {
+  // Sparse vectors are only densified if the other vector is not sparse itself
+  if (x instanceof SparseVector) {
+    return x.dot(y instanceof SparseVector ? y : toArray(y));
+  }
+
+  if (y instanceof SparseVector) {
+    return y.dot(x instanceof SparseVector ? x : toArray(x));
+  }
+
+  if (isNDArray(x) || isNDArray(y)) {
+    const xValues = toNDArray(x).values();
+    const yValues = toNDArray(y).values();
+    return xValues.reduce((r, a, i) => r + a * yValues[i], 0);
+  }
+
   return x.reduce((r, a, i) => r + a * y[i], 0);
 }
 
@@ -383,13 +517,22 @@ export function norm(x) {
 // -----
 
 /**
- * Multiply each element of an array by a scalar (i.e. scale the array).
+ * Multiply each element of an array by a scalar (i.e. scale the array). Sparse vectors and CSR
+ * matrices remain sparse.
  *
- * @param {Array.<mixed>} A - Array to scale
+ * @param {Array.<mixed>|SparseVector|CSRMatrix} A - Array to scale
  * @param {number} c - Scalar
- * @return {Array.<mixed>} Scaled array
+ * @return {Array.<mixed>|SparseVector|CSRMatrix} Scaled array
  */
 export function scale(A, c) {
+  if (isNDArray(A)) {
+    return A.map(x => x * c);
+  }
+
+  if (A instanceof SparseVector || A instanceof CSRMatrix) {
+    return A.scale(c);
+  }
+
   return Array.isArray(A)
     ? A.map(B => scale(B, c))
     : A * c;
@@ -408,6 +551,11 @@ export function scale(A, c) {
  * @return {Array.<mixed>} Array containing the input elements, raised to the specified power
  */
 export function power(A, y) {
+  if (isNDArray(A)) {
+    const yValues = (Array.isArray(y) || isNDArray(y)) ? toNDArray(y).values() : null;
+    return A.map((x, i) => x ** (yValues === null ? y : yValues[i]));
+  }
+
   return Array.isArray(A)
     ? A.map((a, i) => power(a, (Array.isArray(y) ? y[i] : y)))
     : A ** y;
@@ -420,16 +568,53 @@ export function power(A, y) {
  * @return {Array.<mixed>} Array with absolute values
  */
 export function abs(A) {
+  if (isNDArray(A)) {
+    return A.map(x => Math.abs(x));
+  }
+
   return A.map(B => (Array.isArray(B) ? abs(B) : Math.abs(B)));
 }
 
 /**
- * Calculate element-wise sum of two or more arrays. Arrays should have the same shape.
+ * Calculate element-wise sum of two or more arrays. Arrays should have the same shape. Vectors can
+ * be sparse: the sum of sparse vectors is sparse, and the sum of sparse and dense vectors is dense.
  *
  * @param {...Array.<mixed>} S - Arrays to concatenate. They must have the same shape
- * @return {Array.<mixed>} Sum of arrays
+ * @return {Array.<mixed>|SparseVector} Sum of arrays
  */
 export function sum(...S) {
+  if (S.some(A => A instanceof SparseVector)) {
+    if (!S.every(A => A.length === S[0].length)) {
+      throw new Error('Vectors to sum must have the same length.');
+    }
+
+    const sparse = S.filter(A => A instanceof SparseVector).reduce((r, a) => r.add(a));
+    const dense = S.filter(A => !(A instanceof SparseVector)).map(A => toArray(A));
+
+    if (dense.length === 0) {
+      return sparse;
+    }
+
+    // Sum the dense vectors and add the non-zero elements of the sparse vectors to the result
+    const result = sum(zeros(S[0].length), ...dense);
+    sparse.indices.forEach((index, i) => { result[index] += sparse.values[i]; });
+
+    return result;
+  }
+
+  if (S.some(A => isNDArray(A))) {
+    const arrays = S.map(A => toNDArray(A));
+
+    if (!arrays.every(A => equal(A.shape, arrays[0].shape))) {
+      throw new Error('Arrays to sum must have the same shape.');
+    }
+
+    const values = arrays.map(A => A.values());
+    const summed = values[0].map((x, i) => values.reduce((r, B) => r + B[i], 0));
+
+    return new NDArray(summed, arrays[0].shape);
+  }
+
   return S.reduce((r, a) =>
     r.map((b, i) =>
       (Array.isArray(b) ? sum(b, a[i]) : b + a[i])
@@ -437,17 +622,484 @@ export function sum(...S) {
   );
 }
 
-// Array calculations
+// Broadcasting element-wise arithmetic
 // -----
 
 /**
- * Sum all elements of an array.
+ * Find the shape resulting from broadcasting arrays of several shapes against each other. Shapes
+ * are compared from the last dimension backwards: two dimension sizes are compatible when they are
+ * equal or when one of them is 1. Missing leading dimensions are treated as having size 1.
  *
- * @param {Array.<number>} A - Array
- * @return {number} Sum of all vector elements
+ * @example
+ * broadcastShapes([5, 1, 3], [4, 3]); // [5, 4, 3]
+ *
+ * @param {...Array.<number>} shapes - Array shapes
+ * @return {Array.<number>} Shape of the broadcasted array
  */
-export function internalSum(A) {
-  return A.reduce((r, B) => r + (Array.isArray(B) ? internalSum(B) : B), 0);
+export function broadcastShapes(...shapes) {
+  const numDimensions = Math.max(...shapes.map(shape => shape.length));
+  const result = [];
+
+  for (let i = 1; i <= numDimensions; i += 1) {
+    // Sizes of this dimension (counting from the end) in all shapes
+    const sizes = shapes
+      .map(shape => (i <= shape.length ? shape[shape.length - i] : 1))
+      .filter(size => size !== 1);
+
+    if (!sizes.every(size => size === sizes[0])) {
+      throw new Error(`Shapes ${shapes.map(shape => `[${shape}]`).join(', ')} cannot be broadcast together.`);
+    }
+
+    result.unshift(sizes.length > 0 ? sizes[0] : 1);
+  }
+
+  return result;
+}
+
+/**
+ * Add leading dimensions of size 1 to an array until it has a certain number of dimensions.
+ *
+ * @param {mixed} A - Arbitrarily nested array or scalar
+ * @param {number} numDimensions - Number of dimensions of the output array
+ * @return {mixed} Array with the specified number of dimensions
+ */
+function expandDimensions(A, numDimensions) {
+  let B = A;
+
+  for (let i = getShape(A).length; i < numDimensions; i += 1) {
+    B = [B];
+  }
+
+  return B;
+}
+
+/**
+ * Apply a binary function element-wise to two arrays, broadcasting the arrays against each other.
+ * NDArray inputs are supported; if either input is an NDArray, an NDArray is returned.
+ *
+ * @param {function(a: mixed, b: mixed): mixed} callback - Function to apply to each pair of
+ *   elements
+ * @param {Array.<mixed>|NDArray|mixed} A - First array or scalar
+ * @param {Array.<mixed>|NDArray|mixed} B - Second array or scalar
+ * @return {Array.<mixed>|NDArray|mixed} Array of the broadcasted shape with the function outputs,
+ *   or a scalar if both inputs are scalars
+ */
+function broadcastElementWise(callback, A, B) {
+  const AUse = toArray(A);
+  const BUse = toArray(B);
+  const numDimensions = broadcastShapes(getShape(AUse), getShape(BUse)).length;
+
+  const apply = (a, b) => {
+    if (!Array.isArray(a)) {
+      return callback(a, b);
+    }
+
+    // Repeat elements along axes of size 1
+    const n = Math.max(a.length, b.length);
+
+    return [...Array(n)].map((x, i) =>
+      apply(a.length === 1 ? a[0] : a[i], b.length === 1 ? b[0] : b[i])
+    );
+  };
+
+  const result = apply(
+    expandDimensions(AUse, numDimensions),
+    expandDimensions(BUse, numDimensions)
+  );
+
+  return (isNDArray(A) || isNDArray(B)) && Array.isArray(result)
+    ? NDArray.fromArray(result)
+    : result;
+}
+
+/**
+ * Broadcast an array to a new shape.
+ *
+ * @param {Array.<mixed>|mixed} A - Array or scalar to broadcast
+ * @param {Array.<number>} shape - Shape to broadcast the array to
+ * @return {Array.<mixed>} Array of the specified shape
+ */
+export function broadcastTo(A, shape) {
+  if (!equal(broadcastShapes(getShape(A), shape), shape)) {
+    throw new Error(`Array cannot be broadcast to shape [${shape}].`);
+  }
+
+  return broadcastElementWise(a => a, A, zeros(shape));
+}
+
+/**
+ * Add two arrays element-wise, with broadcasting. Sparse vectors are supported (without
+ * broadcasting), see {@link sum}.
+ *
+ * @example
+ * add([[1, 2], [3, 4]], [10, 20]); // [[11, 22], [13, 24]]
+ *
+ * @param {Array.<mixed>|mixed} A - First array or scalar
+ * @param {Array.<mixed>|mixed} B - Second array or scalar
+ * @return {Array.<mixed>|mixed} Element-wise sum
+ */
+export function add(A, B) {
+  if (A instanceof SparseVector || B instanceof SparseVector) {
+    return sum(A, B);
+  }
+
+  return broadcastElementWise((a, b) => a + b, A, B);
+}
+
+/**
+ * Subtract two arrays element-wise, with broadcasting. Sparse vectors are supported (without
+ * broadcasting), see {@link sum}.
+ *
+ * @param {Array.<mixed>|mixed} A - Array or scalar to subtract from
+ * @param {Array.<mixed>|mixed} B - Array or scalar to subtract
+ * @return {Array.<mixed>|mixed} Element-wise difference
+ */
+export function subtract(A, B) {
+  if (A instanceof SparseVector || B instanceof SparseVector) {
+    return sum(A, scale(B, -1));
+  }
+
+  return broadcastElementWise((a, b) => a - b, A, B);
+}
+
+/**
+ * Multiply two arrays element-wise, with broadcasting.
+ *
+ * @param {Array.<mixed>|mixed} A - First array or scalar
+ * @param {Array.<mixed>|mixed} B - Second array or scalar
+ * @return {Array.<mixed>|mixed} Element-wise product
+ */
+export function multiply(A, B) {
+  return broadcastElementWise((a, b) => a * b, A, B);
+}
+
+/**
+ * Divide two arrays element-wise, with broadcasting.
+ *
+ * @param {Array.<mixed>|mixed} A - Array or scalar of dividends
+ * @param {Array.<mixed>|mixed} B - Array or scalar of divisors
+ * @return {Array.<mixed>|mixed} Element-wise quotient
+ */
+export function divide(A, B) {
+  return broadcastElementWise((a, b) => a / b, A, B);
+}
+
+/**
+ * Take the element-wise maximum of two arrays, with broadcasting.
+ *
+ * @param {Array.<mixed>|mixed} A - First array or scalar
+ * @param {Array.<mixed>|mixed} B - Second array or scalar
+ * @return {Array.<mixed>|mixed} Element-wise maximum
+ */
+export function maximum(A, B) {
+  return broadcastElementWise((a, b) => Math.max(a, b), A, B);
+}
+
+/**
+ * Take the element-wise minimum of two arrays, with broadcasting.
+ *
+ * @param {Array.<mixed>|mixed} A - First array or scalar
+ * @param {Array.<mixed>|mixed} B - Second array or scalar
+ * @return {Array.<mixed>|mixed} Element-wise minimum
+ */
+export function minimum(A, B) {
+  return broadcastElementWise((a, b) => Math.min(a, b), A, B);
+}
+
+// Masking and fancy indexing
+// -----
+
+/**
+ * Deep copy an arbitrarily nested array.
+ *
+ * @param {Array.<mixed>|mixed} A - Array to copy, or array element
+ * @return {Array.<mixed>|mixed} Copy of the array
+ */
+function deepCopy(A) {
+  return Array.isArray(A) ? A.map(B => deepCopy(B)) : A;
+}
+
+/**
+ * Turn a possibly negative axis into a non-negative axis, and check whether it is within bounds.
+ *
+ * @param {number} axis - Axis. Negative axes count from the last axis backwards
+ * @param {number} numDimensions - Number of dimensions of the array the axis belongs to
+ * @return {number} Non-negative axis
+ */
+function normalizeAxis(axis, numDimensions) {
+  const useAxis = axis < 0 ? numDimensions + axis : axis;
+
+  if (!Number.isInteger(useAxis) || useAxis < 0 || useAxis >= numDimensions) {
+    throw new Error(`Axis ${axis} is out of bounds for an array with ${numDimensions} dimensions.`);
+  }
+
+  return useAxis;
+}
+
+/**
+ * Apply a function to each element of an arbitrarily nested array.
+ *
+ * @param {Array.<mixed>|mixed} A - Arbitrarily nested array or scalar
+ * @param {function(a: mixed): mixed} callback - Function to apply to each element
+ * @return {Array.<mixed>|mixed} Array of the same shape with the function outputs
+ */
+function mapElements(A, callback) {
+  return Array.isArray(A) ? A.map(B => mapElements(B, callback)) : callback(A);
+}
+
+/**
+ * Take the elements at a list of indices along an axis of an array. Indices can occur multiple
+ * times and in any order.
+ *
+ * @example
+ * take([[1, 2, 3], [4, 5, 6]], [2, 0], 1); // [[3, 1], [6, 4]]
+ *
+ * @param {Array.<mixed>|NDArray} A - Arbitrarily nested array to take elements from
+ * @param {Array.<number>} indices - Indices of the elements to take. Negative indices count from
+ *   the end of the axis
+ * @param {number} [axis = 0] - Axis to take elements along
+ * @return {Array.<mixed>|NDArray} Array with the selected elements. Has the same shape as the input
+ *   array, except along the specified axis, which has the number of indices as its size
+ */
+export function take(A, indices, axis = 0) {
+  const AUse = toArray(A);
+  const useAxis = normalizeAxis(axis, getShape(AUse).length);
+
+  const takeAxis = (B, depth) => {
+    if (depth < useAxis) {
+      return B.map(C => takeAxis(C, depth + 1));
+    }
+
+    return indices.map((index) => {
+      const useIndex = index < 0 ? B.length + index : index;
+
+      if (!Number.isInteger(useIndex) || useIndex < 0 || useIndex >= B.length) {
+        throw new Error(`Index ${index} is out of bounds for an axis of size ${B.length}.`);
+      }
+
+      return deepCopy(B[useIndex]);
+    });
+  };
+
+  const result = takeAxis(AUse, 0);
+
+  return isNDArray(A) ? NDArray.fromArray(result) : result;
+}
+
+/**
+ * Select the elements of an array for which a boolean mask is true. The mask should have the same
+ * shape as the first dimensions of the array. If the mask has the same shape as the array, a
+ * one-dimensional array of the selected elements is returned. If the mask has fewer dimensions,
+ * the selected subarrays are returned.
+ *
+ * @example
+ * mask([[1, 2], [3, 4], [5, 6]], [true, false, true]); // [[1, 2], [5, 6]]
+ * mask([[1, 2], [3, 4]], [[false, true], [true, false]]); // [2, 3]
+ *
+ * @param {Array.<mixed>|NDArray} A - Arbitrarily nested array to select elements from
+ * @param {Array.<mixed>|NDArray} booleanMask - Arbitrarily nested array of booleans
+ * @return {Array.<mixed>} Array of selected elements, in row-major order
+ */
+export function mask(A, booleanMask) {
+  const AUse = toArray(A);
+
+  const collect = (B, M) => {
+    if (!Array.isArray(M)) {
+      return M ? [deepCopy(B)] : [];
+    }
+
+    if (!Array.isArray(B) || B.length !== M.length) {
+      throw new Error('The shape of the mask should match the first dimensions of the array.');
+    }
+
+    return [].concat(...M.map((m, i) => collect(B[i], m)));
+  };
+
+  return collect(AUse, toArray(booleanMask));
+}
+
+/**
+ * Choose elements from two arrays depending on a condition, with broadcasting.
+ *
+ * @example
+ * where([true, false, true], [1, 2, 3], 0); // [1, 0, 3]
+ *
+ * @param {Array.<mixed>|mixed} condition - Array of booleans. Where true, the element is taken
+ *   from the first array, otherwise from the second array
+ * @param {Array.<mixed>|mixed} A - Array or scalar to take elements from where the condition holds
+ * @param {Array.<mixed>|mixed} B - Array or scalar to take elements from elsewhere
+ * @return {Array.<mixed>|mixed} Array of the broadcasted shape with elements from either array
+ */
+export function where(condition, A, B) {
+  const conditionUse = toArray(condition);
+  const AUse = toArray(A);
+  const BUse = toArray(B);
+  const shape = broadcastShapes(getShape(conditionUse), getShape(AUse), getShape(BUse));
+
+  if (shape.length === 0) {
+    return conditionUse ? AUse : BUse;
+  }
+
+  const choose = (c, a, b) => {
+    if (!Array.isArray(c)) {
+      return c ? a : b;
+    }
+
+    return c.map((x, i) => choose(x, a[i], b[i]));
+  };
+
+  const result = choose(
+    broadcastTo(conditionUse, shape),
+    broadcastTo(AUse, shape),
+    broadcastTo(BUse, shape)
+  );
+
+  return isNDArray(A) || isNDArray(B) ? NDArray.fromArray(result) : result;
+}
+
+/**
+ * Replace the elements at a list of indices along an axis of an array. This is the counterpart of
+ * {@link take}. The input array is not modified: a modified copy is returned.
+ *
+ * @example
+ * put([[1, 2, 3], [4, 5, 6]], [0, 2], 0, 1); // [[0, 2, 0], [0, 5, 0]]
+ *
+ * @param {Array.<mixed>|NDArray} A - Arbitrarily nested array
+ * @param {Array.<number>} indices - Indices of the elements to replace. Negative indices count
+ *   from the end of the axis
+ * @param {Array.<mixed>|mixed} values - New values. Should be broadcastable to the shape of the
+ *   result of {@link take} for the same indices and axis
+ * @param {number} [axis = 0] - Axis along which the indices are specified
+ * @return {Array.<mixed>|NDArray} Copy of the input array with the elements replaced
+ */
+export function put(A, indices, values, axis = 0) {
+  const AUse = toArray(A);
+  const useAxis = normalizeAxis(axis, getShape(AUse).length);
+  const valuesUse = broadcastTo(toArray(values), getShape(take(AUse, indices, useAxis)));
+
+  const putAxis = (B, V, depth) => {
+    if (depth < useAxis) {
+      return B.map((C, i) => putAxis(C, V[i], depth + 1));
+    }
+
+    const result = deepCopy(B);
+
+    indices.forEach((index, i) => {
+      result[index < 0 ? B.length + index : index] = deepCopy(V[i]);
+    });
+
+    return result;
+  };
+
+  const result = putAxis(AUse, valuesUse, 0);
+
+  return isNDArray(A) ? NDArray.fromArray(result) : result;
+}
+
+/**
+ * Check element-wise whether the elements of one array are greater than those of another array,
+ * with broadcasting.
+ *
+ * @param {Array.<mixed>|mixed} A - First array or scalar
+ * @param {Array.<mixed>|mixed} B - Second array or scalar
+ * @return {Array.<boolean>|boolean} Boolean mask
+ */
+export function greater(A, B) {
+  return broadcastElementWise((a, b) => a > b, toArray(A), toArray(B));
+}
+
+/**
+ * Check element-wise whether the elements of one array are greater than or equal to those of
+ * another array, with broadcasting.
+ *
+ * @param {Array.<mixed>|mixed} A - First array or scalar
+ * @param {Array.<mixed>|mixed} B - Second array or scalar
+ * @return {Array.<boolean>|boolean} Boolean mask
+ */
+export function greaterEqual(A, B) {
+  return broadcastElementWise((a, b) => a >= b, toArray(A), toArray(B));
+}
+
+/**
+ * Check element-wise whether the elements of one array are smaller than those of another array,
+ * with broadcasting.
+ *
+ * @param {Array.<mixed>|mixed} A - First array or scalar
+ * @param {Array.<mixed>|mixed} B - Second array or scalar
+ * @return {Array.<boolean>|boolean} Boolean mask
+ */
+export function less(A, B) {
+  return broadcastElementWise((a, b) => a < b, toArray(A), toArray(B));
+}
+
+/**
+ * Check element-wise whether the elements of one array are smaller than or equal to those of
+ * another array, with broadcasting.
+ *
+ * @param {Array.<mixed>|mixed} A - First array or scalar
+ * @param {Array.<mixed>|mixed} B - Second array or scalar
+ * @return {Array.<boolean>|boolean} Boolean mask
+ */
+export function lessEqual(A, B) {
+  return broadcastElementWise((a, b) => a <= b, toArray(A), toArray(B));
+}
+
+/**
+ * Check element-wise whether the elements of two arrays are equal, with broadcasting. Unlike
+ * {@link equal}, which checks whether two arrays are equal as a whole, this returns a mask.
+ *
+ * @example
+ * equalElementWise([1, 2, 3], 2); // [false, true, false]
+ *
+ * @param {Array.<mixed>|mixed} A - First array or scalar
+ * @param {Array.<mixed>|mixed} B - Second array or scalar
+ * @return {Array.<boolean>|boolean} Boolean mask
+ */
+export function equalElementWise(A, B) {
+  return broadcastElementWise((a, b) => a === b, toArray(A), toArray(B));
+}
+
+/**
+ * Check element-wise whether the elements of two arrays are not equal, with broadcasting.
+ *
+ * @param {Array.<mixed>|mixed} A - First array or scalar
+ * @param {Array.<mixed>|mixed} B - Second array or scalar
+ * @return {Array.<boolean>|boolean} Boolean mask
+ */
+export function notEqualElementWise(A, B) {
+  return broadcastElementWise((a, b) => a !== b, toArray(A), toArray(B));
+}
+
+/**
+ * Compute the element-wise logical AND of two masks, with broadcasting.
+ *
+ * @param {Array.<mixed>|mixed} A - First mask
+ * @param {Array.<mixed>|mixed} B - Second mask
+ * @return {Array.<boolean>|boolean} Boolean mask
+ */
+export function logicalAnd(A, B) {
+  return broadcastElementWise((a, b) => Boolean(a && b), toArray(A), toArray(B));
+}
+
+/**
+ * Compute the element-wise logical OR of two masks, with broadcasting.
+ *
+ * @param {Array.<mixed>|mixed} A - First mask
+ * @param {Array.<mixed>|mixed} B - Second mask
+ * @return {Array.<boolean>|boolean} Boolean mask
+ */
+export function logicalOr(A, B) {
+  return broadcastElementWise((a, b) => Boolean(a || b), toArray(A), toArray(B));
+}
+
+/**
+ * Compute the element-wise logical negation of a mask.
+ *
+ * @param {Array.<mixed>|mixed} A - Mask
+ * @return {Array.<boolean>|boolean} Boolean mask
+ */
+export function logicalNot(A) {
+  return mapElements(toArray(A), a => !a);
 }
 
 // Array shape manipulation
@@ -460,6 +1112,10 @@ export function internalSum(A) {
  * @return {Array.<mixed>} Flattened array
  */
 export function flatten(A) {
+  if (isNDArray(A)) {
+    return new NDArray(A.values(), [A.size]);
+  }
+
   return [].concat(...A.map(x => (Array.isArray(x) ? flatten(x) : x)));
 }
 
@@ -472,6 +1128,10 @@ export function flatten(A) {
  * @return {Array.<mixed>} Reshaped array
  */
 export function reshape(A, shape) {
+  if (isNDArray(A)) {
+    return A.reshape(shape);
+  }
+
   const AValues = flatten(A);
 
   let B = zeros(shape);
@@ -514,6 +1174,10 @@ export function reshape(A, shape) {
  * @return {Array.<Array.<number>>} Transpose of the matrix
  */
 export function transpose(A) {
+  if (isNDArray(A)) {
+    return A.transpose();
+  }
+
   const ATranspose = zeros([A[0].length, A.length]);
 
   for (let i = 0; i < A.length; i += 1) {
@@ -602,12 +1266,29 @@ export function pad(A, paddingLengths, paddingValues, axes = []) {
  * simultaneously, i.e., if an element with index i is moved to index j for the first array, the
  * the same happens for the second (and third, etc.) array.
  *
- * @param {...Array.<mixed>} S - Arrays to shuffle. They must have the same size in the primary axis
+ * A random state can be passed as the last argument to make the shuffle reproducible.
+ *
+ * @example
+ * var [XShuffled, yShuffled] = shuffle(X, y, new RandomState(42));
+ *
+ * @param {...Array.<mixed>|RandomState} S - Arrays to shuffle. They must have the same size in the
+ *   primary axis. Optionally, the last argument is the RandomState to use for shuffling
  * @return {Array.<Array.<mixed>>} Shuffled matrices
  */
 export function shuffle(...S) {
+  // Use the random state passed as the last argument, if any
+  let randomState = null;
+  let arrays = S;
+
+  if (S[S.length - 1] instanceof RandomState) {
+    randomState = S[S.length - 1];
+    arrays = S.slice(0, -1);
+  }
+
+  const useRandomState = checkRandomState(randomState);
+
   // Copy matrices
-  const SPermutated = S.map(A => A.slice());
+  const SPermutated = arrays.map(A => A.slice());
 
   // Number of remaining rows
   let remainingRows = SPermutated[0].length;
@@ -615,7 +1296,7 @@ export function shuffle(...S) {
   while (remainingRows > 0) {
     // Select a random element from the remaining rows and swap it with the first element that has
     // not yet been assigned
-    const swapIndex = Math.floor(Math.random() * remainingRows);
+    const swapIndex = Math.floor(useRandomState.random() * remainingRows);
 
     for (let i = 0; i < SPermutated.length; i += 1) {
       const tmpRow = SPermutated[i][remainingRows - 1];
@@ -640,6 +1321,10 @@ export function shuffle(...S) {
  * @return {Array.<mixed>} Array with permuted axes
  */
 export function permuteAxes(A, newAxes) {
+  if (isNDArray(A)) {
+    return A.transpose(newAxes);
+  }
+
   // Shape of the input array
   const oldShape = getShape(A);
 
@@ -669,6 +1354,203 @@ export function permuteAxes(A, newAxes) {
   return APermuted;
 }
 
+// Array calculations
+// -----
+
+/**
+ * Reduce an array along an axis by applying a function to each one-dimensional lane of values
+ * along that axis. The axis is removed from the output shape.
+ *
+ * @param {Array.<mixed>} A - Arbitrarily nested array
+ * @param {number} axis - Non-negative axis to reduce
+ * @param {function(values: Array.<number>): mixed} reducer - Function reducing the values along
+ *   the axis
+ * @return {Array.<mixed>|mixed} Reduced array
+ */
+function reduceAxis(A, axis, reducer) {
+  if (axis > 0) {
+    return A.map(B => reduceAxis(B, axis - 1, reducer));
+  }
+
+  if (!Array.isArray(A[0])) {
+    return reducer(A);
+  }
+
+  return A[0].map((x, j) => reduceAxis(A.map(B => B[j]), 0, reducer));
+}
+
+/**
+ * Reduce an array, either as a whole or along an axis, using a function that maps a list of values
+ * to a single value. Supports negative axes (counting from the last axis backwards) and NDArrays.
+ *
+ * @example
+ * applyAlongAxis([[1, 5], [3, 2]], 0, values => Math.max(...values)); // [3, 5]
+ *
+ * @param {Array.<mixed>|NDArray} A - Array to reduce
+ * @param {number} axis - Axis to reduce along. If null, all elements are reduced to a single value
+ * @param {function(values: Array.<number>): mixed} reducer - Function reducing a list of values
+ * @return {Array.<mixed>|NDArray|mixed} Reduced array, or a single value if axis is null or the
+ *   input is one-dimensional
+ */
+export function applyAlongAxis(A, axis, reducer) {
+  const AUse = toArray(A);
+
+  if (axis === null) {
+    return reducer(flatten(AUse));
+  }
+
+  const result = reduceAxis(AUse, normalizeAxis(axis, getShape(AUse).length), reducer);
+
+  return isNDArray(A) && Array.isArray(result) ? NDArray.fromArray(result) : result;
+}
+
+/**
+ * Sum all elements of an array, or sum the elements along an axis.
+ *
+ * @example
+ * internalSum([[1, 2], [3, 4]]); // 10
+ * internalSum([[1, 2], [3, 4]], 0); // [4, 6]
+ * internalSum([[1, 2], [3, 4]], 1); // [3, 7]
+ *
+ * @param {Array.<number>} A - Array
+ * @param {number} [axis = null] - Axis to sum along. If null, all elements are summed
+ * @return {number|Array.<number>} Sum of all array elements, or array of sums along the axis
+ */
+export function internalSum(A, axis = null) {
+  if (isNDArray(A) && axis === null) {
+    return A.values().reduce((r, a) => r + a, 0);
+  }
+
+  return applyAlongAxis(A, axis, values => values.reduce((r, a) => r + a, 0));
+}
+
+/**
+ * Calculate the product of all elements of an array, or of the elements along an axis.
+ *
+ * @param {Array.<number>} A - Array
+ * @param {number} [axis = null] - Axis to multiply along. If null, all elements are multiplied
+ * @return {number|Array.<number>} Product of all array elements, or array of products along the
+ *   axis
+ */
+export function prod(A, axis = null) {
+  return applyAlongAxis(A, axis, values => values.reduce((r, a) => r * a, 1));
+}
+
+/**
+ * Calculate the mean of all elements of an array, or of the elements along an axis.
+ *
+ * @param {Array.<number>} A - Array
+ * @param {number} [axis = null] - Axis to average along. If null, all elements are averaged
+ * @return {number|Array.<number>} Mean of all array elements, or array of means along the axis
+ */
+export function mean(A, axis = null) {
+  return applyAlongAxis(A, axis, values => values.reduce((r, a) => r + a, 0) / values.length);
+}
+
+/**
+ * Calculate the variance of all elements of an array, or of the elements along an axis.
+ *
+ * @param {Array.<number>} A - Array
+ * @param {number} [axis = null] - Axis to calculate the variance along. If null, the variance of
+ *   all elements is calculated
+ * @param {number} [ddof = 0] - Delta degrees of freedom: the sum of squared deviations is divided
+ *   by n - ddof, where n is the number of elements. Use 1 for the unbiased sample variance
+ * @return {number|Array.<number>} Variance of all array elements, or array of variances along the
+ *   axis
+ */
+export function variance(A, axis = null, ddof = 0) {
+  return applyAlongAxis(A, axis, (values) => {
+    const valuesMean = values.reduce((r, a) => r + a, 0) / values.length;
+    return values.reduce((r, a) => r + (a - valuesMean) ** 2, 0) / (values.length - ddof);
+  });
+}
+
+/**
+ * Calculate the standard deviation of all elements of an array, or of the elements along an axis.
+ *
+ * @param {Array.<number>} A - Array
+ * @param {number} [axis = null] - Axis to calculate the standard deviation along. If null, the
+ *   standard deviation of all elements is calculated
+ * @param {number} [ddof = 0] - Delta degrees of freedom. See {@link variance}
+ * @return {number|Array.<number>} Standard deviation of all array elements, or array of standard
+ *   deviations along the axis
+ */
+export function std(A, axis = null, ddof = 0) {
+  const result = variance(A, axis, ddof);
+
+  if (isNDArray(result)) {
+    return result.map(x => Math.sqrt(x));
+  }
+
+  return Array.isArray(result) ? power(result, 0.5) : Math.sqrt(result);
+}
+
+/**
+ * Find the minimum of all elements of an array, or of the elements along an axis.
+ *
+ * @param {Array.<number>} A - Array
+ * @param {number} [axis = null] - Axis to find the minimum along. If null, the minimum of all
+ *   elements is found
+ * @return {number|Array.<number>} Minimum of all array elements, or array of minima along the axis
+ */
+export function min(A, axis = null) {
+  return applyAlongAxis(A, axis, values => values.reduce((r, a) => (a < r ? a : r), Infinity));
+}
+
+/**
+ * Find the maximum of all elements of an array, or of the elements along an axis.
+ *
+ * @param {Array.<number>} A - Array
+ * @param {number} [axis = null] - Axis to find the maximum along. If null, the maximum of all
+ *   elements is found
+ * @return {number|Array.<number>} Maximum of all array elements, or array of maxima along the axis
+ */
+export function max(A, axis = null) {
+  return applyAlongAxis(A, axis, values => values.reduce((r, a) => (a > r ? a : r), -Infinity));
+}
+
+/**
+ * Calculate the cumulative sum of the elements of an array along an axis.
+ *
+ * @example
+ * cumsum([[1, 2], [3, 4]]); // [1, 3, 6, 10]
+ * cumsum([[1, 2], [3, 4]], 0); // [[1, 2], [4, 6]]
+ * cumsum([[1, 2], [3, 4]], 1); // [[1, 3], [3, 7]]
+ *
+ * @param {Array.<number>} A - Array
+ * @param {number} [axis = null] - Axis to calculate the cumulative sum along. If null, the
+ *   cumulative sum of the flattened array is calculated
+ * @return {Array.<number>} Cumulative sums. Has the same shape as the input array, unless axis is
+ *   null, in which case a one-dimensional array is returned
+ */
+export function cumsum(A, axis = null) {
+  const AUse = toArray(A);
+
+  const cumulate = (B, useAxis) => {
+    if (useAxis > 0) {
+      return B.map(C => cumulate(C, useAxis - 1));
+    }
+
+    const result = [];
+
+    B.forEach((C, i) => {
+      result.push(i === 0 ? deepCopy(C) : add(result[i - 1], C));
+    });
+
+    return result;
+  };
+
+  let result;
+
+  if (axis === null) {
+    result = cumulate(flatten(AUse), 0);
+  } else {
+    result = cumulate(AUse, normalizeAxis(axis, getShape(AUse).length));
+  }
+
+  return isNDArray(A) ? NDArray.fromArray(result) : result;
+}
+
 // Traditional array functionality
 // -----
 
@@ -761,17 +1643,43 @@ export function argSort(array, compareFunction = null) {
 }
 
 /**
- * Get array key corresponding to largest element in the array.
+ * Get array key corresponding to largest element in the array. For multidimensional arrays, the
+ * index of the largest element along an axis can be found.
  *
  * @param {Array.<number>} array Input array
- * @return {number} Index of array element with largest value
+ * @param {number} [axis = null] - Axis to find the largest element along. If null, the index of
+ *   the largest element in the flattened array is returned
+ * @return {number|Array.<number>} Index of array element with largest value, or array of indices
+ *   of the largest values along the axis
  */
-export function argMax(array) {
+export function argMax(array, axis = null) {
   if (array.length === 0) {
     return null;
   }
 
-  return zipWithIndex(array).reduce((r, x) => (x[0] > r[0] ? x : r))[1];
+  return applyAlongAxis(array, axis, values =>
+    zipWithIndex(values).reduce((r, x) => (x[0] > r[0] ? x : r))[1]
+  );
+}
+
+/**
+ * Get array key corresponding to smallest element in the array. For multidimensional arrays, the
+ * index of the smallest element along an axis can be found.
+ *
+ * @param {Array.<number>} array Input array
+ * @param {number} [axis = null] - Axis to find the smallest element along. If null, the index of
+ *   the smallest element in the flattened array is returned
+ * @return {number|Array.<number>} Index of array element with smallest value, or array of indices
+ *   of the smallest values along the axis
+ */
+export function argMin(array, axis = null) {
+  if (array.length === 0) {
+    return null;
+  }
+
+  return applyAlongAxis(array, axis, values =>
+    zipWithIndex(values).reduce((r, x) => (x[0] < r[0] ? x : r))[1]
+  );
 }
 
 /**
@@ -1,5 +1,6 @@
 var expect = require('chai').expect;
 var arrays = require('./index.js');
+var SparseVector = require('./sparse-vector.js');
 
 describe('Arrays', function() {
   describe('.areArrayDimensionsConsistent', function() {
@@ -56,6 +57,18 @@ describe('Arrays', function() {
       expect(arrays.dot([1, 2, 0], [4, 5, 6])).to.equal(14);
       expect(arrays.dot([1, 2, -3], [4, 5, 6])).to.equal(-4);
     });
+
+    it('should not densify sparse vectors when both vectors are sparse', function() {
+      var x = SparseVector.fromArray([1, 0, 2, 0]);
+      var y = SparseVector.fromArray([0, 3, 4, 0]);
+
+      x.toArray = function() { throw new Error('Sparse vector was densified.'); };
+      y.toArray = x.toArray;
+
+      expect(arrays.dot(x, y)).to.equal(8);
+      expect(arrays.norm(x)).to.be.closeTo(Math.sqrt(5), 1e-10);
+      expect(arrays.dot([1, 1, 1, 1], y)).to.equal(7);
+    });
   });
 
   describe('.scale', function() {
@@ -127,4 +140,207 @@ describe('Arrays', function() {
       expect(arrays.getShape(B)).to.deep.equal(shape)
     });
   });
-});
\ No newline at end of file
+
+  describe('.broadcastShapes', function() {
+    it('should compute the shape of broadcasted arrays', function() {
+      expect(arrays.broadcastShapes([5, 1, 3], [4, 3])).to.deep.equal([5, 4, 3]);
+      expect(arrays.broadcastShapes([2, 3], [])).to.deep.equal([2, 3]);
+      expect(arrays.broadcastShapes([3, 1], [1, 4], [4])).to.deep.equal([3, 4]);
+    });
+
+    it('should throw an error for incompatible shapes', function() {
+      expect(function() { arrays.broadcastShapes([2, 3], [2]); }).to.throw();
+    });
+  });
+
+  describe('.add', function() {
+    it('should add arrays of equal shapes element-wise', function() {
+      expect(arrays.add([[1, 2], [3, 4]], [[5, 6], [7, 8]])).to.deep.equal([[6, 8], [10, 12]]);
+    });
+
+    it('should broadcast rows, columns and scalars', function() {
+      expect(arrays.add([[1, 2], [3, 4]], [10, 20])).to.deep.equal([[11, 22], [13, 24]]);
+      expect(arrays.add([[1, 2], [3, 4]], [[10], [20]])).to.deep.equal([[11, 12], [23, 24]]);
+      expect(arrays.add([[1], [2]], [10, 20])).to.deep.equal([[11, 21], [12, 22]]);
+      expect(arrays.add(1, [1, 2])).to.deep.equal([2, 3]);
+      expect(arrays.add(1, 2)).to.equal(3);
+    });
+
+    it('should return an NDArray for NDArray input', function() {
+      var A = arrays.NDArray.fromArray([[1, 2], [3, 4]]);
+      var B = arrays.add(A, [1, 1]);
+
+      expect(B).to.be.an.instanceof(arrays.NDArray);
+      expect(B.toArray()).to.deep.equal([[2, 3], [4, 5]]);
+    });
+  });
+
+  describe('.subtract, .multiply, .divide, .maximum, .minimum', function() {
+    it('should apply the operations element-wise with broadcasting', function() {
+      var A = [[1, 6], [4, 2]];
+
+      expect(arrays.subtract(A, [1, 2])).to.deep.equal([[0, 4], [3, 0]]);
+      expect(arrays.multiply(A, [[2], [3]])).to.deep.equal([[2, 12], [12, 6]]);
+      expect(arrays.divide(A, 2)).to.deep.equal([[0.5, 3], [2, 1]]);
+      expect(arrays.maximum(A, 3)).to.deep.equal([[3, 6], [4, 3]]);
+      expect(arrays.minimum(A, [2, 3])).to.deep.equal([[1, 3], [2, 2]]);
+    });
+  });
+
+  describe('.broadcastTo', function() {
+    it('should broadcast an array to a larger shape', function() {
+      expect(arrays.broadcastTo([1, 2], [2, 2])).to.deep.equal([[1, 2], [1, 2]]);
+      expect(function() { arrays.broadcastTo([1, 2], [2, 3]); }).to.throw();
+    });
+  });
+
+  describe('.internalSum', function() {
+    it('should sum all elements or the elements along an axis', function() {
+      var A = [[1, 2, 3], [4, 5, 6]];
+
+      expect(arrays.internalSum(A)).to.equal(21);
+      expect(arrays.internalSum(A, 0)).to.deep.equal([5, 7, 9]);
+      expect(arrays.internalSum(A, 1)).to.deep.equal([6, 15]);
+      expect(arrays.internalSum(A, -1)).to.deep.equal([6, 15]);
+      expect(arrays.internalSum([[[1, 2], [3, 4]], [[5, 6], [7, 8]]], 1))
+        .to.deep.equal([[4, 6], [12, 14]]);
+    });
+
+    it('should throw an error for an out-of-bounds axis', function() {
+      expect(function() { arrays.internalSum([[1, 2]], 2); }).to.throw();
+    });
+  });
+
+  describe('axis reductions', function() {
+    it('should compute the mean, variance and standard deviation', function() {
+      var A = [[1, 2], [3, 6]];
+
+      expect(arrays.mean(A)).to.equal(3);
+      expect(arrays.mean(A, 0)).to.deep.equal([2, 4]);
+      expect(arrays.variance(A, 1)).to.deep.equal([0.25, 2.25]);
+      expect(arrays.variance(A, 0, 1)).to.deep.equal([2, 8]);
+      expect(arrays.std(A, 1)).to.deep.equal([0.5, 1.5]);
+      expect(arrays.std([1, 3])).to.equal(1);
+    });
+
+    it('should compute minima, maxima and products', function() {
+      var A = [[1, 5], [4, 2]];
+
+      expect(arrays.min(A)).to.equal(1);
+      expect(arrays.max(A, 0)).to.deep.equal([4, 5]);
+      expect(arrays.min(A, 1)).to.deep.equal([1, 2]);
+      expect(arrays.prod(A, 0)).to.deep.equal([4, 10]);
+      expect(arrays.prod(A)).to.equal(40);
+    });
+
+    it('should find the indices of minima and maxima', function() {
+      var A = [[1, 5], [4, 2]];
+
+      expect(arrays.argMax([3, 7, 2])).to.equal(1);
+      expect(arrays.argMax([])).to.equal(null);
+      expect(arrays.argMax(A)).to.equal(1);
+      expect(arrays.argMax(A, 0)).to.deep.equal([1, 0]);
+      expect(arrays.argMin(A, 1)).to.deep.equal([0, 1]);
+      expect(arrays.argMin(A)).to.equal(0);
+    });
+
+    it('should compute cumulative sums', function() {
+      var A = [[1, 2], [3, 4]];
+
+      expect(arrays.cumsum(A)).to.deep.equal([1, 3, 6, 10]);
+      expect(arrays.cumsum(A, 0)).to.deep.equal([[1, 2], [4, 6]]);
+      expect(arrays.cumsum(A, 1)).to.deep.equal([[1, 3], [3, 7]]);
+      expect(A).to.deep.equal([[1, 2], [3, 4]]);
+    });
+
+    it('should support NDArray input', function() {
+      var A = arrays.NDArray.fromArray([[1, 2], [3, 4]]);
+
+      expect(arrays.internalSum(A)).to.equal(10);
+      expect(arrays.mean(A, 0).toArray()).to.deep.equal([2, 3]);
+      expect(arrays.cumsum(A, 1).toArray()).to.deep.equal([[1, 3], [3, 7]]);
+    });
+  });
+
+  describe('.take', function() {
+    it('should take elements along an axis', function() {
+      var A = [[1, 2, 3], [4, 5, 6]];
+
+      expect(arrays.take(A, [1, 0, 1])).to.deep.equal([[4, 5, 6], [1, 2, 3], [4, 5, 6]]);
+      expect(arrays.take(A, [2, 0], 1)).to.deep.equal([[3, 1], [6, 4]]);
+      expect(arrays.take(A, [-1], -1)).to.deep.equal([[3], [6]]);
+    });
+
+    it('should not share subarrays with the input array', function() {
+      var A = [[1, 2], [3, 4]];
+      var B = arrays.take(A, [0]);
+      B[0][0] = 10;
+
+      expect(A[0][0]).to.equal(1);
+    });
+
+    it('should throw an error for out-of-bounds indices', function() {
+      expect(function() { arrays.take([1, 2], [2]); }).to.throw();
+    });
+  });
+
+  describe('.mask', function() {
+    it('should select subarrays using a mask over the first axis', function() {
+      expect(arrays.mask([[1, 2], [3, 4], [5, 6]], [true, false, true]))
+        .to.deep.equal([[1, 2], [5, 6]]);
+      expect(arrays.mask(['a', 'b', 'c'], [false, false, false])).to.deep.equal([]);
+    });
+
+    it('should select elements using a mask of the same shape', function() {
+      var A = [[1, 2], [3, 4]];
+
+      expect(arrays.mask(A, [[false, true], [true, false]])).to.deep.equal([2, 3]);
+      expect(arrays.mask(A, arrays.greater(A, 2))).to.deep.equal([3, 4]);
+    });
+
+    it('should throw an error if the mask shape does not match', function() {
+      expect(function() { arrays.mask([1, 2, 3], [true, false]); }).to.throw();
+    });
+  });
+
+  describe('.where', function() {
+    it('should choose elements from two arrays with broadcasting', function() {
+      expect(arrays.where([true, false, true], [1, 2, 3], 0)).to.deep.equal([1, 0, 3]);
+      expect(arrays.where([[true], [false]], [1, 2], [3, 4])).to.deep.equal([[1, 2], [3, 4]]);
+      expect(arrays.where(false, 1, 2)).to.equal(2);
+    });
+  });
+
+  describe('.put', function() {
+    it('should replace elements along an axis without modifying the input', function() {
+      var A = [[1, 2, 3], [4, 5, 6]];
+
+      expect(arrays.put(A, [0, 2], 0, 1)).to.deep.equal([[0, 2, 0], [0, 5, 0]]);
+      expect(arrays.put(A, [1], [[7, 8, 9]])).to.deep.equal([[1, 2, 3], [7, 8, 9]]);
+      expect(arrays.put([1, 2, 3], [-1], 0)).to.deep.equal([1, 2, 0]);
+      expect(A).to.deep.equal([[1, 2, 3], [4, 5, 6]]);
+    });
+  });
+
+  describe('comparison and logical functions', function() {
+    it('should return boolean masks', function() {
+      var A = [[1, 2], [3, 4]];
+
+      expect(arrays.greater(A, 2)).to.deep.equal([[false, false], [true, true]]);
+      expect(arrays.greaterEqual(A, 2)).to.deep.equal([[false, true], [true, true]]);
+      expect(arrays.less(A, [2, 3])).to.deep.equal([[true, true], [false, false]]);
+      expect(arrays.lessEqual(A, [[1], [3]])).to.deep.equal([[true, false], [true, false]]);
+      expect(arrays.equalElementWise(['a', 'b'], 'b')).to.deep.equal([false, true]);
+      expect(arrays.notEqualElementWise(A, 4)).to.deep.equal([[true, true], [true, false]]);
+    });
+
+    it('should combine masks', function() {
+      var a = [true, true, false];
+      var b = [true, false, false];
+
+      expect(arrays.logicalAnd(a, b)).to.deep.equal([true, false, false]);
+      expect(arrays.logicalOr(a, b)).to.deep.equal([true, true, false]);
+      expect(arrays.logicalNot([[true], [false]])).to.deep.equal([[false], [true]]);
+    });
+  });
+});
@@ -0,0 +1,410 @@
+/**
+ * Calculate the strides of a C-contiguous (row-major) array of a certain shape.
+ *
+ * @param {Array.<number>} shape - Array specifying the number of elements per dimension
+ * @return {Array.<number>} Number of elements to skip in the underlying data to move one position
+ *   along each axis
+ */
+function contiguousStrides(shape) {
+  const strides = [];
+  let stride = 1;
+
+  for (let i = shape.length - 1; i >= 0; i -= 1) {
+    strides.unshift(stride);
+    stride *= shape[i];
+  }
+
+  return strides;
+}
+
+/**
+ * Find the shape of an arbitrarily nested array by looking at the first entry of each axis.
+ *
+ * @param {Array.<mixed>} A - Arbitrarily nested array
+ * @return {Array.<number>} Number of elements per dimension
+ */
+function nestedShape(A) {
+  const shape = [];
+  let B = A;
+
+  while (Array.isArray(B)) {
+    shape.push(B.length);
+    B = B[0];
+  }
+
+  return shape;
+}
+
+/**
+ * N-dimensional array of numbers backed by a single Float64Array. Elements are located in the
+ * underlying data using an offset and a stride per axis, which allows slicing, transposing and
+ * (for contiguous arrays) reshaping to create views on the same data without copying anything.
+ * Note that modifying a view therefore modifies the array it was created from.
+ *
+ * @example
+ * var A = NDArray.fromArray([[1, 2, 3], [4, 5, 6]]);
+ * var B = A.transpose(); // View: no data is copied
+ * B.get([2, 0]); // 3
+ * B.toArray(); // [[1, 4], [2, 5], [3, 6]]
+ */
+export default class NDArray {
+  /**
+   * Constructor. Create an array from its underlying data and layout.
+   *
+   * @param {Float64Array|Array.<number>} data - Underlying flat data
+   * @param {Array.<number>} shape - Array specifying the number of elements per dimension. n-th
+   *   element corresponds to the number of elements in the n-th dimension
+   * @param {Array.<number>} [strides = null] - Number of elements to skip in the underlying data
+   *   to move one position along each axis. Defaults to the strides of a C-contiguous (row-major)
+   *   array
+   * @param {number} [offset = 0] - Position of the first array element in the underlying data
+   */
+  constructor(data, shape, strides = null, offset = 0) {
+    /**
+     * Underlying flat data, possibly shared with other arrays
+     *
+     * @type {Float64Array}
+     */
+    this.data = data instanceof Float64Array ? data : Float64Array.from(data);
+
+    /**
+     * Number of elements per dimension
+     *
+     * @type {Array.<number>}
+     */
+    this.shape = shape.slice();
+
+    /**
+     * Number of elements to skip in the underlying data to move one position along each axis
+     *
+     * @type {Array.<number>}
+     */
+    this.strides = strides === null ? contiguousStrides(shape) : strides.slice();
+
+    /**
+     * Position of the first array element in the underlying data
+     *
+     * @type {number}
+     */
+    this.offset = offset;
+
+    if (this.strides.length !== this.shape.length) {
+      throw new Error('The number of strides must equal the number of dimensions.');
+    }
+  }
+
+  /**
+   * Create an array from an arbitrarily nested JavaScript array. The nested array must have
+   * consistent dimensions.
+   *
+   * @param {Array.<mixed>} A - Arbitrarily nested array of numbers
+   * @return {NDArray} Array containing a copy of the data of the input array
+   */
+  static fromArray(A) {
+    const shape = nestedShape(A);
+    const size = shape.reduce((r, a) => r * a, 1);
+    const data = new Float64Array(size);
+    let position = 0;
+
+    const fill = (B, depth) => {
+      if (depth === shape.length) {
+        data[position] = B;
+        position += 1;
+        return;
+      }
+
+      if (!Array.isArray(B) || B.length !== shape[depth]) {
+        throw new Error('Array dimensions are inconsistent.');
+      }
+
+      B.forEach(C => fill(C, depth + 1));
+    };
+
+    fill(A, 0);
+
+    return new NDArray(data, shape);
+  }
+
+  /**
+   * Create an array of a certain shape filled with a single value.
+   *
+   * @param {Array.<number>} shape - Array specifying the number of elements per dimension
+   * @param {number} value - Value to fill the array with
+   * @return {NDArray} Array filled with the value
+   */
+  static full(shape, value) {
+    const data = new Float64Array(shape.reduce((r, a) => r * a, 1));
+    data.fill(value);
+
+    return new NDArray(data, shape);
+  }
+
+  /**
+   * Create an array of zeros of a certain shape.
+   *
+   * @param {Array.<number>} shape - Array specifying the number of elements per dimension
+   * @return {NDArray} Array filled with zeros
+   */
+  static zeros(shape) {
+    return NDArray.full(shape, 0);
+  }
+
+  /**
+   * Number of dimensions of the array.
+   *
+   * @type {number}
+   */
+  get ndim() {
+    return this.shape.length;
+  }
+
+  /**
+   * Total number of elements in the array.
+   *
+   * @type {number}
+   */
+  get size() {
+    return this.shape.reduce((r, a) => r * a, 1);
+  }
+
+  /**
+   * Check whether the array elements are stored in C-contiguous (row-major) order without gaps in
+   * the underlying data.
+   *
+   * @return {boolean} Whether the array is C-contiguous
+   */
+  isContiguous() {
+    const strides = contiguousStrides(this.shape);
+    return this.shape.every((n, i) => n <= 1 || this.strides[i] === strides[i]);
+  }
+
+  /**
+   * Calculate the position of an array element in the underlying data.
+   *
+   * @param {Array.<number>} index - Index of the element. n-th element corresponds to the index in
+   *   the n-th dimension. Negative indices count from the end of the axis
+   * @return {number} Position in the underlying data
+   */
+  getDataPosition(index) {
+    if (index.length !== this.shape.length) {
+      throw new Error('The number of indices must equal the number of dimensions.');
+    }
+
+    return index.reduce((r, a, i) => {
+      const axisIndex = a < 0 ? this.shape[i] + a : a;
+
+      if (axisIndex < 0 || axisIndex >= this.shape[i]) {
+        throw new Error('Index out of bounds.');
+      }
+
+      return r + axisIndex * this.strides[i];
+    }, this.offset);
+  }
+
+  /**
+   * Get a single array element.
+   *
+   * @param {Array.<number>} index - Index of the element. n-th element corresponds to the index in
+   *   the n-th dimension
+   * @return {number} Array element value
+   */
+  get(index) {
+    return this.data[this.getDataPosition(index)];
+  }
+
+  /**
+   * Set a single array element. Modifies the array (and all arrays sharing its data) in place.
+   *
+   * @param {Array.<number>} index - Index of the element. n-th element corresponds to the index in
+   *   the n-th dimension
+   * @param {number} value - New element value
+   */
+  set(index, value) {
+    this.data[this.getDataPosition(index)] = value;
+  }
+
+  /**
+   * Call a function for each array element position, in C (row-major) order.
+   *
+   * @param {function(position: number, i: number)} callback - Function called with the position of
+   *   the element in the underlying data and the sequence number of the element
+   */
+  forEachPosition(callback) {
+    const { size, ndim } = this;
+
+    if (size === 0) {
+      return;
+    }
+
+    const counters = new Array(ndim).fill(0);
+    let position = this.offset;
+
+    for (let i = 0; i < size; i += 1) {
+      callback(position, i);
+
+      // Increment the index of the last axis, and carry over to the previous axes
+      for (let axis = ndim - 1; axis >= 0; axis -= 1) {
+        counters[axis] += 1;
+        position += this.strides[axis];
+
+        if (counters[axis] < this.shape[axis]) {
+          break;
+        }
+
+        position -= counters[axis] * this.strides[axis];
+        counters[axis] = 0;
+      }
+    }
+  }
+
+  /**
+   * Get all array elements in C (row-major) order.
+   *
+   * @return {Float64Array} Flat copy of the array elements
+   */
+  values() {
+    const values = new Float64Array(this.size);
+    this.forEachPosition((position, i) => { values[i] = this.data[position]; });
+
+    return values;
+  }
+
+  /**
+   * Create a C-contiguous copy of the array that does not share data with this array.
+   *
+   * @return {NDArray} Copy of the array
+   */
+  copy() {
+    return new NDArray(this.values(), this.shape);
+  }
+
+  /**
+   * Convert the array to an arbitrarily nested JavaScript array.
+   *
+   * @return {Array.<mixed>|number} Nested array. For zero-dimensional arrays, the single element
+   *   is returned
+   */
+  toArray() {
+    const values = this.values();
+
+    if (this.ndim === 0) {
+      return values[0];
+    }
+
+    let position = 0;
+
+    const build = (depth) => {
+      if (depth === this.ndim - 1) {
+        const row = Array.from(values.subarray(position, position + this.shape[depth]));
+        position += this.shape[depth];
+        return row;
+      }
+
+      return [...Array(this.shape[depth])].map(() => build(depth + 1));
+    };
+
+    return build(0);
+  }
+
+  /**
+   * Apply a function to each array element and return the results as a new array.
+   *
+   * @param {function(value: number, i: number): number} callback - Function taking an element and
+   *   its sequence number in C order, and returning the new value
+   * @return {NDArray} New C-contiguous array with the function outputs
+   */
+  map(callback) {
+    const values = new Float64Array(this.size);
+    this.forEachPosition((position, i) => { values[i] = callback(this.data[position], i); });
+
+    return new NDArray(values, this.shape);
+  }
+
+  /**
+   * Take a slice out of the array. The returned array is a view: no data is copied. Index
+   * semantics match those of {@link slice} for nested arrays.
+   *
+   * @param {Array.<number>} start - Array specifying the starting index per dimension. Negative
+   *   indices are supported
+   * @param {Array.<number>} stop - Array specifying the index to stop at (exclusive) per
+   *   dimension. Negative indices are supported. Use null for unlimited offset
+   * @return {NDArray} View on the array slice
+   */
+  slice(start, stop) {
+    if (start.length !== stop.length) {
+      throw new Error('"start" and "stop" must contain the same number of indices.');
+    }
+
+    if (start.length > this.ndim) {
+      throw new Error('The number of start and stop indices must not exceed the number of input array dimensions');
+    }
+
+    const shape = this.shape.slice();
+    let { offset } = this;
+
+    start.forEach((a, i) => {
+      const parsedStart = a < 0 ? this.shape[i] + a : a;
+      let parsedStop = stop[i] === null ? this.shape[i] : stop[i];
+      parsedStop = parsedStop < 0 ? this.shape[i] + parsedStop : parsedStop;
+
+      shape[i] = Math.max(0, Math.min(this.shape[i], parsedStop) - parsedStart);
+      offset += parsedStart * this.strides[i];
+    });
+
+    return new NDArray(this.data, shape, this.strides, offset);
+  }
+
+  /**
+   * Extract a sub-block of a particular shape at a particular position. The returned array is a
+   * view: no data is copied.
+   *
+   * @param {Array.<number>} offset - Array specifying the offset per dimension
+   * @param {Array.<number>} shape - Array specifying the number of elements per dimension
+   * @return {NDArray} View on the sub-block
+   */
+  subBlock(offset, shape) {
+    return this.slice(offset, offset.map((a, i) => a + shape[i]));
+  }
+
+  /**
+   * Permute the axes of the array. The returned array is a view: no data is copied.
+   *
+   * @param {Array.<number>} [axes = null] - For the i-th element of this array, specify the index
+   *   of the axis in this array that should be used. Defaults to reversing the axes, which
+   *   corresponds to the matrix transpose for two-dimensional arrays
+   * @return {NDArray} View with permuted axes
+   */
+  transpose(axes = null) {
+    const useAxes = axes === null ? this.shape.map((x, i) => this.ndim - i - 1) : axes;
+
+    return new NDArray(
+      this.data,
+      useAxes.map(axis => this.shape[axis]),
+      useAxes.map(axis => this.strides[axis]),
+      this.offset
+    );
+  }
+
+  /**
+   * Reshape the array. For C-contiguous arrays, the returned array is a view on the same data.
+   * Otherwise, the data is copied first. One of the dimensions can be -1, in which case its size
+   * is inferred from the total number of elements.
+   *
+   * @param {Array.<number>} shape - Array specifying the number of elements per dimension
+   * @return {NDArray} Reshaped array
+   */
+  reshape(shape) {
+    const knownSize = shape.reduce((r, a) => (a === -1 ? r : r * a), 1);
+    const useShape = shape.map(a => (a === -1 ? this.size / knownSize : a));
+
+    if (useShape.reduce((r, a) => r * a, 1) !== this.size) {
+      throw new Error('Cannot reshape array: the total number of elements must remain the same.');
+    }
+
+    if (this.isContiguous()) {
+      return new NDArray(this.data, useShape, null, this.offset);
+    }
+
+    return new NDArray(this.values(), useShape);
+  }
+}
@@ -0,0 +1,87 @@
+var expect = require('chai').expect;
+var NDArray = require('./ndarray.js');
+var arrays = require('./index.js');
+
+describe('Arrays.NDArray', function() {
+  var nested = [[[1, 2, 3], [4, 5, 6]], [[7, 8, 9], [10, 11, 12]]];
+
+  describe('.fromArray, .toArray', function() {
+    it('should convert nested arrays to and from NDArrays', function() {
+      var A = NDArray.fromArray(nested);
+
+      expect(A.shape).to.deep.equal([2, 2, 3]);
+      expect(A.strides).to.deep.equal([6, 3, 1]);
+      expect(A.data).to.be.an.instanceof(Float64Array);
+      expect(A.toArray()).to.deep.equal(nested);
+    });
+
+    it('should throw an error for arrays with inconsistent dimensions', function() {
+      expect(() => NDArray.fromArray([[1, 2], [3]])).to.throw();
+    });
+  });
+
+  describe('.get, .set', function() {
+    it('should get and set elements by index', function() {
+      var A = NDArray.fromArray(nested);
+      expect(A.get([1, 0, 2])).to.equal(9);
+      expect(A.get([-1, -1, -1])).to.equal(12);
+
+      A.set([0, 1, 1], 50);
+      expect(A.get([0, 1, 1])).to.equal(50);
+      expect(() => A.get([2, 0, 0])).to.throw();
+    });
+  });
+
+  describe('views', function() {
+    it('should create transposed views without copying data', function() {
+      var A = NDArray.fromArray([[1, 2, 3], [4, 5, 6]]);
+      var B = A.transpose();
+
+      expect(B.toArray()).to.deep.equal([[1, 4], [2, 5], [3, 6]]);
+      expect(B.data).to.equal(A.data);
+
+      B.set([2, 1], 60);
+      expect(A.get([1, 2])).to.equal(60);
+    });
+
+    it('should create slice and sub-block views', function() {
+      var A = NDArray.fromArray([[1, 2, 3, 4], [5, 6, 7, 8], [9, 10, 11, 12]]);
+
+      expect(A.slice([1, 1], [null, -1]).toArray()).to.deep.equal([[6, 7], [10, 11]]);
+      expect(A.slice([0], [2]).toArray()).to.deep.equal([[1, 2, 3, 4], [5, 6, 7, 8]]);
+      expect(A.subBlock([0, 2], [2, 2]).toArray()).to.deep.equal([[3, 4], [7, 8]]);
+      expect(A.subBlock([0, 2], [2, 2]).data).to.equal(A.data);
+    });
+
+    it('should reshape contiguous arrays as views and other arrays as copies', function() {
+      var A = NDArray.fromArray([[1, 2, 3], [4, 5, 6]]);
+      var B = A.reshape([3, -1]);
+
+      expect(B.toArray()).to.deep.equal([[1, 2], [3, 4], [5, 6]]);
+      expect(B.data).to.equal(A.data);
+
+      var C = A.transpose().reshape([6]);
+      expect(C.toArray()).to.deep.equal([1, 4, 2, 5, 3, 6]);
+      expect(C.data).to.not.equal(A.data);
+
+      expect(() => A.reshape([4, 2])).to.throw();
+    });
+  });
+
+  describe('functional helpers', function() {
+    it('should accept NDArrays in the functional array helpers', function() {
+      var A = NDArray.fromArray([[1, 2, 3], [4, 5, 6]]);
+
+      expect(arrays.getShape(A)).to.deep.equal([2, 3]);
+      expect(arrays.transpose(A).toArray()).to.deep.equal(arrays.transpose(A.toArray()));
+      expect(arrays.scale(A, 2).toArray()).to.deep.equal([[2, 4, 6], [8, 10, 12]]);
+      expect(arrays.sum(A, A.toArray()).toArray()).to.deep.equal([[2, 4, 6], [8, 10, 12]]);
+      expect(arrays.internalSum(A)).to.equal(21);
+      expect(arrays.dot(NDArray.fromArray([1, 2, 3]), [4, 5, 6])).to.equal(32);
+      expect(arrays.flatten(A).toArray()).to.deep.equal([1, 2, 3, 4, 5, 6]);
+      expect(arrays.slice(A, [0, 1], [null, null]).toArray()).to.deep.equal([[2, 3], [5, 6]]);
+      expect(arrays.getArrayElement(A, [1]).toArray()).to.deep.equal([4, 5, 6]);
+      expect(arrays.equal(A, [[1, 2, 3], [4, 5, 6]])).to.equal(true);
+    });
+  });
+});
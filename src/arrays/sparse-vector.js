@@ -0,0 +1,264 @@
+/**
+ * Find the position of an index in a sorted list of indices using binary search.
+ *
+ * @param {Array.<number>} indices - Sorted list of indices
+ * @param {number} index - Index to look for
+ * @return {number} Position of the index in the list, or -1 if it does not occur in the list
+ */
+function findIndex(indices, index) {
+  let low = 0;
+  let high = indices.length - 1;
+
+  while (low <= high) {
+    const middle = Math.floor((low + high) / 2);
+
+    if (indices[middle] === index) {
+      return middle;
+    }
+
+    if (indices[middle] < index) {
+      low = middle + 1;
+    } else {
+      high = middle - 1;
+    }
+  }
+
+  return -1;
+}
+
+/**
+ * Sparse vector, storing only its non-zero elements as a list of (index, value) pairs sorted by
+ * index. Sparse vectors mimic the parts of the Array interface used by the estimators (length,
+ * slice() and unshift()), so they can be used as feature vectors of samples directly.
+ *
+ * @example
+ * var x = SparseVector.fromArray([0, 0, 3, 0, 5]);
+ * x.nnz; // 2
+ * x.dot([1, 1, 1, 1, 1]); // 8
+ * x.toArray(); // [0, 0, 3, 0, 5]
+ */
+export default class SparseVector {
+  /**
+   * Constructor. Create a sparse vector from its non-zero elements.
+   *
+   * @param {Array.<number>} indices - Indices of the non-zero elements, in increasing order
+   * @param {Array.<number>} values - Values of the non-zero elements
+   * @param {number} length - Number of elements of the vector, including zeros
+   */
+  constructor(indices, values, length) {
+    if (indices.length !== values.length) {
+      throw new Error('The number of indices must equal the number of values.');
+    }
+
+    if (indices.some((x, i) => x < 0 || x >= length || (i > 0 && x <= indices[i - 1]))) {
+      throw new Error('Indices must be strictly increasing and within the vector length.');
+    }
+
+    /**
+     * Indices of the non-zero elements, in increasing order
+     *
+     * @type {Array.<number>}
+     */
+    this.indices = indices.slice();
+
+    /**
+     * Values of the non-zero elements
+     *
+     * @type {Array.<number>}
+     */
+    this.values = values.slice();
+
+    /**
+     * Number of elements of the vector, including zeros
+     *
+     * @type {number}
+     */
+    this.length = length;
+  }
+
+  /**
+   * Create a sparse vector from a dense array.
+   *
+   * @param {Array.<number>} x - Dense array
+   * @return {SparseVector} Sparse vector containing the non-zero elements of the array
+   */
+  static fromArray(x) {
+    const indices = [];
+    const values = [];
+
+    x.forEach((value, i) => {
+      if (value !== 0) {
+        indices.push(i);
+        values.push(value);
+      }
+    });
+
+    return new SparseVector(indices, values, x.length);
+  }
+
+  /**
+   * Number of explicitly stored (non-zero) elements.
+   *
+   * @type {number}
+   */
+  get nnz() {
+    return this.indices.length;
+  }
+
+  /**
+   * Get a single element of the vector.
+   *
+   * @param {number} index - Index of the element
+   * @return {number} Element value
+   */
+  get(index) {
+    const position = findIndex(this.indices, index);
+    return position === -1 ? 0 : this.values[position];
+  }
+
+  /**
+   * Convert the vector to a dense array.
+   *
+   * @return {Array.<number>} Dense array
+   */
+  toArray() {
+    const x = new Array(this.length).fill(0);
+    this.indices.forEach((index, i) => { x[index] = this.values[i]; });
+
+    return x;
+  }
+
+  /**
+   * Extract a section of the vector, like Array.prototype.slice. Without arguments, a copy of the
+   * vector is returned.
+   *
+   * @param {number} [begin = 0] - Index to start at
+   * @param {number} [end = null] - Index to stop at (exclusive). Defaults to the vector length
+   * @return {SparseVector} Sparse vector containing the section
+   */
+  slice(begin = 0, end = null) {
+    const useEnd = end === null ? this.length : Math.min(end, this.length);
+    const indices = [];
+    const values = [];
+
+    this.indices.forEach((index, i) => {
+      if (index >= begin && index < useEnd) {
+        indices.push(index - begin);
+        values.push(this.values[i]);
+      }
+    });
+
+    return new SparseVector(indices, values, Math.max(0, useEnd - begin));
+  }
+
+  /**
+   * Add elements to the beginning of the vector, like Array.prototype.unshift. Modifies the vector
+   * in place.
+   *
+   * @param {...number} elements - Elements to add
+   * @return {number} New length of the vector
+   */
+  unshift(...elements) {
+    const indices = [];
+    const values = [];
+
+    elements.forEach((value, i) => {
+      if (value !== 0) {
+        indices.push(i);
+        values.push(value);
+      }
+    });
+
+    this.indices = indices.concat(this.indices.map(x => x + elements.length));
+    this.values = values.concat(this.values);
+    this.length += elements.length;
+
+    return this.length;
+  }
+
+  /**
+   * Calculate the dot product with another vector.
+   *
+   * @param {SparseVector|Array.<number>} y - Sparse or dense vector of the same length
+   * @return {number} Dot product
+   */
+  dot(y) {
+    if (y.length !== this.length) {
+      throw new Error('Vectors must have the same length.');
+    }
+
+    if (!(y instanceof SparseVector)) {
+      return this.indices.reduce((r, index, i) => r + this.values[i] * y[index], 0);
+    }
+
+    // Walk through the sorted indices of both vectors simultaneously
+    let result = 0;
+    let i = 0;
+    let j = 0;
+
+    while (i < this.nnz && j < y.nnz) {
+      if (this.indices[i] === y.indices[j]) {
+        result += this.values[i] * y.values[j];
+        i += 1;
+        j += 1;
+      } else if (this.indices[i] < y.indices[j]) {
+        i += 1;
+      } else {
+        j += 1;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Multiply all elements by a scalar.
+   *
+   * @param {number} c - Scalar
+   * @return {SparseVector} Scaled vector
+   */
+  scale(c) {
+    return new SparseVector(this.indices, this.values.map(x => x * c), this.length);
+  }
+
+  /**
+   * Add another sparse vector.
+   *
+   * @param {SparseVector} y - Sparse vector of the same length
+   * @return {SparseVector} Sum of both vectors. Elements that sum to zero are not stored
+   */
+  add(y) {
+    if (y.length !== this.length) {
+      throw new Error('Vectors must have the same length.');
+    }
+
+    const indices = [];
+    const values = [];
+    let i = 0;
+    let j = 0;
+
+    const push = (index, value) => {
+      if (value !== 0) {
+        indices.push(index);
+        values.push(value);
+      }
+    };
+
+    // Merge the sorted indices of both vectors
+    while (i < this.nnz || j < y.nnz) {
+      if (j >= y.nnz || (i < this.nnz && this.indices[i] < y.indices[j])) {
+        push(this.indices[i], this.values[i]);
+        i += 1;
+      } else if (i >= this.nnz || y.indices[j] < this.indices[i]) {
+        push(y.indices[j], y.values[j]);
+        j += 1;
+      } else {
+        push(this.indices[i], this.values[i] + y.values[j]);
+        i += 1;
+        j += 1;
+      }
+    }
+
+    return new SparseVector(indices, values, this.length);
+  }
+}
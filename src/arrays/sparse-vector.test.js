@@ -0,0 +1,62 @@
+var expect = require('chai').expect;
+var SparseVector = require('./sparse-vector.js');
+var arrays = require('./index.js');
+
+describe('Arrays.SparseVector', function() {
+  describe('.fromArray, .toArray', function() {
+    it('should store only the non-zero elements', function() {
+      var x = SparseVector.fromArray([0, 0, 3, 0, 5]);
+
+      expect(x.indices).to.deep.equal([2, 4]);
+      expect(x.values).to.deep.equal([3, 5]);
+      expect(x.nnz).to.equal(2);
+      expect(x.length).to.equal(5);
+      expect(x.get(2)).to.equal(3);
+      expect(x.get(3)).to.equal(0);
+      expect(x.toArray()).to.deep.equal([0, 0, 3, 0, 5]);
+    });
+
+    it('should throw an error for unsorted or out-of-bounds indices', function() {
+      expect(function() { return new SparseVector([2, 1], [1, 1], 3); }).to.throw();
+      expect(function() { return new SparseVector([3], [1], 3); }).to.throw();
+    });
+  });
+
+  describe('.slice, .unshift', function() {
+    it('should mimic the array methods', function() {
+      var x = SparseVector.fromArray([0, 2, 0, 4]);
+      var y = x.slice();
+
+      expect(y.unshift(1)).to.equal(5);
+      expect(y.toArray()).to.deep.equal([1, 0, 2, 0, 4]);
+      expect(x.toArray()).to.deep.equal([0, 2, 0, 4]);
+      expect(x.slice(1, 3).toArray()).to.deep.equal([2, 0]);
+    });
+  });
+
+  describe('.dot, .add, .scale', function() {
+    it('should calculate with sparse and dense vectors', function() {
+      var x = SparseVector.fromArray([1, 0, 2, 0]);
+      var y = SparseVector.fromArray([0, 3, 4, 0]);
+
+      expect(x.dot(y)).to.equal(8);
+      expect(x.dot([1, 1, 1, 1])).to.equal(3);
+      expect(x.add(y).toArray()).to.deep.equal([1, 3, 6, 0]);
+      expect(x.add(x.scale(-1)).nnz).to.equal(0);
+    });
+  });
+
+  describe('Arrays integration', function() {
+    it('should support sparse vectors in dot, sum, scale, subtract and norm', function() {
+      var x = SparseVector.fromArray([3, 0, 4]);
+
+      expect(arrays.dot([1, 1, 1], x)).to.equal(7);
+      expect(arrays.norm(x)).to.equal(5);
+      expect(arrays.sum([1, 1, 1], x)).to.deep.equal([4, 1, 5]);
+      expect(arrays.sum(x, x)).to.be.an.instanceof(SparseVector);
+      expect(arrays.scale(x, 2).toArray()).to.deep.equal([6, 0, 8]);
+      expect(arrays.subtract(x, [3, 0, 0])).to.deep.equal([0, 0, 4]);
+      expect(arrays.getShape(x)).to.deep.equal([3]);
+    });
+  });
+});
@@ -3,9 +3,11 @@ import Classification from './classification';
 import Data from './data';
 import * as Datasets from './datasets';
 import Kernel from './kernel';
+import * as LinearAlgebra from './linear-algebra';
 import * as ModelSelection from './model-selection';
 import Preprocessing from './preprocessing';
 import * as Random from './random';
+import * as Stats from './stats';
 import Supervised from './supervised';
 import UI from './ui';
 import Unsupervised from './unsupervised';
@@ -18,9 +20,11 @@ export default {
   Data,
   Datasets,
   Kernel,
+  LinearAlgebra,
   ModelSelection,
   Preprocessing,
   Random,
+  Stats,
   Supervised,
   UI,
   Unsupervised,
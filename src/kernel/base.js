@@ -3,10 +3,10 @@
  */
 export default class Kernel {
   /**
-   * Evaluate the kernel on a pair of data points
+   * Evaluate the kernel on a pair of data points. Data points can be dense or sparse vectors
    *
-   * @param {Array.<number>} x - First input value
-   * @param {Array.<number>} y - Second input value
+   * @param {Array.<number>|SparseVector} x - First input value
+   * @param {Array.<number>|SparseVector} y - Second input value
    * @return {number} Kernel output
    */
   apply(x, y) { throw new Error('Method must be implemented child class.'); }
@@ -27,7 +27,7 @@ export default class GaussianKernel extends Kernel {
    */
   apply(x, y) {
     // Gaussian
-    const diff = Arrays.sum(x, Arrays.scale(y, -1));
+    const diff = Arrays.subtract(x, y);
     return Math.exp(-Arrays.dot(diff, diff) / (2 * this.sigmaSquared));
   }
 }
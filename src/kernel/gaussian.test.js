@@ -1,5 +1,6 @@
 var expect = require('chai').expect;
 var GaussianKernel = require('./gaussian.js');
+var SparseVector = require('../arrays/sparse-vector.js');
 
 describe('Kernel.GaussianKernel', function() {
   describe('.apply', function() {
@@ -14,5 +15,13 @@ describe('Kernel.GaussianKernel', function() {
     it('should return 1 when a point is compared to itself', function() {
       expect((new GaussianKernel()).apply([1, 2], [1, 2])).to.closeTo(1, 1e-5);
     });
+
+    it('should support sparse vectors', function() {
+      var x = SparseVector.fromArray([1, 0, 2]);
+      var y = SparseVector.fromArray([3, 0, 4]);
+
+      expect((new GaussianKernel()).apply(x, y)).to.closeTo(0.01831563888, 1e-5);
+      expect((new GaussianKernel()).apply(x, [3, 0, 4])).to.closeTo(0.01831563888, 1e-5);
+    });
   });
 });
\ No newline at end of file
@@ -0,0 +1,612 @@
+/**
+ * Linear algebra routines on matrices and vectors represented as (nested) arrays. Implements
+ * matrix multiplication, solving linear systems, and the LU, QR, Cholesky, symmetric eigenvalue
+ * and singular value decompositions. NDArrays are accepted as input as well; they are converted to
+ * nested arrays first.
+ */
+
+// Internal dependencies
+import * as Arrays from '../arrays';
+
+/**
+ * Numerical tolerance used to detect singular matrices and convergence of iterative algorithms
+ *
+ * @type {number}
+ */
+const EPSILON = 1e-12;
+
+/**
+ * Maximum number of sweeps for the Jacobi algorithms used in the eigenvalue and singular value
+ * decompositions
+ *
+ * @type {number}
+ */
+const MAX_SWEEPS = 100;
+
+/**
+ * Copy a matrix, converting it to a nested array if it is an NDArray.
+ *
+ * @param {Array.<Array.<number>>|NDArray} A - Input matrix
+ * @return {Array.<Array.<number>>} Copy of the matrix as a nested array
+ */
+function copyMatrix(A) {
+  return Arrays.toArray(A).map(row => row.slice());
+}
+
+/**
+ * Check whether a matrix is square, and throw an error if it isn't.
+ *
+ * @param {Array.<Array.<number>>} A - Input matrix
+ */
+function checkSquare(A) {
+  if (!A.every(row => row.length === A.length)) {
+    throw new Error('Matrix must be square.');
+  }
+}
+
+/**
+ * Get the sign of a number, where the sign of zero is taken to be positive.
+ *
+ * @param {number} x - Input number
+ * @return {number} 1 if x is non-negative, -1 otherwise
+ */
+function sign(x) {
+  return x >= 0 ? 1 : -1;
+}
+
+/**
+ * Create an identity matrix.
+ *
+ * @param {number} n - Number of rows and columns
+ * @return {Array.<Array.<number>>} n x n identity matrix
+ */
+export function identity(n) {
+  return [...Array(n)].map((x, i) => [...Array(n)].map((y, j) => (i === j ? 1 : 0)));
+}
+
+/**
+ * Multiply two matrices, a matrix and a vector, or a vector and a matrix.
+ *
+ * @param {Array.<Array.<number>>|Array.<number>} A - Left operand: m x n matrix or n-dimensional
+ *   vector
+ * @param {Array.<Array.<number>>|Array.<number>} B - Right operand: n x p matrix or n-dimensional
+ *   vector
+ * @return {Array.<Array.<number>>|Array.<number>|number} Matrix product. m x p matrix if both
+ *   operands are matrices, m-dimensional vector for matrix-vector products, p-dimensional vector
+ *   for vector-matrix products, and the dot product for two vectors
+ */
+export function matmul(A, B) {
+  const AUse = Arrays.toArray(A);
+  const BUse = Arrays.toArray(B);
+
+  const AIsVector = !Array.isArray(AUse[0]);
+  const BIsVector = !Array.isArray(BUse[0]);
+
+  const innerA = AIsVector ? AUse.length : AUse[0].length;
+
+  if (innerA !== BUse.length) {
+    throw new Error('Inner dimensions of the operands must match for matrix multiplication.');
+  }
+
+  if (AIsVector && BIsVector) {
+    return Arrays.dot(AUse, BUse);
+  }
+
+  if (BIsVector) {
+    return AUse.map(row => Arrays.dot(row, BUse));
+  }
+
+  const numColumns = BUse[0].length;
+
+  // Multiply row by row, accumulating scaled rows of B (cache-friendly loop order)
+  const multiplyRow = (row) => {
+    const result = Arrays.zeros(numColumns);
+
+    row.forEach((a, k) => {
+      if (a !== 0) {
+        const BRow = BUse[k];
+
+        for (let j = 0; j < numColumns; j += 1) {
+          result[j] += a * BRow[j];
+        }
+      }
+    });
+
+    return result;
+  };
+
+  return AIsVector ? multiplyRow(AUse) : AUse.map(row => multiplyRow(row));
+}
+
+/**
+ * Calculate the LU decomposition of a square matrix with partial (row) pivoting, such that
+ * PA = LU.
+ *
+ * @param {Array.<Array.<number>>} A - Square input matrix
+ * @return {{L: Array.<Array.<number>>, U: Array.<Array.<number>>, P: Array.<Array.<number>>,
+ *   permutation: Array.<number>, numSwaps: number}} Decomposition. L is unit lower triangular, U
+ *   is upper triangular and P is a permutation matrix. The i-th element of `permutation` contains
+ *   the index of the row of A that ended up in row i. `numSwaps` is the number of row swaps
+ */
+export function lu(A) {
+  const U = copyMatrix(A);
+  checkSquare(U);
+
+  const n = U.length;
+  const L = Arrays.zeros([n, n]);
+  const permutation = [...Array(n).keys()];
+  let numSwaps = 0;
+
+  for (let k = 0; k < n; k += 1) {
+    // Find the pivot: the row with the largest absolute value in column k
+    let pivot = k;
+
+    for (let i = k + 1; i < n; i += 1) {
+      if (Math.abs(U[i][k]) > Math.abs(U[pivot][k])) {
+        pivot = i;
+      }
+    }
+
+    // Swap the current row with the pivot row
+    if (pivot !== k) {
+      [U[k], U[pivot]] = [U[pivot], U[k]];
+      [L[k], L[pivot]] = [L[pivot], L[k]];
+      [permutation[k], permutation[pivot]] = [permutation[pivot], permutation[k]];
+      numSwaps += 1;
+    }
+
+    L[k][k] = 1;
+
+    // Eliminate the entries below the pivot. If the pivot is zero, the column is already zero
+    if (U[k][k] !== 0) {
+      for (let i = k + 1; i < n; i += 1) {
+        const factor = U[i][k] / U[k][k];
+        L[i][k] = factor;
+
+        for (let j = k; j < n; j += 1) {
+          U[i][j] -= factor * U[k][j];
+        }
+      }
+    }
+  }
+
+  const P = permutation.map(row => Arrays.zeros(n).map((x, j) => (j === row ? 1 : 0)));
+
+  return {
+    L,
+    U,
+    P,
+    permutation,
+    numSwaps,
+  };
+}
+
+/**
+ * Calculate the determinant of a square matrix using its LU decomposition.
+ *
+ * @param {Array.<Array.<number>>} A - Square input matrix
+ * @return {number} Determinant
+ */
+export function det(A) {
+  const { U, numSwaps } = lu(A);
+  return U.reduce((r, row, i) => r * row[i], numSwaps % 2 === 0 ? 1 : -1);
+}
+
+/**
+ * Solve a triangular system of linear equations by forward or backward substitution.
+ *
+ * @param {Array.<Array.<number>>} T - Square lower or upper triangular matrix
+ * @param {Array.<number>|Array.<Array.<number>>} b - Right-hand side. Either a vector or a
+ *   matrix, in which case the system is solved for each column
+ * @param {boolean} [lower = true] - Whether the matrix is lower triangular (true) or upper
+ *   triangular (false)
+ * @return {Array.<number>|Array.<Array.<number>>} Solution x such that Tx = b
+ */
+export function solveTriangular(T, b, lower = true) {
+  const TUse = Arrays.toArray(T);
+  const bUse = Arrays.toArray(b);
+
+  // Solve for each column separately if the right-hand side is a matrix
+  if (Array.isArray(bUse[0])) {
+    return Arrays.transpose(
+      Arrays.transpose(bUse).map(column => solveTriangular(TUse, column, lower))
+    );
+  }
+
+  const n = TUse.length;
+  const x = Arrays.zeros(n);
+
+  for (let step = 0; step < n; step += 1) {
+    const i = lower ? step : n - step - 1;
+    let s = bUse[i];
+
+    if (lower) {
+      for (let j = 0; j < i; j += 1) {
+        s -= TUse[i][j] * x[j];
+      }
+    } else {
+      for (let j = i + 1; j < n; j += 1) {
+        s -= TUse[i][j] * x[j];
+      }
+    }
+
+    if (TUse[i][i] === 0) {
+      throw new Error('Matrix is singular.');
+    }
+
+    x[i] = s / TUse[i][i];
+  }
+
+  return x;
+}
+
+/**
+ * Solve a square system of linear equations Ax = b using the LU decomposition with partial
+ * pivoting.
+ *
+ * @param {Array.<Array.<number>>} A - Square, non-singular coefficient matrix
+ * @param {Array.<number>|Array.<Array.<number>>} b - Right-hand side. Either a vector or a
+ *   matrix, in which case the system is solved for each column
+ * @return {Array.<number>|Array.<Array.<number>>} Solution x such that Ax = b
+ */
+export function solve(A, b) {
+  const { L, U, permutation } = lu(A);
+  const bUse = Arrays.toArray(b);
+
+  if (bUse.length !== L.length) {
+    throw new Error('Number of rows of the right-hand side must match the size of the matrix.');
+  }
+
+  // Check for singularity relative to the largest pivot, so that the check does not depend on the
+  // scale of the matrix
+  const pivots = U.map((row, i) => Math.abs(row[i]));
+  const tolerance = U.length * Number.EPSILON * Math.max(...pivots);
+
+  if (pivots.some(x => x <= tolerance)) {
+    throw new Error('Matrix is singular.');
+  }
+
+  // Solve LUx = Pb: first Ly = Pb, then Ux = y
+  const y = solveTriangular(L, permutation.map(i => bUse[i]), true);
+  return solveTriangular(U, y, false);
+}
+
+/**
+ * Calculate the inverse of a square matrix.
+ *
+ * @param {Array.<Array.<number>>} A - Square, non-singular matrix
+ * @return {Array.<Array.<number>>} Inverse of the matrix
+ */
+export function inv(A) {
+  return solve(A, identity(Arrays.toArray(A).length));
+}
+
+/**
+ * Calculate the QR decomposition of a matrix using Householder reflections, such that A = QR.
+ *
+ * @param {Array.<Array.<number>>} A - m x n input matrix
+ * @param {string} [mode = 'complete'] - Either 'complete', in which case Q is m x m and R is
+ *   m x n, or 'reduced', in which case Q is m x k and R is k x n, with k = min(m, n)
+ * @return {{Q: Array.<Array.<number>>, R: Array.<Array.<number>>}} Decomposition. Q has
+ *   orthonormal columns and R is upper triangular
+ */
+export function qr(A, mode = 'complete') {
+  const R = copyMatrix(A);
+  const m = R.length;
+  const n = R[0].length;
+  const Q = identity(m);
+
+  for (let k = 0; k < Math.min(m - 1, n); k += 1) {
+    // Householder vector v reflecting the k-th column (from row k onwards) onto the k-th axis
+    const v = R.slice(k).map(row => row[k]);
+    const alpha = -sign(v[0]) * Arrays.norm(v);
+    v[0] -= alpha;
+
+    const vNorm = Arrays.norm(v);
+
+    if (vNorm < EPSILON) {
+      continue;
+    }
+
+    for (let i = 0; i < v.length; i += 1) {
+      v[i] /= vNorm;
+    }
+
+    // Apply the reflection H = I - 2vv^T to R from the left
+    for (let j = k; j < n; j += 1) {
+      let projection = 0;
+
+      for (let i = 0; i < v.length; i += 1) {
+        projection += v[i] * R[k + i][j];
+      }
+
+      for (let i = 0; i < v.length; i += 1) {
+        R[k + i][j] -= 2 * projection * v[i];
+      }
+    }
+
+    // Accumulate Q = H_1 H_2 ... H_k by applying the reflection from the right
+    for (let i = 0; i < m; i += 1) {
+      let projection = 0;
+
+      for (let j = 0; j < v.length; j += 1) {
+        projection += Q[i][k + j] * v[j];
+      }
+
+      for (let j = 0; j < v.length; j += 1) {
+        Q[i][k + j] -= 2 * projection * v[j];
+      }
+    }
+  }
+
+  // Clean up numerical noise below the diagonal
+  for (let i = 0; i < m; i += 1) {
+    for (let j = 0; j < Math.min(i, n); j += 1) {
+      R[i][j] = 0;
+    }
+  }
+
+  if (mode === 'reduced') {
+    const k = Math.min(m, n);
+
+    return {
+      Q: Q.map(row => row.slice(0, k)),
+      R: R.slice(0, k),
+    };
+  }
+
+  return { Q, R };
+}
+
+/**
+ * Calculate the least-squares solution to a (possibly overdetermined) system of linear equations
+ * Ax = b, i.e. the x minimizing ||Ax - b||, using the QR decomposition.
+ *
+ * @param {Array.<Array.<number>>} A - m x n coefficient matrix, with m >= n and full column rank
+ * @param {Array.<number>|Array.<Array.<number>>} b - Right-hand side. Either a vector or a
+ *   matrix, in which case the system is solved for each column
+ * @return {Array.<number>|Array.<Array.<number>>} Least-squares solution x
+ */
+export function lstsq(A, b) {
+  const AUse = Arrays.toArray(A);
+
+  if (AUse.length < AUse[0].length) {
+    throw new Error('Least-squares solving requires at least as many rows as columns.');
+  }
+
+  const { Q, R } = qr(AUse, 'reduced');
+
+  // Solve Rx = Q^T b
+  return solveTriangular(R, matmul(Arrays.transpose(Q), Arrays.toArray(b)), false);
+}
+
+/**
+ * Calculate the Cholesky decomposition of a symmetric positive definite matrix.
+ *
+ * @param {Array.<Array.<number>>} A - Symmetric positive definite matrix
+ * @return {Array.<Array.<number>>} Lower triangular matrix L such that A = LL^T
+ */
+export function cholesky(A) {
+  const AUse = Arrays.toArray(A);
+  checkSquare(AUse);
+
+  const n = AUse.length;
+  const L = Arrays.zeros([n, n]);
+
+  for (let i = 0; i < n; i += 1) {
+    for (let j = 0; j <= i; j += 1) {
+      let s = AUse[i][j];
+
+      for (let k = 0; k < j; k += 1) {
+        s -= L[i][k] * L[j][k];
+      }
+
+      if (i === j) {
+        if (s <= 0) {
+          throw new Error('Matrix must be symmetric positive definite.');
+        }
+
+        L[i][i] = Math.sqrt(s);
+      } else {
+        L[i][j] = s / L[j][j];
+      }
+    }
+  }
+
+  return L;
+}
+
+/**
+ * Calculate the eigendecomposition of a symmetric matrix using the cyclic Jacobi eigenvalue
+ * algorithm.
+ *
+ * @param {Array.<Array.<number>>} A - Symmetric input matrix
+ * @return {{values: Array.<number>, vectors: Array.<Array.<number>>}} Eigenvalues, sorted in
+ *   descending order, and the corresponding unit-length eigenvectors, stored as the columns of
+ *   `vectors` (i.e., column i is the eigenvector of eigenvalue i)
+ */
+export function eigh(A) {
+  const D = copyMatrix(A);
+  checkSquare(D);
+
+  const n = D.length;
+  const V = identity(n);
+
+  for (let sweep = 0; sweep < MAX_SWEEPS; sweep += 1) {
+    // Check convergence: the off-diagonal entries should vanish
+    let offDiagonal = 0;
+    let diagonal = 0;
+
+    for (let i = 0; i < n; i += 1) {
+      diagonal += D[i][i] ** 2;
+
+      for (let j = i + 1; j < n; j += 1) {
+        offDiagonal += D[i][j] ** 2;
+      }
+    }
+
+    if (offDiagonal <= EPSILON ** 2 * Math.max(diagonal, EPSILON)) {
+      break;
+    }
+
+    // Zero each off-diagonal entry (p, q) by a rotation in the (p, q) plane
+    for (let p = 0; p < n - 1; p += 1) {
+      for (let q = p + 1; q < n; q += 1) {
+        if (D[p][q] !== 0) {
+          const theta = (D[q][q] - D[p][p]) / (2 * D[p][q]);
+          const t = sign(theta) / (Math.abs(theta) + Math.sqrt(theta ** 2 + 1));
+          const c = 1 / Math.sqrt(t ** 2 + 1);
+          const s = t * c;
+
+          for (let k = 0; k < n; k += 1) {
+            const dkp = D[k][p];
+            const dkq = D[k][q];
+            D[k][p] = c * dkp - s * dkq;
+            D[k][q] = s * dkp + c * dkq;
+          }
+
+          for (let k = 0; k < n; k += 1) {
+            const dpk = D[p][k];
+            const dqk = D[q][k];
+            D[p][k] = c * dpk - s * dqk;
+            D[q][k] = s * dpk + c * dqk;
+          }
+
+          for (let k = 0; k < n; k += 1) {
+            const vkp = V[k][p];
+            const vkq = V[k][q];
+            V[k][p] = c * vkp - s * vkq;
+            V[k][q] = s * vkp + c * vkq;
+          }
+        }
+      }
+    }
+  }
+
+  // Sort eigenpairs by eigenvalue in descending order
+  const order = Arrays.argSort(D.map((row, i) => row[i]), (a, b) => b - a);
+
+  return {
+    values: order.map(i => D[i][i]),
+    vectors: V.map(row => order.map(i => row[i])),
+  };
+}
+
+/**
+ * Calculate the (thin) singular value decomposition of a matrix using the one-sided Jacobi
+ * algorithm, such that A = U diag(S) V^T.
+ *
+ * @param {Array.<Array.<number>>} A - m x n input matrix
+ * @return {{U: Array.<Array.<number>>, S: Array.<number>, V: Array.<Array.<number>>}}
+ *   Decomposition, with k = min(m, n). U is m x k with orthonormal columns, S contains the k
+ *   singular values in descending order, and V is n x k with orthonormal columns
+ */
+export function svd(A) {
+  const AUse = Arrays.toArray(A);
+  const m = AUse.length;
+  const n = AUse[0].length;
+
+  // Decompose the transpose for wide matrices, and swap U and V afterwards
+  if (m < n) {
+    const { U, S, V } = svd(Arrays.transpose(AUse));
+    return { U: V, S, V: U };
+  }
+
+  const U = copyMatrix(AUse);
+  const V = identity(n);
+
+  for (let sweep = 0; sweep < MAX_SWEEPS; sweep += 1) {
+    let rotated = false;
+
+    // Orthogonalize each pair of columns (p, q) by a rotation
+    for (let p = 0; p < n - 1; p += 1) {
+      for (let q = p + 1; q < n; q += 1) {
+        let alpha = 0;
+        let beta = 0;
+        let gamma = 0;
+
+        for (let k = 0; k < m; k += 1) {
+          alpha += U[k][p] ** 2;
+          beta += U[k][q] ** 2;
+          gamma += U[k][p] * U[k][q];
+        }
+
+        if (Math.abs(gamma) > EPSILON * Math.sqrt(alpha * beta)) {
+          rotated = true;
+
+          const zeta = (beta - alpha) / (2 * gamma);
+          const t = sign(zeta) / (Math.abs(zeta) + Math.sqrt(1 + zeta ** 2));
+          const c = 1 / Math.sqrt(1 + t ** 2);
+          const s = c * t;
+
+          for (let k = 0; k < m; k += 1) {
+            const ukp = U[k][p];
+            const ukq = U[k][q];
+            U[k][p] = c * ukp - s * ukq;
+            U[k][q] = s * ukp + c * ukq;
+          }
+
+          for (let k = 0; k < n; k += 1) {
+            const vkp = V[k][p];
+            const vkq = V[k][q];
+            V[k][p] = c * vkp - s * vkq;
+            V[k][q] = s * vkp + c * vkq;
+          }
+        }
+      }
+    }
+
+    if (!rotated) {
+      break;
+    }
+  }
+
+  // The singular values are the column norms of the rotated matrix
+  const S = Arrays.transpose(U).map(column => Arrays.norm(column));
+  const order = Arrays.argSort(S, (a, b) => b - a);
+  const maxS = Math.max(...S, 0);
+
+  // Normalize the columns of U, and sort all factors by singular value
+  const UColumns = order.map(j => (
+    S[j] > EPSILON * Math.max(maxS, 1) ? U.map(row => row[j] / S[j]) : null
+  ));
+
+  // Complete the columns of U belonging to zero singular values to an orthonormal set, using
+  // Gram-Schmidt orthogonalization of the standard basis vectors
+  let basisIndex = 0;
+
+  UColumns.forEach((column, j) => {
+    if (column !== null) {
+      return;
+    }
+
+    while (basisIndex < m) {
+      const candidate = Arrays.zeros(m);
+      candidate[basisIndex] = 1;
+      basisIndex += 1;
+
+      UColumns.forEach((other) => {
+        if (other !== null) {
+          const projection = Arrays.dot(candidate, other);
+
+          for (let k = 0; k < m; k += 1) {
+            candidate[k] -= projection * other[k];
+          }
+        }
+      });
+
+      const candidateNorm = Arrays.norm(candidate);
+
+      if (candidateNorm > 1e-6) {
+        UColumns[j] = candidate.map(x => x / candidateNorm);
+        break;
+      }
+    }
+  });
+
+  return {
+    U: Arrays.transpose(UColumns),
+    S: order.map(j => S[j]),
+    V: V.map(row => order.map(j => row[j])),
+  };
+}
@@ -0,0 +1,151 @@
+var chai = require('chai');
+var chaiAlmost = require('chai-almost');
+var linearAlgebra = require('./index.js');
+var arrays = require('../arrays/index.js');
+
+// Set up float equality testing
+chai.use(chaiAlmost(1e-8));
+var expect = chai.expect;
+
+describe('LinearAlgebra', function() {
+  var A = [[4, -2, 1], [-2, 4, -2], [1, -2, 4]];
+  var B = [[0, 2, 1], [3, 1, -1], [2, -4, 5]];
+  var wide = [[1, 2, 3, 4], [2, 0, 1, -1]];
+  var tall = [[1, 2], [3, 4], [5, 6], [7, 8]];
+
+  describe('.matmul', function() {
+    it('should multiply matrices and vectors', function() {
+      expect(linearAlgebra.matmul([[1, 2], [3, 4]], [[5, 6], [7, 8]])).to.deep.equal([[19, 22], [43, 50]]);
+      expect(linearAlgebra.matmul([[1, 2], [3, 4]], [1, 1])).to.deep.equal([3, 7]);
+      expect(linearAlgebra.matmul([1, 1], [[1, 2], [3, 4]])).to.deep.equal([4, 6]);
+      expect(linearAlgebra.matmul(tall, wide)).to.deep.equal([[5, 2, 5, 2], [11, 6, 13, 8], [17, 10, 21, 14], [23, 14, 29, 20]]);
+      expect(() => linearAlgebra.matmul([[1, 2]], [[1, 2]])).to.throw();
+    });
+  });
+
+  describe('.lu', function() {
+    it('should decompose a matrix such that PA = LU', function() {
+      var { L, U, P } = linearAlgebra.lu(B);
+
+      expect(linearAlgebra.matmul(P, B)).to.almost.deep.equal(linearAlgebra.matmul(L, U));
+      expect(L[0][1]).to.equal(0);
+      expect(U[1][0]).to.equal(0);
+    });
+  });
+
+  describe('.det', function() {
+    it('should calculate the determinant', function() {
+      expect(linearAlgebra.det(B)).to.almost.equal(-48);
+      expect(linearAlgebra.det([[1, 2], [2, 4]])).to.almost.equal(0);
+    });
+  });
+
+  describe('.solve, .inv', function() {
+    it('should solve a system of linear equations', function() {
+      var x = linearAlgebra.solve(B, [3, 6, -1]);
+      expect(linearAlgebra.matmul(B, x)).to.almost.deep.equal([3, 6, -1]);
+    });
+
+    it('should calculate the inverse of a matrix', function() {
+      expect(linearAlgebra.matmul(B, linearAlgebra.inv(B))).to.almost.deep.equal(linearAlgebra.identity(3));
+    });
+
+    it('should throw an error for singular matrices', function() {
+      expect(() => linearAlgebra.solve([[1, 2], [2, 4]], [1, 2])).to.throw();
+    });
+
+    it('should detect singularity relative to the scale of the matrix', function() {
+      var A = [[1e-13, 0], [1e-14, 1e-13]];
+
+      expect(linearAlgebra.matmul(A, linearAlgebra.solve(A, [1, 1]))).to.almost.deep.equal([1, 1]);
+      expect(linearAlgebra.matmul(A, linearAlgebra.solveTriangular(A, [1, 1])))
+        .to.almost.deep.equal([1, 1]);
+      expect(() => linearAlgebra.solve([[1e-13, 2e-13], [2e-13, 4e-13]], [1, 1])).to.throw();
+      expect(() => linearAlgebra.solveTriangular([[0, 0], [1, 1]], [1, 1])).to.throw();
+    });
+  });
+
+  describe('.qr', function() {
+    it('should decompose a matrix into an orthogonal and an upper triangular matrix', function() {
+      var { Q, R } = linearAlgebra.qr(tall);
+
+      expect(arrays.getShape(Q)).to.deep.equal([4, 4]);
+      expect(linearAlgebra.matmul(Q, R)).to.almost.deep.equal(tall);
+      expect(linearAlgebra.matmul(arrays.transpose(Q), Q)).to.almost.deep.equal(linearAlgebra.identity(4));
+      expect(R[2][0]).to.equal(0);
+      expect(R[3][1]).to.equal(0);
+    });
+
+    it('should support reduced decompositions', function() {
+      var { Q, R } = linearAlgebra.qr(tall, 'reduced');
+
+      expect(arrays.getShape(Q)).to.deep.equal([4, 2]);
+      expect(arrays.getShape(R)).to.deep.equal([2, 2]);
+      expect(linearAlgebra.matmul(Q, R)).to.almost.deep.equal(tall);
+    });
+  });
+
+  describe('.lstsq', function() {
+    it('should calculate the least-squares solution of an overdetermined system', function() {
+      // Points on the line y = 2x + 1 with symmetric noise
+      var X = [[1, 0], [1, 1], [1, 2], [1, 3]];
+      var y = [1.1, 2.9, 5.1, 6.9];
+
+      expect(linearAlgebra.lstsq(X, y)).to.almost.deep.equal([1.06, 1.96]);
+    });
+  });
+
+  describe('.cholesky', function() {
+    it('should decompose a symmetric positive definite matrix', function() {
+      var L = linearAlgebra.cholesky(A);
+
+      expect(linearAlgebra.matmul(L, arrays.transpose(L))).to.almost.deep.equal(A);
+      expect(L[0][2]).to.equal(0);
+    });
+
+    it('should throw an error for matrices that are not positive definite', function() {
+      expect(() => linearAlgebra.cholesky([[1, 2], [2, 1]])).to.throw();
+    });
+  });
+
+  describe('.eigh', function() {
+    it('should calculate the eigendecomposition of a symmetric matrix', function() {
+      var { values, vectors } = linearAlgebra.eigh(A);
+
+      expect(values[0]).to.be.at.least(values[1]);
+      expect(values[1]).to.be.at.least(values[2]);
+      expect(values.reduce((r, x) => r + x, 0)).to.almost.equal(12);
+
+      values.forEach((value, i) => {
+        var v = vectors.map(row => row[i]);
+        expect(linearAlgebra.matmul(A, v)).to.almost.deep.equal(arrays.scale(v, value));
+        expect(arrays.norm(v)).to.almost.equal(1);
+      });
+    });
+  });
+
+  describe('.svd', function() {
+    it('should calculate the singular value decomposition of tall and wide matrices', function() {
+      [tall, wide, B].forEach((M) => {
+        var { U, S, V } = linearAlgebra.svd(M);
+        var k = Math.min(M.length, M[0].length);
+
+        expect(S.length).to.equal(k);
+        expect(S.every((x, i) => i === 0 || x <= S[i - 1])).to.equal(true);
+        expect(linearAlgebra.matmul(arrays.transpose(U), U)).to.almost.deep.equal(linearAlgebra.identity(k));
+        expect(linearAlgebra.matmul(arrays.transpose(V), V)).to.almost.deep.equal(linearAlgebra.identity(k));
+
+        var reconstructed = linearAlgebra.matmul(U.map(row => row.map((x, j) => x * S[j])), arrays.transpose(V));
+        expect(reconstructed).to.almost.deep.equal(M);
+      });
+    });
+
+    it('should produce orthonormal factors for rank-deficient matrices', function() {
+      var M = [[1, 2], [2, 4], [3, 6]];
+      var { U, S } = linearAlgebra.svd(M);
+
+      expect(S[1]).to.almost.equal(0);
+      expect(linearAlgebra.matmul(arrays.transpose(U), U)).to.almost.deep.equal(linearAlgebra.identity(2));
+    });
+  });
+});
@@ -0,0 +1,154 @@
+// Internal dependencies
+import { KFold, Splitter } from './splitters';
+import { getScorer } from './scoring';
+import * as Arrays from '../arrays';
+
+/**
+ * Select a subset of samples from a feature matrix or label vector.
+ *
+ * @param {Array.<mixed>|CSRMatrix|COOMatrix} X - Feature matrix or label vector
+ * @param {Array.<number>} indices - Indices of the samples to select
+ * @return {Array.<mixed>|CSRMatrix} Selected samples. Sparse matrices are returned in CSR format
+ */
+export function takeSamples(X, indices) {
+  if (X instanceof Arrays.CSRMatrix) {
+    return X.takeRows(indices);
+  }
+
+  if (X instanceof Arrays.COOMatrix) {
+    return X.toCSR().takeRows(indices);
+  }
+
+  return indices.map(i => X[i]);
+}
+
+/**
+ * Get a cross-validation splitter from a cross-validation specification.
+ *
+ * @param {number|Splitter} cv - Number of folds for k-fold cross-validation, or a splitter
+ * @return {Splitter} Splitter
+ */
+export function getSplitter(cv) {
+  if (cv instanceof Splitter) {
+    return cv;
+  }
+
+  if (Number.isInteger(cv)) {
+    return new KFold({ numSplits: cv });
+  }
+
+  throw new Error('Cross-validation should be specified as a number of folds or a splitter.');
+}
+
+/**
+ * Evaluate an estimator by cross-validation. For each split generated by the splitter, a new
+ * estimator is created, trained on the training samples and scored on the test samples.
+ *
+ * @example
+ * var result = crossValidate(() => new KNN({ numNeighbours: 3 }), X, y, {
+ *   cv: new StratifiedKFold({ numSplits: 5, shuffle: true, randomState: 0 }),
+ *   scoring: 'accuracy',
+ * });
+ *
+ * result.testScores; // Accuracy on the test set of each fold
+ *
+ * @param {function(): Estimator} estimatorFactory - Function creating a new, untrained estimator
+ * @param {Array.<Array.<number>>|CSRMatrix} X - Features per data point
+ * @param {Array.<mixed>} y - Labels per data point
+ * @param {Object} [optionsUser] - User-defined options
+ * @param {number|Splitter} [optionsUser.cv = 5] - Number of folds for k-fold cross-validation, or
+ *   a splitter, such as {@link StratifiedKFold}
+ * @param {string|function} [optionsUser.scoring = 'accuracy'] - Name of a metric, or a custom
+ *   scorer function taking the trained estimator, features and true labels. See
+ *   {@link getScorer}
+ * @param {Array.<mixed>} [optionsUser.groups = null] - Group label per data point, passed to the
+ *   splitter (required for {@link GroupKFold})
+ * @param {boolean} [optionsUser.returnTrainScore = false] - Whether to also score each estimator
+ *   on its training samples
+ * @param {boolean} [optionsUser.returnEstimator = false] - Whether to return the trained
+ *   estimators
+ * @return {Object} Cross-validation results, containing the arrays testScores, fitTimes (training
+ *   time in milliseconds) and scoreTimes (scoring time in milliseconds), with one element per
+ *   split. If requested, the arrays trainScores and estimators are included as well
+ */
+export function crossValidate(estimatorFactory, X, y, optionsUser = {}) {
+  // Options
+  const optionsDefault = {
+    cv: 5,
+    scoring: 'accuracy',
+    groups: null,
+    returnTrainScore: false,
+    returnEstimator: false,
+  };
+
+  const options = {
+    ...optionsDefault,
+    ...optionsUser,
+  };
+
+  if (Arrays.getShape(X)[0] !== y.length) {
+    throw new Error('Number of data points should match number of labels.');
+  }
+
+  const splitter = getSplitter(options.cv);
+  const scorer = getScorer(options.scoring);
+
+  const result = {
+    testScores: [],
+    fitTimes: [],
+    scoreTimes: [],
+  };
+
+  if (options.returnTrainScore) {
+    result.trainScores = [];
+  }
+
+  if (options.returnEstimator) {
+    result.estimators = [];
+  }
+
+  splitter.split(X, y, options.groups).forEach(([trainIndices, testIndices]) => {
+    const XTrain = takeSamples(X, trainIndices);
+    const yTrain = takeSamples(y, trainIndices);
+
+    // Train a new estimator on the training samples
+    const estimator = estimatorFactory();
+    const fitStart = Date.now();
+    estimator.train(XTrain, yTrain);
+    result.fitTimes.push(Date.now() - fitStart);
+
+    // Score the estimator on the test samples
+    const scoreStart = Date.now();
+    const testScore = scorer(estimator, takeSamples(X, testIndices), takeSamples(y, testIndices));
+    result.testScores.push(testScore);
+    result.scoreTimes.push(Date.now() - scoreStart);
+
+    if (options.returnTrainScore) {
+      result.trainScores.push(scorer(estimator, XTrain, yTrain));
+    }
+
+    if (options.returnEstimator) {
+      result.estimators.push(estimator);
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Calculate the cross-validation test score of each split. Shorthand for {@link crossValidate}
+ * when only the test scores are needed.
+ *
+ * @param {function(): Estimator} estimatorFactory - Function creating a new, untrained estimator
+ * @param {Array.<Array.<number>>|CSRMatrix} X - Features per data point
+ * @param {Array.<mixed>} y - Labels per data point
+ * @param {Object} [optionsUser] - User-defined options. See {@link crossValidate}
+ * @return {Array.<number>} Test score per split
+ */
+export function crossValScore(estimatorFactory, X, y, optionsUser = {}) {
+  return crossValidate(estimatorFactory, X, y, {
+    ...optionsUser,
+    returnTrainScore: false,
+    returnEstimator: false,
+  }).testScores;
+}
@@ -0,0 +1,126 @@
+var expect = require('chai').expect;
+var modelSelection = require('./index.js');
+var arrays = require('../arrays/index.js');
+var KNN = require('../supervised/neighbors/knn.js');
+var LogisticRegression = require('../supervised/linear/logistic-regression.js').default;
+
+describe('ModelSelection', function() {
+  // Two well-separated clusters
+  var X = [[0, 0], [0, 1], [1, 0], [1, 1], [0.5, 0.5], [5, 5], [5, 6], [6, 5], [6, 6], [5.5, 5.5]];
+  var y = [0, 0, 0, 0, 0, 1, 1, 1, 1, 1];
+  var createKNN = () => new KNN({ numNeighbours: 1 });
+
+  describe('.crossValidate', function() {
+    it('should train and score a new estimator for each split', function() {
+      var cv = new modelSelection.StratifiedKFold({ numSplits: 5 });
+      var result = modelSelection.crossValidate(createKNN, X, y, {
+        cv,
+        returnTrainScore: true,
+        returnEstimator: true,
+      });
+
+      expect(result.testScores).to.deep.equal([1, 1, 1, 1, 1]);
+      expect(result.trainScores).to.deep.equal([1, 1, 1, 1, 1]);
+      expect(result.fitTimes.length).to.equal(5);
+      expect(result.scoreTimes.length).to.equal(5);
+      expect(result.estimators.length).to.equal(5);
+      expect(result.estimators[0]).to.not.equal(result.estimators[1]);
+    });
+
+    it('should only return the requested results', function() {
+      var result = modelSelection.crossValidate(createKNN, X, y, { cv: 2 });
+
+      expect(result).to.have.all.keys('testScores', 'fitTimes', 'scoreTimes');
+    });
+
+    it('should accept custom scorer functions', function() {
+      var numErrors = (estimator, XTest, yTest) =>
+        estimator.predict(XTest).filter((x, i) => x !== yTest[i]).length;
+      var result = modelSelection.crossValidate(createKNN, X, y, { cv: 5, scoring: numErrors });
+
+      expect(result.testScores).to.deep.equal([0, 0, 0, 0, 0]);
+    });
+
+    it('should pass groups to the splitter', function() {
+      var groups = [0, 0, 1, 1, 2, 3, 3, 4, 4, 5];
+      var result = modelSelection.crossValidate(createKNN, X, y, {
+        cv: new modelSelection.GroupKFold({ numSplits: 3 }),
+        groups,
+        returnEstimator: true,
+      });
+
+      expect(result.testScores.length).to.equal(3);
+      result.estimators.forEach(estimator => expect(estimator.training.X.length).to.be.within(6, 8));
+    });
+
+    it('should accept sparse feature matrices', function() {
+      var XSparse = arrays.CSRMatrix.fromArray(X);
+      var scoresDense = modelSelection.crossValScore(createKNN, X, y, { cv: 5 });
+      var scoresSparse = modelSelection.crossValScore(createKNN, XSparse, y, { cv: 5 });
+
+      expect(scoresSparse).to.deep.equal(scoresDense);
+    });
+
+    it('should accept the names of classification metrics', function() {
+      var result = modelSelection.crossValidate(createKNN, X, y, { cv: 5, scoring: 'f1Macro' });
+
+      expect(result.testScores).to.deep.equal([1, 1, 1, 1, 1]);
+    });
+
+    it('should throw an error for unknown scoring names', function() {
+      expect(() => modelSelection.crossValidate(createKNN, X, y, { scoring: 'unknown' })).to.throw();
+    });
+  });
+
+  describe('.crossValScore', function() {
+    it('should return the test score of each split', function() {
+      var scores = modelSelection.crossValScore(createKNN, X, y, {
+        cv: new modelSelection.KFold({ numSplits: 2, shuffle: true, randomState: 0 }),
+      });
+
+      expect(scores).to.deep.equal([1, 1]);
+    });
+  });
+
+  describe('.getScorer', function() {
+    // Train on labels in both orders, so that the probability columns of the one-vs-all classifier
+    // start with the negative class and with the positive class, respectively
+    function trainLogisticRegression(XTrain, yTrain) {
+      var classifier = new LogisticRegression();
+      classifier.train(XTrain, yTrain);
+      return classifier;
+    }
+
+    var XReversed = X.slice().reverse();
+    var yReversed = y.slice().reverse();
+    var classifiers = [
+      trainLogisticRegression(X, y),
+      trainLogisticRegression(XReversed, yReversed),
+    ];
+
+    it('should use the probabilities of the positive class for binary scorers', function() {
+      expect(classifiers[1].getClasses()).to.deep.equal([1, 0]);
+
+      classifiers.forEach(function(classifier) {
+        expect(modelSelection.getScorer('auroc')(classifier, X, y)).to.equal(1);
+        expect(modelSelection.getScorer('auroc')(classifier, XReversed, yReversed)).to.equal(1);
+        expect(modelSelection.getScorer('averagePrecision')(classifier, X, y)).to.equal(1);
+        expect(modelSelection.getScorer('averagePrecision')(classifier, XReversed, yReversed))
+          .to.equal(1);
+      });
+    });
+
+    it('should compute the Brier score from the probabilities of the positive class', function() {
+      classifiers.forEach(function(classifier) {
+        var positiveColumn = classifier.getClasses().indexOf(1);
+        var probabilities = classifier.predictProba(X).map(x => x[positiveColumn]);
+        var expected = -y.reduce((r, label, i) =>
+          r + (probabilities[i] - label) ** 2, 0) / y.length;
+
+        expect(modelSelection.getScorer('negBrierScore')(classifier, X, y))
+          .to.be.closeTo(expected, 1e-12);
+        expect(expected).to.be.above(-0.25);
+      });
+    });
+  });
+});
@@ -0,0 +1,176 @@
+// Internal dependencies
+import { crossValidate, getSplitter, takeSamples } from './cross-validation';
+import { getScorer } from './scoring';
+import * as Arrays from '../arrays';
+import * as Random from '../random';
+
+/**
+ * Summarize a matrix of scores, with one row per curve point and one column per split, by the mean
+ * and standard deviation of each row.
+ *
+ * @param {Object} curve - Curve object to add the summaries to
+ * @param {string} name - Name of the scores, e.g. 'trainScores'
+ * @param {Array.<Array.<number>>} scores - Scores per curve point and split
+ * @return {Object} Curve object containing the scores and their means and standard deviations
+ */
+function summarizeScores(curve, name, scores) {
+  return {
+    ...curve,
+    [name]: scores,
+    [`${name}Mean`]: scores.map(x => Arrays.mean(x)),
+    [`${name}Std`]: scores.map(x => Arrays.std(x)),
+  };
+}
+
+/**
+ * Calculate the training and test scores of an estimator for different training set sizes using
+ * cross-validation. For each split, estimators are trained on increasingly large subsets of the
+ * training samples, and scored on these subsets and on the (full) test set. A large gap between
+ * the training and test scores indicates overfitting; low scores for both indicate underfitting.
+ *
+ * @example
+ * var curve = learningCurve(() => new KNN(), X, y, { trainSizes: [0.25, 0.5, 1], cv: 5 });
+ *
+ * curve.trainSizes; // Absolute number of training samples per point
+ * curve.testScoresMean; // Mean test score per point
+ * curve.testScoresStd; // Standard deviation of the test scores per point
+ *
+ * @param {function(): Estimator} estimatorFactory - Function creating a new, untrained estimator
+ * @param {Array.<Array.<number>>|CSRMatrix} X - Features per data point
+ * @param {Array.<mixed>} y - Labels per data point
+ * @param {Object} [optionsUser] - User-defined options
+ * @param {Array.<number>} [optionsUser.trainSizes = [0.1, 0.325, 0.55, 0.775, 1]] - Training set
+ *   sizes. Values of at most 1 are proportions of the training set of each split; larger values
+ *   are absolute numbers of samples
+ * @param {number|Splitter} [optionsUser.cv = 5] - Number of folds for k-fold cross-validation, or
+ *   a splitter
+ * @param {string|function} [optionsUser.scoring = 'accuracy'] - Name of a metric, or a custom
+ *   scorer function. See {@link getScorer}
+ * @param {Array.<mixed>} [optionsUser.groups = null] - Group label per data point, passed to the
+ *   splitter
+ * @param {boolean} [optionsUser.shuffle = false] - Whether to shuffle the training samples of each
+ *   split before taking subsets. Useful when the samples are ordered, e.g. by class
+ * @param {RandomState|number} [optionsUser.randomState = null] - Random state used for shuffling.
+ *   If null, the global random state is used. If an integer, a random state seeded with that
+ *   integer is used
+ * @return {Object} Learning curve, containing the absolute training set sizes (trainSizes), the
+ *   training and test scores per size and split (trainScores and testScores) and their means
+ *   (trainScoresMean and testScoresMean) and standard deviations (trainScoresStd and
+ *   testScoresStd) per size
+ */
+export function learningCurve(estimatorFactory, X, y, optionsUser = {}) {
+  // Options
+  const optionsDefault = {
+    trainSizes: [0.1, 0.325, 0.55, 0.775, 1],
+    cv: 5,
+    scoring: 'accuracy',
+    groups: null,
+    shuffle: false,
+    randomState: null,
+  };
+
+  const options = {
+    ...optionsDefault,
+    ...optionsUser,
+  };
+
+  if (Arrays.getShape(X)[0] !== y.length) {
+    throw new Error('Number of data points should match number of labels.');
+  }
+
+  const splits = getSplitter(options.cv).split(X, y, options.groups);
+  const scorer = getScorer(options.scoring);
+  const randomState = Random.checkRandomState(options.randomState);
+
+  // Convert the training set sizes to absolute numbers, based on the smallest training set
+  const maxTrainSize = Math.min(...splits.map(([trainIndices]) => trainIndices.length));
+  const trainSizes = options.trainSizes.map(x => (x <= 1 ? Math.round(x * maxTrainSize) : x));
+
+  if (trainSizes.some(x => x < 1 || x > maxTrainSize)) {
+    throw new Error(`Training set sizes should be between 1 and the number of training samples
+      (${maxTrainSize}).`);
+  }
+
+  // Scores per training set size and split
+  const trainScores = trainSizes.map(() => []);
+  const testScores = trainSizes.map(() => []);
+
+  splits.forEach(([trainIndices, testIndices]) => {
+    const order = options.shuffle ? Arrays.shuffle(trainIndices, randomState)[0] : trainIndices;
+    const XTest = takeSamples(X, testIndices);
+    const yTest = takeSamples(y, testIndices);
+
+    trainSizes.forEach((trainSize, i) => {
+      const subsetIndices = order.slice(0, trainSize);
+      const XTrain = takeSamples(X, subsetIndices);
+      const yTrain = takeSamples(y, subsetIndices);
+
+      const estimator = estimatorFactory();
+      estimator.train(XTrain, yTrain);
+
+      trainScores[i].push(scorer(estimator, XTrain, yTrain));
+      testScores[i].push(scorer(estimator, XTest, yTest));
+    });
+  });
+
+  return summarizeScores(
+    summarizeScores({ trainSizes }, 'trainScores', trainScores),
+    'testScores',
+    testScores
+  );
+}
+
+/**
+ * Calculate the training and test scores of an estimator for different values of a single
+ * hyperparameter using cross-validation. This shows for which values the estimator underfits or
+ * overfits.
+ *
+ * @example
+ * var curve = validationCurve(params => new KNN(params), X, y, 'numNeighbours', [1, 3, 5, 7]);
+ *
+ * curve.testScoresMean; // Mean test score per number of neighbours
+ *
+ * @param {function(Object): Estimator} estimatorFactory - Function creating a new, untrained
+ *   estimator from an object of parameters, e.g. params => new KNN(params)
+ * @param {Array.<Array.<number>>|CSRMatrix} X - Features per data point
+ * @param {Array.<mixed>} y - Labels per data point
+ * @param {string} paramName - Name of the hyperparameter
+ * @param {Array.<mixed>} paramRange - Values of the hyperparameter to evaluate
+ * @param {Object} [optionsUser] - User-defined options
+ * @param {number|Splitter} [optionsUser.cv = 5] - Number of folds for k-fold cross-validation, or
+ *   a splitter
+ * @param {string|function} [optionsUser.scoring = 'accuracy'] - Name of a metric, or a custom
+ *   scorer function. See {@link getScorer}
+ * @param {Array.<mixed>} [optionsUser.groups = null] - Group label per data point, passed to the
+ *   splitter
+ * @return {Object} Validation curve, containing the hyperparameter values (paramRange), the
+ *   training and test scores per value and split (trainScores and testScores) and their means
+ *   (trainScoresMean and testScoresMean) and standard deviations (trainScoresStd and
+ *   testScoresStd) per value
+ */
+export function validationCurve(estimatorFactory, X, y, paramName, paramRange, optionsUser = {}) {
+  // Options
+  const optionsDefault = {
+    cv: 5,
+    scoring: 'accuracy',
+    groups: null,
+  };
+
+  const options = {
+    ...optionsDefault,
+    ...optionsUser,
+  };
+
+  const results = paramRange.map(value =>
+    crossValidate(() => estimatorFactory({ [paramName]: value }), X, y, {
+      ...options,
+      returnTrainScore: true,
+    })
+  );
+
+  return summarizeScores(
+    summarizeScores({ paramRange }, 'trainScores', results.map(x => x.trainScores)),
+    'testScores',
+    results.map(x => x.testScores)
+  );
+}
@@ -0,0 +1,54 @@
+var expect = require('chai').expect;
+var modelSelection = require('./index.js');
+var KNN = require('../supervised/neighbors/knn.js');
+
+describe('ModelSelection', function() {
+  var X = [[0], [1], [2], [3], [4], [5], [6], [7], [8], [9], [10], [11]];
+  var y = [0, 0, 0, 1, 0, 0, 1, 1, 0, 1, 1, 1];
+
+  describe('.learningCurve', function() {
+    it('should compute scores for each training set size and split', function() {
+      var curve = modelSelection.learningCurve(() => new KNN({ numNeighbours: 1 }), X, y, {
+        trainSizes: [0.5, 1],
+        cv: new modelSelection.KFold({ numSplits: 3, shuffle: true, randomState: 2 }),
+        shuffle: true,
+        randomState: 1,
+      });
+
+      expect(curve.trainSizes).to.deep.equal([4, 8]);
+      expect(curve.trainScores.length).to.equal(2);
+      expect(curve.testScores[0].length).to.equal(3);
+
+      // A 1-nearest neighbour classifier has perfect training scores
+      expect(curve.trainScoresMean).to.deep.equal([1, 1]);
+      expect(curve.trainScoresStd).to.deep.equal([0, 0]);
+      expect(curve.testScoresMean[1]).to.be.closeTo(curve.testScores[1].reduce((r, a) => r + a, 0) / 3, 1e-12);
+    });
+
+    it('should accept absolute training set sizes', function() {
+      var curve = modelSelection.learningCurve(() => new KNN({ numNeighbours: 1 }), X, y, {
+        trainSizes: [2, 5],
+        cv: 3,
+      });
+
+      expect(curve.trainSizes).to.deep.equal([2, 5]);
+    });
+
+    it('should throw an error for training set sizes larger than the training sets', function() {
+      expect(() => modelSelection.learningCurve(() => new KNN(), X, y, { trainSizes: [9], cv: 3 })).to.throw();
+    });
+  });
+
+  describe('.validationCurve', function() {
+    it('should compute scores for each hyperparameter value and split', function() {
+      var curve = modelSelection.validationCurve(params => new KNN(params), X, y,
+        'numNeighbours', [1, 3, 5], { cv: 4 });
+
+      expect(curve.paramRange).to.deep.equal([1, 3, 5]);
+      expect(curve.trainScores.length).to.equal(3);
+      expect(curve.testScores[2].length).to.equal(4);
+      expect(curve.trainScoresMean[0]).to.equal(1);
+      expect(curve.testScoresStd.length).to.equal(3);
+    });
+  });
+});
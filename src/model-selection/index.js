@@ -1,8 +1,109 @@
 /* eslint import/prefer-default-export: "off" */
 
 // Internal dependencies
+import * as Arrays from '../arrays';
 import * as Random from '../random';
 
+export {
+  Splitter,
+  KFold,
+  StratifiedKFold,
+  GroupKFold,
+  RepeatedKFold,
+  LeaveOneOut,
+  LeavePOut,
+  ShuffleSplit,
+  TimeSeriesSplit,
+} from './splitters';
+export { crossValidate, crossValScore } from './cross-validation';
+export { learningCurve, validationCurve } from './curves';
+export { getScorer } from './scoring';
+export {
+  BaseSearchCV,
+  GridSearchCV,
+  RandomizedSearchCV,
+  parameterGrid,
+} from './search';
+
+/**
+ * Determine the number of training and test elements from the training and test set sizes.
+ *
+ * @param {number} numElements - Total number of elements
+ * @param {number|null} trainSize - Size of the training set. If at least 1, the exact number of
+ *   elements; otherwise, the proportion of elements. If null, the complement of the test set
+ * @param {number|null} testSize - Size of the test set, specified like the training set size
+ * @return {Array.<number>} Number of training elements and number of test elements
+ */
+function getSplitSizes(numElements, trainSize, testSize) {
+  const toCount = size => (size >= 1 ? size : Math.round(size * numElements));
+
+  // Use 80% of the elements for training if neither size is specified
+  const useTrainSize = trainSize === null && testSize === null ? 0.8 : trainSize;
+
+  const numTrain = useTrainSize === null ? numElements - toCount(testSize) : toCount(useTrainSize);
+  const numTest = testSize === null ? numElements - numTrain : toCount(testSize);
+
+  if (numTrain < 0 || numTest < 0 || numTrain + numTest > numElements) {
+    throw new Error(`The training and test set sizes (numTrain=${numTrain}, numTest=${numTest})
+      exceed the number of elements (numElements=${numElements}).`);
+  }
+
+  return [numTrain, numTest];
+}
+
+/**
+ * Distribute a number of elements over categories proportionally to the category sizes, using the
+ * largest remainder method. The number of elements assigned to a category never exceeds its
+ * capacity.
+ *
+ * @param {number} total - Number of elements to distribute
+ * @param {Array.<number>} sizes - Size of each category
+ * @param {Array.<number>} capacities - Maximum number of elements per category
+ * @return {Array.<number>} Number of elements assigned to each category
+ */
+function allocateProportionally(total, sizes, capacities) {
+  const sizesSum = sizes.reduce((r, a) => r + a, 0);
+  const exact = sizes.map(x => total * x / sizesSum);
+  const counts = exact.map((x, i) => Math.min(Math.floor(x), capacities[i]));
+
+  // Assign the remaining elements to the categories with the largest remainders
+  const order = Arrays.argSort(exact.map((x, i) => x - counts[i]), (a, b) => b - a);
+  let remaining = total - counts.reduce((r, a) => r + a, 0);
+
+  while (remaining > 0 && order.some(i => counts[i] < capacities[i])) {
+    order.forEach((i) => {
+      if (remaining > 0 && counts[i] < capacities[i]) {
+        counts[i] += 1;
+        remaining -= 1;
+      }
+    });
+  }
+
+  return counts;
+}
+
+/**
+ * Randomly select training and test elements from a list of candidates.
+ *
+ * @param {Array.<mixed>} candidates - Candidates to select from
+ * @param {number} numTrain - Number of training elements
+ * @param {number} numTest - Number of test elements
+ * @param {RandomState} randomState - Random state used for sampling
+ * @return {Array.<Array.<mixed>>} Training elements and test elements
+ */
+function sampleSplit(candidates, numTrain, numTest, randomState) {
+  const train = Random.sample(candidates, numTrain, false, 'uniform', randomState);
+  const trainSet = new Set(train);
+  const remaining = candidates.filter(x => !trainSet.has(x));
+
+  // Use all remaining elements for testing, unless the test set size is smaller
+  const test = numTest === remaining.length
+    ? remaining
+    : Random.sample(remaining, numTest, false, 'uniform', randomState);
+
+  return [train, test];
+}
+
 /**
  * Split a dataset into a training and a test set.
  *
@@ -25,19 +126,37 @@ import * as Random from '../random';
  * X_test:  [[0.8, 0.9]]
  * y_test:  [1]
  *
+ * @example <caption>Stratified split, preserving the label proportions in both sets</caption>
+ * var [X_train, y_train, X_test, y_test] = trainTestSplit([X, y], {testSize: 0.4, stratify: y});
+ *
  * @param {Array.<Array.<mixed>>} input - List of input arrays. The input arrays should have the
  *   same length (i.e., they should have the same first dimension size)
  * @param {Object} optionsUser - User-defined options. See method implementation for details
- * @param {number} [optionsUser.trainSize = 0.8] - Size of the training set. If int, this exact
- *   number of training samples is used. If float, the total number of elements times the float
- *   number is used as the number of training elements
+ * @param {number} [optionsUser.trainSize = null] - Size of the training set. If at least 1, this
+ *   exact number of training samples is used. Otherwise, the total number of elements times the
+ *   number is used as the number of training elements. If null, all elements not in the test set
+ *   are used. If both trainSize and testSize are null, a training set size of 0.8 is used
+ * @param {number} [optionsUser.testSize = null] - Size of the test set, specified like trainSize.
+ *   If null, all elements not in the training set are used
+ * @param {Array.<mixed>} [optionsUser.stratify = null] - Class labels per element. If specified,
+ *   the proportion of each class is (approximately) the same in the training and test sets
+ * @param {Array.<mixed>} [optionsUser.groups = null] - Group label per element. If specified, all
+ *   elements of a group end up in the same set. The set sizes then refer to the number of groups
+ *   instead of the number of elements. Cannot be combined with stratify
+ * @param {RandomState|number} [optionsUser.randomState = null] - Random state used to select the
+ *   training samples. If null, the global random state is used. If an integer, a random state
+ *   seeded with that integer is used
  * @return {Array} List of output arrays. The number of elements is 2 times the number of input
  *   elements. For each input element, a pair of output elements is returned.
  */
 export function trainTestSplit(input, optionsUser = {}) {
   // Options
   const optionsDefault = {
-    trainSize: 0.8,
+    trainSize: null,
+    testSize: null,
+    stratify: null,
+    groups: null,
+    randomState: null,
   };
 
   const options = {
@@ -54,31 +173,74 @@ export function trainTestSplit(input, optionsUser = {}) {
       first dimensions should be the same`);
   }
 
+  if (options.stratify !== null && options.groups !== null) {
+    throw new Error('Stratified and grouped splitting cannot be combined.');
+  }
+
+  [options.stratify, options.groups].forEach((labels) => {
+    if (labels !== null && labels.length !== numElements) {
+      throw new Error('Stratification and group labels should have the same length as the input.');
+    }
+  });
+
+  const randomState = Random.checkRandomState(options.randomState);
+
   // Generate list of all possible array indices
   const indices = [...Array(numElements).keys()];
 
-  // Number of training elements
-  const numTrainElements = Math.round(numElements * options.trainSize);
+  let trainIndices;
+  let testIndices;
 
-  // Take a random sample from the list of possible indices, which are then used as the indices
-  // of the elements to use for the training data
-  const trainIndices = Random.sample(indices, numTrainElements, false);
+  if (options.groups !== null) {
+    // Split the groups, and assign the elements to the set of their group
+    const groups = Arrays.unique(options.groups);
+    const [numTrain, numTest] = getSplitSizes(groups.length, options.trainSize, options.testSize);
+    const [trainGroups, testGroups] = sampleSplit(groups, numTrain, numTest, randomState);
+    const trainGroupsSet = new Set(trainGroups);
+    const testGroupsSet = new Set(testGroups);
 
-  // Create resulting training and test sets
-  const trainArrays =
-    input.map(trainArray =>
-      trainArray
-        .filter((x, i) => trainIndices.includes(i))
-        .map(x => (Array.isArray(x) ? x.slice() : x))
-    );
+    trainIndices = Arrays.argFilter(options.groups, x => trainGroupsSet.has(x));
+    testIndices = Arrays.argFilter(options.groups, x => testGroupsSet.has(x));
+  } else if (options.stratify !== null) {
+    // Split the elements of each class separately, with the number of training and test elements
+    // per class proportional to the class size
+    const [numTrain, numTest] = getSplitSizes(numElements, options.trainSize, options.testSize);
+    const classIndices = Arrays.unique(options.stratify)
+      .map(label => Arrays.argFilter(options.stratify, x => x === label));
+    const classSizes = classIndices.map(x => x.length);
 
-  const testArrays =
-    input.map(testArray =>
-      testArray
-        .filter((x, i) => !trainIndices.includes(i))
-        .map(x => (Array.isArray(x) ? x.slice() : x))
+    const numTestPerClass = allocateProportionally(numTest, classSizes, classSizes);
+    const numTrainPerClass = allocateProportionally(
+      numTrain, classSizes, classSizes.map((x, i) => x - numTestPerClass[i])
     );
 
+    trainIndices = [];
+    testIndices = [];
+
+    classIndices.forEach((x, i) => {
+      const [classTrain, classTest] = sampleSplit(
+        x, numTrainPerClass[i], numTestPerClass[i], randomState
+      );
+
+      trainIndices.push(...classTrain);
+      testIndices.push(...classTest);
+    });
+  } else {
+    // Take a random sample from the list of possible indices, which are then used as the indices
+    // of the elements to use for the training data
+    const [numTrain, numTest] = getSplitSizes(numElements, options.trainSize, options.testSize);
+    [trainIndices, testIndices] = sampleSplit(indices, numTrain, numTest, randomState);
+  }
+
+  // Masks indicating for each element whether it is in the training and test set, respectively.
+  // These allow checking the set membership of each element in constant time
+  const trainMask = Arrays.put(Arrays.full(numElements, false), trainIndices, true);
+  const testMask = Arrays.put(Arrays.full(numElements, false), testIndices, true);
+
+  // Create resulting training and test sets
+  const trainArrays = input.map(trainArray => Arrays.mask(trainArray, trainMask));
+  const testArrays = input.map(testArray => Arrays.mask(testArray, testMask));
+
   // Return train and test sets
   return [...trainArrays, ...testArrays];
 }
@@ -32,5 +32,65 @@ describe('ModelSelect', function() {
     it('should throw an error when the size of the input arrays is not equal in the first dimension', function() {
       expect(() => modelSelection.trainTestSplit([[0, 1], [0, 1, 2]])).to.throw();
     });
+
+    it('should support specifying the test set size', function() {
+      var A = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9];
+
+      var [A_train, A_test] = modelSelection.trainTestSplit([A], { testSize: 3 });
+      expect(A_train.length).to.equal(7);
+      expect(A_test.length).to.equal(3);
+
+      var [A_train2, A_test2] = modelSelection.trainTestSplit([A], { trainSize: 0.5, testSize: 0.2 });
+      expect(A_train2.length).to.equal(5);
+      expect(A_test2.length).to.equal(2);
+      expect(A_train2.filter(x => A_test2.includes(x)).length).to.equal(0);
+    });
+
+    it('should preserve the label proportions when stratifying', function() {
+      var A = [...Array(20).keys()];
+      var y = A.map(x => (x < 16 ? 0 : 1));
+
+      for (var seed = 0; seed < 5; seed += 1) {
+        var [A_train, y_train, A_test, y_test] = modelSelection.trainTestSplit([A, y], {
+          testSize: 0.25,
+          stratify: y,
+          randomState: seed,
+        });
+
+        expect(y_test.filter(x => x === 1).length).to.equal(1);
+        expect(y_test.filter(x => x === 0).length).to.equal(4);
+        expect(y_train.filter(x => x === 1).length).to.equal(3);
+        expect(A_train.length + A_test.length).to.equal(20);
+      }
+    });
+
+    it('should keep all elements of a group in the same set', function() {
+      var A = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9];
+      var groups = ['a', 'a', 'b', 'b', 'b', 'c', 'd', 'd', 'e', 'e'];
+
+      var [A_train, A_test] = modelSelection.trainTestSplit([A], { testSize: 2, groups, randomState: 3 });
+      var trainGroups = A_train.map(x => groups[x]);
+      var testGroups = A_test.map(x => groups[x]);
+
+      expect(arrays.unique(testGroups).length).to.equal(2);
+      expect(arrays.unique(trainGroups).length).to.equal(3);
+      expect(trainGroups.filter(x => testGroups.includes(x)).length).to.equal(0);
+      expect(A_train.length + A_test.length).to.equal(10);
+    });
+
+    it('should be reproducible with an integer random state', function() {
+      var A = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9];
+
+      expect(modelSelection.trainTestSplit([A], { randomState: 42 }))
+        .to.deep.equal(modelSelection.trainTestSplit([A], { randomState: 42 }));
+    });
+
+    it('should throw an error for invalid split options', function() {
+      var A = [0, 1, 2, 3];
+
+      expect(() => modelSelection.trainTestSplit([A], { trainSize: 3, testSize: 2 })).to.throw();
+      expect(() => modelSelection.trainTestSplit([A], { stratify: A, groups: A })).to.throw();
+      expect(() => modelSelection.trainTestSplit([A], { stratify: [0, 1] })).to.throw();
+    });
   });
-});
\ No newline at end of file
+});
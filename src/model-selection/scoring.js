@@ -0,0 +1,114 @@
+/* eslint import/prefer-default-export: "off" */
+
+// Internal dependencies
+import * as Metrics from '../validation/metrics';
+
+/**
+ * Get the predicted probabilities of the positive class from a binary classifier.
+ *
+ * @param {Estimator} estimator - Trained binary classifier implementing predictProba
+ * @param {Array.<Array.<number>>|CSRMatrix} X - Features per data point
+ * @param {mixed} [posLabel = 1] - Label of the positive class
+ * @return {Array.<number>} Predicted probability of the positive class per data point
+ */
+function predictPositiveProba(estimator, X, posLabel = 1) {
+  if (typeof estimator.predictProba !== 'function') {
+    throw new Error('Scoring requires an estimator that implements predictProba.');
+  }
+
+  const probabilities = estimator.predictProba(X);
+
+  // Classifiers that know their class order (such as one-vs-all classifiers, which order the
+  // classes by first occurrence) provide the label of each probability column. Otherwise, the
+  // positive class is assumed to be the last column
+  if (typeof estimator.getClasses !== 'function') {
+    return probabilities.map(x => (Array.isArray(x) ? x[x.length - 1] : x));
+  }
+
+  const classes = estimator.getClasses();
+  const column = classes.indexOf(posLabel);
+
+  if (column < 0) {
+    throw new Error(`Positive label ${posLabel} is not among the classes [${classes.join(', ')}].`);
+  }
+
+  return probabilities.map(x => x[column]);
+}
+
+/**
+ * Calculate the multiclass AUROC of a classifier from its probability predictions.
+ *
+ * @param {Estimator} estimator - Trained classifier implementing predictProba
+ * @param {Array.<Array.<number>>|CSRMatrix} X - Features per data point
+ * @param {Array.<mixed>} y - True labels per data point
+ * @param {string} multiClass - Multiclass method, 'ovr' or 'ovo'
+ * @return {number} Multiclass AUROC
+ */
+function multiclassAuroc(estimator, X, y, multiClass) {
+  if (typeof estimator.predictProba !== 'function') {
+    throw new Error('Scoring requires an estimator that implements predictProba.');
+  }
+
+  // Classifiers that know their class order (such as one-vs-all classifiers) provide the label of
+  // each probability column
+  const labels = typeof estimator.getClasses === 'function' ? estimator.getClasses() : null;
+
+  return Metrics.auroc(y, estimator.predictProba(X), { multiClass, labels });
+}
+
+/**
+ * Scorers available by name. A scorer takes a trained estimator, features and true labels, and
+ * returns a score, where higher scores are better.
+ *
+ * @type {Object.<string, function(Estimator, Array.<Array.<number>>, Array.<mixed>): number>}
+ */
+const scorers = {
+  accuracy: (estimator, X, y) => Metrics.accuracy(y, estimator.predict(X)),
+  auroc: (estimator, X, y) => Metrics.auroc(y, predictPositiveProba(estimator, X)),
+  aurocOvr: (estimator, X, y) => multiclassAuroc(estimator, X, y, 'ovr'),
+  aurocOvo: (estimator, X, y) => multiclassAuroc(estimator, X, y, 'ovo'),
+  averagePrecision: (estimator, X, y) =>
+    Metrics.averagePrecision(y, predictPositiveProba(estimator, X)),
+  balancedAccuracy: (estimator, X, y) => Metrics.balancedAccuracy(y, estimator.predict(X)),
+  precision: (estimator, X, y) => Metrics.precision(y, estimator.predict(X)),
+  recall: (estimator, X, y) => Metrics.recall(y, estimator.predict(X)),
+  f1: (estimator, X, y) => Metrics.f1(y, estimator.predict(X)),
+  f1Macro: (estimator, X, y) => Metrics.f1(y, estimator.predict(X), { average: 'macro' }),
+  f1Weighted: (estimator, X, y) => Metrics.f1(y, estimator.predict(X), { average: 'weighted' }),
+  matthewsCorrcoef: (estimator, X, y) => Metrics.matthewsCorrcoef(y, estimator.predict(X)),
+  cohenKappa: (estimator, X, y) => Metrics.cohenKappa(y, estimator.predict(X)),
+  negLogLoss: (estimator, X, y) => -Metrics.logLoss(y, estimator.predictProba(X), {
+    labels: typeof estimator.getClasses === 'function' ? estimator.getClasses() : null,
+  }),
+  negBrierScore: (estimator, X, y) => -Metrics.brierScore(y, predictPositiveProba(estimator, X)),
+  r2: (estimator, X, y) => Metrics.r2Score(y, estimator.predict(X)),
+  negMeanSquaredError: (estimator, X, y) => -Metrics.meanSquaredError(y, estimator.predict(X)),
+  negRootMeanSquaredError: (estimator, X, y) =>
+    -Metrics.rootMeanSquaredError(y, estimator.predict(X)),
+  negMeanAbsoluteError: (estimator, X, y) => -Metrics.meanAbsoluteError(y, estimator.predict(X)),
+};
+
+/**
+ * Get a scorer function from a scoring specification.
+ *
+ * @example
+ * var scorer = getScorer('accuracy');
+ * scorer(estimator, XTest, yTest); // Accuracy of the estimator on the test set
+ *
+ * @param {string|function} scoring - Name of a metric (e.g. 'accuracy' or 'auroc'), or a custom
+ *   scorer function. A custom scorer is called with the trained estimator, the features and the
+ *   true labels, and should return a number, where higher is better
+ * @return {function(Estimator, Array.<Array.<number>>, Array.<mixed>): number} Scorer function
+ */
+export function getScorer(scoring) {
+  if (typeof scoring === 'function') {
+    return scoring;
+  }
+
+  if (typeof scoring === 'string' && Object.prototype.hasOwnProperty.call(scorers, scoring)) {
+    return scorers[scoring];
+  }
+
+  throw new Error(`Unknown scoring "${scoring}". Use one of ${Object.keys(scorers).join(', ')}, or
+    a function.`);
+}
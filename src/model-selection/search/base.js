@@ -0,0 +1,190 @@
+// Internal dependencies
+import { Estimator } from '../../supervised/base';
+import { crossValidate } from '../cross-validation';
+import { getScorer } from '../scoring';
+import * as Arrays from '../../arrays';
+import * as Stats from '../../stats';
+
+/**
+ * Base class for hyperparameter searches. A search evaluates a list of candidate parameter
+ * combinations by cross-validation, and selects the combination with the highest mean test score.
+ * Searches are estimators themselves: after training, predictions are made using the best
+ * estimator, refitted on the full training set.
+ */
+export default class BaseSearchCV extends Estimator {
+  /**
+   * Constructor. Initialize class members and store user-defined options.
+   *
+   * @param {function(Object): Estimator} estimatorFactory - Function creating a new, untrained
+   *   estimator from an object of parameters, e.g. params => new SVM(params)
+   * @param {Object} [optionsUser] - User-defined options
+   * @param {number|Splitter} [optionsUser.cv = 5] - Number of folds for k-fold cross-validation, or
+   *   a splitter
+   * @param {string|function} [optionsUser.scoring = 'accuracy'] - Name of a metric, or a custom
+   *   scorer function. See {@link getScorer}
+   * @param {boolean} [optionsUser.refit = true] - Whether to train an estimator with the best
+   *   parameters on the full training set
+   * @param {boolean} [optionsUser.returnTrainScore = false] - Whether to include training scores
+   *   in the results
+   */
+  constructor(estimatorFactory, optionsUser = {}) {
+    super();
+
+    // Parse options
+    const optionsDefault = {
+      cv: 5,
+      scoring: 'accuracy',
+      refit: true,
+      returnTrainScore: false,
+    };
+
+    const options = {
+      ...optionsDefault,
+      ...optionsUser,
+    };
+
+    // Set options
+    this.estimatorFactory = estimatorFactory;
+    this.cv = options.cv;
+    this.scoring = options.scoring;
+    this.refit = options.refit;
+    this.returnTrainScore = options.returnTrainScore;
+  }
+
+  /**
+   * Get the candidate parameter combinations to evaluate.
+   *
+   * @abstract
+   *
+   * @return {Array.<Object.<string, mixed>>} List of parameter combinations
+   */
+  getCandidates() { throw new Error('Method must be implemented child class.'); }
+
+  /**
+   * Evaluate all candidate parameter combinations by cross-validation, and (if refit is enabled)
+   * train the best estimator on the full dataset.
+   *
+   * @param {Array.<Array.<number>>|CSRMatrix} X - Features per data point
+   * @param {Array.<mixed>} y - Labels per data point
+   * @param {Array.<mixed>} [groups = null] - Group label per data point, passed to the splitter
+   */
+  train(X, y, groups = null) {
+    const candidates = this.getCandidates();
+
+    // Cross-validate each candidate
+    const results = candidates.map((params) => {
+      const result = crossValidate(() => this.estimatorFactory(params), X, y, {
+        cv: this.cv,
+        scoring: this.scoring,
+        groups,
+        returnTrainScore: this.returnTrainScore,
+      });
+
+      const row = {
+        params,
+        testScores: result.testScores,
+        meanTestScore: Arrays.mean(result.testScores),
+        stdTestScore: Arrays.std(result.testScores),
+        meanFitTime: Arrays.mean(result.fitTimes),
+      };
+
+      if (this.returnTrainScore) {
+        row.trainScores = result.trainScores;
+        row.meanTrainScore = Arrays.mean(result.trainScores);
+        row.stdTrainScore = Arrays.std(result.trainScores);
+      }
+
+      return row;
+    });
+
+    // Rank the candidates by mean test score, giving tied candidates the same rank
+    const ranks = Stats.rankData(results.map(row => -row.meanTestScore), 'min');
+
+    /**
+     * Results table, with one row per candidate. Each row contains the parameters (params), the
+     * test score per split (testScores), their mean and standard deviation (meanTestScore and
+     * stdTestScore), the rank of the mean test score (rankTestScore, where 1 is best) and the mean
+     * training time in milliseconds (meanFitTime). If returnTrainScore is enabled, it also
+     * contains trainScores, meanTrainScore and stdTrainScore
+     *
+     * @type {Array.<Object>}
+     */
+    this.results = results.map((row, i) => ({ ...row, rankTestScore: ranks[i] }));
+
+    /**
+     * Index of the best candidate in the results table. On ties, the first candidate is chosen
+     *
+     * @type {number}
+     */
+    this.bestIndex = ranks.indexOf(1);
+
+    /**
+     * Parameters of the best candidate
+     *
+     * @type {Object.<string, mixed>}
+     */
+    this.bestParams = this.results[this.bestIndex].params;
+
+    /**
+     * Mean test score of the best candidate
+     *
+     * @type {number}
+     */
+    this.bestScore = this.results[this.bestIndex].meanTestScore;
+
+    if (this.refit) {
+      /**
+       * Estimator with the best parameters, trained on the full training set
+       *
+       * @type {Estimator}
+       */
+      this.bestEstimator = this.estimatorFactory(this.bestParams);
+      this.bestEstimator.train(X, y);
+    }
+  }
+
+  /**
+   * Get the best estimator, checking that it is available.
+   *
+   * @return {Estimator} Best estimator
+   */
+  getBestEstimator() {
+    if (!this.bestEstimator) {
+      throw new Error('The search must be trained with refit enabled to make predictions.');
+    }
+
+    return this.bestEstimator;
+  }
+
+  /**
+   * Make predictions using the best estimator.
+   *
+   * @param {Array.<Array.<number>>|CSRMatrix} X - Features for each data point
+   * @return {Array.<mixed>} Predictions
+   */
+  predict(X) {
+    return this.getBestEstimator().predict(X);
+  }
+
+  /**
+   * Make probabilistic predictions using the best estimator. Requires the estimator to implement
+   * predictProba.
+   *
+   * @param {Array.<Array.<number>>|CSRMatrix} X - Features for each data point
+   * @return {Array.<Array.<number>>} Probability predictions
+   */
+  predictProba(X) {
+    return this.getBestEstimator().predictProba(X);
+  }
+
+  /**
+   * Score the best estimator on a dataset, using the scoring of the search.
+   *
+   * @param {Array.<Array.<number>>|CSRMatrix} X - Features for each data point
+   * @param {Array.<mixed>} y - Labels per data point
+   * @return {number} Score
+   */
+  score(X, y) {
+    return getScorer(this.scoring)(this.getBestEstimator(), X, y);
+  }
+}
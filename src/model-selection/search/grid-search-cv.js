@@ -0,0 +1,41 @@
+// Internal dependencies
+import BaseSearchCV from './base';
+import parameterGrid from './parameter-grid';
+
+/**
+ * Exhaustive hyperparameter search. Evaluates every parameter combination in a grid by
+ * cross-validation.
+ *
+ * @example
+ * var search = new GridSearchCV(params => new SVM(params), {
+ *   C: [0.1, 1, 10],
+ *   kernel: [new Kernel.Linear(), new Kernel.Gaussian(1)],
+ * }, { cv: 5 });
+ *
+ * search.train(X, y);
+ * search.bestParams; // Parameters with the highest mean cross-validation accuracy
+ * search.predict(XTest); // Predictions of the SVM refitted with the best parameters
+ */
+export default class GridSearchCV extends BaseSearchCV {
+  /**
+   * Constructor. Initialize class members and store user-defined options.
+   *
+   * @param {function(Object): Estimator} estimatorFactory - Function creating a new, untrained
+   *   estimator from an object of parameters
+   * @param {Object.<string, Array.<mixed>>|Array.<Object.<string, Array.<mixed>>>} paramGrid -
+   *   Parameter grid. See {@link parameterGrid}
+   * @param {Object} [optionsUser] - User-defined options. See {@link BaseSearchCV}
+   */
+  constructor(estimatorFactory, paramGrid, optionsUser = {}) {
+    super(estimatorFactory, optionsUser);
+
+    this.paramGrid = paramGrid;
+  }
+
+  /**
+   * @see {@link BaseSearchCV#getCandidates}
+   */
+  getCandidates() {
+    return parameterGrid(this.paramGrid);
+  }
+}
@@ -0,0 +1,11 @@
+import BaseSearchCV from './base';
+import GridSearchCV from './grid-search-cv';
+import RandomizedSearchCV from './randomized-search-cv';
+import parameterGrid from './parameter-grid';
+
+export {
+  BaseSearchCV,
+  GridSearchCV,
+  RandomizedSearchCV,
+  parameterGrid,
+};
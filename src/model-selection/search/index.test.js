@@ -0,0 +1,122 @@
+var expect = require('chai').expect;
+var search = require('./index.js');
+var splitters = require('../splitters/index.js');
+var KNN = require('../../supervised/neighbors/knn.js');
+
+describe('ModelSelection.Search', function() {
+  // Two interleaved classes, for which a single nearest neighbour is misleading near the boundary
+  var X = [[0], [1], [2], [3], [4], [5], [6], [7], [8], [9], [10], [11]];
+  var y = [0, 0, 0, 1, 0, 0, 1, 1, 0, 1, 1, 1];
+  var createKNN = params => new KNN(params);
+
+  describe('.parameterGrid', function() {
+    it('should generate all parameter combinations', function() {
+      expect(search.parameterGrid({ a: [1, 2], b: ['x', 'y'] })).to.deep.equal([
+        { a: 1, b: 'x' }, { a: 1, b: 'y' }, { a: 2, b: 'x' }, { a: 2, b: 'y' },
+      ]);
+    });
+
+    it('should concatenate the combinations of multiple grids', function() {
+      expect(search.parameterGrid([{ a: [1] }, { b: [2, 3] }])).to.deep.equal([
+        { a: 1 }, { b: 2 }, { b: 3 },
+      ]);
+    });
+
+    it('should throw an error for empty parameter value lists', function() {
+      expect(() => search.parameterGrid({ a: [] })).to.throw();
+    });
+  });
+
+  describe('GridSearchCV', function() {
+    it('should evaluate each candidate and select the one with the best mean score', function() {
+      var gridSearch = new search.GridSearchCV(createKNN, { numNeighbours: [1, 3, 5] }, {
+        cv: new splitters.StratifiedKFold({ numSplits: 3 }),
+        returnTrainScore: true,
+      });
+
+      gridSearch.train(X, y);
+
+      expect(gridSearch.results.length).to.equal(3);
+      expect(gridSearch.results.map(x => x.params)).to.deep.equal([
+        { numNeighbours: 1 }, { numNeighbours: 3 }, { numNeighbours: 5 },
+      ]);
+
+      gridSearch.results.forEach((row) => {
+        expect(row.testScores.length).to.equal(3);
+        expect(row).to.include.keys('meanTestScore', 'stdTestScore', 'rankTestScore', 'meanFitTime',
+          'meanTrainScore', 'stdTrainScore');
+      });
+
+      var bestScore = Math.max(...gridSearch.results.map(x => x.meanTestScore));
+      expect(gridSearch.bestScore).to.equal(bestScore);
+      expect(gridSearch.results[gridSearch.bestIndex].rankTestScore).to.equal(1);
+      expect(gridSearch.bestParams).to.deep.equal(gridSearch.results[gridSearch.bestIndex].params);
+
+      // Training scores of the 1-nearest neighbour classifier are perfect
+      expect(gridSearch.results[0].meanTrainScore).to.equal(1);
+    });
+
+    it('should refit the best estimator on the full dataset', function() {
+      var gridSearch = new search.GridSearchCV(createKNN, { numNeighbours: [1, 3] }, { cv: 3 });
+      gridSearch.train(X, y);
+
+      expect(gridSearch.bestEstimator.numNeighbours).to.equal(gridSearch.bestParams.numNeighbours);
+      expect(gridSearch.bestEstimator.training.X.length).to.equal(12);
+      expect(gridSearch.predict([[0], [11]])).to.deep.equal([0, 1]);
+      expect(gridSearch.score(X, y)).to.equal(gridSearch.bestEstimator.predict(X)
+        .filter((x, i) => x === y[i]).length / 12);
+    });
+
+    it('should throw an error when predicting without a refitted estimator', function() {
+      var gridSearch = new search.GridSearchCV(createKNN, { numNeighbours: [1] }, { cv: 3, refit: false });
+      gridSearch.train(X, y);
+
+      expect(gridSearch.bestEstimator).to.be.undefined;
+      expect(() => gridSearch.predict([[0]])).to.throw();
+    });
+  });
+
+  describe('RandomizedSearchCV', function() {
+    it('should sample distinct candidates from parameter lists', function() {
+      var randomSearch = new search.RandomizedSearchCV(createKNN, { numNeighbours: [1, 3, 5, 7] }, {
+        numIterations: 3,
+        randomState: 4,
+        cv: 3,
+      });
+
+      randomSearch.train(X, y);
+
+      var values = randomSearch.results.map(x => x.params.numNeighbours);
+      expect(values.length).to.equal(3);
+      expect(new Set(values).size).to.equal(3);
+    });
+
+    it('should evaluate at most all combinations of parameter lists', function() {
+      var randomSearch = new search.RandomizedSearchCV(createKNN, { numNeighbours: [1, 3] }, {
+        numIterations: 10,
+        cv: 3,
+      });
+
+      expect(randomSearch.getCandidates().length).to.equal(2);
+    });
+
+    it('should sample from distribution functions reproducibly', function() {
+      var distributions = {
+        numNeighbours: randomState => 1 + 2 * Math.floor(randomState.random() * 3),
+        weights: ['uniform', 'distance'],
+      };
+      var candidatesA = new search.RandomizedSearchCV(createKNN, distributions, {
+        numIterations: 5,
+        randomState: 9,
+      }).getCandidates();
+      var candidatesB = new search.RandomizedSearchCV(createKNN, distributions, {
+        numIterations: 5,
+        randomState: 9,
+      }).getCandidates();
+
+      expect(candidatesA.length).to.equal(5);
+      expect(candidatesA).to.deep.equal(candidatesB);
+      candidatesA.forEach(x => expect([1, 3, 5]).to.include(x.numNeighbours));
+    });
+  });
+});
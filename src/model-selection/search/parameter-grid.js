@@ -0,0 +1,29 @@
+/**
+ * Generate all parameter combinations of a parameter grid.
+ *
+ * @example
+ * parameterGrid({ C: [1, 10], kernel: ['linear', 'gaussian'] });
+ * // [{ C: 1, kernel: 'linear' }, { C: 1, kernel: 'gaussian' },
+ * //  { C: 10, kernel: 'linear' }, { C: 10, kernel: 'gaussian' }]
+ *
+ * @param {Object.<string, Array.<mixed>>|Array.<Object.<string, Array.<mixed>>>} grid - Object
+ *   mapping each parameter name to the list of values to try. A list of such objects can be passed
+ *   to combine multiple grids, e.g. when some parameters only apply to certain values of another
+ *   parameter
+ * @return {Array.<Object.<string, mixed>>} List of parameter combinations
+ */
+export default function parameterGrid(grid) {
+  const grids = Array.isArray(grid) ? grid : [grid];
+
+  return [].concat(...grids.map(subGrid =>
+    Object.keys(subGrid).reduce((candidates, name) => {
+      if (!Array.isArray(subGrid[name]) || subGrid[name].length === 0) {
+        throw new Error(`The values for parameter "${name}" should be a non-empty array.`);
+      }
+
+      return [].concat(...candidates.map(candidate =>
+        subGrid[name].map(value => ({ ...candidate, [name]: value }))
+      ));
+    }, [{}])
+  ));
+}
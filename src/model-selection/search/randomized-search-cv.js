@@ -0,0 +1,83 @@
+// Internal dependencies
+import BaseSearchCV from './base';
+import parameterGrid from './parameter-grid';
+import * as Random from '../../random';
+
+/**
+ * Randomized hyperparameter search. Evaluates a fixed number of parameter combinations sampled
+ * from the specified distributions by cross-validation. This is often much cheaper than an
+ * exhaustive grid search, while finding similarly good parameters.
+ *
+ * @example
+ * var search = new RandomizedSearchCV(params => new KNN(params), {
+ *   numNeighbours: [1, 3, 5, 7, 9],
+ * }, { numIterations: 3, randomState: 0 });
+ *
+ * @example <caption>Sampling from a continuous distribution</caption>
+ * var search = new RandomizedSearchCV(params => new SVM(params), {
+ *   C: randomState => 10 ** Random.rand(-2, 2, randomState),
+ * }, { numIterations: 20 });
+ */
+export default class RandomizedSearchCV extends BaseSearchCV {
+  /**
+   * Constructor. Initialize class members and store user-defined options.
+   *
+   * @param {function(Object): Estimator} estimatorFactory - Function creating a new, untrained
+   *   estimator from an object of parameters
+   * @param {Object.<string, Array.<mixed>|function(RandomState): mixed>} paramDistributions -
+   *   Object mapping each parameter name to either a list of values, which are sampled uniformly,
+   *   or a function that samples a value given a random state
+   * @param {Object} [optionsUser] - User-defined options. See {@link BaseSearchCV} for the options
+   *   shared by all searches
+   * @param {number} [optionsUser.numIterations = 10] - Number of parameter combinations to sample.
+   *   If all parameters are specified as lists, combinations are sampled without replacement, and
+   *   at most all combinations are evaluated
+   * @param {RandomState|number} [optionsUser.randomState = null] - Random state used for sampling
+   *   the parameters. If null, the global random state is used. If an integer, a random state
+   *   seeded with that integer is used
+   */
+  constructor(estimatorFactory, paramDistributions, optionsUser = {}) {
+    super(estimatorFactory, optionsUser);
+
+    // Parse options
+    const optionsDefault = {
+      numIterations: 10,
+      randomState: null,
+    };
+
+    const options = {
+      ...optionsDefault,
+      ...optionsUser,
+    };
+
+    // Set options
+    this.paramDistributions = paramDistributions;
+    this.numIterations = options.numIterations;
+    this.randomState = options.randomState;
+  }
+
+  /**
+   * @see {@link BaseSearchCV#getCandidates}
+   */
+  getCandidates() {
+    const randomState = Random.checkRandomState(this.randomState);
+    const names = Object.keys(this.paramDistributions);
+
+    // If all parameters are lists, sample from the full grid without replacement
+    if (names.every(name => Array.isArray(this.paramDistributions[name]))) {
+      const grid = parameterGrid(this.paramDistributions);
+      const number = Math.min(this.numIterations, grid.length);
+
+      return Random.sampleFisherYates(grid, number, randomState);
+    }
+
+    return [...Array(this.numIterations)].map(() => names.reduce((params, name) => {
+      const distribution = this.paramDistributions[name];
+      const value = Array.isArray(distribution)
+        ? distribution[Random.randint(0, distribution.length, null, randomState)]
+        : distribution(randomState);
+
+      return { ...params, [name]: value };
+    }, {}));
+  }
+}
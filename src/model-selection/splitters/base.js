@@ -0,0 +1,62 @@
+// Internal dependencies
+import * as Arrays from '../../arrays';
+
+/**
+ * Base class for cross-validation splitters, which divide a dataset into pairs of training and
+ * test sets. All splitters share the same interface, so they can be used interchangeably for
+ * cross-validation.
+ */
+export default class Splitter {
+  /**
+   * Generate the training and test sets.
+   *
+   * @abstract
+   *
+   * @param {Array.<Array.<number>>|CSRMatrix} X - Features per data point
+   * @param {Array.<mixed>} [y = null] - Labels per data point. Required by splitters that use the
+   *   labels, such as {@link StratifiedKFold}
+   * @param {Array.<mixed>} [groups = null] - Group label per data point. Required by splitters that
+   *   use groups, such as {@link GroupKFold}
+   * @return {Array.<Array.<Array.<number>>>} List of splits. Each split is a pair of arrays,
+   *   containing the (sorted) indices of the training samples and test samples, respectively
+   */
+  split(X, y = null, groups = null) { throw new Error('Method must be implemented child class.'); }
+
+  /**
+   * Get the number of splits generated by {@link Splitter#split}.
+   *
+   * @param {Array.<Array.<number>>|CSRMatrix} X - Features per data point
+   * @param {Array.<mixed>} [y = null] - Labels per data point
+   * @param {Array.<mixed>} [groups = null] - Group label per data point
+   * @return {number} Number of splits
+   */
+  getNumSplits(X, y = null, groups = null) {
+    return this.split(X, y, groups).length;
+  }
+
+  /**
+   * Get the number of samples in a dataset.
+   *
+   * @param {Array.<Array.<number>>|CSRMatrix} X - Features per data point
+   * @return {number} Number of samples
+   */
+  getNumSamples(X) {
+    return Arrays.getShape(X)[0];
+  }
+
+  /**
+   * Create a split from the indices of the test samples. All other samples are used for training.
+   *
+   * @param {number} numSamples - Total number of samples
+   * @param {Array.<number>} testIndices - Indices of the test samples
+   * @return {Array.<Array.<number>>} Pair of sorted training and test indices
+   */
+  createSplit(numSamples, testIndices) {
+    const testMask = Arrays.put(Arrays.full(numSamples, false), testIndices, true);
+
+    return [
+      Arrays.argFilter(testMask, x => !x),
+      Arrays.argFilter(testMask, x => x),
+    ];
+  }
+}
@@ -0,0 +1,85 @@
+// Internal dependencies
+import Splitter from './base';
+import * as Arrays from '../../arrays';
+
+/**
+ * K-fold cross-validation splitter with non-overlapping groups. All samples of a group are in the
+ * same fold, so the same group never appears in both the training and the test set. This is
+ * useful when samples within a group are correlated, e.g. multiple measurements of one patient.
+ * Groups are assigned to folds such that the folds contain approximately the same number of
+ * samples.
+ */
+export default class GroupKFold extends Splitter {
+  /**
+   * Constructor. Initialize class members and store user-defined options.
+   *
+   * @param {Object} [optionsUser] - User-defined options
+   * @param {number} [optionsUser.numSplits = 5] - Number of folds. Must be at least 2, and at most
+   *   the number of groups
+   */
+  constructor(optionsUser = {}) {
+    super();
+
+    // Parse options
+    const optionsDefault = {
+      numSplits: 5,
+    };
+
+    const options = {
+      ...optionsDefault,
+      ...optionsUser,
+    };
+
+    if (!Number.isInteger(options.numSplits) || options.numSplits < 2) {
+      throw new Error('The number of splits must be an integer larger than or equal to 2.');
+    }
+
+    // Set options
+    this.numSplits = options.numSplits;
+  }
+
+  /**
+   * @see {@link Splitter#split}
+   */
+  split(X, y = null, groups = null) {
+    if (groups === null) {
+      throw new Error('Groups are required for group splitting.');
+    }
+
+    const numSamples = this.getNumSamples(X);
+
+    if (groups.length !== numSamples) {
+      throw new Error('Number of data points should match number of group labels.');
+    }
+
+    // Sort groups by size (largest first), and assign each group to the fold with the fewest
+    // samples so far
+    const groupSizes = Arrays.valueCounts(groups).sort((a, b) => b[1] - a[1]);
+
+    if (this.numSplits > groupSizes.length) {
+      throw new Error(`Cannot have more splits (numSplits=${this.numSplits}) than groups
+        (numGroups=${groupSizes.length}).`);
+    }
+
+    const foldSizes = Arrays.zeros(this.numSplits);
+    const groupFolds = new Map();
+
+    groupSizes.forEach(([group, size]) => {
+      const fold = Arrays.argMin(foldSizes);
+      foldSizes[fold] += size;
+      groupFolds.set(group, fold);
+    });
+
+    return [...Array(this.numSplits).keys()].map((fold) => {
+      const testIndices = Arrays.argFilter(groups, group => groupFolds.get(group) === fold);
+      return this.createSplit(numSamples, testIndices);
+    });
+  }
+
+  /**
+   * @see {@link Splitter#getNumSplits}
+   */
+  getNumSplits(X, y = null, groups = null) {
+    return this.numSplits;
+  }
+}
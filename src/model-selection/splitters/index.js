@@ -0,0 +1,21 @@
+import Splitter from './base';
+import KFold from './k-fold';
+import StratifiedKFold from './stratified-k-fold';
+import GroupKFold from './group-k-fold';
+import RepeatedKFold from './repeated-k-fold';
+import LeaveOneOut from './leave-one-out';
+import LeavePOut from './leave-p-out';
+import ShuffleSplit from './shuffle-split';
+import TimeSeriesSplit from './time-series-split';
+
+export {
+  Splitter,
+  KFold,
+  StratifiedKFold,
+  GroupKFold,
+  RepeatedKFold,
+  LeaveOneOut,
+  LeavePOut,
+  ShuffleSplit,
+  TimeSeriesSplit,
+};
@@ -0,0 +1,215 @@
+var expect = require('chai').expect;
+var splitters = require('./index.js');
+var arrays = require('../../arrays/index.js');
+
+function range(n) {
+  return [...Array(n).keys()];
+}
+
+function expectPartition(split, numSamples) {
+  var [train, test] = split;
+  expect(train.concat(test).sort((a, b) => a - b)).to.deep.equal(range(numSamples));
+}
+
+describe('ModelSelection.Splitters', function() {
+  describe('KFold', function() {
+    it('should divide the samples into consecutive folds of almost equal size', function() {
+      var kFold = new splitters.KFold({ numSplits: 3 });
+      var splits = kFold.split(range(7).map(x => [x]));
+
+      expect(splits.map(x => x[1])).to.deep.equal([[0, 1, 2], [3, 4], [5, 6]]);
+      expect(splits[1][0]).to.deep.equal([0, 1, 2, 5, 6]);
+      splits.forEach(split => expectPartition(split, 7));
+      expect(kFold.getNumSplits()).to.equal(3);
+    });
+
+    it('should use every sample exactly once as a test sample when shuffling', function() {
+      var kFold = new splitters.KFold({ numSplits: 4, shuffle: true, randomState: 12 });
+      var splits = kFold.split(range(10).map(x => [x]));
+      var testIndices = [].concat(...splits.map(x => x[1])).sort((a, b) => a - b);
+
+      expect(testIndices).to.deep.equal(range(10));
+      expect(splits.map(x => x[1].length)).to.deep.equal([3, 3, 2, 2]);
+      splits.forEach(split => expectPartition(split, 10));
+    });
+
+    it('should produce the same splits for the same integer random state', function() {
+      var X = range(12).map(x => [x]);
+      var splitsA = new splitters.KFold({ shuffle: true, randomState: 5 }).split(X);
+      var splitsB = new splitters.KFold({ shuffle: true, randomState: 5 }).split(X);
+
+      expect(splitsA).to.deep.equal(splitsB);
+    });
+
+    it('should accept sparse matrices', function() {
+      var X = arrays.CSRMatrix.fromArray([[1, 0], [0, 0], [0, 2], [3, 0]]);
+      var splits = new splitters.KFold({ numSplits: 2 }).split(X);
+
+      expect(splits).to.deep.equal([[[2, 3], [0, 1]], [[0, 1], [2, 3]]]);
+    });
+
+    it('should throw an error when there are more splits than samples', function() {
+      expect(() => new splitters.KFold({ numSplits: 5 }).split([[0], [1], [2]])).to.throw();
+      expect(() => new splitters.KFold({ numSplits: 1 })).to.throw();
+    });
+  });
+
+  describe('StratifiedKFold', function() {
+    it('should preserve the class proportions in each fold', function() {
+      var y = [0, 0, 0, 0, 0, 0, 1, 1, 1, 2, 2, 2];
+      var X = y.map(x => [x]);
+      var splits = new splitters.StratifiedKFold({ numSplits: 3 }).split(X, y);
+
+      splits.forEach((split) => {
+        var testLabels = split[1].map(i => y[i]);
+        expect(testLabels.filter(x => x === 0).length).to.equal(2);
+        expect(testLabels.filter(x => x === 1).length).to.equal(1);
+        expect(testLabels.filter(x => x === 2).length).to.equal(1);
+        expectPartition(split, 12);
+      });
+    });
+
+    it('should keep fold sizes within one sample of each other', function() {
+      var y = [0, 0, 0, 0, 0, 1, 1, 1, 1, 1, 1];
+      var splits = new splitters.StratifiedKFold({ numSplits: 3, shuffle: true, randomState: 1 })
+        .split(y.map(x => [x]), y);
+      var sizes = splits.map(x => x[1].length);
+
+      expect(Math.max(...sizes) - Math.min(...sizes)).to.be.at.most(1);
+    });
+
+    it('should throw an error when no labels are passed', function() {
+      expect(() => new splitters.StratifiedKFold({ numSplits: 2 }).split([[0], [1]])).to.throw();
+    });
+  });
+
+  describe('GroupKFold', function() {
+    it('should never put samples of the same group in both the training and test set', function() {
+      var groups = ['a', 'a', 'a', 'b', 'b', 'c', 'c', 'c', 'c', 'd'];
+      var X = groups.map(() => [0]);
+      var splits = new splitters.GroupKFold({ numSplits: 3 }).split(X, null, groups);
+
+      expect(splits.length).to.equal(3);
+      splits.forEach((split) => {
+        var trainGroups = split[0].map(i => groups[i]);
+        var testGroups = split[1].map(i => groups[i]);
+        expect(testGroups.filter(x => trainGroups.includes(x)).length).to.equal(0);
+        expectPartition(split, 10);
+      });
+
+      // Groups c (4), a (3) and b + d (3) are assigned to separate folds
+      expect(splits.map(x => x[1].length)).to.deep.equal([4, 3, 3]);
+    });
+
+    it('should throw an error when there are fewer groups than splits', function() {
+      var splitter = new splitters.GroupKFold({ numSplits: 3 });
+      expect(() => splitter.split([[0], [1], [2]], null, [0, 0, 1])).to.throw();
+      expect(() => splitter.split([[0], [1], [2]])).to.throw();
+    });
+  });
+
+  describe('RepeatedKFold', function() {
+    it('should generate k folds per repetition, with different shuffles', function() {
+      var splitter = new splitters.RepeatedKFold({ numSplits: 3, numRepeats: 4, randomState: 3 });
+      var splits = splitter.split(range(9).map(x => [x]));
+
+      expect(splits.length).to.equal(12);
+      expect(splitter.getNumSplits()).to.equal(12);
+      splits.forEach(split => expectPartition(split, 9));
+
+      var firstRepeat = JSON.stringify(splits.slice(0, 3));
+      expect(range(3).some(i => JSON.stringify(splits.slice(3 * (i + 1), 3 * (i + 2))) !== firstRepeat)).to.equal(true);
+    });
+  });
+
+  describe('LeaveOneOut', function() {
+    it('should use each sample once as the test set', function() {
+      var splits = new splitters.LeaveOneOut().split([[0], [1], [2]]);
+
+      expect(splits).to.deep.equal([[[1, 2], [0]], [[0, 2], [1]], [[0, 1], [2]]]);
+    });
+
+    it('should count the splits without generating them', function() {
+      var splitter = new splitters.LeaveOneOut();
+      splitter.split = function() { throw new Error('Splits were generated.'); };
+
+      expect(splitter.getNumSplits(range(1000).map(x => [x]))).to.equal(1000);
+    });
+  });
+
+  describe('LeavePOut', function() {
+    it('should use all combinations of p samples as test sets', function() {
+      var splitter = new splitters.LeavePOut({ p: 2 });
+      var splits = splitter.split([[0], [1], [2], [3]]);
+
+      expect(splits.map(x => x[1])).to.deep.equal([[0, 1], [0, 2], [0, 3], [1, 2], [1, 3], [2, 3]]);
+      expect(splits[2][0]).to.deep.equal([1, 2]);
+      expect(splitter.getNumSplits([[0], [1], [2], [3]])).to.equal(6);
+    });
+
+    it('should throw an error when p is not smaller than the number of samples', function() {
+      expect(() => new splitters.LeavePOut({ p: 3 }).split([[0], [1], [2]])).to.throw();
+    });
+
+    it('should count the splits without generating them', function() {
+      var splitter = new splitters.LeavePOut({ p: 3 });
+      splitter.split = function() { throw new Error('Splits were generated.'); };
+
+      expect(splitter.getNumSplits(range(1000).map(x => [x]))).to.equal(166167000);
+      expect(() => splitter.getNumSplits([[0], [1], [2]])).to.throw();
+    });
+  });
+
+  describe('ShuffleSplit', function() {
+    it('should generate random splits of the specified sizes', function() {
+      var splitter = new splitters.ShuffleSplit({ numSplits: 5, testSize: 0.25, randomState: 7 });
+      var splits = splitter.split(range(20).map(x => [x]));
+
+      expect(splits.length).to.equal(5);
+      splits.forEach((split) => {
+        expect(split[0].length).to.equal(15);
+        expect(split[1].length).to.equal(5);
+        expectPartition(split, 20);
+      });
+    });
+
+    it('should support absolute training and test set sizes', function() {
+      var splitter = new splitters.ShuffleSplit({ numSplits: 2, testSize: 3, trainSize: 4 });
+      var splits = splitter.split(range(10).map(x => [x]));
+
+      splits.forEach((split) => {
+        expect(split[0].length).to.equal(4);
+        expect(split[1].length).to.equal(3);
+        expect(split[0].filter(x => split[1].includes(x)).length).to.equal(0);
+      });
+    });
+  });
+
+  describe('TimeSeriesSplit', function() {
+    it('should only use past samples for training', function() {
+      var splits = new splitters.TimeSeriesSplit({ numSplits: 3 }).split(range(6).map(x => [x]));
+
+      expect(splits).to.deep.equal([
+        [[0, 1, 2], [3]],
+        [[0, 1, 2, 3], [4]],
+        [[0, 1, 2, 3, 4], [5]],
+      ]);
+    });
+
+    it('should support a maximum training size, test size and gap', function() {
+      var splitter = new splitters.TimeSeriesSplit({
+        numSplits: 2, maxTrainSize: 3, testSize: 2, gap: 1,
+      });
+      var splits = splitter.split(range(10).map(x => [x]));
+
+      expect(splits).to.deep.equal([
+        [[2, 3, 4], [6, 7]],
+        [[4, 5, 6], [8, 9]],
+      ]);
+    });
+
+    it('should throw an error when there are too many splits for the number of samples', function() {
+      expect(() => new splitters.TimeSeriesSplit({ numSplits: 5 }).split([[0], [1], [2]])).to.throw();
+    });
+  });
+});
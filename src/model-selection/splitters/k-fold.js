@@ -0,0 +1,99 @@
+// Internal dependencies
+import Splitter from './base';
+import * as Arrays from '../../arrays';
+import * as Random from '../../random';
+
+/**
+ * K-fold cross-validation splitter. Divides the samples into k consecutive folds of (almost) equal
+ * size. Each fold is used once as the test set, while the remaining folds form the training set.
+ *
+ * @example
+ * var kFold = new KFold({ numSplits: 3 });
+ * kFold.split([[1], [2], [3], [4], [5]]);
+ * // [[[2, 3, 4], [0, 1]], [[0, 1, 4], [2, 3]], [[0, 1, 2, 3], [4]]]
+ */
+export default class KFold extends Splitter {
+  /**
+   * Constructor. Initialize class members and store user-defined options.
+   *
+   * @param {Object} [optionsUser] - User-defined options
+   * @param {number} [optionsUser.numSplits = 5] - Number of folds. Must be at least 2
+   * @param {boolean} [optionsUser.shuffle = false] - Whether to shuffle the samples before
+   *   dividing them into folds
+   * @param {RandomState|number} [optionsUser.randomState = null] - Random state used for shuffling.
+   *   If null, the global random state is used. If an integer, a random state seeded with that
+   *   integer is used, which makes the splits identical across calls
+   */
+  constructor(optionsUser = {}) {
+    super();
+
+    // Parse options
+    const optionsDefault = {
+      numSplits: 5,
+      shuffle: false,
+      randomState: null,
+    };
+
+    const options = {
+      ...optionsDefault,
+      ...optionsUser,
+    };
+
+    if (!Number.isInteger(options.numSplits) || options.numSplits < 2) {
+      throw new Error('The number of splits must be an integer larger than or equal to 2.');
+    }
+
+    // Set options
+    this.numSplits = options.numSplits;
+    this.shuffle = options.shuffle;
+    this.randomState = options.randomState;
+  }
+
+  /**
+   * Divide a list of sample indices into folds.
+   *
+   * @param {Array.<number>} indices - Sample indices
+   * @param {RandomState} randomState - Random state used for shuffling
+   * @return {Array.<Array.<number>>} Sample indices per fold
+   */
+  createFolds(indices, randomState) {
+    if (this.numSplits > indices.length) {
+      throw new Error(`Cannot have more splits (numSplits=${this.numSplits}) than samples
+        (numSamples=${indices.length}).`);
+    }
+
+    const order = this.shuffle ? Arrays.shuffle(indices, randomState)[0] : indices;
+
+    // The first (n mod k) folds contain one sample more than the others
+    const foldSize = Math.floor(order.length / this.numSplits);
+    const numLargerFolds = order.length % this.numSplits;
+    const folds = [];
+    let start = 0;
+
+    for (let i = 0; i < this.numSplits; i += 1) {
+      const size = foldSize + (i < numLargerFolds ? 1 : 0);
+      folds.push(order.slice(start, start + size));
+      start += size;
+    }
+
+    return folds;
+  }
+
+  /**
+   * @see {@link Splitter#split}
+   */
+  split(X, y = null, groups = null) {
+    const numSamples = this.getNumSamples(X);
+    const randomState = Random.checkRandomState(this.randomState);
+    const folds = this.createFolds([...Array(numSamples).keys()], randomState);
+
+    return folds.map(fold => this.createSplit(numSamples, fold));
+  }
+
+  /**
+   * @see {@link Splitter#getNumSplits}
+   */
+  getNumSplits(X, y = null, groups = null) {
+    return this.numSplits;
+  }
+}
@@ -0,0 +1,28 @@
+// Internal dependencies
+import Splitter from './base';
+
+/**
+ * Leave-one-out cross-validation splitter. Each sample is used once as a test set of size one,
+ * while all other samples form the training set.
+ */
+export default class LeaveOneOut extends Splitter {
+  /**
+   * @see {@link Splitter#split}
+   */
+  split(X, y = null, groups = null) {
+    const numSamples = this.getNumSamples(X);
+
+    if (numSamples < 2) {
+      throw new Error('Leave-one-out cross-validation requires at least two samples.');
+    }
+
+    return [...Array(numSamples).keys()].map(i => this.createSplit(numSamples, [i]));
+  }
+
+  /**
+   * @see {@link Splitter#getNumSplits}
+   */
+  getNumSplits(X, y = null, groups = null) {
+    return this.getNumSamples(X);
+  }
+}
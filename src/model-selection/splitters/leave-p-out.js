@@ -0,0 +1,101 @@
+// Internal dependencies
+import Splitter from './base';
+
+/**
+ * Leave-p-out cross-validation splitter. Each possible subset of p samples is used once as the
+ * test set, while the remaining samples form the training set. Note that the number of splits,
+ * n choose p, grows very quickly with the number of samples n.
+ */
+export default class LeavePOut extends Splitter {
+  /**
+   * Constructor. Initialize class members and store user-defined options.
+   *
+   * @param {Object} [optionsUser] - User-defined options
+   * @param {number} [optionsUser.p = 2] - Size of the test sets
+   */
+  constructor(optionsUser = {}) {
+    super();
+
+    // Parse options
+    const optionsDefault = {
+      p: 2,
+    };
+
+    const options = {
+      ...optionsDefault,
+      ...optionsUser,
+    };
+
+    if (!Number.isInteger(options.p) || options.p < 1) {
+      throw new Error('The test set size p must be a positive integer.');
+    }
+
+    // Set options
+    this.p = options.p;
+  }
+
+  /**
+   * Check that the test set size is smaller than the number of samples.
+   *
+   * @param {number} numSamples - Number of samples
+   */
+  checkNumSamples(numSamples) {
+    if (this.p >= numSamples) {
+      throw new Error(`The test set size (p=${this.p}) must be smaller than the number of samples (${numSamples}).`);
+    }
+  }
+
+  /**
+   * @see {@link Splitter#split}
+   */
+  split(X, y = null, groups = null) {
+    const numSamples = this.getNumSamples(X);
+
+    this.checkNumSamples(numSamples);
+
+    // Enumerate all combinations of p sample indices in lexicographic order
+    const splits = [];
+    const combination = [...Array(this.p).keys()];
+
+    while (true) {
+      splits.push(this.createSplit(numSamples, combination));
+
+      // Find the rightmost index that can be incremented
+      let i = this.p - 1;
+
+      while (i >= 0 && combination[i] === numSamples - this.p + i) {
+        i -= 1;
+      }
+
+      if (i < 0) {
+        break;
+      }
+
+      combination[i] += 1;
+
+      for (let j = i + 1; j < this.p; j += 1) {
+        combination[j] = combination[j - 1] + 1;
+      }
+    }
+
+    return splits;
+  }
+
+  /**
+   * @see {@link Splitter#getNumSplits}
+   */
+  getNumSplits(X, y = null, groups = null) {
+    const numSamples = this.getNumSamples(X);
+    this.checkNumSamples(numSamples);
+
+    // Binomial coefficient n choose p. Each intermediate result is itself a binomial coefficient,
+    // so the divisions are exact
+    let numSplits = 1;
+
+    for (let i = 1; i <= this.p; i += 1) {
+      numSplits = numSplits * (numSamples - this.p + i) / i;
+    }
+
+    return numSplits;
+  }
+}
@@ -0,0 +1,70 @@
+// Internal dependencies
+import Splitter from './base';
+import KFold from './k-fold';
+import * as Random from '../../random';
+
+/**
+ * Repeated k-fold cross-validation splitter. Runs {@link KFold} with shuffling multiple times,
+ * with a different shuffle in each repetition. This reduces the variance of cross-validation
+ * estimates.
+ */
+export default class RepeatedKFold extends Splitter {
+  /**
+   * Constructor. Initialize class members and store user-defined options.
+   *
+   * @param {Object} [optionsUser] - User-defined options
+   * @param {number} [optionsUser.numSplits = 5] - Number of folds per repetition
+   * @param {number} [optionsUser.numRepeats = 10] - Number of repetitions
+   * @param {RandomState|number} [optionsUser.randomState = null] - Random state used for shuffling.
+   *   If null, the global random state is used. If an integer, a random state seeded with that
+   *   integer is used
+   */
+  constructor(optionsUser = {}) {
+    super();
+
+    // Parse options
+    const optionsDefault = {
+      numSplits: 5,
+      numRepeats: 10,
+      randomState: null,
+    };
+
+    const options = {
+      ...optionsDefault,
+      ...optionsUser,
+    };
+
+    if (!Number.isInteger(options.numRepeats) || options.numRepeats < 1) {
+      throw new Error('The number of repeats must be a positive integer.');
+    }
+
+    // Set options
+    this.numSplits = options.numSplits;
+    this.numRepeats = options.numRepeats;
+    this.randomState = options.randomState;
+  }
+
+  /**
+   * @see {@link Splitter#split}
+   */
+  split(X, y = null, groups = null) {
+    // Use the same random state for all repetitions, so that each repetition is shuffled
+    // differently
+    const randomState = Random.checkRandomState(this.randomState);
+    const kFold = new KFold({ numSplits: this.numSplits, shuffle: true, randomState });
+    const splits = [];
+
+    for (let i = 0; i < this.numRepeats; i += 1) {
+      splits.push(...kFold.split(X, y, groups));
+    }
+
+    return splits;
+  }
+
+  /**
+   * @see {@link Splitter#getNumSplits}
+   */
+  getNumSplits(X, y = null, groups = null) {
+    return this.numSplits * this.numRepeats;
+  }
+}
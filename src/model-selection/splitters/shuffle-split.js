@@ -0,0 +1,86 @@
+// Internal dependencies
+import Splitter from './base';
+import * as Arrays from '../../arrays';
+import * as Random from '../../random';
+
+/**
+ * Random permutation cross-validation splitter. Each split randomly divides the samples into a
+ * training and test set of fixed sizes. Unlike k-fold cross-validation, test sets of different
+ * splits may overlap.
+ */
+export default class ShuffleSplit extends Splitter {
+  /**
+   * Constructor. Initialize class members and store user-defined options.
+   *
+   * @param {Object} [optionsUser] - User-defined options
+   * @param {number} [optionsUser.numSplits = 10] - Number of splits
+   * @param {number} [optionsUser.testSize = 0.1] - Size of the test sets. If an integer larger
+   *   than or equal to 1, this exact number of samples is used. Otherwise, it is the proportion of
+   *   samples to use
+   * @param {number} [optionsUser.trainSize = null] - Size of the training sets, specified like
+   *   testSize. If null, all samples that are not in the test set are used
+   * @param {RandomState|number} [optionsUser.randomState = null] - Random state used for the
+   *   permutations. If null, the global random state is used. If an integer, a random state seeded
+   *   with that integer is used
+   */
+  constructor(optionsUser = {}) {
+    super();
+
+    // Parse options
+    const optionsDefault = {
+      numSplits: 10,
+      testSize: 0.1,
+      trainSize: null,
+      randomState: null,
+    };
+
+    const options = {
+      ...optionsDefault,
+      ...optionsUser,
+    };
+
+    // Set options
+    this.numSplits = options.numSplits;
+    this.testSize = options.testSize;
+    this.trainSize = options.trainSize;
+    this.randomState = options.randomState;
+  }
+
+  /**
+   * @see {@link Splitter#split}
+   */
+  split(X, y = null, groups = null) {
+    const numSamples = this.getNumSamples(X);
+    const toCount = size => (size >= 1 ? size : Math.round(size * numSamples));
+    const numTest = toCount(this.testSize);
+    const numTrain = this.trainSize === null ? numSamples - numTest : toCount(this.trainSize);
+
+    if (numTest < 1 || numTrain < 1 || numTest + numTrain > numSamples) {
+      throw new Error(`Invalid training and test set sizes (numTrain=${numTrain},
+        numTest=${numTest}) for the number of samples (numSamples=${numSamples}).`);
+    }
+
+    const randomState = Random.checkRandomState(this.randomState);
+    const indices = [...Array(numSamples).keys()];
+    const splits = [];
+
+    for (let i = 0; i < this.numSplits; i += 1) {
+      const [permutation] = Arrays.shuffle(indices, randomState);
+      const sort = a => a.sort((b, c) => b - c);
+
+      splits.push([
+        sort(permutation.slice(numTest, numTest + numTrain)),
+        sort(permutation.slice(0, numTest)),
+      ]);
+    }
+
+    return splits;
+  }
+
+  /**
+   * @see {@link Splitter#getNumSplits}
+   */
+  getNumSplits(X, y = null, groups = null) {
+    return this.numSplits;
+  }
+}
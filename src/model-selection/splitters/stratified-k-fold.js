@@ -0,0 +1,53 @@
+// Internal dependencies
+import KFold from './k-fold';
+import * as Arrays from '../../arrays';
+import * as Random from '../../random';
+
+/**
+ * Stratified k-fold cross-validation splitter. Like {@link KFold}, but the folds are made such that
+ * the proportion of samples of each class is (approximately) the same in each fold as in the
+ * complete dataset. This prevents classes from being absent from test sets for imbalanced data.
+ */
+export default class StratifiedKFold extends KFold {
+  /**
+   * @see {@link Splitter#split}
+   */
+  split(X, y = null, groups = null) {
+    if (y === null) {
+      throw new Error('Labels (y) are required for stratified splitting.');
+    }
+
+    const numSamples = this.getNumSamples(X);
+
+    if (y.length !== numSamples) {
+      throw new Error('Number of data points should match number of labels.');
+    }
+
+    if (this.numSplits > numSamples) {
+      throw new Error(`Cannot have more splits (numSplits=${this.numSplits}) than samples
+        (numSamples=${numSamples}).`);
+    }
+
+    const randomState = Random.checkRandomState(this.randomState);
+    const testFolds = [...Array(this.numSplits)].map(() => []);
+
+    // Deal the samples of each class to the folds in turn. The position in the turn order carries
+    // over from one class to the next, so that fold sizes differ by at most one sample
+    let position = 0;
+
+    Arrays.unique(y).forEach((label) => {
+      let classIndices = Arrays.argFilter(y, x => x === label);
+
+      if (this.shuffle) {
+        [classIndices] = Arrays.shuffle(classIndices, randomState);
+      }
+
+      classIndices.forEach((index) => {
+        testFolds[position % this.numSplits].push(index);
+        position += 1;
+      });
+    });
+
+    return testFolds.map(fold => this.createSplit(numSamples, fold));
+  }
+}
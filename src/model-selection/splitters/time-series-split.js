@@ -0,0 +1,91 @@
+// Internal dependencies
+import Splitter from './base';
+
+/**
+ * Time series cross-validation splitter. The samples are assumed to be ordered in time. In each
+ * split, the test set follows the training set in time, so no future samples are used to predict
+ * past samples. Successive training sets are supersets of the earlier ones, unless the maximum
+ * training set size is limited.
+ *
+ * @example
+ * var splitter = new TimeSeriesSplit({ numSplits: 3 });
+ * splitter.split([[1], [2], [3], [4], [5], [6]]);
+ * // [[[0, 1, 2], [3]], [[0, 1, 2, 3], [4]], [[0, 1, 2, 3, 4], [5]]]
+ */
+export default class TimeSeriesSplit extends Splitter {
+  /**
+   * Constructor. Initialize class members and store user-defined options.
+   *
+   * @param {Object} [optionsUser] - User-defined options
+   * @param {number} [optionsUser.numSplits = 5] - Number of splits. Must be at least 2
+   * @param {number} [optionsUser.maxTrainSize = null] - Maximum size of the training sets. If
+   *   specified, only the most recent samples are used for training
+   * @param {number} [optionsUser.testSize = null] - Size of the test sets. Defaults to the number
+   *   of samples divided by the number of splits plus one
+   * @param {number} [optionsUser.gap = 0] - Number of samples to exclude between the end of each
+   *   training set and the start of the corresponding test set
+   */
+  constructor(optionsUser = {}) {
+    super();
+
+    // Parse options
+    const optionsDefault = {
+      numSplits: 5,
+      maxTrainSize: null,
+      testSize: null,
+      gap: 0,
+    };
+
+    const options = {
+      ...optionsDefault,
+      ...optionsUser,
+    };
+
+    if (!Number.isInteger(options.numSplits) || options.numSplits < 2) {
+      throw new Error('The number of splits must be an integer larger than or equal to 2.');
+    }
+
+    // Set options
+    this.numSplits = options.numSplits;
+    this.maxTrainSize = options.maxTrainSize;
+    this.testSize = options.testSize;
+    this.gap = options.gap;
+  }
+
+  /**
+   * @see {@link Splitter#split}
+   */
+  split(X, y = null, groups = null) {
+    const numSamples = this.getNumSamples(X);
+    const testSize = this.testSize === null
+      ? Math.floor(numSamples / (this.numSplits + 1))
+      : this.testSize;
+
+    // Start of the first test set
+    const firstTestStart = numSamples - this.numSplits * testSize;
+
+    if (testSize < 1 || firstTestStart - this.gap < 1) {
+      throw new Error(`Too many splits (numSplits=${this.numSplits}) for the number of samples
+        (numSamples=${numSamples}).`);
+    }
+
+    const range = (start, stop) => [...Array(stop - start).keys()].map(i => start + i);
+
+    return [...Array(this.numSplits).keys()].map((i) => {
+      const testStart = firstTestStart + i * testSize;
+      const trainStop = testStart - this.gap;
+      const trainStart = this.maxTrainSize === null
+        ? 0
+        : Math.max(0, trainStop - this.maxTrainSize);
+
+      return [range(trainStart, trainStop), range(testStart, testStart + testSize)];
+    });
+  }
+
+  /**
+   * @see {@link Splitter#getNumSplits}
+   */
+  getNumSplits(X, y = null, groups = null) {
+    return this.numSplits;
+  }
+}
@@ -0,0 +1,83 @@
+// Internal dependencies
+import * as Arrays from '../arrays';
+
+/**
+ * Base class for transformers. Transformers learn parameters from a training data set using
+ * fit(), and apply the same transformation to any data set (such as the test data) using
+ * transform().
+ */
+export default class Transformer {
+  /**
+   * Initialize object properties.
+   */
+  constructor() {
+    /**
+     * Number of features of the data the transformer was fitted on. Null if the transformer has
+     * not been fitted yet
+     *
+     * @type {number}
+     */
+    this.numFeatures = null;
+  }
+
+  /**
+   * Learn the parameters of the transformation from a data set.
+   *
+   * @abstract
+   *
+   * @param {Array.<Array.<number>>} X - Features per data point
+   */
+  fit(X) { throw new Error('Method must be implemented child class.'); }
+
+  /**
+   * Transform a data set using the fitted parameters.
+   *
+   * @abstract
+   *
+   * @param {Array.<Array.<number>>} X - Features per data point
+   * @return {Array.<Array.<number>>} Transformed features per data point
+   */
+  transform(X) { throw new Error('Method must be implemented child class.'); }
+
+  /**
+   * Fit the transformer on a data set, and transform that data set.
+   *
+   * @param {Array.<Array.<number>>} X - Features per data point
+   * @return {Array.<Array.<number>>} Transformed features per data point
+   */
+  fitTransform(X) {
+    this.fit(X);
+    return this.transform(X);
+  }
+
+  /**
+   * Undo the transformation of a data set, mapping it back to the original feature space.
+   *
+   * @abstract
+   *
+   * @param {Array.<Array.<number>>} X - Transformed features per data point
+   * @return {Array.<Array.<number>>} Features per data point in the original feature space
+   */
+  inverseTransform(X) { throw new Error('Method must be implemented child class.'); }
+
+  /**
+   * Convert a data set to a dense matrix, and check that it has the number of features the
+   * transformer was fitted on.
+   *
+   * @param {Array.<Array.<number>>|CSRMatrix|COOMatrix|NDArray} X - Features per data point
+   * @return {Array.<Array.<number>>} Features per data point as a dense matrix
+   */
+  checkFitted(X) {
+    if (this.numFeatures === null) {
+      throw new Error('Transformer must be fitted before it can be used.');
+    }
+
+    const rows = Arrays.toArray(X);
+
+    if (rows.some(x => x.length !== this.numFeatures)) {
+      throw new Error('Number of features does not match the data the transformer was fitted on.');
+    }
+
+    return rows;
+  }
+}
@@ -0,0 +1,105 @@
+// Internal dependencies
+import Transformer from './base';
+import * as Arrays from '../arrays';
+
+/**
+ * Binarize features by thresholding: values larger than the threshold become 1, other values
+ * become 0. Fitting the binarizer is only needed for the inverse transformation, which maps the
+ * binary values back to the centers (means) of the values in each bin in the training data.
+ *
+ * @example
+ * var binarizer = new Binarizer({ threshold: 1.5 });
+ * binarizer.fitTransform([[1, 2], [2, 0], [0, 3]]); // [[0, 1], [1, 0], [0, 1]]
+ * binarizer.inverseTransform([[0, 1]]); // [[0.5, 2.5]]
+ */
+export default class Binarizer extends Transformer {
+  /**
+   * Constructor. Initialize class members and store user-defined options.
+   *
+   * @param {Object} [optionsUser] - User-defined options
+   * @param {number|Array.<number>} [optionsUser.threshold = 0] - Threshold, either for all
+   *   features or a list with the threshold for each feature
+   */
+  constructor(optionsUser = {}) {
+    super();
+
+    // Parse options
+    const optionsDefault = {
+      threshold: 0,
+    };
+
+    const options = {
+      ...optionsDefault,
+      ...optionsUser,
+    };
+
+    // Set options
+    this.threshold = options.threshold;
+  }
+
+  /**
+   * Get the threshold of a feature.
+   *
+   * @param {number} feature - Feature index
+   * @return {number} Threshold
+   */
+  getThreshold(feature) {
+    return Array.isArray(this.threshold) ? this.threshold[feature] : this.threshold;
+  }
+
+  /**
+   * @see {@link Transformer#fit}
+   */
+  fit(X) {
+    const rows = Arrays.toArray(X);
+
+    if (rows.length === 0) {
+      throw new Error('Cannot fit a binarizer on an empty data set.');
+    }
+
+    const numFeatures = rows[0].length;
+
+    if (Array.isArray(this.threshold) && this.threshold.length !== numFeatures) {
+      throw new Error('A threshold must be specified for each feature.');
+    }
+
+    /**
+     * Mean of the training values below and above the threshold for each feature. If a bin has
+     * no training values, the threshold is used as its center
+     *
+     * @type {Array.<Array.<number>>}
+     */
+    this.binCenters = [...Array(numFeatures).keys()].map((j) => {
+      const threshold = this.getThreshold(j);
+      const column = rows.map(x => x[j]);
+
+      return [
+        column.filter(x => x <= threshold),
+        column.filter(x => x > threshold),
+      ].map(values => (values.length > 0 ? Arrays.mean(values) : threshold));
+    });
+
+    this.numFeatures = numFeatures;
+  }
+
+  /**
+   * Binarize the features of a data set. Does not require fitting.
+   *
+   * @param {Array.<Array.<number>>|CSRMatrix} X - Features per data point
+   * @return {Array.<Array.<number>>} Binarized features per data point
+   */
+  transform(X) {
+    const rows = this.numFeatures === null ? Arrays.toArray(X) : this.checkFitted(X);
+    return rows.map(x => x.map((value, j) => (value > this.getThreshold(j) ? 1 : 0)));
+  }
+
+  /**
+   * Map binarized features back to the centers of their bins in the training data.
+   *
+   * @param {Array.<Array.<number>>} X - Binarized features per data point
+   * @return {Array.<Array.<number>>} Bin center of each feature per data point
+   */
+  inverseTransform(X) {
+    return this.checkFitted(X).map(x => x.map((value, j) => this.binCenters[j][value > 0 ? 1 : 0]));
+  }
+}
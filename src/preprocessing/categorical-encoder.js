@@ -0,0 +1,266 @@
+// Internal dependencies
+import Transformer from './base';
+import * as Arrays from '../arrays';
+
+/**
+ * Compare two categories for sorting. Numbers are sorted numerically and before all other values,
+ * which are sorted by their string representation.
+ *
+ * @param {mixed} a - First category
+ * @param {mixed} b - Second category
+ * @return {number} Negative if a comes before b, positive if a comes after b, 0 otherwise
+ */
+function compareCategories(a, b) {
+  const aIsNumber = typeof a === 'number';
+  const bIsNumber = typeof b === 'number';
+
+  if (aIsNumber && bIsNumber) {
+    return a - b;
+  }
+
+  if (aIsNumber !== bIsNumber) {
+    return aIsNumber ? -1 : 1;
+  }
+
+  const aString = String(a);
+  const bString = String(b);
+
+  if (aString === bString) {
+    return 0;
+  }
+
+  return aString < bString ? -1 : 1;
+}
+
+/**
+ * Base class for encoders of categorical features. Categorical encoders learn the categories of
+ * each feature (column) from the training data, and encode each category by an integer code. The
+ * way these codes are represented in the output is determined by the subclasses.
+ *
+ * Categories that occur rarely in the training data can be grouped into a single "infrequent"
+ * category using the minFrequency and maxCategories options. The infrequent category gets the
+ * last code of its feature.
+ */
+export default class CategoricalEncoder extends Transformer {
+  /**
+   * Constructor. Initialize class members and store user-defined options.
+   *
+   * @param {Object} [optionsUser] - User-defined options
+   * @param {string|Array.<Array.<mixed>>} [optionsUser.categories = 'auto'] - Categories of each
+   *   feature. Either 'auto', to use the (sorted) unique values of each feature in the training
+   *   data, or a list with a list of categories for each feature
+   * @param {string} [optionsUser.handleUnknown = 'error'] - How to handle categories that were not
+   *   seen during fitting. Either 'error' (throw an error), 'ignore' (see the subclasses for how
+   *   unknown categories are encoded) or 'infrequent' (encode unknown categories as the infrequent
+   *   category if the feature has one, and ignore them otherwise)
+   * @param {number} [optionsUser.minFrequency = null] - Minimum frequency of a category in the
+   *   training data for it not to be considered infrequent. Either an absolute number of samples
+   *   (if at least 1) or a fraction of the number of samples (if smaller than 1). If null, no
+   *   minimum frequency is used
+   * @param {number} [optionsUser.maxCategories = null] - Maximum number of categories per feature,
+   *   including the infrequent category. The least frequent categories are considered infrequent
+   *   until the limit is met. If null, the number of categories is not limited
+   */
+  constructor(optionsUser = {}) {
+    super();
+
+    // Parse options
+    const optionsDefault = {
+      categories: 'auto',
+      handleUnknown: 'error',
+      minFrequency: null,
+      maxCategories: null,
+    };
+
+    const options = {
+      ...optionsDefault,
+      ...optionsUser,
+    };
+
+    if (!['error', 'ignore', 'infrequent'].includes(options.handleUnknown)) {
+      throw new Error('Option handleUnknown must be "error", "ignore" or "infrequent".');
+    }
+
+    if (options.maxCategories !== null && options.maxCategories < 2) {
+      throw new Error('Option maxCategories must be at least 2.');
+    }
+
+    // Set options
+    this.categoriesUser = options.categories;
+    this.handleUnknown = options.handleUnknown;
+    this.minFrequency = options.minFrequency;
+    this.maxCategories = options.maxCategories;
+  }
+
+  /**
+   * Find the infrequent categories of a feature.
+   *
+   * @param {Array.<mixed>} categories - Categories of the feature
+   * @param {Array.<number>} counts - Number of training samples per category
+   * @param {number} numSamples - Number of training samples
+   * @return {Array.<mixed>} Infrequent categories, in the order of the input categories
+   */
+  findInfrequentCategories(categories, counts, numSamples) {
+    const isInfrequent = Arrays.full(categories.length, false);
+
+    if (this.minFrequency !== null) {
+      const minCount = this.minFrequency >= 1
+        ? this.minFrequency
+        : this.minFrequency * numSamples;
+
+      counts.forEach((count, i) => {
+        isInfrequent[i] = count < minCount;
+      });
+    }
+
+    if (this.maxCategories !== null) {
+      // Keep the most frequent categories, leaving room for the infrequent category. The sort is
+      // stable, so ties are broken by category order
+      const frequent = Arrays.argFilter(isInfrequent, x => !x);
+
+      if (frequent.length > this.maxCategories) {
+        frequent
+          .sort((a, b) => counts[b] - counts[a])
+          .slice(this.maxCategories - 1)
+          .forEach((i) => { isInfrequent[i] = true; });
+      }
+    }
+
+    return categories.filter((x, i) => isInfrequent[i]);
+  }
+
+  /**
+   * @see {@link Transformer#fit}
+   */
+  fit(X) {
+    const rows = Arrays.toArray(X);
+
+    if (rows.length === 0) {
+      throw new Error('Cannot fit an encoder on an empty data set.');
+    }
+
+    const numFeatures = rows[0].length;
+
+    if (this.categoriesUser !== 'auto' && this.categoriesUser.length !== numFeatures) {
+      throw new Error('A list of categories must be specified for each feature.');
+    }
+
+    /**
+     * Categories of each feature
+     *
+     * @type {Array.<Array.<mixed>>}
+     */
+    this.categories = [];
+
+    /**
+     * Infrequent categories of each feature
+     *
+     * @type {Array.<Array.<mixed>>}
+     */
+    this.infrequentCategories = [];
+
+    /**
+     * Map from category to code for each feature. Frequent categories are numbered consecutively
+     * in the order of the categories; all infrequent categories share the next code
+     *
+     * @type {Array.<Map.<mixed, number>>}
+     */
+    this.categoryCodes = [];
+
+    /**
+     * Frequent categories of each feature, indexed by their code
+     *
+     * @type {Array.<Array.<mixed>>}
+     */
+    this.frequentCategories = [];
+
+    for (let j = 0; j < numFeatures; j += 1) {
+      const column = rows.map(x => x[j]);
+      let categories;
+
+      if (this.categoriesUser === 'auto') {
+        categories = Arrays.unique(column).sort(compareCategories);
+      } else {
+        categories = this.categoriesUser[j].slice();
+        const unknown = column.find(x => !categories.includes(x));
+
+        if (typeof unknown !== 'undefined' && this.handleUnknown === 'error') {
+          throw new Error(`Found unknown category "${unknown}" in feature ${j} during fitting.`);
+        }
+      }
+
+      const counts = new Map(categories.map(x => [x, 0]));
+      column.filter(x => counts.has(x)).forEach((x) => { counts.set(x, counts.get(x) + 1); });
+
+      const infrequent = this.findInfrequentCategories(
+        categories,
+        categories.map(x => counts.get(x)),
+        rows.length
+      );
+
+      const frequent = categories.filter(x => !infrequent.includes(x));
+      const codes = new Map(frequent.map((x, i) => [x, i]));
+      infrequent.forEach((x) => { codes.set(x, frequent.length); });
+
+      this.categories.push(categories);
+      this.infrequentCategories.push(infrequent);
+      this.categoryCodes.push(codes);
+      this.frequentCategories.push(frequent);
+    }
+
+    this.numFeatures = numFeatures;
+  }
+
+  /**
+   * Get the number of distinct codes of a feature, i.e. the number of frequent categories plus one
+   * if the feature has infrequent categories.
+   *
+   * @param {number} feature - Feature index
+   * @return {number} Number of codes
+   */
+  getNumCodes(feature) {
+    return this.frequentCategories[feature].length
+      + (this.infrequentCategories[feature].length > 0 ? 1 : 0);
+  }
+
+  /**
+   * Get the category corresponding to a code.
+   *
+   * @param {number} feature - Feature index
+   * @param {number} code - Code of the category
+   * @return {mixed} Category, or null for the code of the infrequent category (which does not
+   *   correspond to a single category)
+   */
+  getCategory(feature, code) {
+    return code < this.frequentCategories[feature].length
+      ? this.frequentCategories[feature][code]
+      : null;
+  }
+
+  /**
+   * Encode the categories of a data set by their codes.
+   *
+   * @param {Array.<Array.<mixed>>} X - Categorical features per data point
+   * @return {Array.<Array.<number>>} Code of the category of each feature per data point. Unknown
+   *   categories that are ignored are encoded as -1
+   */
+  encode(X) {
+    return this.checkFitted(X).map(x => x.map((value, j) => {
+      const codes = this.categoryCodes[j];
+
+      if (codes.has(value)) {
+        return codes.get(value);
+      }
+
+      if (this.handleUnknown === 'error') {
+        throw new Error(`Found unknown category "${value}" in feature ${j}.`);
+      }
+
+      if (this.handleUnknown === 'infrequent' && this.infrequentCategories[j].length > 0) {
+        return this.getNumCodes(j) - 1;
+      }
+
+      return -1;
+    }));
+  }
+}
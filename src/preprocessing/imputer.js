@@ -0,0 +1,146 @@
+// Internal dependencies
+import Transformer from './base';
+import MissingIndicator from './missing-indicator';
+import * as Arrays from '../arrays';
+
+/**
+ * Base class for imputers, which replace missing values in a data set by estimates learned from
+ * the training data. Subclasses implement fitImputation() and impute(). Optionally, the imputed
+ * data is followed by missing indicator columns (see {@link MissingIndicator}) for the features
+ * with missing values in the training data.
+ */
+export default class Imputer extends Transformer {
+  /**
+   * Constructor. Initialize class members and store user-defined options.
+   *
+   * @param {Object} [optionsUser] - User-defined options
+   * @param {mixed} [optionsUser.missingValues = NaN] - Value that marks missing values. If NaN,
+   *   NaN, null and undefined values are all considered missing
+   * @param {boolean} [optionsUser.addIndicator = false] - Whether to append missing indicator
+   *   columns to the imputed data
+   */
+  constructor(optionsUser = {}) {
+    super();
+
+    // Parse options
+    const optionsDefault = {
+      missingValues: NaN,
+      addIndicator: false,
+    };
+
+    const options = {
+      ...optionsDefault,
+      ...optionsUser,
+    };
+
+    // Set options
+    this.missingValues = options.missingValues;
+    this.addIndicator = options.addIndicator;
+
+    /**
+     * Missing indicator for the features with missing values in the training data
+     *
+     * @type {MissingIndicator}
+     */
+    this.indicator = new MissingIndicator({
+      missingValues: options.missingValues,
+      features: 'missingOnly',
+    });
+  }
+
+  /**
+   * Check whether a value is missing.
+   *
+   * @param {mixed} value - Value to check
+   * @return {boolean} Whether the value is missing
+   */
+  isMissing(value) {
+    return this.indicator.isMissing(value);
+  }
+
+  /**
+   * Learn the imputation parameters from the training data.
+   *
+   * @abstract
+   *
+   * @param {Array.<Array.<mixed>>} X - Features per data point, possibly containing missing values
+   */
+  fitImputation(X) { throw new Error('Method must be implemented child class.'); }
+
+  /**
+   * Replace the missing values of a data set using the fitted imputation parameters.
+   *
+   * @abstract
+   *
+   * @param {Array.<Array.<mixed>>} X - Features per data point, possibly containing missing values
+   * @return {Array.<Array.<mixed>>} Features per data point without missing values
+   */
+  impute(X) { throw new Error('Method must be implemented child class.'); }
+
+  /**
+   * @see {@link Transformer#fit}
+   */
+  fit(X) {
+    const rows = Arrays.toArray(X);
+
+    if (rows.length === 0) {
+      throw new Error('Cannot fit an imputer on an empty data set.');
+    }
+
+    this.indicator.fit(rows);
+    this.fitImputation(rows);
+    this.numFeatures = rows[0].length;
+  }
+
+  /**
+   * @see {@link Transformer#transform}
+   */
+  transform(X) {
+    const rows = this.checkFitted(X);
+    const imputed = this.impute(rows);
+
+    if (!this.addIndicator) {
+      return imputed;
+    }
+
+    const indicators = this.indicator.transform(rows);
+    return imputed.map((x, i) => x.concat(indicators[i]));
+  }
+
+  /**
+   * Restore the missing values of imputed data, using the missing indicator columns. Only
+   * available if the imputer adds missing indicators.
+   *
+   * @param {Array.<Array.<mixed>>} X - Imputed features per data point, followed by the missing
+   *   indicators
+   * @return {Array.<Array.<mixed>>} Features per data point, with missing values
+   */
+  inverseTransform(X) {
+    if (!this.addIndicator) {
+      throw new Error('Inverse transformation requires the imputer to add missing indicators.');
+    }
+
+    if (this.numFeatures === null) {
+      throw new Error('Transformer must be fitted before it can be used.');
+    }
+
+    const { features } = this.indicator;
+    const rows = Arrays.toArray(X);
+
+    if (rows.some(x => x.length !== this.numFeatures + features.length)) {
+      throw new Error('Number of features does not match the output of the imputer.');
+    }
+
+    return rows.map((x) => {
+      const values = x.slice(0, this.numFeatures);
+
+      features.forEach((j, k) => {
+        if (x[this.numFeatures + k] === 1) {
+          values[j] = this.missingValues;
+        }
+      });
+
+      return values;
+    });
+  }
+}
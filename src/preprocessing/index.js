@@ -1,5 +1,39 @@
+import Transformer from './base';
 import LabelEncoder from './labelencoder';
+import StandardScaler from './standard-scaler';
+import MinMaxScaler from './min-max-scaler';
+import MaxAbsScaler from './max-abs-scaler';
+import RobustScaler from './robust-scaler';
+import CategoricalEncoder from './categorical-encoder';
+import OneHotEncoder from './one-hot-encoder';
+import OrdinalEncoder from './ordinal-encoder';
+import MissingIndicator from './missing-indicator';
+import Imputer from './imputer';
+import SimpleImputer from './simple-imputer';
+import KNNImputer from './knn-imputer';
+import IterativeImputer from './iterative-imputer';
+import PolynomialFeatures from './polynomial-features';
+import SplineTransformer from './spline-transformer';
+import KBinsDiscretizer from './k-bins-discretizer';
+import Binarizer from './binarizer';
 
 export default {
+  Transformer,
   LabelEncoder,
+  StandardScaler,
+  MinMaxScaler,
+  MaxAbsScaler,
+  RobustScaler,
+  CategoricalEncoder,
+  OneHotEncoder,
+  OrdinalEncoder,
+  MissingIndicator,
+  Imputer,
+  SimpleImputer,
+  KNNImputer,
+  IterativeImputer,
+  PolynomialFeatures,
+  SplineTransformer,
+  KBinsDiscretizer,
+  Binarizer,
 };
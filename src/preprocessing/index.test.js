@@ -0,0 +1,584 @@
+var expect = require('chai').expect;
+var Preprocessing = require('./index.js');
+var CSRMatrix = require('../arrays/csr-matrix.js');
+
+function expectClose(actual, expected) {
+  expect(actual.length).to.equal(expected.length);
+  actual.forEach(function(row, i) {
+    row.forEach(function(value, j) {
+      expect(value).to.be.closeTo(expected[i][j], 1e-10);
+    });
+  });
+}
+
+describe('Preprocessing', function() {
+  var XTrain = [[1, -1, 2], [2, 0, 0], [0, 1, -1]];
+
+  describe('StandardScaler', function() {
+    it('should transform the training data to zero mean and unit variance', function() {
+      var scaler = new Preprocessing.StandardScaler();
+      var XScaled = scaler.fitTransform(XTrain);
+
+      expectClose([scaler.mean], [[1, 0, 1 / 3]]);
+      expectClose(XScaled, [
+        [0, -1.224744871391589, 1.336306209562122],
+        [1.224744871391589, 0, -0.267261241912424],
+        [-1.224744871391589, 1.224744871391589, -1.069044967649698],
+      ]);
+    });
+
+    it('should apply the training statistics to test data', function() {
+      var scaler = new Preprocessing.StandardScaler();
+      scaler.fit([[0, 0], [0, 0], [1, 1], [1, 1]]);
+
+      expectClose(scaler.transform([[2, 2], [0.5, 0]]), [[3, 3], [0, -1]]);
+    });
+
+    it('should only center constant features, and respect the options', function() {
+      var scaler = new Preprocessing.StandardScaler();
+      expectClose(scaler.fitTransform([[1, 5], [3, 5]]), [[-1, 0], [1, 0]]);
+
+      var scalerNoMean = new Preprocessing.StandardScaler({ withMean: false });
+      expectClose(scalerNoMean.fitTransform([[1], [3]]), [[1], [3]]);
+
+      var scalerNoStd = new Preprocessing.StandardScaler({ withStd: false });
+      expectClose(scalerNoStd.fitTransform([[1], [3]]), [[-1], [1]]);
+    });
+
+    it('should invert the transformation', function() {
+      var scaler = new Preprocessing.StandardScaler();
+      expectClose(scaler.inverseTransform(scaler.fitTransform(XTrain)), XTrain);
+    });
+  });
+
+  describe('MinMaxScaler', function() {
+    it('should scale the training data to the feature range', function() {
+      var scaler = new Preprocessing.MinMaxScaler();
+      expectClose(scaler.fitTransform(XTrain), [[0.5, 0, 1], [1, 0.5, 1 / 3], [0, 1, 0]]);
+
+      var scalerRange = new Preprocessing.MinMaxScaler({ featureRange: [-1, 1] });
+      expectClose(
+        scalerRange.fitTransform([[0, 10], [5, 20], [10, 30]]),
+        [[-1, -1], [0, 0], [1, 1]]
+      );
+      expectClose(scalerRange.transform([[20, 15]]), [[3, -0.5]]);
+    });
+
+    it('should clip test data to the feature range if requested', function() {
+      var scaler = new Preprocessing.MinMaxScaler({ clip: true });
+      scaler.fit([[0], [10]]);
+
+      expectClose(scaler.transform([[-5], [5], [20]]), [[0], [0.5], [1]]);
+    });
+
+    it('should map constant features to the lower bound and invert the transformation', function() {
+      var scaler = new Preprocessing.MinMaxScaler();
+      expectClose(scaler.fitTransform([[4, 1], [4, 2]]), [[0, 0], [0, 1]]);
+      expectClose(scaler.inverseTransform([[0, 0.5]]), [[4, 1.5]]);
+    });
+
+    it('should throw an error for an invalid feature range', function() {
+      expect(function() { new Preprocessing.MinMaxScaler({ featureRange: [1, 0] }); }).to.throw();
+    });
+  });
+
+  describe('MaxAbsScaler', function() {
+    it('should scale each feature by its maximum absolute value', function() {
+      var scaler = new Preprocessing.MaxAbsScaler();
+
+      expectClose(scaler.fitTransform(XTrain), [[0.5, -1, 1], [1, 0, 0], [0, 1, -0.5]]);
+      expectClose(scaler.transform([[-4, 0.5, 0]]), [[-2, 0.5, 0]]);
+      expectClose(scaler.inverseTransform([[0.5, -1, 1]]), [[1, -1, 2]]);
+    });
+
+    it('should accept sparse feature matrices', function() {
+      var scaler = new Preprocessing.MaxAbsScaler();
+      var XScaled = scaler.fitTransform(CSRMatrix.fromArray(XTrain));
+
+      expectClose(XScaled, [[0.5, -1, 1], [1, 0, 0], [0, 1, -0.5]]);
+    });
+  });
+
+  describe('RobustScaler', function() {
+    it('should center at the median and scale by the interquartile range', function() {
+      var scaler = new Preprocessing.RobustScaler();
+
+      var XScaled = scaler.fitTransform([[1], [2], [3], [4], [100]]);
+
+      expectClose(XScaled, [[-1], [-0.5], [0], [0.5], [48.5]]);
+      expectClose([scaler.center, scaler.scale], [[3], [2]]);
+      expectClose(scaler.inverseTransform([[1]]), [[5]]);
+    });
+
+    it('should respect the quantile range and options', function() {
+      var X = [[0, 7], [10, 7], [20, 7], [30, 7], [40, 7]];
+
+      var scalerRange = new Preprocessing.RobustScaler({ quantileRange: [0, 100] });
+      expectClose(
+        scalerRange.fitTransform(X),
+        [[-0.5, 0], [-0.25, 0], [0, 0], [0.25, 0], [0.5, 0]]
+      );
+
+      var scalerNoCentering = new Preprocessing.RobustScaler({ withCentering: false });
+      expectClose(scalerNoCentering.fitTransform([[0], [10], [20]]), [[0], [1], [2]]);
+    });
+  });
+
+  describe('OrdinalEncoder', function() {
+    var XCategorical = [['red', 'S'], ['blue', 'M'], ['red', 'L']];
+
+    it('should encode the sorted categories of each feature as integers', function() {
+      var encoder = new Preprocessing.OrdinalEncoder();
+
+      expect(encoder.fitTransform(XCategorical)).to.deep.equal([[1, 2], [0, 1], [1, 0]]);
+      expect(encoder.categories).to.deep.equal([['blue', 'red'], ['L', 'M', 'S']]);
+      expect(encoder.inverseTransform([[0, 2], [1, 1]]))
+        .to.deep.equal([['blue', 'S'], ['red', 'M']]);
+    });
+
+    it('should sort numeric categories numerically', function() {
+      var encoder = new Preprocessing.OrdinalEncoder();
+
+      expect(encoder.fitTransform([[10], [9], [100]])).to.deep.equal([[1], [0], [2]]);
+    });
+
+    it('should use explicitly specified categories', function() {
+      var encoder = new Preprocessing.OrdinalEncoder({
+        categories: [['red', 'blue', 'green'], ['S', 'M', 'L']],
+      });
+
+      expect(encoder.fitTransform(XCategorical)).to.deep.equal([[0, 0], [1, 1], [0, 2]]);
+      expect(function() { encoder.fit([['yellow', 'S']]); }).to.throw();
+    });
+
+    it('should handle unknown categories', function() {
+      var encoder = new Preprocessing.OrdinalEncoder();
+      encoder.fit(XCategorical);
+      expect(function() { encoder.transform([['green', 'S']]); }).to.throw();
+
+      var encoderIgnore = new Preprocessing.OrdinalEncoder({ handleUnknown: 'ignore' });
+      encoderIgnore.fit(XCategorical);
+      expect(encoderIgnore.transform([['green', 'S']])).to.deep.equal([[-1, 2]]);
+      expect(encoderIgnore.inverseTransform([[-1, 2]])).to.deep.equal([[null, 'S']]);
+    });
+
+    it('should group infrequent categories', function() {
+      var X = [['a'], ['a'], ['a'], ['b'], ['b'], ['c'], ['d']];
+      var encoder = new Preprocessing.OrdinalEncoder({
+        minFrequency: 2,
+        handleUnknown: 'infrequent',
+      });
+
+      expect(encoder.fitTransform(X)).to.deep.equal([[0], [0], [0], [1], [1], [2], [2]]);
+      expect(encoder.infrequentCategories).to.deep.equal([['c', 'd']]);
+      expect(encoder.transform([['e']])).to.deep.equal([[2]]);
+      expect(encoder.inverseTransform([[1], [2]])).to.deep.equal([['b'], [null]]);
+
+      var encoderMax = new Preprocessing.OrdinalEncoder({ maxCategories: 2 });
+      encoderMax.fit(X);
+      expect(encoderMax.infrequentCategories).to.deep.equal([['b', 'c', 'd']]);
+    });
+  });
+
+  describe('OneHotEncoder', function() {
+    var XCategorical = [['red', 'S'], ['blue', 'M'], ['red', 'L']];
+
+    it('should encode each category as a binary feature', function() {
+      var encoder = new Preprocessing.OneHotEncoder();
+
+      expect(encoder.fitTransform(XCategorical)).to.deep.equal([
+        [0, 1, 0, 0, 1],
+        [1, 0, 0, 1, 0],
+        [0, 1, 1, 0, 0],
+      ]);
+      expect(encoder.getFeatureNames())
+        .to.deep.equal(['x0_blue', 'x0_red', 'x1_L', 'x1_M', 'x1_S']);
+      expect(encoder.getFeatureNames(['color', 'size'])[0]).to.equal('color_blue');
+      expect(encoder.inverseTransform([[1, 0, 0, 0, 1]])).to.deep.equal([['blue', 'S']]);
+    });
+
+    it('should drop reference categories', function() {
+      var encoderFirst = new Preprocessing.OneHotEncoder({ drop: 'first' });
+      expect(encoderFirst.fitTransform(XCategorical))
+        .to.deep.equal([[1, 0, 1], [0, 1, 0], [1, 0, 0]]);
+      expect(encoderFirst.inverseTransform([[0, 0, 0]])).to.deep.equal([['blue', 'L']]);
+
+      var encoderBinary = new Preprocessing.OneHotEncoder({ drop: 'ifBinary' });
+      expect(encoderBinary.fitTransform(XCategorical)[0]).to.deep.equal([1, 0, 0, 1]);
+
+      var encoderList = new Preprocessing.OneHotEncoder({ drop: ['red', null] });
+      expect(encoderList.fitTransform(XCategorical)[0]).to.deep.equal([0, 0, 0, 1]);
+      expect(encoderList.inverseTransform([[0, 0, 1, 0]])).to.deep.equal([['red', 'M']]);
+    });
+
+    it('should handle unknown and infrequent categories', function() {
+      var encoderIgnore = new Preprocessing.OneHotEncoder({ handleUnknown: 'ignore' });
+      encoderIgnore.fit(XCategorical);
+      expect(encoderIgnore.transform([['green', 'M']])).to.deep.equal([[0, 0, 0, 1, 0]]);
+      expect(encoderIgnore.inverseTransform([[0, 0, 0, 1, 0]])).to.deep.equal([[null, 'M']]);
+
+      var X = [['a'], ['a'], ['b'], ['b'], ['c']];
+      var encoder = new Preprocessing.OneHotEncoder({
+        minFrequency: 2,
+        handleUnknown: 'infrequent',
+      });
+      expect(encoder.fitTransform(X)[4]).to.deep.equal([0, 0, 1]);
+      expect(encoder.transform([['d']])).to.deep.equal([[0, 0, 1]]);
+      expect(encoder.getFeatureNames()).to.deep.equal(['x0_a', 'x0_b', 'x0_infrequent']);
+    });
+
+    it('should return a sparse matrix if requested', function() {
+      var encoder = new Preprocessing.OneHotEncoder({ sparse: true });
+      var XEncoded = encoder.fitTransform(XCategorical);
+
+      expect(XEncoded).to.be.an.instanceof(CSRMatrix);
+      expect(XEncoded.nnz).to.equal(6);
+      expect(encoder.inverseTransform(XEncoded)).to.deep.equal(XCategorical);
+    });
+  });
+
+  describe('MissingIndicator', function() {
+    it('should indicate the missing values of features with missing training values', function() {
+      var indicator = new Preprocessing.MissingIndicator();
+
+      expect(indicator.fitTransform([[1, NaN, 3], [4, 5, null]])).to.deep.equal([[1, 0], [0, 1]]);
+      expect(indicator.features).to.deep.equal([1, 2]);
+      expect(indicator.transform([[NaN, 2, 3]])).to.deep.equal([[0, 0]]);
+    });
+
+    it('should support all features and custom missing values', function() {
+      var indicator = new Preprocessing.MissingIndicator({ missingValues: -1, features: 'all' });
+
+      expect(indicator.fitTransform([[1, -1], [-1, NaN]])).to.deep.equal([[0, 1], [1, 0]]);
+    });
+  });
+
+  describe('SimpleImputer', function() {
+    var XMissing = [[1, 2], [NaN, 3], [7, 6], [4, null]];
+
+    it('should impute the mean or median of each feature', function() {
+      var imputerMean = new Preprocessing.SimpleImputer();
+      expectClose(imputerMean.fitTransform(XMissing), [[1, 2], [4, 3], [7, 6], [4, 11 / 3]]);
+      expectClose(imputerMean.transform([[NaN, NaN]]), [[4, 11 / 3]]);
+
+      var imputerMedian = new Preprocessing.SimpleImputer({ strategy: 'median' });
+      expectClose(imputerMedian.fitTransform(XMissing), [[1, 2], [4, 3], [7, 6], [4, 3]]);
+    });
+
+    it('should impute the most frequent value or a constant', function() {
+      var X = [['a', 1], ['b', NaN], [NaN, 2], ['b', 1]];
+
+      var imputerFrequent = new Preprocessing.SimpleImputer({ strategy: 'mostFrequent' });
+      expect(imputerFrequent.fitTransform(X))
+        .to.deep.equal([['a', 1], ['b', 1], ['b', 2], ['b', 1]]);
+
+      var imputerConstant = new Preprocessing.SimpleImputer({
+        strategy: 'constant',
+        fillValue: -1,
+      });
+      expect(imputerConstant.fitTransform(X)[1]).to.deep.equal(['b', -1]);
+    });
+
+    it('should add missing indicators and invert the imputation', function() {
+      var imputer = new Preprocessing.SimpleImputer({ strategy: 'median', addIndicator: true });
+      var XImputed = imputer.fitTransform(XMissing);
+
+      expect(XImputed).to.deep.equal([[1, 2, 0, 0], [4, 3, 1, 0], [7, 6, 0, 0], [4, 3, 0, 1]]);
+
+      var XRestored = imputer.inverseTransform(XImputed);
+      expect(XRestored[1][0]).to.be.NaN;
+      expect(XRestored[2]).to.deep.equal([7, 6]);
+    });
+  });
+
+  describe('KNNImputer', function() {
+    var XMissing = [[1, 2, NaN], [3, 4, 3], [NaN, 6, 5], [8, 8, 7]];
+
+    it('should impute the mean of the nearest neighbours', function() {
+      var imputer = new Preprocessing.KNNImputer({ numNeighbours: 2 });
+
+      expectClose(imputer.fitTransform(XMissing), [[1, 2, 4], [3, 4, 3], [5.5, 6, 5], [8, 8, 7]]);
+      expectClose(imputer.transform([[7, NaN, NaN]]), [[7, 6, 5]]);
+    });
+
+    it('should weight neighbours by their inverse distance', function() {
+      var imputer = new Preprocessing.KNNImputer({ numNeighbours: 2, weights: 'distance' });
+      imputer.fit([[0, 0], [1, 10], [5, 50]]);
+
+      expectClose(imputer.transform([[2, NaN], [5, NaN]]), [[2, 20 / 3], [5, 50]]);
+    });
+
+    it('should add missing indicators', function() {
+      var imputer = new Preprocessing.KNNImputer({ numNeighbours: 2, addIndicator: true });
+      expect(imputer.fitTransform(XMissing)[0]).to.deep.equal([1, 2, 4, 0, 1]);
+    });
+  });
+
+  describe('IterativeImputer', function() {
+    var XMissing = [[1, 2], [2, 4], [3, 6], [4, NaN], [NaN, 10], [6, 12]];
+
+    it('should model each feature from the other features', function() {
+      var imputer = new Preprocessing.IterativeImputer({ maxIterations: 50, tolerance: 1e-8 });
+      var XImputed = imputer.fitTransform(XMissing);
+
+      expect(XImputed[3][1]).to.be.closeTo(8, 1e-3);
+      expect(XImputed[4][0]).to.be.closeTo(5, 1e-3);
+      expect(imputer.transform([[NaN, 14]])[0][0]).to.be.closeTo(7, 1e-3);
+    });
+
+    it('should use a custom estimator and clip the imputed values', function() {
+      var numTrained = 0;
+      var imputer = new Preprocessing.IterativeImputer({
+        maxIterations: 2,
+        maxValue: 9,
+        estimatorFactory: function() {
+          numTrained += 1;
+          return {
+            train: function() {},
+            predict: function(X) { return X.map(function() { return 100; }); },
+          };
+        },
+      });
+
+      var XImputed = imputer.fitTransform(XMissing);
+
+      expect(numTrained).to.equal(4);
+      expect(XImputed[3][1]).to.equal(9);
+      expect(XImputed[4][0]).to.equal(9);
+    });
+
+    it('should keep the initial imputation for features that cannot be modelled', function() {
+      var imputer = new Preprocessing.IterativeImputer();
+
+      expect(imputer.fitTransform([[1, NaN], [2, NaN], [3, NaN]]))
+        .to.deep.equal([[1, 0], [2, 0], [3, 0]]);
+      expect(imputer.fitTransform([[1], [NaN], [3]])).to.deep.equal([[1], [2], [3]]);
+      expect(imputer.transform([[NaN]])).to.deep.equal([[2]]);
+    });
+  });
+
+  describe('PolynomialFeatures', function() {
+    it('should generate all products of features up to the degree', function() {
+      var poly = new Preprocessing.PolynomialFeatures();
+
+      expect(poly.fitTransform([[2, 3], [0, 1]]))
+        .to.deep.equal([[1, 2, 3, 4, 6, 9], [1, 0, 1, 0, 0, 1]]);
+      expect(poly.getFeatureNames()).to.deep.equal(['1', 'x0', 'x1', 'x0^2', 'x0 x1', 'x1^2']);
+
+      var polyCubic = new Preprocessing.PolynomialFeatures({ degree: 3, includeBias: false });
+      expect(polyCubic.fitTransform([[2]])).to.deep.equal([[2, 4, 8]]);
+    });
+
+    it('should only generate interaction features if requested', function() {
+      var poly = new Preprocessing.PolynomialFeatures({ degree: 3, interactionOnly: true });
+
+      expect(poly.fitTransform([[2, 3, 5]])).to.deep.equal([[1, 2, 3, 5, 6, 10, 15, 30]]);
+      expect(poly.getFeatureNames(['a', 'b', 'c']).slice(-2)).to.deep.equal(['b c', 'a b c']);
+    });
+
+    it('should recover the input features', function() {
+      var poly = new Preprocessing.PolynomialFeatures({ degree: 2 });
+      var X = [[1, -2], [3, 0.5]];
+
+      expect(poly.inverseTransform(poly.fitTransform(X))).to.deep.equal(X);
+    });
+  });
+
+  describe('SplineTransformer', function() {
+    it('should evaluate the B-splines of each feature', function() {
+      var splines = new Preprocessing.SplineTransformer({ numKnots: 3, degree: 2 });
+
+      expectClose(splines.fitTransform([[0], [1], [2]]), [
+        [0.5, 0.5, 0, 0],
+        [0, 0.5, 0.5, 0],
+        [0, 0, 0.5, 0.5],
+      ]);
+      expectClose(splines.transform([[0.5]]), [[0.125, 0.75, 0.125, 0]]);
+    });
+
+    it('should generate splines that sum to one for each feature', function() {
+      var splines = new Preprocessing.SplineTransformer();
+      var XSplines = splines.fitTransform([[0, -5], [1, 5], [0.3, 2], [0.75, 0]]);
+
+      expect(splines.numOutputFeatures).to.equal(14);
+      expect(splines.getFeatureNames()[7]).to.equal('x1_sp_0');
+      XSplines.forEach(function(x) {
+        expect(x.slice(0, 7).reduce(function(r, a) { return r + a; })).to.be.closeTo(1, 1e-10);
+        expect(x.slice(7).reduce(function(r, a) { return r + a; })).to.be.closeTo(1, 1e-10);
+      });
+    });
+
+    it('should place knots at quantiles and drop the last spline without bias', function() {
+      var splines = new Preprocessing.SplineTransformer({
+        numKnots: 3,
+        degree: 1,
+        knots: 'quantile',
+        includeBias: false,
+      });
+
+      expectClose(
+        splines.fitTransform([[0], [1], [2], [10]]),
+        [[1, 0], [1 / 3, 2 / 3], [0, 16 / 17], [0, 0]]
+      );
+    });
+
+    it('should remove repeated quantile knots', function() {
+      var splines = new Preprocessing.SplineTransformer({
+        numKnots: 3,
+        degree: 1,
+        knots: 'quantile',
+      });
+
+      splines.fit([[0], [0], [0], [0], [0], [0], [1], [2]]);
+
+      expect(splines.numSplines).to.deep.equal([2]);
+      expectClose(splines.transform([[0], [1], [2]]), [[1, 0], [0.5, 0.5], [0, 1]]);
+    });
+
+    it('should extrapolate outside of the range of the knots', function() {
+      function createSplines(extrapolation) {
+        var splines = new Preprocessing.SplineTransformer({
+          numKnots: 3,
+          degree: 2,
+          extrapolation: extrapolation,
+        });
+
+        splines.fit([[0], [2]]);
+        return splines;
+      }
+
+      expectClose(
+        createSplines('constant').transform([[-1], [3]]),
+        [[0.5, 0.5, 0, 0], [0, 0, 0.5, 0.5]]
+      );
+      expectClose(
+        createSplines('linear').transform([[-1], [3]]),
+        [[1.5, -0.5, 0, 0], [0, 0, -0.5, 1.5]]
+      );
+      expectClose(createSplines('continue').transform([[-1]]), [[2, -1.5, 0.5, 0]]);
+      expect(function() { createSplines('error').transform([[3]]); }).to.throw();
+    });
+
+    it('should support a different number of knots per feature', function() {
+      var splines = new Preprocessing.SplineTransformer({
+        degree: 1,
+        knots: [[0, 1, 2, 3, 4], [0, 2, 4]],
+      });
+
+      splines.fit([[0, 0], [4, 4]]);
+
+      expect(splines.numSplines).to.deep.equal([5, 3]);
+      expect(splines.numOutputFeatures).to.equal(8);
+      expect(splines.getFeatureNames().slice(4))
+        .to.deep.equal(['x0_sp_4', 'x1_sp_0', 'x1_sp_1', 'x1_sp_2']);
+      expectClose(splines.transform([[1, 1], [5, 5]]), [
+        [0, 1, 0, 0, 0, 0.5, 0.5, 0],
+        [0, 0, 0, 0, 1, 0, 0, 1],
+      ]);
+    });
+  });
+
+  describe('KBinsDiscretizer', function() {
+    it('should divide features into bins of equal width', function() {
+      var discretizer = new Preprocessing.KBinsDiscretizer({
+        numBins: 3,
+        strategy: 'uniform',
+        encode: 'ordinal',
+      });
+
+      expect(discretizer.fitTransform([[0], [1], [2], [3], [4], [5], [6]]))
+        .to.deep.equal([[0], [0], [1], [1], [2], [2], [2]]);
+      expectClose(discretizer.binEdges, [[0, 2, 4, 6]]);
+      expect(discretizer.transform([[-10], [10]])).to.deep.equal([[0], [2]]);
+      expectClose(discretizer.inverseTransform([[0], [1], [2]]), [[1], [3], [5]]);
+    });
+
+    it('should divide features into bins with equal numbers of samples', function() {
+      var discretizer = new Preprocessing.KBinsDiscretizer({ numBins: 4, encode: 'ordinal' });
+
+      expect(discretizer.fitTransform([[0], [1], [2], [3], [4], [5], [6], [7]]))
+        .to.deep.equal([[0], [0], [1], [1], [2], [2], [3], [3]]);
+      expectClose(discretizer.binEdges, [[0, 1.75, 3.5, 5.25, 7]]);
+    });
+
+    it('should remove empty bins', function() {
+      var discretizer = new Preprocessing.KBinsDiscretizer({ numBins: 3, encode: 'ordinal' });
+
+      expect(discretizer.fitTransform([[0, 4], [0, 4], [0, 4], [1, 4]]))
+        .to.deep.equal([[0, 0], [0, 0], [0, 0], [0, 0]]);
+      expect(discretizer.numBins).to.deep.equal([1, 1]);
+      expectClose(discretizer.inverseTransform([[0, 0]]), [[0.5, 4]]);
+    });
+
+    it('should place bin edges between k-means cluster centroids', function() {
+      var discretizer = new Preprocessing.KBinsDiscretizer({
+        numBins: 3,
+        strategy: 'kmeans',
+        encode: 'ordinal',
+        randomState: 0,
+      });
+
+      expect(discretizer.fitTransform([[0], [0.1], [0.2], [5], [5.1], [10]]))
+        .to.deep.equal([[0], [0], [0], [1], [1], [2]]);
+      expectClose(discretizer.binEdges, [[0, 2.575, 7.525, 10]]);
+    });
+
+    it('should one-hot encode the bin indices', function() {
+      var discretizer = new Preprocessing.KBinsDiscretizer({ numBins: 3, strategy: 'uniform' });
+
+      expect(discretizer.fitTransform([[0, 10], [3, 20], [6, 30]])).to.deep.equal([
+        [1, 0, 0, 1, 0, 0],
+        [0, 1, 0, 0, 1, 0],
+        [0, 0, 1, 0, 0, 1],
+      ]);
+      expectClose(
+        discretizer.inverseTransform([[0, 0, 1, 1, 0, 0]]),
+        [[5, 40 / 3]]
+      );
+    });
+
+    it('should return a sparse matrix for sparse one-hot encoding', function() {
+      var discretizer = new Preprocessing.KBinsDiscretizer({
+        numBins: 2,
+        strategy: 'uniform',
+        encode: 'onehotSparse',
+      });
+      var XBinned = discretizer.fitTransform([[0], [1], [2]]);
+
+      expect(XBinned).to.be.an.instanceof(CSRMatrix);
+      expect(XBinned.toArray()).to.deep.equal([[1, 0], [0, 1], [0, 1]]);
+      expectClose(discretizer.inverseTransform(XBinned), [[0.5], [1.5], [1.5]]);
+    });
+  });
+
+  describe('Binarizer', function() {
+    it('should binarize features by thresholding', function() {
+      var binarizer = new Preprocessing.Binarizer({ threshold: 1.5 });
+
+      expect(binarizer.transform([[1, 2], [2, 0], [0, 3]]))
+        .to.deep.equal([[0, 1], [1, 0], [0, 1]]);
+    });
+
+    it('should map binarized features back to the bin centers', function() {
+      var binarizer = new Preprocessing.Binarizer({ threshold: [1.5, 5] });
+
+      expect(binarizer.fitTransform([[1, 2], [2, 0], [0, 3]]))
+        .to.deep.equal([[0, 0], [1, 0], [0, 0]]);
+      expectClose(binarizer.inverseTransform([[0, 1], [1, 0]]), [[0.5, 5], [2, 5 / 3]]);
+    });
+  });
+
+  describe('Transformer', function() {
+    it('should require fitting before transforming', function() {
+      var scaler = new Preprocessing.StandardScaler();
+      expect(function() { scaler.transform(XTrain); }).to.throw();
+    });
+
+    it('should throw an error for data with a different number of features', function() {
+      var scaler = new Preprocessing.MinMaxScaler();
+      scaler.fit(XTrain);
+
+      expect(function() { scaler.transform([[1, 2]]); }).to.throw();
+    });
+  });
+});
@@ -0,0 +1,187 @@
+// Internal dependencies
+import Imputer from './imputer';
+import SimpleImputer from './simple-imputer';
+import RidgeRegression from '../supervised/linear/ridge-regression';
+import * as Arrays from '../arrays';
+
+/**
+ * Imputer modelling each feature with missing values as a function of the other features, in a
+ * round-robin fashion. The missing values are first imputed by a {@link SimpleImputer}. Then, in
+ * each iteration, a regression model is trained for each feature on the samples where the feature
+ * is observed, and used to predict the values where the feature is missing. Iteration stops when
+ * the imputed values no longer change significantly.
+ *
+ * @example
+ * var imputer = new IterativeImputer();
+ * imputer.fitTransform([[1, 2], [2, 4], [3, 6], [4, NaN], [NaN, 10]]);
+ * // Approximately [[1, 2], [2, 4], [3, 6], [4, 8], [5, 10]]
+ */
+export default class IterativeImputer extends Imputer {
+  /**
+   * Constructor. Initialize class members and store user-defined options.
+   *
+   * @param {Object} [optionsUser] - User-defined options. See {@link Imputer} for the options
+   *   shared by all imputers
+   * @param {function(): Estimator} [optionsUser.estimatorFactory = null] - Function creating a
+   *   new, untrained regression model. If null, ridge regression with a small regularization
+   *   strength is used
+   * @param {number} [optionsUser.maxIterations = 10] - Maximum number of imputation rounds
+   * @param {number} [optionsUser.tolerance = 1e-3] - Stopping tolerance. Iteration stops when the
+   *   largest change in the imputed values, relative to the largest absolute observed value, is
+   *   smaller than the tolerance
+   * @param {string} [optionsUser.initialStrategy = 'mean'] - Strategy of the simple imputer used
+   *   for the initial imputation. See {@link SimpleImputer}
+   * @param {string} [optionsUser.imputationOrder = 'ascending'] - Order in which the features are
+   *   imputed in each round. Either 'ascending' (features with the fewest missing values first),
+   *   'descending', 'roman' (left to right) or 'arabic' (right to left)
+   * @param {number} [optionsUser.minValue = -Infinity] - Minimum imputed value
+   * @param {number} [optionsUser.maxValue = Infinity] - Maximum imputed value
+   */
+  constructor(optionsUser = {}) {
+    super(optionsUser);
+
+    // Parse options
+    const optionsDefault = {
+      estimatorFactory: null,
+      maxIterations: 10,
+      tolerance: 1e-3,
+      initialStrategy: 'mean',
+      imputationOrder: 'ascending',
+      minValue: -Infinity,
+      maxValue: Infinity,
+    };
+
+    const options = {
+      ...optionsDefault,
+      ...optionsUser,
+    };
+
+    if (!['ascending', 'descending', 'roman', 'arabic'].includes(options.imputationOrder)) {
+      throw new Error('Imputation order must be "ascending", "descending", "roman" or "arabic".');
+    }
+
+    // Set options
+    this.estimatorFactory = options.estimatorFactory === null
+      ? () => new RidgeRegression({ alpha: 1e-6 })
+      : options.estimatorFactory;
+    this.maxIterations = options.maxIterations;
+    this.tolerance = options.tolerance;
+    this.initialStrategy = options.initialStrategy;
+    this.imputationOrder = options.imputationOrder;
+    this.minValue = options.minValue;
+    this.maxValue = options.maxValue;
+  }
+
+  /**
+   * Impute the missing values of a single feature using a regression model on the other
+   * features.
+   *
+   * @param {Array.<Array.<number>>} X - Current imputation of the features per data point
+   * @param {Array.<number>} missing - Indices of the data points where the feature is missing
+   * @param {number} feature - Index of the feature to impute
+   * @param {Estimator} estimator - Trained regression model predicting the feature from the other
+   *   features
+   * @return {Array.<Array.<number>>} Updated imputation of the features per data point
+   */
+  imputeFeature(X, missing, feature, estimator) {
+    if (missing.length === 0) {
+      return X;
+    }
+
+    const predictions = estimator.predict(missing.map(i =>
+      X[i].filter((value, j) => j !== feature)));
+
+    const result = X.map(x => x.slice());
+
+    missing.forEach((i, k) => {
+      result[i][feature] = Math.min(this.maxValue, Math.max(this.minValue, predictions[k]));
+    });
+
+    return result;
+  }
+
+  /**
+   * @see {@link Imputer#fitImputation}
+   */
+  fitImputation(X) {
+    const numFeatures = X[0].length;
+
+    /**
+     * Simple imputer used for the initial imputation
+     *
+     * @type {SimpleImputer}
+     */
+    this.initialImputer = new SimpleImputer({
+      missingValues: this.missingValues,
+      strategy: this.initialStrategy,
+    });
+
+    this.initialImputer.fit(X);
+
+    // Indices of the samples where each feature is missing
+    const missing = [...Array(numFeatures).keys()].map(j =>
+      Arrays.argFilter(X, x => this.isMissing(x[j])));
+
+    // Determine the order in which the features with missing values are imputed. Features without
+    // observed values cannot be modelled, and a single feature has no other features to model it
+    // from; these keep their initial imputation
+    let order = [...Array(numFeatures).keys()].filter(j =>
+      numFeatures > 1 && missing[j].length > 0 && missing[j].length < X.length);
+
+    if (this.imputationOrder === 'ascending') {
+      order.sort((a, b) => missing[a].length - missing[b].length);
+    } else if (this.imputationOrder === 'descending') {
+      order.sort((a, b) => missing[b].length - missing[a].length);
+    } else if (this.imputationOrder === 'arabic') {
+      order = order.reverse();
+    }
+
+    /**
+     * Trained regression model for each feature in each round, in the order in which they were
+     * applied. Used to replay the imputation on new data
+     *
+     * @type {Array.<{feature: number, estimator: Estimator}>}
+     */
+    this.imputationSequence = [];
+
+    let imputed = this.initialImputer.impute(X);
+    const observedMax = Math.max(...X.map(x =>
+      Math.max(...x.filter(value => !this.isMissing(value)).map(value => Math.abs(value)), 0)));
+
+    for (let iteration = 0; iteration < this.maxIterations && order.length > 0; iteration += 1) {
+      const previous = imputed;
+
+      order.forEach((feature) => {
+        const observed = Arrays.argFilter(X, x => !this.isMissing(x[feature]));
+        const estimator = this.estimatorFactory();
+
+        estimator.train(
+          observed.map(i => imputed[i].filter((value, j) => j !== feature)),
+          observed.map(i => imputed[i][feature])
+        );
+
+        imputed = this.imputeFeature(imputed, missing[feature], feature, estimator);
+        this.imputationSequence.push({ feature, estimator });
+      });
+
+      const change = Math.max(...imputed.map((x, i) =>
+        Math.max(...x.map((value, j) => Math.abs(value - previous[i][j])))));
+
+      if (change < this.tolerance * observedMax) {
+        break;
+      }
+    }
+  }
+
+  /**
+   * @see {@link Imputer#impute}
+   */
+  impute(X) {
+    return this.imputationSequence.reduce((imputed, { feature, estimator }) => this.imputeFeature(
+      imputed,
+      Arrays.argFilter(X, x => this.isMissing(x[feature])),
+      feature,
+      estimator
+    ), this.initialImputer.impute(X));
+  }
+}
@@ -0,0 +1,217 @@
+// Internal dependencies
+import Transformer from './base';
+import OneHotEncoder from './one-hot-encoder';
+import KMeans from '../unsupervised/neighbors/k-means';
+import * as Arrays from '../arrays';
+import * as Stats from '../stats';
+
+/**
+ * Discretize continuous features into bins. The bin edges of each feature are learned from the
+ * training data, and each value is replaced by the index of its bin, either directly (ordinal
+ * encoding) or as a one-hot vector. Values outside of the range of the training data are assigned
+ * to the first or last bin.
+ *
+ * @example
+ * var discretizer = new KBinsDiscretizer({ numBins: 3, strategy: 'uniform', encode: 'ordinal' });
+ * discretizer.fitTransform([[0], [1], [2], [3], [4], [5], [6]]);
+ * // [[0], [0], [1], [1], [2], [2], [2]]
+ * discretizer.binEdges; // [[0, 2, 4, 6]]
+ * discretizer.inverseTransform([[0], [2]]); // [[1], [5]]
+ */
+export default class KBinsDiscretizer extends Transformer {
+  /**
+   * Constructor. Initialize class members and store user-defined options.
+   *
+   * @param {Object} [optionsUser] - User-defined options
+   * @param {number|Array.<number>} [optionsUser.numBins = 5] - Number of bins, either for all
+   *   features or a list with the number of bins for each feature. Should be at least 2. Features
+   *   may end up with fewer bins if they have few distinct values
+   * @param {string} [optionsUser.encode = 'onehot'] - Encoding of the bin indices. Either
+   *   'onehot' (one binary feature per bin), 'onehotSparse' (one-hot encoding as a sparse matrix
+   *   in CSR format) or 'ordinal' (the bin index)
+   * @param {string} [optionsUser.strategy = 'quantile'] - Strategy for determining the bin edges.
+   *   Either 'uniform' (bins of equal width), 'quantile' (bins with equal numbers of training
+   *   samples) or 'kmeans' (bins around the cluster centroids found by 1-dimensional k-means
+   *   clustering of each feature)
+   * @param {RandomState|number} [optionsUser.randomState = null] - Random state used for
+   *   initializing the k-means clustering. If null, the global random state is used. If an
+   *   integer, a random state seeded with that integer is used
+   */
+  constructor(optionsUser = {}) {
+    super();
+
+    // Parse options
+    const optionsDefault = {
+      numBins: 5,
+      encode: 'onehot',
+      strategy: 'quantile',
+      randomState: null,
+    };
+
+    const options = {
+      ...optionsDefault,
+      ...optionsUser,
+    };
+
+    if ([].concat(options.numBins).some(x => !Number.isInteger(x) || x < 2)) {
+      throw new Error('Number of bins must be an integer of at least 2.');
+    }
+
+    if (!['onehot', 'onehotSparse', 'ordinal'].includes(options.encode)) {
+      throw new Error('Encoding must be "onehot", "onehotSparse" or "ordinal".');
+    }
+
+    if (!['uniform', 'quantile', 'kmeans'].includes(options.strategy)) {
+      throw new Error('Strategy must be "uniform", "quantile" or "kmeans".');
+    }
+
+    // Set options
+    this.numBinsUser = options.numBins;
+    this.encode = options.encode;
+    this.strategy = options.strategy;
+    this.randomState = options.randomState;
+  }
+
+  /**
+   * Determine the bin edges of a feature.
+   *
+   * @param {Array.<number>} values - Values of the feature in the training data
+   * @param {number} numBins - Requested number of bins
+   * @return {Array.<number>} Sorted bin edges, including the minimum and maximum value
+   */
+  findBinEdges(values, numBins) {
+    const minValue = Arrays.min(values);
+    const maxValue = Arrays.max(values);
+
+    // Constant features have a single bin
+    if (minValue === maxValue) {
+      return [minValue, maxValue];
+    }
+
+    if (this.strategy === 'uniform') {
+      return Arrays.linspace(minValue, maxValue, numBins + 1);
+    }
+
+    let edges;
+
+    if (this.strategy === 'quantile') {
+      edges = Stats.quantile(values, Arrays.linspace(0, 1, numBins + 1));
+    } else {
+      // Cluster the values, and put the inner bin edges halfway between consecutive centroids
+      const numClusters = Math.min(numBins, Arrays.unique(values).length);
+      const kMeans = new KMeans({ numClusters, randomState: this.randomState });
+      kMeans.train(values.map(x => [x]));
+
+      const centroids = kMeans.centroids.map(x => x[0]).sort((a, b) => a - b);
+      const innerEdges = centroids.slice(1).map((x, i) => (centroids[i] + x) / 2);
+
+      edges = [minValue, ...innerEdges, maxValue];
+    }
+
+    // Remove bins that are (almost) empty, which occur for repeated values
+    return edges.filter((x, i) => i === 0 || x - edges[i - 1] > 1e-8);
+  }
+
+  /**
+   * @see {@link Transformer#fit}
+   */
+  fit(X) {
+    const rows = Arrays.toArray(X);
+
+    if (rows.length === 0) {
+      throw new Error('Cannot fit a discretizer on an empty data set.');
+    }
+
+    const numFeatures = rows[0].length;
+    const numBins = Array.isArray(this.numBinsUser)
+      ? this.numBinsUser
+      : Arrays.full(numFeatures, this.numBinsUser);
+
+    if (numBins.length !== numFeatures) {
+      throw new Error('A number of bins must be specified for each feature.');
+    }
+
+    /**
+     * Bin edges of each feature, including the minimum and maximum of the feature in the training
+     * data
+     *
+     * @type {Array.<Array.<number>>}
+     */
+    this.binEdges = numBins.map((x, j) => this.findBinEdges(rows.map(row => row[j]), x));
+
+    /**
+     * Number of bins of each feature
+     *
+     * @type {Array.<number>}
+     */
+    this.numBins = this.binEdges.map(edges => Math.max(1, edges.length - 1));
+
+    this.numFeatures = numFeatures;
+
+    if (this.encode !== 'ordinal') {
+      /**
+       * Encoder of the bin indices for one-hot encoding
+       *
+       * @type {OneHotEncoder}
+       */
+      this.oneHotEncoder = new OneHotEncoder({
+        categories: this.numBins.map(x => [...Array(x).keys()]),
+        sparse: this.encode === 'onehotSparse',
+      });
+
+      this.oneHotEncoder.fit(this.transformOrdinal(rows));
+    }
+  }
+
+  /**
+   * Find the bin indices of the features of a data set.
+   *
+   * @param {Array.<Array.<number>>} X - Features per data point
+   * @return {Array.<Array.<number>>} Bin index of each feature per data point
+   */
+  transformOrdinal(X) {
+    return X.map(x => x.map((value, j) => {
+      // Count the inner bin edges that are smaller than or equal to the value
+      const edges = this.binEdges[j];
+      let bin = 0;
+
+      while (bin < this.numBins[j] - 1 && value >= edges[bin + 1]) {
+        bin += 1;
+      }
+
+      return bin;
+    }));
+  }
+
+  /**
+   * @see {@link Transformer#transform}
+   */
+  transform(X) {
+    const bins = this.transformOrdinal(this.checkFitted(X));
+    return this.encode === 'ordinal' ? bins : this.oneHotEncoder.transform(bins);
+  }
+
+  /**
+   * Map binned features back to the centers of their bins.
+   *
+   * @param {Array.<Array.<number>>|CSRMatrix} X - Binned features per data point
+   * @return {Array.<Array.<number>>} Bin center of each feature per data point
+   */
+  inverseTransform(X) {
+    if (this.numFeatures === null) {
+      throw new Error('Transformer must be fitted before it can be used.');
+    }
+
+    const bins = this.encode === 'ordinal'
+      ? this.checkFitted(X)
+      : this.oneHotEncoder.inverseTransform(X);
+
+    return bins.map(x => x.map((bin, j) => {
+      if (!Number.isInteger(bin) || bin < 0 || bin >= this.numBins[j]) {
+        throw new Error(`Invalid bin ${bin} for feature ${j}.`);
+      }
+
+      return (this.binEdges[j][bin] + this.binEdges[j][bin + 1]) / 2;
+    }));
+  }
+}
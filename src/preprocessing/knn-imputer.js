@@ -0,0 +1,139 @@
+// Internal dependencies
+import Imputer from './imputer';
+import * as Arrays from '../arrays';
+
+/**
+ * Imputer replacing the missing values of each sample by the (weighted) mean of the values of its
+ * k nearest neighbours in the training data. Distances between samples are Euclidean distances
+ * over the features that both samples have observed, scaled up to account for the features that
+ * are missing in either sample. Only training samples that have observed the feature to impute
+ * are considered as neighbours.
+ *
+ * @example
+ * var imputer = new KNNImputer({ numNeighbours: 2 });
+ * imputer.fitTransform([[1, 2, NaN], [3, 4, 3], [NaN, 6, 5], [8, 8, 7]]);
+ * // [[1, 2, 4], [3, 4, 3], [5.5, 6, 5], [8, 8, 7]]
+ */
+export default class KNNImputer extends Imputer {
+  /**
+   * Constructor. Initialize class members and store user-defined options.
+   *
+   * @param {Object} [optionsUser] - User-defined options. See {@link Imputer} for the options
+   *   shared by all imputers
+   * @param {number} [optionsUser.numNeighbours = 5] - Number of nearest neighbours to use for
+   *   imputation
+   * @param {string} [optionsUser.weights = 'uniform'] - Weighting of the neighbours. Either
+   *   'uniform' (all neighbours weigh equally) or 'distance' (neighbours are weighted by the
+   *   inverse of their distance)
+   */
+  constructor(optionsUser = {}) {
+    super(optionsUser);
+
+    // Parse options
+    const optionsDefault = {
+      numNeighbours: 5,
+      weights: 'uniform',
+    };
+
+    const options = {
+      ...optionsDefault,
+      ...optionsUser,
+    };
+
+    if (!['uniform', 'distance'].includes(options.weights)) {
+      throw new Error('Option weights must be "uniform" or "distance".');
+    }
+
+    // Set options
+    this.numNeighbours = options.numNeighbours;
+    this.weights = options.weights;
+  }
+
+  /**
+   * Calculate the Euclidean distance between two samples, ignoring missing values. The distance
+   * over the features observed in both samples is scaled by the square root of the ratio of the
+   * total number of features to the number of features observed in both samples.
+   *
+   * @param {Array.<number>} x - First sample
+   * @param {Array.<number>} y - Second sample
+   * @return {number} Distance between the samples, or Infinity if they have no observed features
+   *   in common
+   */
+  distance(x, y) {
+    const common = Arrays.argFilter(x, (value, j) =>
+      !this.isMissing(value) && !this.isMissing(y[j]));
+
+    if (common.length === 0) {
+      return Infinity;
+    }
+
+    const distance = Arrays.norm(Arrays.subtract(common.map(j => x[j]), common.map(j => y[j])));
+    return distance * Math.sqrt(x.length / common.length);
+  }
+
+  /**
+   * @see {@link Imputer#fitImputation}
+   */
+  fitImputation(X) {
+    /**
+     * Training samples, used as neighbours for imputation
+     *
+     * @type {Array.<Array.<number>>}
+     */
+    this.training = X;
+
+    /**
+     * Mean of the observed values of each feature in the training data, used for samples without
+     * neighbours that observed the feature
+     *
+     * @type {Array.<number>}
+     */
+    this.means = X[0].map((x, j) => {
+      const values = X.map(row => row[j]).filter(value => !this.isMissing(value));
+      return values.length > 0 ? Arrays.mean(values) : 0;
+    });
+  }
+
+  /**
+   * @see {@link Imputer#impute}
+   */
+  impute(X) {
+    return X.map((x) => {
+      if (!x.some(value => this.isMissing(value))) {
+        return x.slice();
+      }
+
+      const distances = this.training.map(row => this.distance(x, row));
+
+      return x.map((value, j) => {
+        if (!this.isMissing(value)) {
+          return value;
+        }
+
+        // Nearest training samples that observed the feature
+        const neighbours = Arrays.argFilter(this.training, (row, i) =>
+          !this.isMissing(row[j]) && distances[i] < Infinity)
+          .sort((a, b) => distances[a] - distances[b])
+          .slice(0, this.numNeighbours);
+
+        if (neighbours.length === 0) {
+          return this.means[j];
+        }
+
+        let weights = neighbours.map(() => 1);
+
+        if (this.weights === 'distance') {
+          // Neighbours at distance zero get all the weight
+          weights = neighbours.some(i => distances[i] === 0)
+            ? neighbours.map(i => (distances[i] === 0 ? 1 : 0))
+            : neighbours.map(i => 1 / distances[i]);
+        }
+
+        const totalWeight = weights.reduce((r, a) => r + a, 0);
+
+        return neighbours.reduce((r, i, k) =>
+          r + weights[k] * this.training[i][j], 0) / totalWeight;
+      });
+    });
+  }
+}
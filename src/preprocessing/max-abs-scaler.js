@@ -0,0 +1,56 @@
+// Internal dependencies
+import Transformer from './base';
+import * as Arrays from '../arrays';
+
+/**
+ * Scale each feature by its maximum absolute value in the training data, mapping the training
+ * data to the range [-1, 1]. The data is not shifted, so zeros remain zeros.
+ *
+ * @example
+ * var scaler = new MaxAbsScaler();
+ * var XTrainScaled = scaler.fitTransform([[1, -1, 2], [2, 0, 0], [0, 1, -1]]);
+ * // [[0.5, -1, 1], [1, 0, 0], [0, 1, -0.5]]
+ */
+export default class MaxAbsScaler extends Transformer {
+  /**
+   * @see {@link Transformer#fit}
+   */
+  fit(X) {
+    const rows = Arrays.toArray(X);
+
+    if (rows.length === 0) {
+      throw new Error('Cannot fit a scaler on an empty data set.');
+    }
+
+    /**
+     * Maximum absolute value of each feature in the training data
+     *
+     * @type {Array.<number>}
+     */
+    this.maxAbs = Arrays.max(Arrays.abs(rows), 0);
+
+    /**
+     * Factor each feature is divided by: its maximum absolute value, or 1 if the feature is zero
+     * in all training samples
+     *
+     * @type {Array.<number>}
+     */
+    this.scale = this.maxAbs.map(x => (x > 0 ? x : 1));
+
+    this.numFeatures = this.maxAbs.length;
+  }
+
+  /**
+   * @see {@link Transformer#transform}
+   */
+  transform(X) {
+    return this.checkFitted(X).map(x => x.map((value, j) => value / this.scale[j]));
+  }
+
+  /**
+   * @see {@link Transformer#inverseTransform}
+   */
+  inverseTransform(X) {
+    return this.checkFitted(X).map(x => x.map((value, j) => value * this.scale[j]));
+  }
+}
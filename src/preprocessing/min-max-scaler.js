@@ -0,0 +1,114 @@
+// Internal dependencies
+import Transformer from './base';
+import * as Arrays from '../arrays';
+
+/**
+ * Scale each feature linearly to a given range, such that the minimum and maximum of the feature
+ * in the training data are mapped to the lower and upper bound of the range, respectively.
+ * Constant features are mapped to the lower bound.
+ *
+ * @example
+ * var scaler = new MinMaxScaler({ featureRange: [-1, 1] });
+ * var XTrainScaled = scaler.fitTransform([[0, 10], [5, 20], [10, 30]]);
+ * // [[-1, -1], [0, 0], [1, 1]]
+ * var XTestScaled = scaler.transform([[20, 15]]); // [[3, -0.5]]
+ */
+export default class MinMaxScaler extends Transformer {
+  /**
+   * Constructor. Initialize class members and store user-defined options.
+   *
+   * @param {Object} [optionsUser] - User-defined options
+   * @param {Array.<number>} [optionsUser.featureRange = [0, 1]] - Lower and upper bound of the
+   *   range to scale the training data to
+   * @param {boolean} [optionsUser.clip = false] - Whether to clip transformed values outside of
+   *   the feature range (which can occur for data other than the training data) to the range
+   */
+  constructor(optionsUser = {}) {
+    super();
+
+    // Parse options
+    const optionsDefault = {
+      featureRange: [0, 1],
+      clip: false,
+    };
+
+    const options = {
+      ...optionsDefault,
+      ...optionsUser,
+    };
+
+    if (options.featureRange[0] >= options.featureRange[1]) {
+      throw new Error('The lower bound of the feature range must be smaller than the upper bound.');
+    }
+
+    // Set options
+    this.featureRange = options.featureRange;
+    this.clip = options.clip;
+  }
+
+  /**
+   * @see {@link Transformer#fit}
+   */
+  fit(X) {
+    const rows = Arrays.toArray(X);
+
+    if (rows.length === 0) {
+      throw new Error('Cannot fit a scaler on an empty data set.');
+    }
+
+    const [lower, upper] = this.featureRange;
+
+    /**
+     * Minimum of each feature in the training data
+     *
+     * @type {Array.<number>}
+     */
+    this.dataMin = Arrays.min(rows, 0);
+
+    /**
+     * Maximum of each feature in the training data
+     *
+     * @type {Array.<number>}
+     */
+    this.dataMax = Arrays.max(rows, 0);
+
+    /**
+     * Factor each feature is multiplied by
+     *
+     * @type {Array.<number>}
+     */
+    this.scale = this.dataMin.map((x, j) => {
+      const dataRange = this.dataMax[j] - x;
+      return (upper - lower) / (dataRange > 0 ? dataRange : 1);
+    });
+
+    /**
+     * Offset added to each feature after multiplying it by its scale
+     *
+     * @type {Array.<number>}
+     */
+    this.min = this.dataMin.map((x, j) => lower - x * this.scale[j]);
+
+    this.numFeatures = this.dataMin.length;
+  }
+
+  /**
+   * @see {@link Transformer#transform}
+   */
+  transform(X) {
+    const [lower, upper] = this.featureRange;
+
+    return this.checkFitted(X).map(x => x.map((value, j) => {
+      const scaled = value * this.scale[j] + this.min[j];
+      return this.clip ? Math.min(upper, Math.max(lower, scaled)) : scaled;
+    }));
+  }
+
+  /**
+   * @see {@link Transformer#inverseTransform}
+   */
+  inverseTransform(X) {
+    return this.checkFitted(X).map(x => x.map((value, j) =>
+      (value - this.min[j]) / this.scale[j]));
+  }
+}
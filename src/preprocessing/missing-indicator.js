@@ -0,0 +1,101 @@
+// Internal dependencies
+import Transformer from './base';
+import * as Arrays from '../arrays';
+
+/**
+ * Transformer indicating which values of a data set are missing. For each selected feature, the
+ * output contains a binary feature that is 1 for samples where the feature is missing and 0
+ * otherwise. This allows estimators to use the missingness of features, for example after the
+ * missing values have been imputed.
+ *
+ * @example
+ * var indicator = new MissingIndicator();
+ * indicator.fitTransform([[1, NaN, 3], [4, 5, null]]); // [[1, 0], [0, 1]]
+ * indicator.features; // [1, 2]
+ */
+export default class MissingIndicator extends Transformer {
+  /**
+   * Constructor. Initialize class members and store user-defined options.
+   *
+   * @param {Object} [optionsUser] - User-defined options
+   * @param {mixed} [optionsUser.missingValues = NaN] - Value that marks missing values. If NaN,
+   *   NaN, null and undefined values are all considered missing
+   * @param {string} [optionsUser.features = 'missingOnly'] - Features to create indicators for.
+   *   Either 'missingOnly' (only the features with missing values in the training data) or 'all'
+   */
+  constructor(optionsUser = {}) {
+    super();
+
+    // Parse options
+    const optionsDefault = {
+      missingValues: NaN,
+      features: 'missingOnly',
+    };
+
+    const options = {
+      ...optionsDefault,
+      ...optionsUser,
+    };
+
+    if (!['missingOnly', 'all'].includes(options.features)) {
+      throw new Error('Option features must be "missingOnly" or "all".');
+    }
+
+    // Set options
+    this.missingValues = options.missingValues;
+    this.featureSelection = options.features;
+  }
+
+  /**
+   * Check whether a value is missing.
+   *
+   * @param {mixed} value - Value to check
+   * @return {boolean} Whether the value is missing
+   */
+  isMissing(value) {
+    if (Number.isNaN(this.missingValues)) {
+      return value === null || typeof value === 'undefined' || Number.isNaN(value);
+    }
+
+    return value === this.missingValues;
+  }
+
+  /**
+   * @see {@link Transformer#fit}
+   */
+  fit(X) {
+    const rows = Arrays.toArray(X);
+
+    if (rows.length === 0) {
+      throw new Error('Cannot fit a missing indicator on an empty data set.');
+    }
+
+    const numFeatures = rows[0].length;
+
+    /**
+     * Indices of the features for which an indicator is created
+     *
+     * @type {Array.<number>}
+     */
+    this.features = [...Array(numFeatures).keys()].filter(j =>
+      this.featureSelection === 'all' || rows.some(x => this.isMissing(x[j])));
+
+    this.numFeatures = numFeatures;
+  }
+
+  /**
+   * @see {@link Transformer#transform}
+   */
+  transform(X) {
+    return this.checkFitted(X).map(x => this.features.map(j => (this.isMissing(x[j]) ? 1 : 0)));
+  }
+
+  /**
+   * Not supported: the values of the features cannot be recovered from their missingness.
+   *
+   * @param {Array.<Array.<number>>} X - Missing indicators per data point
+   */
+  inverseTransform(X) {
+    throw new Error('A missing indicator cannot be inverted.');
+  }
+}
@@ -0,0 +1,190 @@
+// Internal dependencies
+import CategoricalEncoder from './categorical-encoder';
+import * as Arrays from '../arrays';
+import CSRMatrix from '../arrays/csr-matrix';
+
+/**
+ * Encode categorical features as one-hot vectors. Each feature with k categories is replaced by k
+ * binary features, one per category, of which only the feature of the sample's category is 1.
+ * Infrequent categories (see {@link CategoricalEncoder}) share a single binary feature, and
+ * ignored unknown categories are encoded as all zeros.
+ *
+ * @example
+ * var encoder = new OneHotEncoder();
+ * encoder.fitTransform([['red', 'S'], ['blue', 'M'], ['red', 'L']]);
+ * // [[0, 1, 0, 0, 1], [1, 0, 0, 1, 0], [0, 1, 1, 0, 0]]
+ * encoder.getFeatureNames(); // ['x0_blue', 'x0_red', 'x1_L', 'x1_M', 'x1_S']
+ *
+ * @example <caption>Dropping a reference category</caption>
+ * var encoder = new OneHotEncoder({ drop: 'first' });
+ * encoder.fitTransform([['red', 'S'], ['blue', 'M'], ['red', 'L']]);
+ * // [[1, 0, 1], [0, 1, 0], [1, 0, 0]]
+ */
+export default class OneHotEncoder extends CategoricalEncoder {
+  /**
+   * Constructor. Initialize class members and store user-defined options.
+   *
+   * @param {Object} [optionsUser] - User-defined options. See {@link CategoricalEncoder} for the
+   *   options shared by all categorical encoders
+   * @param {string|Array.<mixed>} [optionsUser.drop = null] - Reference category to drop per
+   *   feature, which is then encoded as all zeros. This avoids perfectly collinear features, for
+   *   example in unregularized linear models. Either null (drop no category), 'first' (drop the
+   *   first category of each feature), 'ifBinary' (drop the first category of features with two
+   *   categories) or a list with the category to drop for each feature (null to drop no category)
+   * @param {boolean} [optionsUser.sparse = false] - Whether to return the encoded features as a
+   *   sparse matrix in CSR format instead of a dense matrix
+   */
+  constructor(optionsUser = {}) {
+    super(optionsUser);
+
+    // Parse options
+    const optionsDefault = {
+      drop: null,
+      sparse: false,
+    };
+
+    const options = {
+      ...optionsDefault,
+      ...optionsUser,
+    };
+
+    if (!(options.drop === null || ['first', 'ifBinary'].includes(options.drop)
+      || Array.isArray(options.drop))) {
+      throw new Error('Option drop must be null, "first", "ifBinary" or a list of categories.');
+    }
+
+    // Set options
+    this.drop = options.drop;
+    this.sparse = options.sparse;
+  }
+
+  /**
+   * @see {@link Transformer#fit}
+   */
+  fit(X) {
+    super.fit(X);
+
+    if (Array.isArray(this.drop) && this.drop.length !== this.numFeatures) {
+      throw new Error('A category to drop must be specified for each feature.');
+    }
+
+    /**
+     * Code of the dropped category of each feature, or null if no category is dropped
+     *
+     * @type {Array.<number>}
+     */
+    this.dropCodes = this.categories.map((categories, j) => {
+      if (this.drop === 'first' || (this.drop === 'ifBinary' && this.getNumCodes(j) === 2)) {
+        return 0;
+      }
+
+      if (Array.isArray(this.drop) && this.drop[j] !== null) {
+        if (!this.categoryCodes[j].has(this.drop[j])) {
+          throw new Error(`Category "${this.drop[j]}" to drop does not occur in feature ${j}.`);
+        }
+
+        return this.categoryCodes[j].get(this.drop[j]);
+      }
+
+      return null;
+    });
+
+    /**
+     * Codes that are encoded by an output column, for each feature
+     *
+     * @type {Array.<Array.<number>>}
+     */
+    this.outputCodes = this.dropCodes.map((dropCode, j) =>
+      [...Array(this.getNumCodes(j)).keys()].filter(code => code !== dropCode));
+
+    /**
+     * Index of the first output column of each feature
+     *
+     * @type {Array.<number>}
+     */
+    this.featureOffsets = this.outputCodes.reduce((r, codes) =>
+      [...r, r[r.length - 1] + codes.length], [0]).slice(0, -1);
+
+    /**
+     * Total number of output columns
+     *
+     * @type {number}
+     */
+    this.numOutputFeatures = this.outputCodes.reduce((r, codes) => r + codes.length, 0);
+  }
+
+  /**
+   * @see {@link Transformer#transform}
+   */
+  transform(X) {
+    const rows = this.encode(X).map((x) => {
+      const row = Arrays.zeros(this.numOutputFeatures);
+
+      x.forEach((code, j) => {
+        const position = this.outputCodes[j].indexOf(code);
+
+        if (position !== -1) {
+          row[this.featureOffsets[j] + position] = 1;
+        }
+      });
+
+      return row;
+    });
+
+    return this.sparse ? CSRMatrix.fromRows(rows, this.numOutputFeatures) : rows;
+  }
+
+  /**
+   * Map one-hot encoded features back to their categories. Samples with all zeros for a feature
+   * are mapped to the dropped category of that feature, or to null if no category was dropped
+   * (i.e., for unknown categories). The infrequent category is mapped to null.
+   *
+   * @param {Array.<Array.<number>>|CSRMatrix} X - One-hot encoded features per data point
+   * @return {Array.<Array.<mixed>>} Categorical features per data point
+   */
+  inverseTransform(X) {
+    if (this.numFeatures === null) {
+      throw new Error('Transformer must be fitted before it can be used.');
+    }
+
+    const rows = Arrays.toArray(X);
+
+    if (rows.some(x => x.length !== this.numOutputFeatures)) {
+      throw new Error('Number of features does not match the output of the encoder.');
+    }
+
+    return rows.map(x => this.outputCodes.map((codes, j) => {
+      const values = x.slice(this.featureOffsets[j], this.featureOffsets[j] + codes.length);
+      const position = Arrays.argMax(values);
+
+      if (position === null || values[position] === 0) {
+        return this.dropCodes[j] === null ? null : this.getCategory(j, this.dropCodes[j]);
+      }
+
+      return this.getCategory(j, codes[position]);
+    }));
+  }
+
+  /**
+   * Get the names of the output features. Each output feature is named after its input feature and
+   * category, separated by an underscore.
+   *
+   * @param {Array.<string>} [inputFeatures = null] - Names of the input features. Defaults to x0,
+   *   x1, etc.
+   * @return {Array.<string>} Output feature names
+   */
+  getFeatureNames(inputFeatures = null) {
+    if (this.numFeatures === null) {
+      throw new Error('Transformer must be fitted before it can be used.');
+    }
+
+    const names = inputFeatures === null
+      ? [...Array(this.numFeatures).keys()].map(j => `x${j}`)
+      : inputFeatures;
+
+    return [].concat(...this.outputCodes.map((codes, j) => codes.map((code) => {
+      const category = this.getCategory(j, code);
+      return `${names[j]}_${category === null ? 'infrequent' : category}`;
+    })));
+  }
+}
@@ -0,0 +1,68 @@
+// Internal dependencies
+import CategoricalEncoder from './categorical-encoder';
+
+/**
+ * Encode categorical features as integers. For each feature with k categories, the categories are
+ * encoded as the integers 0 to k-1 (inclusive), in the order of the categories. Infrequent
+ * categories (see {@link CategoricalEncoder}) are encoded as the next integer.
+ *
+ * @example
+ * var encoder = new OrdinalEncoder();
+ * encoder.fitTransform([['red', 'S'], ['blue', 'M'], ['red', 'L']]);
+ * // [[1, 2], [0, 1], [1, 0]]
+ * encoder.inverseTransform([[0, 2]]); // [['blue', 'S']]
+ */
+export default class OrdinalEncoder extends CategoricalEncoder {
+  /**
+   * Constructor. Initialize class members and store user-defined options.
+   *
+   * @param {Object} [optionsUser] - User-defined options. See {@link CategoricalEncoder} for the
+   *   options shared by all categorical encoders
+   * @param {number} [optionsUser.unknownValue = -1] - Value used to encode ignored unknown
+   *   categories
+   */
+  constructor(optionsUser = {}) {
+    super(optionsUser);
+
+    // Parse options
+    const optionsDefault = {
+      unknownValue: -1,
+    };
+
+    const options = {
+      ...optionsDefault,
+      ...optionsUser,
+    };
+
+    // Set options
+    this.unknownValue = options.unknownValue;
+  }
+
+  /**
+   * @see {@link Transformer#transform}
+   */
+  transform(X) {
+    return this.encode(X).map(x => x.map(code => (code === -1 ? this.unknownValue : code)));
+  }
+
+  /**
+   * Map encoded features back to their categories. Unknown and infrequent categories are mapped to
+   * null.
+   *
+   * @param {Array.<Array.<number>>} X - Encoded features per data point
+   * @return {Array.<Array.<mixed>>} Categorical features per data point
+   */
+  inverseTransform(X) {
+    return this.checkFitted(X).map(x => x.map((code, j) => {
+      if (code === this.unknownValue) {
+        return null;
+      }
+
+      if (!Number.isInteger(code) || code < 0 || code >= this.getNumCodes(j)) {
+        throw new Error(`Invalid code ${code} for feature ${j}.`);
+      }
+
+      return this.getCategory(j, code);
+    }));
+  }
+}
@@ -0,0 +1,177 @@
+// Internal dependencies
+import Transformer from './base';
+import * as Arrays from '../arrays';
+
+/**
+ * Generate all combinations of a number of feature indices, in lexicographic order.
+ *
+ * @param {number} numFeatures - Number of features
+ * @param {number} size - Number of indices per combination
+ * @param {boolean} withReplacement - Whether indices can occur multiple times in a combination
+ * @param {number} [start = 0] - Smallest index to use
+ * @return {Array.<Array.<number>>} Combinations, each as a non-decreasing list of indices
+ */
+function combinations(numFeatures, size, withReplacement, start = 0) {
+  if (size === 0) {
+    return [[]];
+  }
+
+  const result = [];
+
+  for (let j = start; j < numFeatures; j += 1) {
+    combinations(numFeatures, size - 1, withReplacement, withReplacement ? j : j + 1)
+      .forEach(combination => result.push([j, ...combination]));
+  }
+
+  return result;
+}
+
+/**
+ * Generate polynomial features: all products of the input features up to a given degree. For
+ * example, the degree-2 polynomial features of [a, b] are [1, a, b, a^2, ab, b^2]. Training a
+ * linear model on polynomial features yields a model that is non-linear in the input features.
+ *
+ * @example
+ * var poly = new PolynomialFeatures({ degree: 2 });
+ * poly.fitTransform([[2, 3]]); // [[1, 2, 3, 4, 6, 9]]
+ * poly.getFeatureNames(); // ['1', 'x0', 'x1', 'x0^2', 'x0 x1', 'x1^2']
+ *
+ * @example <caption>Using polynomial features for a non-linear decision boundary</caption>
+ * var poly = new PolynomialFeatures({ degree: 3, includeBias: false });
+ * var classifier = new BinaryLogisticRegression();
+ * classifier.train(poly.fitTransform(XTrain), yTrain);
+ * classifier.predict(poly.transform(XTest));
+ */
+export default class PolynomialFeatures extends Transformer {
+  /**
+   * Constructor. Initialize class members and store user-defined options.
+   *
+   * @param {Object} [optionsUser] - User-defined options
+   * @param {number} [optionsUser.degree = 2] - Maximum degree of the polynomial features
+   * @param {boolean} [optionsUser.interactionOnly = false] - Whether to only generate products of
+   *   distinct features (such as ab), and no powers of single features (such as a^2)
+   * @param {boolean} [optionsUser.includeBias = true] - Whether to include the bias feature, which
+   *   is the zeroth power of all features (i.e., a constant 1)
+   */
+  constructor(optionsUser = {}) {
+    super();
+
+    // Parse options
+    const optionsDefault = {
+      degree: 2,
+      interactionOnly: false,
+      includeBias: true,
+    };
+
+    const options = {
+      ...optionsDefault,
+      ...optionsUser,
+    };
+
+    if (!Number.isInteger(options.degree) || options.degree < 0) {
+      throw new Error('Degree must be a non-negative integer.');
+    }
+
+    // Set options
+    this.degree = options.degree;
+    this.interactionOnly = options.interactionOnly;
+    this.includeBias = options.includeBias;
+  }
+
+  /**
+   * @see {@link Transformer#fit}
+   */
+  fit(X) {
+    const rows = Arrays.toArray(X);
+
+    if (rows.length === 0) {
+      throw new Error('Cannot fit polynomial features on an empty data set.');
+    }
+
+    const numFeatures = rows[0].length;
+
+    /**
+     * Input features multiplied for each output feature. Each output feature is the product of
+     * the input features with the listed indices, where indices can be repeated for powers
+     *
+     * @type {Array.<Array.<number>>}
+     */
+    this.combinations = [];
+
+    for (let degree = this.includeBias ? 0 : 1; degree <= this.degree; degree += 1) {
+      this.combinations.push(...combinations(numFeatures, degree, !this.interactionOnly));
+    }
+
+    /**
+     * Number of output features
+     *
+     * @type {number}
+     */
+    this.numOutputFeatures = this.combinations.length;
+
+    this.numFeatures = numFeatures;
+  }
+
+  /**
+   * @see {@link Transformer#transform}
+   */
+  transform(X) {
+    return this.checkFitted(X).map(x => this.combinations.map(combination =>
+      combination.reduce((r, j) => r * x[j], 1)));
+  }
+
+  /**
+   * Recover the input features from the polynomial features, using the degree-1 features. Only
+   * available if the degree is at least 1.
+   *
+   * @param {Array.<Array.<number>>} X - Polynomial features per data point
+   * @return {Array.<Array.<number>>} Input features per data point
+   */
+  inverseTransform(X) {
+    if (this.numFeatures === null) {
+      throw new Error('Transformer must be fitted before it can be used.');
+    }
+
+    if (this.degree < 1) {
+      throw new Error('Inverse transformation requires a degree of at least 1.');
+    }
+
+    const rows = Arrays.toArray(X);
+
+    if (rows.some(x => x.length !== this.numOutputFeatures)) {
+      throw new Error('Number of features does not match the output of the transformer.');
+    }
+
+    // The degree-1 features directly follow the bias feature
+    const offset = this.includeBias ? 1 : 0;
+    return rows.map(x => x.slice(offset, offset + this.numFeatures));
+  }
+
+  /**
+   * Get the names of the output features, such as "x0 x1^2" for the product of the first feature
+   * and the square of the second feature.
+   *
+   * @param {Array.<string>} [inputFeatures = null] - Names of the input features. Defaults to x0,
+   *   x1, etc.
+   * @return {Array.<string>} Output feature names
+   */
+  getFeatureNames(inputFeatures = null) {
+    if (this.numFeatures === null) {
+      throw new Error('Transformer must be fitted before it can be used.');
+    }
+
+    const names = inputFeatures === null
+      ? [...Array(this.numFeatures).keys()].map(j => `x${j}`)
+      : inputFeatures;
+
+    return this.combinations.map((combination) => {
+      if (combination.length === 0) {
+        return '1';
+      }
+
+      return Arrays.valueCounts(combination)
+        .map(([j, power]) => (power === 1 ? names[j] : `${names[j]}^${power}`))
+        .join(' ');
+    });
+  }
+}
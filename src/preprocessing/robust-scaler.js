@@ -0,0 +1,101 @@
+// Internal dependencies
+import Transformer from './base';
+import * as Arrays from '../arrays';
+import * as Stats from '../stats';
+
+/**
+ * Scale features using statistics that are robust to outliers: each feature is centered at its
+ * median and divided by its interquartile range (or another quantile range) in the training data.
+ *
+ * @example
+ * var scaler = new RobustScaler();
+ * var XTrainScaled = scaler.fitTransform([[1], [2], [3], [4], [100]]);
+ * // [[-1], [-0.5], [0], [0.5], [48.5]]
+ */
+export default class RobustScaler extends Transformer {
+  /**
+   * Constructor. Initialize class members and store user-defined options.
+   *
+   * @param {Object} [optionsUser] - User-defined options
+   * @param {boolean} [optionsUser.withCentering = true] - Whether to center the features at their
+   *   median
+   * @param {boolean} [optionsUser.withScaling = true] - Whether to divide the features by their
+   *   quantile range
+   * @param {Array.<number>} [optionsUser.quantileRange = [25, 75]] - Lower and upper percentile
+   *   of the range used for scaling. Defaults to the interquartile range
+   */
+  constructor(optionsUser = {}) {
+    super();
+
+    // Parse options
+    const optionsDefault = {
+      withCentering: true,
+      withScaling: true,
+      quantileRange: [25, 75],
+    };
+
+    const options = {
+      ...optionsDefault,
+      ...optionsUser,
+    };
+
+    const [lower, upper] = options.quantileRange;
+
+    if (lower < 0 || upper > 100 || lower >= upper) {
+      throw new Error('Quantile range must consist of two increasing percentiles in [0, 100].');
+    }
+
+    // Set options
+    this.withCentering = options.withCentering;
+    this.withScaling = options.withScaling;
+    this.quantileRange = options.quantileRange;
+  }
+
+  /**
+   * @see {@link Transformer#fit}
+   */
+  fit(X) {
+    const rows = Arrays.toArray(X);
+
+    if (rows.length === 0) {
+      throw new Error('Cannot fit a scaler on an empty data set.');
+    }
+
+    const [lower, upper] = Stats.quantile(rows, this.quantileRange.map(x => x / 100), 0);
+
+    /**
+     * Median of each feature in the training data, or 0 if centering is disabled
+     *
+     * @type {Array.<number>}
+     */
+    this.center = this.withCentering
+      ? Stats.quantile(rows, 0.5, 0)
+      : Arrays.zeros(rows[0].length);
+
+    /**
+     * Factor each (centered) feature is divided by: its quantile range in the training data, or 1
+     * if the quantile range is zero or scaling is disabled
+     *
+     * @type {Array.<number>}
+     */
+    this.scale = lower.map((x, j) => (this.withScaling && upper[j] > x ? upper[j] - x : 1));
+
+    this.numFeatures = this.scale.length;
+  }
+
+  /**
+   * @see {@link Transformer#transform}
+   */
+  transform(X) {
+    return this.checkFitted(X).map(x => x.map((value, j) =>
+      (value - this.center[j]) / this.scale[j]));
+  }
+
+  /**
+   * @see {@link Transformer#inverseTransform}
+   */
+  inverseTransform(X) {
+    return this.checkFitted(X).map(x => x.map((value, j) =>
+      value * this.scale[j] + this.center[j]));
+  }
+}
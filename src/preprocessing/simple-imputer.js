@@ -0,0 +1,100 @@
+// Internal dependencies
+import Imputer from './imputer';
+import * as Arrays from '../arrays';
+import * as Stats from '../stats';
+
+/**
+ * Imputer replacing the missing values of each feature by a statistic of the observed values of
+ * that feature in the training data: the mean, the median, the most frequent value, or a constant.
+ * The most frequent value and the constant strategies also work for categorical (e.g. string)
+ * features.
+ *
+ * @example
+ * var imputer = new SimpleImputer({ strategy: 'median' });
+ * imputer.fitTransform([[1, 2], [NaN, 3], [7, 6], [4, NaN]]);
+ * // [[1, 2], [4, 3], [7, 6], [4, 3]]
+ */
+export default class SimpleImputer extends Imputer {
+  /**
+   * Constructor. Initialize class members and store user-defined options.
+   *
+   * @param {Object} [optionsUser] - User-defined options. See {@link Imputer} for the options
+   *   shared by all imputers
+   * @param {string} [optionsUser.strategy = 'mean'] - Imputation strategy. Either 'mean',
+   *   'median', 'mostFrequent' or 'constant'
+   * @param {mixed} [optionsUser.fillValue = 0] - Value to replace missing values by for the
+   *   'constant' strategy. Also used for features without observed values in the training data
+   */
+  constructor(optionsUser = {}) {
+    super(optionsUser);
+
+    // Parse options
+    const optionsDefault = {
+      strategy: 'mean',
+      fillValue: 0,
+    };
+
+    const options = {
+      ...optionsDefault,
+      ...optionsUser,
+    };
+
+    if (!['mean', 'median', 'mostFrequent', 'constant'].includes(options.strategy)) {
+      throw new Error('Option strategy must be "mean", "median", "mostFrequent" or "constant".');
+    }
+
+    // Set options
+    this.strategy = options.strategy;
+    this.fillValue = options.fillValue;
+  }
+
+  /**
+   * Calculate the imputation statistic of the observed values of a feature.
+   *
+   * @param {Array.<mixed>} values - Observed values of the feature
+   * @return {mixed} Value to replace missing values of the feature by
+   */
+  calculateStatistic(values) {
+    if (this.strategy === 'constant' || values.length === 0) {
+      return this.fillValue;
+    }
+
+    if (this.strategy === 'mean') {
+      return Arrays.mean(values);
+    }
+
+    if (this.strategy === 'median') {
+      return Stats.quantile(values, 0.5);
+    }
+
+    // Most frequent value. Ties are broken by taking the smallest value
+    return Arrays.valueCounts(values).reduce((r, x) => {
+      if (x[1] > r[1] || (x[1] === r[1] && x[0] < r[0])) {
+        return x;
+      }
+
+      return r;
+    })[0];
+  }
+
+  /**
+   * @see {@link Imputer#fitImputation}
+   */
+  fitImputation(X) {
+    /**
+     * Value that replaces the missing values of each feature
+     *
+     * @type {Array.<mixed>}
+     */
+    this.statistics = X[0].map((x, j) => this.calculateStatistic(X
+      .map(row => row[j])
+      .filter(value => !this.isMissing(value))));
+  }
+
+  /**
+   * @see {@link Imputer#impute}
+   */
+  impute(X) {
+    return X.map(x => x.map((value, j) => (this.isMissing(value) ? this.statistics[j] : value)));
+  }
+}
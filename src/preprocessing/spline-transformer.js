@@ -0,0 +1,291 @@
+// Internal dependencies
+import Transformer from './base';
+import * as Arrays from '../arrays';
+import * as Stats from '../stats';
+
+/**
+ * Evaluate the B-spline basis functions that are non-zero on a knot interval, using the Cox-de
+ * Boor recursion. For values outside of the knot interval, the polynomial pieces of the interval
+ * are extended.
+ *
+ * @param {Array.<number>} knots - Non-decreasing knot vector
+ * @param {number} degree - Degree of the basis functions
+ * @param {number} interval - Index k of the knot interval [knots[k], knots[k + 1])
+ * @param {number} x - Value to evaluate the basis functions at
+ * @return {Array.<number>} Values of the basis functions with indices k - degree to k
+ */
+function basisFunctions(knots, degree, interval, x) {
+  const values = [1];
+  const left = [0];
+  const right = [0];
+
+  for (let j = 1; j <= degree; j += 1) {
+    left.push(x - knots[interval + 1 - j]);
+    right.push(knots[interval + j] - x);
+
+    let saved = 0;
+
+    for (let r = 0; r < j; r += 1) {
+      const temp = values[r] / (right[r + 1] + left[j - r]);
+      values[r] = saved + right[r + 1] * temp;
+      saved = left[j - r] * temp;
+    }
+
+    values.push(saved);
+  }
+
+  return values;
+}
+
+/**
+ * Generate univariate B-spline features for each input feature. The range of each feature in the
+ * training data is divided by knots, and each feature is replaced by the values of the B-spline
+ * basis functions of the given degree on these knots. The basis functions are piecewise
+ * polynomials that are non-zero between a few knots only, so a linear model on spline features can
+ * fit smooth, non-linear functions of each feature.
+ *
+ * @example
+ * var splines = new SplineTransformer({ numKnots: 3, degree: 2 });
+ * splines.fitTransform([[0], [1], [2]]);
+ * // [[0.5, 0.5, 0, 0], [0, 0.5, 0.5, 0], [0, 0, 0.5, 0.5]]
+ */
+export default class SplineTransformer extends Transformer {
+  /**
+   * Constructor. Initialize class members and store user-defined options.
+   *
+   * @param {Object} [optionsUser] - User-defined options
+   * @param {number} [optionsUser.numKnots = 5] - Number of knots per feature, including the
+   *   boundary knots
+   * @param {number} [optionsUser.degree = 3] - Degree of the polynomial pieces of the splines
+   * @param {string|Array.<Array.<number>>} [optionsUser.knots = 'uniform'] - Knot positions.
+   *   Either 'uniform' (equally spaced between the minimum and maximum of the feature), 'quantile'
+   *   (at equally spaced quantiles of the feature, leaving out repeated quantiles) or a list with a
+   *   sorted list of knots for each feature
+   * @param {string} [optionsUser.extrapolation = 'constant'] - How to transform values outside of
+   *   the range of the knots. Either 'error' (throw an error), 'constant' (use the spline values at
+   *   the nearest boundary), 'linear' (extend the splines linearly from the nearest boundary) or
+   *   'continue' (extend the polynomial pieces of the splines at the nearest boundary)
+   * @param {boolean} [optionsUser.includeBias = true] - Whether to include the last spline of
+   *   each feature. Since the splines of a feature sum to 1, they are collinear with a bias
+   *   feature; dropping a spline per feature avoids this
+   */
+  constructor(optionsUser = {}) {
+    super();
+
+    // Parse options
+    const optionsDefault = {
+      numKnots: 5,
+      degree: 3,
+      knots: 'uniform',
+      extrapolation: 'constant',
+      includeBias: true,
+    };
+
+    const options = {
+      ...optionsDefault,
+      ...optionsUser,
+    };
+
+    if (!Number.isInteger(options.degree) || options.degree < 0) {
+      throw new Error('Degree must be a non-negative integer.');
+    }
+
+    if (typeof options.knots === 'string' && options.numKnots < 2) {
+      throw new Error('Number of knots must be at least 2.');
+    }
+
+    if (!['error', 'constant', 'linear', 'continue'].includes(options.extrapolation)) {
+      throw new Error('Extrapolation must be "error", "constant", "linear" or "continue".');
+    }
+
+    // Set options
+    this.numKnots = options.numKnots;
+    this.degree = options.degree;
+    this.knots = options.knots;
+    this.extrapolation = options.extrapolation;
+    this.includeBias = options.includeBias;
+  }
+
+  /**
+   * Determine the base knots of a feature, i.e. the knots within the range of the training data.
+   *
+   * @param {Array.<number>} values - Values of the feature in the training data
+   * @param {number} feature - Feature index
+   * @return {Array.<number>} Sorted base knots
+   */
+  getBaseKnots(values, feature) {
+    if (Array.isArray(this.knots)) {
+      const knots = this.knots[feature];
+
+      if (knots.length < 2 || knots.some((x, i) => i > 0 && x <= knots[i - 1])) {
+        throw new Error('Knots must be a strictly increasing list of at least 2 values.');
+      }
+
+      return knots.slice();
+    }
+
+    if (this.knots === 'quantile') {
+      // Tied values yield repeated quantiles, which would give degenerate splines
+      const knots = Stats.quantile(values, Arrays.linspace(0, 1, this.numKnots));
+      return knots.filter((x, i) => i === 0 || x > knots[i - 1]);
+    }
+
+    return Arrays.linspace(Arrays.min(values), Arrays.max(values), this.numKnots);
+  }
+
+  /**
+   * @see {@link Transformer#fit}
+   */
+  fit(X) {
+    const rows = Arrays.toArray(X);
+
+    if (rows.length === 0) {
+      throw new Error('Cannot fit splines on an empty data set.');
+    }
+
+    const numFeatures = rows[0].length;
+
+    if (Array.isArray(this.knots) && this.knots.length !== numFeatures) {
+      throw new Error('A list of knots must be specified for each feature.');
+    }
+
+    /**
+     * Full knot vector of each feature: the base knots, extended by the degree of the splines on
+     * both sides with the spacing of the outermost base knots
+     *
+     * @type {Array.<Array.<number>>}
+     */
+    this.knotVectors = [...Array(numFeatures).keys()].map((j) => {
+      const base = this.getBaseKnots(rows.map(x => x[j]), j);
+      const last = base.length - 1;
+
+      if (base[last] <= base[0]) {
+        throw new Error(`Feature ${j} has a single value, so no knots can be placed.`);
+      }
+
+      const spacingStart = base[1] - base[0];
+      const spacingEnd = base[last] - base[last - 1];
+
+      return [
+        ...[...Array(this.degree).keys()].reverse().map(i => base[0] - (i + 1) * spacingStart),
+        ...base,
+        ...[...Array(this.degree).keys()].map(i => base[last] + (i + 1) * spacingEnd),
+      ];
+    });
+
+    /**
+     * Number of splines of each feature, before dropping a spline if the bias is excluded
+     *
+     * @type {Array.<number>}
+     */
+    this.numSplines = this.knotVectors.map(knots => knots.length - this.degree - 1);
+
+    /**
+     * Number of output features
+     *
+     * @type {number}
+     */
+    this.numOutputFeatures = this.numSplines.reduce((r, a) =>
+      r + a - (this.includeBias ? 0 : 1), 0);
+
+    this.numFeatures = numFeatures;
+  }
+
+  /**
+   * Evaluate the splines of a feature at a value.
+   *
+   * @param {number} feature - Feature index
+   * @param {number} x - Feature value
+   * @return {Array.<number>} Value of each spline of the feature
+   */
+  evaluateSplines(feature, x) {
+    const knots = this.knotVectors[feature];
+    const numSplines = this.numSplines[feature];
+    const lower = knots[this.degree];
+    const upper = knots[numSplines];
+    const outside = x < lower || x > upper;
+
+    if (outside && this.extrapolation === 'error') {
+      throw new Error(`Value ${x} of feature ${feature} lies outside of the range of the knots.`);
+    }
+
+    // Position where the splines are evaluated, and distance for linear extrapolation
+    let position = x;
+    let extrapolationDistance = 0;
+
+    if (outside && this.extrapolation !== 'continue') {
+      position = Math.min(upper, Math.max(lower, x));
+      extrapolationDistance = this.extrapolation === 'linear' ? x - position : 0;
+    }
+
+    // Find the knot interval containing the position, restricted to the base knot intervals
+    let interval = this.degree;
+
+    while (interval < numSplines - 1 && knots[interval + 1] <= position) {
+      interval += 1;
+    }
+
+    const splines = Arrays.zeros(numSplines);
+    const offset = interval - this.degree;
+
+    basisFunctions(knots, this.degree, interval, position).forEach((value, i) => {
+      splines[offset + i] = value;
+    });
+
+    if (extrapolationDistance !== 0 && this.degree > 0) {
+      // Derivatives of the splines at the boundary, from the splines of one degree lower
+      const lowerDegree = basisFunctions(knots, this.degree - 1, interval, position);
+
+      lowerDegree.forEach((value, i) => {
+        const index = offset + i + 1;
+        const change = (this.degree * value) / (knots[index + this.degree] - knots[index]);
+
+        splines[index] += extrapolationDistance * change;
+        splines[index - 1] -= extrapolationDistance * change;
+      });
+    }
+
+    return splines;
+  }
+
+  /**
+   * @see {@link Transformer#transform}
+   */
+  transform(X) {
+    return this.checkFitted(X).map(x => [].concat(...x.map((value, j) => {
+      const splines = this.evaluateSplines(j, value);
+      return this.includeBias ? splines : splines.slice(0, -1);
+    })));
+  }
+
+  /**
+   * Not supported: spline features cannot in general be mapped back to the input features.
+   *
+   * @param {Array.<Array.<number>>} X - Spline features per data point
+   */
+  inverseTransform(X) {
+    throw new Error('Spline features cannot be inverted.');
+  }
+
+  /**
+   * Get the names of the output features, such as "x0_sp_2" for the third spline of the first
+   * feature.
+   *
+   * @param {Array.<string>} [inputFeatures = null] - Names of the input features. Defaults to x0,
+   *   x1, etc.
+   * @return {Array.<string>} Output feature names
+   */
+  getFeatureNames(inputFeatures = null) {
+    if (this.numFeatures === null) {
+      throw new Error('Transformer must be fitted before it can be used.');
+    }
+
+    const names = inputFeatures === null
+      ? [...Array(this.numFeatures).keys()].map(j => `x${j}`)
+      : inputFeatures;
+
+    return [].concat(...names.map((name, j) =>
+      [...Array(this.numSplines[j] - (this.includeBias ? 0 : 1)).keys()]
+        .map(i => `${name}_sp_${i}`)));
+  }
+}
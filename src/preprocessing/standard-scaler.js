@@ -0,0 +1,93 @@
+// Internal dependencies
+import Transformer from './base';
+import * as Arrays from '../arrays';
+
+/**
+ * Standardize features by subtracting the mean and dividing by the standard deviation of each
+ * feature, yielding features with zero mean and unit variance (z-scores). Features with zero
+ * variance are only centered.
+ *
+ * @example
+ * var scaler = new StandardScaler();
+ * var XTrainScaled = scaler.fitTransform([[0, 0], [0, 0], [1, 1], [1, 1]]);
+ * // [[-1, -1], [-1, -1], [1, 1], [1, 1]]
+ * var XTestScaled = scaler.transform([[2, 2]]); // [[3, 3]]
+ */
+export default class StandardScaler extends Transformer {
+  /**
+   * Constructor. Initialize class members and store user-defined options.
+   *
+   * @param {Object} [optionsUser] - User-defined options
+   * @param {boolean} [optionsUser.withMean = true] - Whether to center the features at zero mean
+   * @param {boolean} [optionsUser.withStd = true] - Whether to scale the features to unit variance
+   */
+  constructor(optionsUser = {}) {
+    super();
+
+    // Parse options
+    const optionsDefault = {
+      withMean: true,
+      withStd: true,
+    };
+
+    const options = {
+      ...optionsDefault,
+      ...optionsUser,
+    };
+
+    // Set options
+    this.withMean = options.withMean;
+    this.withStd = options.withStd;
+  }
+
+  /**
+   * @see {@link Transformer#fit}
+   */
+  fit(X) {
+    const rows = Arrays.toArray(X);
+
+    if (rows.length === 0) {
+      throw new Error('Cannot fit a scaler on an empty data set.');
+    }
+
+    /**
+     * Mean of each feature in the training data
+     *
+     * @type {Array.<number>}
+     */
+    this.mean = Arrays.mean(rows, 0);
+
+    /**
+     * Variance of each feature in the training data
+     *
+     * @type {Array.<number>}
+     */
+    this.variance = Arrays.variance(rows, 0);
+
+    /**
+     * Factor each (centered) feature is divided by: its standard deviation, or 1 if the standard
+     * deviation is zero or scaling is disabled
+     *
+     * @type {Array.<number>}
+     */
+    this.scale = this.variance.map(x => (this.withStd && x > 0 ? Math.sqrt(x) : 1));
+
+    this.numFeatures = this.mean.length;
+  }
+
+  /**
+   * @see {@link Transformer#transform}
+   */
+  transform(X) {
+    return this.checkFitted(X).map(x => x.map((value, j) =>
+      (value - (this.withMean ? this.mean[j] : 0)) / this.scale[j]));
+  }
+
+  /**
+   * @see {@link Transformer#inverseTransform}
+   */
+  inverseTransform(X) {
+    return this.checkFitted(X).map(x => x.map((value, j) =>
+      value * this.scale[j] + (this.withMean ? this.mean[j] : 0)));
+  }
+}
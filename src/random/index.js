@@ -1,6 +1,40 @@
 // Internal dependencies
 import * as Arrays from '../arrays';
-import * as Search from '../util/search';
+import * as LinearAlgebra from '../linear-algebra';
+import { logGamma } from '../stats/special';
+import RandomState, { seed, checkRandomState } from './random-state';
+
+export { RandomState, seed, checkRandomState };
+
+/**
+ * Generate a single value or a possibly nested array of values by repeatedly calling a generator.
+ *
+ * @param {number|Array.<number>} shape - If null, a single value is returned. If integer, an array
+ *   of {shape} values is returned. If an Array, values are returned in a shape specified by this
+ *   array. n-th element corresponds to the number of elements in the n-th dimension.
+ * @param {function(): mixed} generator - Function generating a single value
+ * @return {mixed|Array.<mixed>} Single generated value, or possibly nested array of generated
+ *   values
+ */
+function generateShaped(shape, generator) {
+  if (Number.isInteger(shape)) {
+    // List of values
+    return [...Array(shape)].map(() => generator());
+  }
+
+  if (Array.isArray(shape) && shape.length > 0) {
+    if (shape.length === 1) {
+      // Single shape item remaining; return list of values
+      return generateShaped(shape[0], generator);
+    }
+
+    // Nested list of values
+    return [...Array(shape[0])].map(() => generateShaped(shape.slice(1), generator));
+  }
+
+  // Single value
+  return generator();
+}
 
 /**
  * Generate a random integer between a lower bound (inclusive) and an upper bound (exclusive).
@@ -11,28 +45,15 @@ import * as Search from '../util/search';
  *   integer, an array of {shape} elements is returned. If an Array, random numbers are returned in
  *   a shape specified by this array. n-th element corresponds to the number of elements in the
  *   n-th dimension.
- * @return {Array.<mixed>}  Array of the specified with zero in all entries
+ * @param {RandomState|number} [randomState = null] - Random state to use. If null, the global
+ *   random state is used. If an integer, a random state seeded with that integer is used
  * @return {number|Array.<mixed>} Random integer in range [a,b), or a possibly nested array of
  *   random integers in range [a, b)
  */
-export function randint(a, b, shape = null) {
-  if (Number.isInteger(shape)) {
-    // List of random integers
-    return [...Array(shape)].map(x => randint(a, b));
-  }
-
-  if (Array.isArray(shape) && shape.length > 0) {
-    if (shape.length === 1) {
-      // Single shape item remaining; return list of integers
-      return randint(a, b, shape[0]);
-    }
-
-    // Nested list of random integers
-    return [...Array(shape[0])].map(() => randint(a, b, shape.slice(1)));
-  }
+export function randint(a, b, shape = null, randomState = null) {
+  const useRandomState = checkRandomState(randomState);
 
-  // Single random integer
-  return a + Math.floor((b - a) * Math.random());
+  return generateShaped(shape, () => a + Math.floor((b - a) * useRandomState.random()));
 }
 
 /**
@@ -40,10 +61,12 @@ export function randint(a, b, shape = null) {
  *
  * @param {number} a - Lower bound (inclusive)
  * @param {number} b - Upper bound (exclusive)
+ * @param {RandomState|number} [randomState = null] - Random state to use. If null, the global
+ *   random state is used. If an integer, a random state seeded with that integer is used
  * @return {number} Random number in range [a,b)
  */
-export function rand(a, b) {
-  return a + (Math.random() * (b - a));
+export function rand(a, b, randomState = null) {
+  return a + (checkRandomState(randomState).random() * (b - a));
 }
 
 /**
@@ -52,9 +75,13 @@ export function rand(a, b) {
  *
  * @param {Array.<mixed>} input Input array
  * @param {number} number Number of elements to sample from the input array
+ * @param {RandomState|number} [randomState = null] - Random state to use. If null, the global
+ *   random state is used. If an integer, a random state seeded with that integer is used
  * @return {Array.<mixed>} Array of length {number} with values sampled from the input array
  */
-export function sampleFisherYates(input, number) {
+export function sampleFisherYates(input, number, randomState = null) {
+  const useRandomState = checkRandomState(randomState);
+
   // Copy input array
   const shuffledArray = input.slice(0);
 
@@ -62,7 +89,7 @@ export function sampleFisherYates(input, number) {
   const numElements = input.length;
 
   for (let i = numElements - 1; i >= numElements - number; i -= 1) {
-    const index = randint(0, i + 1);
+    const index = randint(0, i + 1, null, useRandomState);
     const tmp = shuffledArray[index];
     shuffledArray[index] = shuffledArray[i];
     shuffledArray[i] = tmp;
@@ -79,22 +106,119 @@ export function sampleFisherYates(input, number) {
  * @param {number} number - Number of elements to sample from the input array
  * @param {boolean} [withReplacement=true] - Whether to sample with (set to true) or without
  *   replacement (false)
+ * @param {RandomState} randomState - Random state to use
  * @return {Array.<mixed>} Array of length {number} with values sampled from the input array
  */
-function sampleUniform(input, number, withReplacement = true) {
+function sampleUniform(input, number, withReplacement, randomState) {
   // If sampling without replacement, use Fisher-Yates sampling
   if (!withReplacement) {
-    return sampleFisherYates(input, number);
+    return sampleFisherYates(input, number, randomState);
   }
 
   // If sampling with replacement, choose a random element each time
-  const indices = randint(0, input.length, number);
+  const indices = randint(0, input.length, number, randomState);
   return indices.map(x => input[x]);
 }
 
+/**
+ * Build the alias table for Walker's alias method, using Vose's algorithm. The alias table allows
+ * drawing weighted samples in constant time per sample, after linear-time preprocessing.
+ *
+ * @param {Array.<number>} weights - Non-negative sampling weights, one for each element
+ * @return {{probabilities: Array.<number>, aliases: Array.<number>}} Alias table. For element i,
+ *   `probabilities[i]` is the probability of keeping i when it is selected uniformly, and
+ *   `aliases[i]` is the element used otherwise
+ */
+function createAliasTable(weights) {
+  const n = weights.length;
+  const totalWeight = weights.reduce((r, x) => r + x, 0);
+
+  // Scale weights such that their mean is 1
+  const scaledWeights = weights.map(x => x * n / totalWeight);
+
+  const probabilities = Arrays.zeros(n);
+  const aliases = Arrays.zeros(n);
+
+  // Split elements into those with a scaled weight below and above 1
+  const small = [];
+  const large = [];
+
+  scaledWeights.forEach((x, i) => (x < 1 ? small : large).push(i));
+
+  // Repeatedly fill the column of a small element with the excess of a large element
+  while (small.length > 0 && large.length > 0) {
+    const l = small.pop();
+    const g = large.pop();
+
+    probabilities[l] = scaledWeights[l];
+    aliases[l] = g;
+
+    scaledWeights[g] = (scaledWeights[g] + scaledWeights[l]) - 1;
+    (scaledWeights[g] < 1 ? small : large).push(g);
+  }
+
+  // Remaining elements have a scaled weight of (numerically close to) 1
+  large.concat(small).forEach((i) => {
+    probabilities[i] = 1;
+    aliases[i] = i;
+  });
+
+  return { probabilities, aliases };
+}
+
+/**
+ * Take a weighted random sample with replacement from an array using Walker's alias method.
+ *
+ * @param {Array.<mixed>} input - Input array
+ * @param {number} number - Number of elements to sample from the input array
+ * @param {Array.<number>} weights - Sampling weights, one for each element in the input array
+ * @param {RandomState} randomState - Random state to use
+ * @return {Array.<mixed>} Array of length {number} with values sampled from the input array
+ */
+function sampleWeightedWithReplacement(input, number, weights, randomState) {
+  const { probabilities, aliases } = createAliasTable(weights);
+
+  return Arrays.zeros(number).map(() => {
+    // Select a column uniformly, and either keep it or use its alias
+    const column = Math.floor(randomState.random() * input.length);
+    return input[randomState.random() < probabilities[column] ? column : aliases[column]];
+  });
+}
+
+/**
+ * Take a weighted random sample without replacement from an array using the A-ES algorithm of
+ * Efraimidis and Spirakis. Each element is assigned the key u^(1/w), where u is a uniform random
+ * number and w is the element weight, and the elements with the largest keys are selected. The
+ * keys are computed in log-space, i.e. as log(u) / w, for numerical stability.
+ *
+ * @param {Array.<mixed>} input - Input array
+ * @param {number} number - Number of elements to sample from the input array
+ * @param {Array.<number>} weights - Sampling weights, one for each element in the input array
+ * @param {RandomState} randomState - Random state to use
+ * @return {Array.<mixed>} Array of length {number} with values sampled from the input array
+ */
+function sampleWeightedWithoutReplacement(input, number, weights, randomState) {
+  // Calculate keys for all elements with a positive weight
+  const keys = [];
+
+  weights.forEach((weight, i) => {
+    if (weight > 0) {
+      keys.push([Math.log(1 - randomState.random()) / weight, i]);
+    }
+  });
+
+  // Select the elements with the largest keys. The order of the keys corresponds to the order in
+  // which the elements would have been drawn one-by-one
+  keys.sort((a, b) => b[0] - a[0]);
+
+  return keys.slice(0, number).map(x => input[x[1]]);
+}
+
 /**
  * Take a random sample with or without replacement from an array. Supports using sampling weights,
- * governing the probability of an item in the input array being selected.
+ * governing the probability of an item in the input array being selected. Weighted sampling with
+ * replacement uses Walker's alias method, and weighted sampling without replacement uses the
+ * A-ES algorithm of Efraimidis and Spirakis, such that large samples can be drawn efficiently.
  *
  * @param {Array.<mixed>} input - Input array
  * @param {number} number - Number of elements to sample from the input array
@@ -103,14 +227,23 @@ function sampleUniform(input, number, withReplacement = true) {
  * @param {Array.<number>|string} [weights='uniform'] - Weights to use for sampling. Defaults to
  *  'uniform',  which means all samples have equal probability of being selected. Alternatively, you
  *  can pass an array of weights, containing a single weight for each element in the input array
+ * @param {RandomState|number} [randomState = null] - Random state to use. If null, the global
+ *   random state is used. If an integer, a random state seeded with that integer is used
  * @return {Array.<mixed>} Array of length {number} with values sampled from the input array
  */
-export function sample(input, number, withReplacement = true, weights = 'uniform') {
+export function sample(input, number, withReplacement = true, weights = 'uniform',
+  randomState = null) {
+  const useRandomState = checkRandomState(randomState);
+
   if (Array.isArray(weights)) {
     if (weights.length !== input.length) {
       throw new Error('Weights array length does not equal input array length.');
     }
 
+    if (!weights.every(x => x >= 0) || !weights.some(x => x > 0)) {
+      throw new Error('Weights must be non-negative, and at least one weight must be positive.');
+    }
+
     if (!withReplacement && number > weights.filter(x => x > 0).length) {
       throw new Error('Invalid sampling quantity specified: sampling without replacement cannot sample more elements than the number of non-zero weights in the weights array.');
     }
@@ -124,54 +257,421 @@ export function sample(input, number, withReplacement = true, weights = 'uniform
 
   // Use the uniform sampling method if the user has specified uniform weights
   if (weights === 'uniform') {
-    return sampleUniform(input, number, withReplacement);
+    return sampleUniform(input, number, withReplacement, useRandomState);
   }
 
-  // Copy weights vector
-  const useWeights = weights.slice();
+  // Sample with replacement using the alias method
+  if (withReplacement) {
+    return sampleWeightedWithReplacement(input, number, weights, useRandomState);
+  }
 
-  const calculateCumWeights = localWeights =>
-    localWeights.reduce((r, a, i) => ([
-      ...r,
-      i > 0 ? (r[i - 1] + a) : a
-    ]), []);
+  // Sample without replacement using weighted random keys
+  return sampleWeightedWithoutReplacement(input, number, weights, useRandomState);
+}
 
-  const sampleSingle = (useCumWeights) => {
-    // Generate a random number, and find the interval in the array of cumulative weights to which
-    // it corresponds. We use this index as the sampled array index, which corresponds to weighted
-    // sampling
-    const randomNumber = rand(0, useCumWeights[useCumWeights.length - 1]);
-    return Search.binaryIntervalSearch([0, ...useCumWeights], randomNumber);
-  };
+// Probability distributions
+// -----
 
-  if (withReplacement) {
-    // Sample with replacement, i.e., randomly sample one element n times in a row
-    const cumWeights = calculateCumWeights(useWeights);
+/**
+ * Draw a single sample from the standard normal distribution using the Box-Muller transform.
+ *
+ * @param {RandomState} randomState - Random state to use
+ * @return {number} Sample from the standard normal distribution
+ */
+function sampleStandardNormal(randomState) {
+  // Use 1 - u to prevent taking the logarithm of zero
+  const u1 = 1 - randomState.random();
+  const u2 = randomState.random();
+
+  return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+}
+
+/**
+ * Draw a single sample from the gamma distribution with unit scale, using the method of Marsaglia
+ * and Tsang.
+ *
+ * @param {number} k - Shape parameter of the gamma distribution. Must be positive
+ * @param {RandomState} randomState - Random state to use
+ * @return {number} Sample from the gamma distribution
+ */
+function sampleStandardGamma(k, randomState) {
+  if (k < 1) {
+    // Boost the shape parameter, and correct the sample afterwards
+    const u = 1 - randomState.random();
+    return sampleStandardGamma(k + 1, randomState) * u ** (1 / k);
+  }
+
+  const d = k - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+
+  while (true) {
+    const x = sampleStandardNormal(randomState);
+    const v = (1 + c * x) ** 3;
+
+    if (v > 0) {
+      const u = 1 - randomState.random();
+
+      if (u < 1 - 0.0331 * x ** 4 || Math.log(u) < 0.5 * x ** 2 + d * (1 - v + Math.log(v))) {
+        return d * v;
+      }
+    }
+  }
+}
+
+/**
+ * Draw a single sample from the Poisson distribution. Uses Knuth's multiplication method for small
+ * rates and the transformed rejection method (PTRS) of Hörmann for large rates.
+ *
+ * @param {number} lambda - Rate of the Poisson distribution
+ * @param {RandomState} randomState - Random state to use
+ * @return {number} Sample from the Poisson distribution
+ */
+function samplePoisson(lambda, randomState) {
+  if (lambda === 0) {
+    return 0;
+  }
+
+  if (lambda < 10) {
+    const limit = Math.exp(-lambda);
+    let k = 0;
+    let p = randomState.random();
+
+    while (p > limit) {
+      k += 1;
+      p *= randomState.random();
+    }
+
+    return k;
+  }
+
+  const sqrtLambda = Math.sqrt(lambda);
+  const logLambda = Math.log(lambda);
+  const b = 0.931 + 2.53 * sqrtLambda;
+  const a = -0.059 + 0.02483 * b;
+  const invAlpha = 1.1239 + 1.1328 / (b - 3.4);
+  const vr = 0.9277 - 3.6224 / (b - 2);
+
+  while (true) {
+    const u = randomState.random() - 0.5;
+    const v = randomState.random();
+    const us = 0.5 - Math.abs(u);
+    const k = Math.floor((2 * a / us + b) * u + lambda + 0.43);
+
+    if (us >= 0.07 && v <= vr) {
+      return k;
+    }
 
-    return Arrays.zeros(number).map(() =>
-      input[sampleSingle(cumWeights)]
-    );
+    if (k >= 0 && (us >= 0.013 || v <= us)
+      && Math.log(v) + Math.log(invAlpha) - Math.log(a / (us * us) + b)
+        <= -lambda + k * logLambda - logGamma(k + 1)) {
+      return k;
+    }
   }
+}
 
-  // Sample without replacement: randomly sample one element, remove it from the list of elements
-  // that can still be sampled and the weights list, and sample from the remaining elements
+/**
+ * Draw a single sample from the binomial distribution. Uses inversion for small expected values
+ * and the transformed rejection method (BTRS) of Hörmann for large expected values.
+ *
+ * @param {number} n - Number of trials
+ * @param {number} p - Success probability of each trial
+ * @param {RandomState} randomState - Random state to use
+ * @return {number} Sample from the binomial distribution
+ */
+function sampleBinomial(n, p, randomState) {
+  if (n === 0 || p === 0) {
+    return 0;
+  }
 
-  // Copy input
-  const useInput = input.slice();
+  if (p === 1) {
+    return n;
+  }
+
+  // Sample the number of failures for large success probabilities
+  if (p > 0.5) {
+    return n - sampleBinomial(n, 1 - p, randomState);
+  }
 
-  // List of elements sampled
-  const samples = [];
+  const q = 1 - p;
 
-  while (samples.length < number) {
-    // Sample from remaining inputs
-    const cumWeights = calculateCumWeights(useWeights);
-    const useSample = sampleSingle(cumWeights);
-    samples.push(useInput[useSample]);
+  if (n * p < 30) {
+    // Inversion: walk through the probability mass function until the cumulative probability
+    // exceeds a uniform random number
+    const qn = Math.exp(n * Math.log(q));
+    const bound = Math.min(n, n * p + 10 * Math.sqrt(n * p * q + 1));
 
-    // Remove sampled element from input elements and weights lists
-    useInput.splice(useSample, 1);
-    useWeights.splice(useSample, 1);
+    let x = 0;
+    let px = qn;
+    let u = randomState.random();
+
+    while (u > px) {
+      x += 1;
+
+      if (x > bound) {
+        x = 0;
+        px = qn;
+        u = randomState.random();
+      } else {
+        u -= px;
+        px = ((n - x + 1) * p * px) / (x * q);
+      }
+    }
+
+    return x;
+  }
+
+  const spq = Math.sqrt(n * p * q);
+  const b = 1.15 + 2.53 * spq;
+  const a = -0.0873 + 0.0248 * b + 0.01 * p;
+  const c = n * p + 0.5;
+  const vr = 0.92 - 4.2 / b;
+  const alpha = (2.83 + 5.1 / b) * spq;
+  const lpq = Math.log(p / q);
+  const m = Math.floor((n + 1) * p);
+  const h = logGamma(m + 1) + logGamma(n - m + 1);
+
+  while (true) {
+    const u = randomState.random() - 0.5;
+    const v = randomState.random();
+    const us = 0.5 - Math.abs(u);
+    const k = Math.floor((2 * a / us + b) * u + c);
+
+    if (k >= 0 && k <= n) {
+      if (us >= 0.07 && v <= vr) {
+        return k;
+      }
+
+      const logV = Math.log(v * alpha / (a / (us * us) + b));
+
+      if (logV <= h - logGamma(k + 1) - logGamma(n - k + 1) + (k - m) * lpq) {
+        return k;
+      }
+    }
   }
+}
+
+/**
+ * Draw samples from a normal (Gaussian) distribution.
+ *
+ * @param {number} [mean = 0] - Mean of the distribution
+ * @param {number} [std = 1] - Standard deviation of the distribution. Must be non-negative
+ * @param {number|Array.<number>} [shape = null] - Shape of the output. See {@link randint}
+ * @param {RandomState|number} [randomState = null] - Random state to use. If null, the global
+ *   random state is used. If an integer, a random state seeded with that integer is used
+ * @return {number|Array.<mixed>} Single sample, or possibly nested array of samples
+ */
+export function normal(mean = 0, std = 1, shape = null, randomState = null) {
+  if (std < 0) {
+    throw new Error('Standard deviation must be non-negative.');
+  }
+
+  const useRandomState = checkRandomState(randomState);
+  return generateShaped(shape, () => mean + std * sampleStandardNormal(useRandomState));
+}
+
+/**
+ * Draw samples from a multivariate normal distribution, specified by its mean vector and
+ * covariance matrix.
+ *
+ * @param {Array.<number>} mean - Mean vector of the distribution, of length d
+ * @param {Array.<Array.<number>>} cov - Covariance matrix of the distribution (d x d). Must be
+ *   symmetric positive definite
+ * @param {number|Array.<number>} [shape = null] - Number of samples to draw. See {@link randint}.
+ *   Each sample is a vector of length d, so the output has an extra dimension of size d
+ * @param {RandomState|number} [randomState = null] - Random state to use. If null, the global
+ *   random state is used. If an integer, a random state seeded with that integer is used
+ * @return {Array.<mixed>} Single d-dimensional sample, or possibly nested array of samples
+ */
+export function multivariateNormal(mean, cov, shape = null, randomState = null) {
+  if (!Arrays.hasShape(cov, [mean.length, mean.length])) {
+    throw new Error('Covariance matrix must be a square matrix matching the mean vector length.');
+  }
+
+  const useRandomState = checkRandomState(randomState);
+
+  // Transform standard normal samples z into samples with the specified covariance by computing
+  // mean + Lz, where L is the Cholesky factor of the covariance matrix
+  const L = LinearAlgebra.cholesky(cov);
+
+  return generateShaped(shape, () => {
+    const z = mean.map(() => sampleStandardNormal(useRandomState));
+    return mean.map((mu, i) => mu + Arrays.dot(L[i], z));
+  });
+}
+
+/**
+ * Draw samples from an exponential distribution.
+ *
+ * @param {number} [scale = 1] - Scale of the distribution, i.e. the inverse of the rate. Must be
+ *   positive
+ * @param {number|Array.<number>} [shape = null] - Shape of the output. See {@link randint}
+ * @param {RandomState|number} [randomState = null] - Random state to use. If null, the global
+ *   random state is used. If an integer, a random state seeded with that integer is used
+ * @return {number|Array.<mixed>} Single sample, or possibly nested array of samples
+ */
+export function exponential(scale = 1, shape = null, randomState = null) {
+  if (scale <= 0) {
+    throw new Error('Scale must be positive.');
+  }
+
+  const useRandomState = checkRandomState(randomState);
+  return generateShaped(shape, () => -scale * Math.log(1 - useRandomState.random()));
+}
+
+/**
+ * Draw samples from a gamma distribution.
+ *
+ * @param {number} k - Shape parameter of the distribution. Must be positive
+ * @param {number} [theta = 1] - Scale parameter of the distribution. Must be positive
+ * @param {number|Array.<number>} [shape = null] - Shape of the output. See {@link randint}
+ * @param {RandomState|number} [randomState = null] - Random state to use. If null, the global
+ *   random state is used. If an integer, a random state seeded with that integer is used
+ * @return {number|Array.<mixed>} Single sample, or possibly nested array of samples
+ */
+export function gamma(k, theta = 1, shape = null, randomState = null) {
+  if (k <= 0 || theta <= 0) {
+    throw new Error('Shape and scale parameters of the gamma distribution must be positive.');
+  }
+
+  const useRandomState = checkRandomState(randomState);
+  return generateShaped(shape, () => theta * sampleStandardGamma(k, useRandomState));
+}
+
+/**
+ * Draw samples from a beta distribution.
+ *
+ * @param {number} a - First shape parameter (alpha). Must be positive
+ * @param {number} b - Second shape parameter (beta). Must be positive
+ * @param {number|Array.<number>} [shape = null] - Shape of the output. See {@link randint}
+ * @param {RandomState|number} [randomState = null] - Random state to use. If null, the global
+ *   random state is used. If an integer, a random state seeded with that integer is used
+ * @return {number|Array.<mixed>} Single sample, or possibly nested array of samples
+ */
+export function beta(a, b, shape = null, randomState = null) {
+  if (a <= 0 || b <= 0) {
+    throw new Error('Shape parameters of the beta distribution must be positive.');
+  }
+
+  const useRandomState = checkRandomState(randomState);
+
+  // A beta sample is obtained as X / (X + Y), where X ~ Gamma(a) and Y ~ Gamma(b)
+  return generateShaped(shape, () => {
+    const x = sampleStandardGamma(a, useRandomState);
+    const y = sampleStandardGamma(b, useRandomState);
+    return x / (x + y);
+  });
+}
+
+/**
+ * Draw samples from a Dirichlet distribution.
+ *
+ * @param {Array.<number>} alpha - Concentration parameters of the distribution, of length k. All
+ *   parameters must be positive
+ * @param {number|Array.<number>} [shape = null] - Number of samples to draw. See {@link randint}.
+ *   Each sample is a vector of length k, so the output has an extra dimension of size k
+ * @param {RandomState|number} [randomState = null] - Random state to use. If null, the global
+ *   random state is used. If an integer, a random state seeded with that integer is used
+ * @return {Array.<mixed>} Single k-dimensional sample, or possibly nested array of samples
+ */
+export function dirichlet(alpha, shape = null, randomState = null) {
+  if (!alpha.every(x => x > 0)) {
+    throw new Error('Concentration parameters of the Dirichlet distribution must be positive.');
+  }
+
+  const useRandomState = checkRandomState(randomState);
+
+  // Normalize independent gamma samples, one for each concentration parameter
+  return generateShaped(shape, () => {
+    const samples = alpha.map(x => sampleStandardGamma(x, useRandomState));
+    const total = samples.reduce((r, x) => r + x, 0);
+    return samples.map(x => x / total);
+  });
+}
+
+/**
+ * Draw samples from a Poisson distribution.
+ *
+ * @param {number} [lambda = 1] - Expected number of events (rate). Must be non-negative
+ * @param {number|Array.<number>} [shape = null] - Shape of the output. See {@link randint}
+ * @param {RandomState|number} [randomState = null] - Random state to use. If null, the global
+ *   random state is used. If an integer, a random state seeded with that integer is used
+ * @return {number|Array.<mixed>} Single sample, or possibly nested array of samples
+ */
+export function poisson(lambda = 1, shape = null, randomState = null) {
+  if (lambda < 0) {
+    throw new Error('Rate of the Poisson distribution must be non-negative.');
+  }
+
+  const useRandomState = checkRandomState(randomState);
+  return generateShaped(shape, () => samplePoisson(lambda, useRandomState));
+}
+
+/**
+ * Draw samples from a binomial distribution.
+ *
+ * @param {number} n - Number of trials. Must be a non-negative integer
+ * @param {number} p - Success probability of each trial, in the range [0, 1]
+ * @param {number|Array.<number>} [shape = null] - Shape of the output. See {@link randint}
+ * @param {RandomState|number} [randomState = null] - Random state to use. If null, the global
+ *   random state is used. If an integer, a random state seeded with that integer is used
+ * @return {number|Array.<mixed>} Single sample (number of successes), or possibly nested array of
+ *   samples
+ */
+export function binomial(n, p, shape = null, randomState = null) {
+  if (!Number.isInteger(n) || n < 0) {
+    throw new Error('Number of trials must be a non-negative integer.');
+  }
+
+  if (p < 0 || p > 1) {
+    throw new Error('Success probability must be in the range [0, 1].');
+  }
+
+  const useRandomState = checkRandomState(randomState);
+  return generateShaped(shape, () => sampleBinomial(n, p, useRandomState));
+}
+
+/**
+ * Draw samples from a multinomial distribution.
+ *
+ * @param {number} n - Number of trials. Must be a non-negative integer
+ * @param {Array.<number>} pvals - Probabilities of each of the k outcomes. Should sum to 1
+ * @param {number|Array.<number>} [shape = null] - Number of samples to draw. See {@link randint}.
+ *   Each sample is a vector of length k, so the output has an extra dimension of size k
+ * @param {RandomState|number} [randomState = null] - Random state to use. If null, the global
+ *   random state is used. If an integer, a random state seeded with that integer is used
+ * @return {Array.<mixed>} Single sample (number of occurrences per outcome), or possibly nested
+ *   array of samples
+ */
+export function multinomial(n, pvals, shape = null, randomState = null) {
+  if (!Number.isInteger(n) || n < 0) {
+    throw new Error('Number of trials must be a non-negative integer.');
+  }
+
+  if (!pvals.every(x => x >= 0) || Math.abs(pvals.reduce((r, x) => r + x, 0) - 1) > 1e-8) {
+    throw new Error('Outcome probabilities must be non-negative and sum to 1.');
+  }
+
+  const useRandomState = checkRandomState(randomState);
+
+  // Sample the outcome counts one-by-one: the count of each outcome is binomially distributed,
+  // conditional on the counts of the outcomes before it
+  return generateShaped(shape, () => {
+    const counts = Arrays.zeros(pvals.length);
+    let remainingTrials = n;
+    let remainingProbability = 1;
+
+    for (let i = 0; i < pvals.length - 1 && remainingTrials > 0; i += 1) {
+      const p = remainingProbability > 0
+        ? Math.min(1, Math.max(0, pvals[i] / remainingProbability))
+        : 0;
+
+      counts[i] = sampleBinomial(remainingTrials, p, useRandomState);
+      remainingTrials -= counts[i];
+      remainingProbability -= pvals[i];
+    }
+
+    counts[pvals.length - 1] += remainingTrials;
 
-  return samples;
+    return counts;
+  });
 }
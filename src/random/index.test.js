@@ -0,0 +1,194 @@
+var expect = require('chai').expect;
+var random = require('./index.js');
+var arrays = require('../arrays/index.js');
+var modelSelection = require('../model-selection/index.js');
+
+describe('Random', function() {
+  describe('.RandomState', function() {
+    it('should generate numbers in the range [0, 1)', function() {
+      var randomState = new random.RandomState(1);
+      var values = [...Array(1000)].map(() => randomState.random());
+
+      expect(values.every(x => x >= 0 && x < 1)).to.equal(true);
+    });
+
+    it('should generate the same sequence for the same seed', function() {
+      var a = new random.RandomState(42);
+      var b = new random.RandomState(42);
+      var c = new random.RandomState(43);
+
+      var valuesA = [...Array(10)].map(() => a.random());
+      var valuesB = [...Array(10)].map(() => b.random());
+      var valuesC = [...Array(10)].map(() => c.random());
+
+      expect(valuesA).to.deep.equal(valuesB);
+      expect(valuesA).to.not.deep.equal(valuesC);
+    });
+
+    it('should throw an error for non-integer seeds', function() {
+      expect(() => new random.RandomState(0.5)).to.throw();
+    });
+  });
+
+  describe('.seed', function() {
+    it('should make functions using the global random state reproducible', function() {
+      random.seed(7);
+      var a = random.randint(0, 100, [3, 4]);
+      random.seed(7);
+      var b = random.randint(0, 100, [3, 4]);
+
+      expect(a).to.deep.equal(b);
+    });
+  });
+
+  describe('.sample', function() {
+    it('should be reproducible when passed an integer random state', function() {
+      var input = [...Array(50).keys()];
+
+      expect(random.sample(input, 10, false, 'uniform', 3))
+        .to.deep.equal(random.sample(input, 10, false, 'uniform', 3));
+      expect(random.sample(input, 10, true, input.map(x => x + 1), 3))
+        .to.deep.equal(random.sample(input, 10, true, input.map(x => x + 1), 3));
+    });
+  });
+
+  describe('.sample (weighted)', function() {
+    var frequencies = (samples, numValues) => {
+      var counts = [...Array(numValues)].map(() => 0);
+      samples.forEach((x) => { counts[x] += 1; });
+      return counts.map(x => x / samples.length);
+    };
+
+    it('should sample with replacement according to the weights', function() {
+      var samples = random.sample([0, 1, 2, 3], 40000, true, [1, 2, 0, 5], 8);
+      var freqs = frequencies(samples, 4);
+
+      expect(freqs[0]).to.be.closeTo(0.125, 0.01);
+      expect(freqs[1]).to.be.closeTo(0.25, 0.01);
+      expect(freqs[2]).to.equal(0);
+      expect(freqs[3]).to.be.closeTo(0.625, 0.01);
+    });
+
+    it('should sample without replacement according to the weights', function() {
+      var firstDraws = [...Array(20000)].map((x, i) => random.sample([0, 1, 2], 2, false, [1, 3, 0], i)[0]);
+      var freqs = frequencies(firstDraws, 3);
+
+      expect(freqs[0]).to.be.closeTo(0.25, 0.015);
+      expect(freqs[1]).to.be.closeTo(0.75, 0.015);
+    });
+
+    it('should not sample any element twice when sampling without replacement', function() {
+      var input = [...Array(5000).keys()];
+      var weights = input.map(x => (x % 10) + 1);
+      var samples = random.sample(input, 3000, false, weights, 9);
+
+      expect(samples.length).to.equal(3000);
+      expect(new Set(samples).size).to.equal(3000);
+    });
+
+    it('should throw an error for invalid weights', function() {
+      expect(() => random.sample([0, 1], 1, true, [0, 0])).to.throw();
+      expect(() => random.sample([0, 1], 1, true, [-1, 2])).to.throw();
+      expect(() => random.sample([0, 1, 2], 2, false, [0, 0, 1])).to.throw();
+    });
+  });
+
+  describe('randomState option', function() {
+    it('should make array shuffling reproducible', function() {
+      var A = [...Array(20).keys()];
+      var B = A.map(x => x * 2);
+
+      var [A1, B1] = arrays.shuffle(A, B, new random.RandomState(5));
+      var [A2, B2] = arrays.shuffle(A, B, new random.RandomState(5));
+
+      expect(A1).to.deep.equal(A2);
+      expect(B1).to.deep.equal(B2);
+      expect(B1).to.deep.equal(A1.map(x => x * 2));
+    });
+
+    it('should make train/test splits reproducible', function() {
+      var A = [...Array(20).keys()];
+
+      expect(modelSelection.trainTestSplit([A], { randomState: 11 }))
+        .to.deep.equal(modelSelection.trainTestSplit([A], { randomState: 11 }));
+    });
+  });
+
+  describe('distributions', function() {
+    var mean = x => x.reduce((r, a) => r + a, 0) / x.length;
+    var variance = (x) => {
+      var m = mean(x);
+      return mean(x.map(a => (a - m) ** 2));
+    };
+
+    it('should support the shape argument', function() {
+      expect(arrays.getShape(random.normal(0, 1, [2, 3], 1))).to.deep.equal([2, 3]);
+      expect(arrays.getShape(random.poisson(4, 5, 1))).to.deep.equal([5]);
+      expect(arrays.getShape(random.dirichlet([1, 2, 3], [4, 2], 1))).to.deep.equal([4, 2, 3]);
+      expect(typeof random.gamma(2, 1, null, 1)).to.equal('number');
+    });
+
+    it('should draw normal samples with the specified mean and standard deviation', function() {
+      var samples = random.normal(3, 2, 20000, 1);
+      expect(mean(samples)).to.be.closeTo(3, 0.05);
+      expect(Math.sqrt(variance(samples))).to.be.closeTo(2, 0.05);
+    });
+
+    it('should draw multivariate normal samples with the specified covariance', function() {
+      var samples = random.multivariateNormal([1, -1], [[2, 0.8], [0.8, 1]], 20000, 2);
+      var x = samples.map(a => a[0]);
+      var y = samples.map(a => a[1]);
+      var mx = mean(x);
+      var my = mean(y);
+      var cov = mean(x.map((a, i) => (a - mx) * (y[i] - my)));
+
+      expect(mean(x)).to.be.closeTo(1, 0.05);
+      expect(mean(y)).to.be.closeTo(-1, 0.05);
+      expect(variance(x)).to.be.closeTo(2, 0.1);
+      expect(cov).to.be.closeTo(0.8, 0.05);
+      expect(() => random.multivariateNormal([0, 0], [[1, 2], [2, 1]])).to.throw();
+    });
+
+    it('should draw gamma, beta and exponential samples with the correct means', function() {
+      expect(mean(random.exponential(2, 20000, 3))).to.be.closeTo(2, 0.1);
+      expect(mean(random.gamma(3, 2, 20000, 3))).to.be.closeTo(6, 0.15);
+      expect(mean(random.gamma(0.5, 1, 20000, 3))).to.be.closeTo(0.5, 0.03);
+      expect(mean(random.beta(2, 6, 20000, 3))).to.be.closeTo(0.25, 0.01);
+    });
+
+    it('should draw Dirichlet samples that sum to one', function() {
+      var samples = random.dirichlet([1, 2, 7], 5000, 4);
+      expect(samples.every(x => Math.abs(x[0] + x[1] + x[2] - 1) < 1e-10)).to.equal(true);
+      expect(mean(samples.map(x => x[2]))).to.be.closeTo(0.7, 0.02);
+    });
+
+    it('should draw Poisson and binomial samples with the correct means and variances', function() {
+      [2, 50].forEach((lambda) => {
+        var samples = random.poisson(lambda, 20000, 5);
+        expect(samples.every(Number.isInteger)).to.equal(true);
+        expect(mean(samples)).to.be.closeTo(lambda, lambda * 0.03);
+        expect(variance(samples)).to.be.closeTo(lambda, lambda * 0.06);
+      });
+
+      [[10, 0.3], [1000, 0.4], [20, 0.9]].forEach(([n, p]) => {
+        var samples = random.binomial(n, p, 20000, 5);
+        expect(samples.every(x => Number.isInteger(x) && x >= 0 && x <= n)).to.equal(true);
+        expect(mean(samples)).to.be.closeTo(n * p, n * p * 0.02);
+        expect(variance(samples)).to.be.closeTo(n * p * (1 - p), n * p * (1 - p) * 0.06);
+      });
+    });
+
+    it('should draw multinomial samples that sum to the number of trials', function() {
+      var samples = random.multinomial(20, [0.2, 0.5, 0.3], 5000, 6);
+      expect(samples.every(x => x[0] + x[1] + x[2] === 20)).to.equal(true);
+      expect(mean(samples.map(x => x[1]))).to.be.closeTo(10, 0.2);
+    });
+
+    it('should throw an error for invalid parameters', function() {
+      expect(() => random.normal(0, -1)).to.throw();
+      expect(() => random.gamma(0)).to.throw();
+      expect(() => random.binomial(2.5, 0.5)).to.throw();
+      expect(() => random.multinomial(5, [0.5, 0.6])).to.throw();
+    });
+  });
+});
@@ -0,0 +1,135 @@
+/* eslint no-bitwise: "off" */
+
+/**
+ * Mix a 32-bit integer state into a new 32-bit integer (SplitMix32). Used to expand a single seed
+ * into the full internal state of the random number generator.
+ *
+ * @param {number} x - 32-bit integer input
+ * @return {number} Mixed 32-bit unsigned integer
+ */
+function splitMix32(x) {
+  let z = (x + 0x9e3779b9) | 0;
+  z = Math.imul(z ^ (z >>> 16), 0x85ebca6b);
+  z = Math.imul(z ^ (z >>> 13), 0xc2b2ae35);
+  return (z ^ (z >>> 16)) >>> 0;
+}
+
+/**
+ * Seedable pseudo-random number generator. Generates uniformly distributed numbers using the
+ * xoshiro128** algorithm, which has a period of 2^128 - 1. Two random states created with the
+ * same seed generate the exact same sequence of numbers, which makes experiments reproducible.
+ *
+ * @example
+ * var randomState = new RandomState(42);
+ * randomState.random(); // Number in [0, 1), identical for each RandomState seeded with 42
+ */
+export default class RandomState {
+  /**
+   * Constructor. Initialize the generator state from a seed.
+   *
+   * @param {number} [seedValue = null] - Integer seed. If null, a seed is drawn from
+   *   Math.random()
+   */
+  constructor(seedValue = null) {
+    this.seed(seedValue);
+  }
+
+  /**
+   * Reset the generator state using a new seed.
+   *
+   * @param {number} [seedValue = null] - Integer seed. If null, a seed is drawn from Math.random()
+   */
+  seed(seedValue = null) {
+    /**
+     * Seed used to initialize the generator state
+     *
+     * @type {number}
+     */
+    this.initialSeed = seedValue === null ? Math.floor(Math.random() * 2 ** 32) : seedValue;
+
+    if (!Number.isInteger(this.initialSeed)) {
+      throw new Error('Random state seed must be an integer.');
+    }
+
+    // Expand the seed into four 32-bit state words
+    this.state = [];
+    let x = this.initialSeed | 0;
+
+    for (let i = 0; i < 4; i += 1) {
+      x = splitMix32(x);
+      this.state.push(x);
+    }
+  }
+
+  /**
+   * Generate the next unsigned 32-bit integer in the sequence.
+   *
+   * @return {number} Random integer in range [0, 2^32)
+   */
+  nextUint32() {
+    const s = this.state;
+    const r = Math.imul(s[1], 5);
+    const result = Math.imul((r << 7) | (r >>> 25), 9);
+    const t = s[1] << 9;
+
+    s[2] ^= s[0];
+    s[3] ^= s[1];
+    s[1] ^= s[2];
+    s[0] ^= s[3];
+    s[2] ^= t;
+    s[3] = (s[3] << 11) | (s[3] >>> 21);
+
+    return result >>> 0;
+  }
+
+  /**
+   * Generate a random number in the range [0, 1), like Math.random().
+   *
+   * @return {number} Random number in range [0, 1)
+   */
+  random() {
+    return this.nextUint32() / 2 ** 32;
+  }
+}
+
+/**
+ * Random state used by all random functions when no random state is passed explicitly.
+ *
+ * @type {RandomState}
+ */
+let globalRandomState = new RandomState();
+
+/**
+ * Seed the global random state, which is used by all functions that consume randomness when they
+ * are not passed a random state of their own.
+ *
+ * @param {number} [seedValue = null] - Integer seed. If null, a seed is drawn from
+ *   Math.random()
+ */
+export function seed(seedValue = null) {
+  globalRandomState = new RandomState(seedValue);
+}
+
+/**
+ * Turn a user-specified random state into a RandomState object.
+ *
+ * @param {RandomState|number|null} [randomState = null] - Random state specification. If null,
+ *   the global random state is used. If an integer, a new RandomState seeded with that integer
+ *   is created. If a RandomState, it is returned as is
+ * @return {RandomState} Random state object
+ */
+export function checkRandomState(randomState = null) {
+  if (randomState === null || typeof randomState === 'undefined') {
+    return globalRandomState;
+  }
+
+  if (randomState instanceof RandomState) {
+    return randomState;
+  }
+
+  if (Number.isInteger(randomState)) {
+    return new RandomState(randomState);
+  }
+
+  throw new Error('Invalid random state: should be null, an integer seed, or a RandomState.');
+}
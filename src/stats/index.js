@@ -0,0 +1,432 @@
+/**
+ * Descriptive statistics. Functions operate column-wise on feature matrices by default (i.e.,
+ * along axis 0), so that each statistic is computed per feature. Pass a different axis to compute
+ * statistics per sample, or null to compute them over all elements.
+ */
+
+// Internal dependencies
+import * as Arrays from '../arrays';
+import * as LinearAlgebra from '../linear-algebra';
+import * as Special from './special';
+
+export { Special };
+
+/**
+ * Calculate the arithmetic mean of an array along an axis.
+ *
+ * @param {Array.<number>|Array.<Array.<number>>} X - Input array. For feature matrices, each row
+ *   is a sample and each column is a feature
+ * @param {number} [axis = 0] - Axis to calculate the mean along. If null, the mean of all elements
+ *   is calculated
+ * @return {number|Array.<number>} Mean, or array of means along the axis
+ */
+export function mean(X, axis = 0) {
+  return Arrays.mean(X, axis);
+}
+
+/**
+ * Calculate a quantile of a list of sorted values.
+ *
+ * @param {Array.<number>} sorted - Values sorted in ascending order
+ * @param {number} q - Quantile, in [0, 1]
+ * @param {string} interpolation - Interpolation mode. See {@link quantile}
+ * @return {number} Quantile value
+ */
+function sortedQuantile(sorted, q, interpolation) {
+  if (sorted.length === 0) {
+    throw new Error('Cannot compute the quantile of an empty array.');
+  }
+
+  // Fractional position of the quantile in the sorted values
+  const position = q * (sorted.length - 1);
+  const lower = Math.floor(position);
+  const higher = Math.ceil(position);
+  const fraction = position - lower;
+
+  switch (interpolation) {
+    case 'linear':
+      return sorted[lower] + fraction * (sorted[higher] - sorted[lower]);
+    case 'lower':
+      return sorted[lower];
+    case 'higher':
+      return sorted[higher];
+    case 'nearest':
+      // Ties are rounded to the nearest even index, as in NumPy
+      if (fraction === 0.5) {
+        return sorted[lower % 2 === 0 ? lower : higher];
+      }
+
+      return sorted[fraction < 0.5 ? lower : higher];
+    case 'midpoint':
+      return (sorted[lower] + sorted[higher]) / 2;
+    default:
+      throw new Error(`Unknown interpolation mode "${interpolation}".`);
+  }
+}
+
+/**
+ * Calculate one or more quantiles of an array along an axis.
+ *
+ * @example
+ * quantile([1, 2, 3, 4], 0.5); // 2.5
+ * quantile([[1, 10], [2, 20], [3, 30]], [0, 1]); // [[1, 10], [3, 30]]
+ *
+ * @param {Array.<number>|Array.<Array.<number>>} X - Input array
+ * @param {number|Array.<number>} q - Quantile or list of quantiles to compute, each in [0, 1]
+ * @param {number} [axis = 0] - Axis to calculate the quantiles along. If null, the quantiles of
+ *   all elements are calculated
+ * @param {string} [interpolation = 'linear'] - How to calculate quantiles that lie between two
+ *   data points i < j. Either 'linear' (interpolate linearly between i and j), 'lower' (use i),
+ *   'higher' (use j), 'nearest' (use i or j, whichever is closest) or 'midpoint' (use the average
+ *   of i and j)
+ * @return {number|Array.<mixed>} Quantile(s). If q is a list, the first axis of the output
+ *   corresponds to the quantiles
+ */
+export function quantile(X, q, axis = 0, interpolation = 'linear') {
+  const qs = Array.isArray(q) ? q : [q];
+
+  if (!qs.every(x => x >= 0 && x <= 1)) {
+    throw new Error('Quantiles must be in the range [0, 1].');
+  }
+
+  const results = qs.map(x => Arrays.applyAlongAxis(
+    X,
+    axis,
+    values => sortedQuantile(values.slice().sort((a, b) => a - b), x, interpolation)
+  ));
+
+  return Array.isArray(q) ? results : results[0];
+}
+
+/**
+ * Calculate one or more percentiles of an array along an axis.
+ *
+ * @param {Array.<number>|Array.<Array.<number>>} X - Input array
+ * @param {number|Array.<number>} p - Percentile or list of percentiles to compute, each in
+ *   [0, 100]
+ * @param {number} [axis = 0] - Axis to calculate the percentiles along. If null, the percentiles
+ *   of all elements are calculated
+ * @param {string} [interpolation = 'linear'] - Interpolation mode. See {@link quantile}
+ * @return {number|Array.<mixed>} Percentile(s). If p is a list, the first axis of the output
+ *   corresponds to the percentiles
+ */
+export function percentile(X, p, axis = 0, interpolation = 'linear') {
+  const q = Array.isArray(p) ? p.map(x => x / 100) : p / 100;
+  return quantile(X, q, axis, interpolation);
+}
+
+/**
+ * Calculate the median of an array along an axis.
+ *
+ * @param {Array.<number>|Array.<Array.<number>>} X - Input array
+ * @param {number} [axis = 0] - Axis to calculate the median along. If null, the median of all
+ *   elements is calculated
+ * @return {number|Array.<number>} Median, or array of medians along the axis
+ */
+export function median(X, axis = 0) {
+  return quantile(X, 0.5, axis);
+}
+
+/**
+ * Calculate the variance of an array along an axis.
+ *
+ * @param {Array.<number>|Array.<Array.<number>>} X - Input array
+ * @param {number} [axis = 0] - Axis to calculate the variance along. If null, the variance of all
+ *   elements is calculated
+ * @param {number} [ddof = 0] - Delta degrees of freedom. The sum of squared deviations is divided
+ *   by n - ddof. Use 1 for the unbiased sample variance
+ * @return {number|Array.<number>} Variance, or array of variances along the axis
+ */
+export function variance(X, axis = 0, ddof = 0) {
+  return Arrays.variance(X, axis, ddof);
+}
+
+/**
+ * Calculate the standard deviation of an array along an axis.
+ *
+ * @param {Array.<number>|Array.<Array.<number>>} X - Input array
+ * @param {number} [axis = 0] - Axis to calculate the standard deviation along. If null, the
+ *   standard deviation of all elements is calculated
+ * @param {number} [ddof = 0] - Delta degrees of freedom. See {@link variance}
+ * @return {number|Array.<number>} Standard deviation, or array of standard deviations along the
+ *   axis
+ */
+export function std(X, axis = 0, ddof = 0) {
+  return Arrays.std(X, axis, ddof);
+}
+
+/**
+ * Calculate the covariance matrix of the features in a data matrix.
+ *
+ * @param {Array.<Array.<number>>} X - Data matrix. Each row is a sample, each column a feature
+ * @param {number} [ddof = 1] - Delta degrees of freedom. The sums of products of deviations are
+ *   divided by n - ddof. Defaults to the unbiased estimator
+ * @return {Array.<Array.<number>>} Covariance matrix, of size d x d for d features
+ */
+export function covariance(X, ddof = 1) {
+  const XUse = Arrays.toArray(X);
+
+  if (XUse.length - ddof <= 0) {
+    throw new Error('Number of samples must be larger than the delta degrees of freedom.');
+  }
+
+  const centered = Arrays.subtract(XUse, Arrays.mean(XUse, 0));
+
+  return Arrays.divide(
+    LinearAlgebra.matmul(Arrays.transpose(centered), centered),
+    XUse.length - ddof
+  );
+}
+
+/**
+ * Assign ranks to data, where the smallest value gets rank 1.
+ *
+ * @example
+ * rankData([10, 30, 20, 20]); // [1, 4, 2.5, 2.5]
+ *
+ * @param {Array.<number>} x - Input values
+ * @param {string} [method = 'average'] - How to rank tied values. Either 'average' (average of
+ *   the ranks the tied values would have had), 'min' (lowest of those ranks), 'max' (highest of
+ *   those ranks), 'dense' (like 'min', but the next highest value gets the next rank instead of
+ *   skipping ranks) or 'ordinal' (distinct ranks in order of occurrence)
+ * @return {Array.<number>} Rank of each value
+ */
+export function rankData(x, method = 'average') {
+  if (!['average', 'min', 'max', 'dense', 'ordinal'].includes(method)) {
+    throw new Error(`Unknown ranking method "${method}".`);
+  }
+
+  // Stable sort of indices by value
+  const order = Arrays.argSort(x, (a, b) => a - b);
+  const ranks = new Array(x.length);
+  let denseRank = 0;
+
+  for (let i = 0; i < order.length;) {
+    // Find the range [i, j) of tied values
+    let j = i + 1;
+
+    while (j < order.length && x[order[j]] === x[order[i]]) {
+      j += 1;
+    }
+
+    denseRank += 1;
+
+    for (let k = i; k < j; k += 1) {
+      ranks[order[k]] = {
+        average: (i + j + 1) / 2,
+        min: i + 1,
+        max: j,
+        dense: denseRank,
+        ordinal: k + 1,
+      }[method];
+    }
+
+    i = j;
+  }
+
+  return ranks;
+}
+
+/**
+ * Calculate the correlation matrix of the features in a data matrix.
+ *
+ * @param {Array.<Array.<number>>} X - Data matrix. Each row is a sample, each column a feature
+ * @param {string} [method = 'pearson'] - Correlation coefficient. Either 'pearson' (linear
+ *   correlation) or 'spearman' (rank correlation: the Pearson correlation of the ranks)
+ * @return {Array.<Array.<number>>} Correlation matrix, of size d x d for d features
+ */
+export function correlation(X, method = 'pearson') {
+  let XUse = Arrays.toArray(X);
+
+  if (method === 'spearman') {
+    XUse = Arrays.transpose(Arrays.transpose(XUse).map(column => rankData(column)));
+  } else if (method !== 'pearson') {
+    throw new Error(`Unknown correlation method "${method}".`);
+  }
+
+  const cov = covariance(XUse);
+  const stds = cov.map((row, i) => Math.sqrt(row[i]));
+
+  return cov.map((row, i) => row.map((x, j) => (i === j ? 1 : x / (stds[i] * stds[j]))));
+}
+
+/**
+ * Calculate the number of histogram bins using a binning rule.
+ *
+ * @param {string} rule - Binning rule: 'sqrt', 'sturges', 'scott' or 'fd' (Freedman-Diaconis)
+ * @param {Array.<number>} x - Values to bin
+ * @param {number} width - Width of the range of the histogram
+ * @return {number} Number of bins
+ */
+function numBinsFromRule(rule, x, width) {
+  const n = x.length;
+  let binWidth;
+
+  switch (rule) {
+    case 'sqrt':
+      return Math.ceil(Math.sqrt(n));
+    case 'sturges':
+      return Math.ceil(Math.log2(n)) + 1;
+    case 'scott':
+      binWidth = 3.5 * Arrays.std(x) / Math.cbrt(n);
+      break;
+    case 'fd': {
+      const [q1, q3] = quantile(x, [0.25, 0.75]);
+      binWidth = 2 * (q3 - q1) / Math.cbrt(n);
+      break;
+    }
+    default:
+      throw new Error(`Unknown binning rule "${rule}".`);
+  }
+
+  return binWidth > 0 ? Math.max(1, Math.ceil(width / binWidth)) : 1;
+}
+
+/**
+ * Compute the histogram of a set of values. All bins but the last are half-open: bin i contains
+ * the values in [edge_i, edge_{i+1}). The last bin also contains its right edge.
+ *
+ * @example
+ * histogram([1, 2, 2, 3, 4], 3);
+ * // {counts: [1, 2, 2], binEdges: [1, 2, 3, 4]}
+ *
+ * @param {Array.<number>} x - Values. Multidimensional arrays are flattened
+ * @param {number|Array.<number>|string} [bins = 10] - Number of equal-width bins, list of bin
+ *   edges (in increasing order), or name of a rule to determine the number of equal-width bins:
+ *   'sqrt', 'sturges', 'scott' or 'fd' (Freedman-Diaconis)
+ * @param {Array.<number>} [range = null] - Lower and upper edge of the bins, as [min, max]. Values
+ *   outside the range are ignored. Defaults to the minimum and maximum value. Ignored if the bin
+ *   edges are specified explicitly
+ * @return {{counts: Array.<number>, binEdges: Array.<number>}} Number of values per bin, and the
+ *   bin edges. The number of bin edges is one larger than the number of bins
+ */
+export function histogram(x, bins = 10, range = null) {
+  const values = Arrays.flatten(Arrays.toArray(x));
+  let binEdges;
+
+  if (Array.isArray(bins)) {
+    binEdges = bins.slice();
+  } else {
+    let [low, high] = range === null ? [Arrays.min(values), Arrays.max(values)] : range;
+
+    if (values.length === 0 && range === null) {
+      [low, high] = [0, 1];
+    }
+
+    // Widen empty ranges, as it is impossible to create equal-width bins otherwise
+    if (low === high) {
+      low -= 0.5;
+      high += 0.5;
+    }
+
+    const inRange = values.filter(v => v >= low && v <= high);
+    const numBins = typeof bins === 'string' ? numBinsFromRule(bins, inRange, high - low) : bins;
+
+    if (!Number.isInteger(numBins) || numBins < 1) {
+      throw new Error('The number of bins must be a positive integer.');
+    }
+
+    // Set the last edge explicitly, so that the maximum value is not excluded by rounding errors
+    binEdges = Arrays.linspace(low, high, numBins + 1);
+    binEdges[numBins] = high;
+  }
+
+  if (binEdges.length < 2 || !binEdges.every((e, i) => i === 0 || e > binEdges[i - 1])) {
+    throw new Error('Bin edges must contain at least two strictly increasing values.');
+  }
+
+  const counts = Arrays.zeros(binEdges.length - 1);
+  const lastEdge = binEdges[binEdges.length - 1];
+
+  values.forEach((v) => {
+    if (v < binEdges[0] || v > lastEdge) {
+      return;
+    }
+
+    // Binary search for the last bin edge smaller than or equal to the value
+    let low = 0;
+    let high = binEdges.length - 1;
+
+    while (high - low > 1) {
+      const middle = Math.floor((low + high) / 2);
+
+      if (binEdges[middle] <= v) {
+        low = middle;
+      } else {
+        high = middle;
+      }
+    }
+
+    counts[low] += 1;
+  });
+
+  return { counts, binEdges };
+}
+
+/**
+ * Find the most frequent value of an array along an axis. If multiple values are most frequent,
+ * the smallest of them is returned.
+ *
+ * @param {Array.<mixed>|Array.<Array.<mixed>>} X - Input array
+ * @param {number} [axis = 0] - Axis to find the mode along. If null, the mode of all elements is
+ *   found
+ * @return {mixed|Array.<mixed>} Mode, or array of modes along the axis
+ */
+export function mode(X, axis = 0) {
+  return Arrays.applyAlongAxis(X, axis, values =>
+    Arrays.valueCounts(values).reduce((r, x) => {
+      if (x[1] > r[1] || (x[1] === r[1] && x[0] < r[0])) {
+        return x;
+      }
+
+      return r;
+    })[0]
+  );
+}
+
+/**
+ * Calculate a standardized central moment of a list of values.
+ *
+ * @param {Array.<number>} values - Input values
+ * @param {number} order - Order of the moment
+ * @return {number} Central moment of the specified order, divided by the standard deviation to the
+ *   power of the order
+ */
+function standardizedMoment(values, order) {
+  const valuesMean = values.reduce((r, a) => r + a, 0) / values.length;
+  const centralMoment = k =>
+    values.reduce((r, a) => r + (a - valuesMean) ** k, 0) / values.length;
+
+  return centralMoment(order) / (centralMoment(2) ** (order / 2));
+}
+
+/**
+ * Calculate the (population) skewness of an array along an axis, i.e. the third standardized
+ * moment.
+ *
+ * @param {Array.<number>|Array.<Array.<number>>} X - Input array
+ * @param {number} [axis = 0] - Axis to calculate the skewness along. If null, the skewness of all
+ *   elements is calculated
+ * @return {number|Array.<number>} Skewness, or array of skewnesses along the axis
+ */
+export function skewness(X, axis = 0) {
+  return Arrays.applyAlongAxis(X, axis, values => standardizedMoment(values, 3));
+}
+
+/**
+ * Calculate the (population) kurtosis of an array along an axis, i.e. the fourth standardized
+ * moment.
+ *
+ * @param {Array.<number>|Array.<Array.<number>>} X - Input array
+ * @param {number} [axis = 0] - Axis to calculate the kurtosis along. If null, the kurtosis of all
+ *   elements is calculated
+ * @param {boolean} [fisher = true] - Whether to return the excess kurtosis (Fisher's definition),
+ *   which is 0 for a normal distribution, instead of the raw kurtosis (Pearson's definition),
+ *   which is 3 for a normal distribution
+ * @return {number|Array.<number>} Kurtosis, or array of kurtoses along the axis
+ */
+export function kurtosis(X, axis = 0, fisher = true) {
+  return Arrays.applyAlongAxis(X, axis, values =>
+    standardizedMoment(values, 4) - (fisher ? 3 : 0)
+  );
+}
@@ -0,0 +1,111 @@
+var chai = require('chai');
+var chaiAlmost = require('chai-almost');
+var stats = require('./index.js');
+
+// Set up float equality testing
+chai.use(chaiAlmost(1e-8));
+var expect = chai.expect;
+
+describe('Stats', function() {
+  var X = [[1, 10], [2, 30], [3, 20], [4, 40]];
+
+  describe('.mean, .variance, .std', function() {
+    it('should compute column-wise statistics by default', function() {
+      expect(stats.mean(X)).to.deep.equal([2.5, 25]);
+      expect(stats.mean(X, 1)).to.deep.equal([5.5, 16, 11.5, 22]);
+      expect(stats.variance(X)).to.almost.deep.equal([1.25, 125]);
+      expect(stats.variance(X, 0, 1)).to.almost.deep.equal([5 / 3, 500 / 3]);
+      expect(stats.std([1, 3], null)).to.equal(1);
+    });
+  });
+
+  describe('.quantile, .percentile, .median', function() {
+    it('should compute quantiles with linear interpolation', function() {
+      expect(stats.quantile([1, 2, 3, 4], 0.5)).to.equal(2.5);
+      expect(stats.quantile([4, 1, 3, 2], 0.25)).to.equal(1.75);
+      expect(stats.quantile(X, [0, 1])).to.deep.equal([[1, 10], [4, 40]]);
+      expect(stats.percentile([1, 2, 3, 4], 50)).to.equal(2.5);
+      expect(stats.median(X)).to.deep.equal([2.5, 25]);
+      expect(stats.median(X, null)).to.equal(7);
+    });
+
+    it('should support the other interpolation modes', function() {
+      var x = [1, 2, 3, 4];
+
+      expect(stats.quantile(x, 0.4, 0, 'lower')).to.equal(2);
+      expect(stats.quantile(x, 0.4, 0, 'higher')).to.equal(3);
+      expect(stats.quantile(x, 0.4, 0, 'nearest')).to.equal(2);
+      expect(stats.quantile(x, 0.5, 0, 'nearest')).to.equal(3);
+      expect(stats.quantile(x, 0.4, 0, 'midpoint')).to.equal(2.5);
+    });
+
+    it('should throw an error for invalid quantiles', function() {
+      expect(function() { stats.quantile([1, 2], 1.5); }).to.throw();
+      expect(function() { stats.quantile([1, 2], 0.5, 0, 'cubic'); }).to.throw();
+    });
+  });
+
+  describe('.covariance, .correlation', function() {
+    it('should compute the covariance matrix', function() {
+      expect(stats.covariance(X)).to.almost.deep.equal([[5 / 3, 40 / 3], [40 / 3, 500 / 3]]);
+      expect(stats.covariance(X, 0)).to.almost.deep.equal([[1.25, 10], [10, 125]]);
+    });
+
+    it('should compute Pearson and Spearman correlation matrices', function() {
+      expect(stats.correlation(X)).to.almost.deep.equal([[1, 0.8], [0.8, 1]]);
+      expect(stats.correlation(X, 'spearman')).to.almost.deep.equal([[1, 0.8], [0.8, 1]]);
+      expect(stats.correlation([[1, 1], [2, 8], [3, 27]], 'spearman')[0][1]).to.almost.equal(1);
+    });
+  });
+
+  describe('.rankData', function() {
+    it('should rank data with different tie-breaking methods', function() {
+      var x = [10, 30, 20, 20];
+
+      expect(stats.rankData(x)).to.deep.equal([1, 4, 2.5, 2.5]);
+      expect(stats.rankData(x, 'min')).to.deep.equal([1, 4, 2, 2]);
+      expect(stats.rankData(x, 'max')).to.deep.equal([1, 4, 3, 3]);
+      expect(stats.rankData(x, 'dense')).to.deep.equal([1, 3, 2, 2]);
+      expect(stats.rankData(x, 'ordinal')).to.deep.equal([1, 4, 2, 3]);
+    });
+  });
+
+  describe('.histogram', function() {
+    it('should count values in equal-width bins', function() {
+      var result = stats.histogram([1, 2, 2, 3, 4], 3);
+
+      expect(result.counts).to.deep.equal([1, 2, 2]);
+      expect(result.binEdges).to.almost.deep.equal([1, 2, 3, 4]);
+    });
+
+    it('should support explicit bin edges and ranges', function() {
+      expect(stats.histogram([1, 2, 2, 3, 4], [0, 2, 5]).counts).to.deep.equal([1, 4]);
+      expect(stats.histogram([1, 2, 2, 3, 4], 2, [2, 3]).counts).to.deep.equal([2, 1]);
+    });
+
+    it('should support binning rules', function() {
+      var x = [1, 2, 3, 4, 5, 6, 7, 8, 9];
+
+      expect(stats.histogram(x, 'sqrt').counts).to.have.lengthOf(3);
+      expect(stats.histogram(x, 'sturges').counts).to.have.lengthOf(5);
+      expect(stats.histogram(x, 'fd').counts.reduce(function(r, a) { return r + a; })).to.equal(9);
+      expect(function() { stats.histogram(x, 'unknown'); }).to.throw();
+    });
+  });
+
+  describe('.mode', function() {
+    it('should find the most frequent value per column', function() {
+      expect(stats.mode([[1, 2], [3, 2], [1, 5]])).to.deep.equal([1, 2]);
+      expect(stats.mode([3, 1, 3, 1])).to.equal(1);
+    });
+  });
+
+  describe('.skewness, .kurtosis', function() {
+    it('should compute standardized moments', function() {
+      expect(stats.skewness([1, 2, 3])).to.almost.equal(0);
+      expect(stats.skewness([1, 1, 4])).to.almost.equal(1 / Math.sqrt(2));
+      expect(stats.kurtosis([1, 2, 3, 4], 0, false)).to.almost.equal(1.64);
+      expect(stats.kurtosis([1, 2, 3, 4])).to.almost.equal(-1.36);
+    });
+  });
+});
@@ -0,0 +1,306 @@
+/**
+ * Special functions and cumulative distribution functions of common probability distributions,
+ * as needed for sampling from distributions and computing p-values of statistical tests.
+ */
+
+/**
+ * Relative accuracy used to terminate the series and continued fraction evaluations
+ *
+ * @type {number}
+ */
+const EPSILON = 1e-15;
+
+/**
+ * Maximum number of iterations for the series and continued fraction evaluations
+ *
+ * @type {number}
+ */
+const MAX_ITERATIONS = 1000;
+
+/**
+ * Smallest number used to prevent division by zero in the modified Lentz's method for evaluating
+ * continued fractions
+ *
+ * @type {number}
+ */
+const TINY = 1e-300;
+
+/**
+ * Calculate the natural logarithm of the gamma function using the Lanczos approximation.
+ *
+ * @param {number} x - Positive input number
+ * @return {number} Natural logarithm of the gamma function evaluated at x
+ */
+export function logGamma(x) {
+  const coefficients = [
+    676.5203681218851, -1259.1392167224028, 771.32342877765313, -176.61502916214059,
+    12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7,
+  ];
+
+  if (x < 0.5) {
+    // Reflection formula
+    return Math.log(Math.PI / Math.abs(Math.sin(Math.PI * x))) - logGamma(1 - x);
+  }
+
+  const xShifted = x - 1;
+  const t = xShifted + coefficients.length - 0.5;
+  const series = coefficients.reduce(
+    (r, c, i) => r + c / (xShifted + i + 1),
+    0.99999999999980993
+  );
+
+  return 0.5 * Math.log(2 * Math.PI) + (xShifted + 0.5) * Math.log(t) - t + Math.log(series);
+}
+
+/**
+ * Calculate the regularized lower incomplete gamma function P(a, x) using its series
+ * representation, which converges quickly for x < a + 1.
+ *
+ * @param {number} a - Shape parameter
+ * @param {number} x - Upper integration limit
+ * @return {number} Value of P(a, x)
+ */
+function lowerGammaSeries(a, x) {
+  let term = 1 / a;
+  let sum = term;
+
+  for (let n = 1; n < MAX_ITERATIONS; n += 1) {
+    term *= x / (a + n);
+    sum += term;
+
+    if (Math.abs(term) < Math.abs(sum) * EPSILON) {
+      break;
+    }
+  }
+
+  return sum * Math.exp(-x + a * Math.log(x) - logGamma(a));
+}
+
+/**
+ * Calculate the regularized upper incomplete gamma function Q(a, x) using its continued fraction
+ * representation (evaluated with the modified Lentz's method), which converges quickly for
+ * x >= a + 1.
+ *
+ * @param {number} a - Shape parameter
+ * @param {number} x - Lower integration limit
+ * @return {number} Value of Q(a, x)
+ */
+function upperGammaContinuedFraction(a, x) {
+  let b = x + 1 - a;
+  let c = 1 / TINY;
+  let d = 1 / b;
+  let h = d;
+
+  for (let n = 1; n < MAX_ITERATIONS; n += 1) {
+    const an = -n * (n - a);
+    b += 2;
+    d = an * d + b;
+    d = Math.abs(d) < TINY ? TINY : d;
+    c = b + an / c;
+    c = Math.abs(c) < TINY ? TINY : c;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+
+    if (Math.abs(delta - 1) < EPSILON) {
+      break;
+    }
+  }
+
+  return Math.exp(-x + a * Math.log(x) - logGamma(a)) * h;
+}
+
+/**
+ * Calculate the regularized lower incomplete gamma function P(a, x), which is the cumulative
+ * distribution function of the gamma distribution with shape a and unit scale.
+ *
+ * @param {number} a - Shape parameter. Should be positive
+ * @param {number} x - Upper integration limit. Should be non-negative
+ * @return {number} Value of P(a, x), in [0, 1]
+ */
+export function regularizedLowerGamma(a, x) {
+  if (x <= 0) {
+    return 0;
+  }
+
+  return x < a + 1 ? lowerGammaSeries(a, x) : 1 - upperGammaContinuedFraction(a, x);
+}
+
+/**
+ * Calculate the regularized upper incomplete gamma function Q(a, x) = 1 - P(a, x). Computed
+ * directly (rather than as 1 - P(a, x)) to preserve accuracy for small values.
+ *
+ * @param {number} a - Shape parameter. Should be positive
+ * @param {number} x - Lower integration limit. Should be non-negative
+ * @return {number} Value of Q(a, x), in [0, 1]
+ */
+export function regularizedUpperGamma(a, x) {
+  if (x <= 0) {
+    return 1;
+  }
+
+  return x < a + 1 ? 1 - lowerGammaSeries(a, x) : upperGammaContinuedFraction(a, x);
+}
+
+/**
+ * Evaluate the continued fraction for the regularized incomplete beta function using the modified
+ * Lentz's method.
+ *
+ * @param {number} a - First shape parameter
+ * @param {number} b - Second shape parameter
+ * @param {number} x - Upper integration limit
+ * @return {number} Value of the continued fraction
+ */
+function betaContinuedFraction(a, b, x) {
+  let c = 1;
+  let d = 1 - (a + b) * x / (a + 1);
+  d = Math.abs(d) < TINY ? TINY : d;
+  d = 1 / d;
+  let h = d;
+
+  for (let m = 1; m < MAX_ITERATIONS; m += 1) {
+    // Even step
+    let coefficient = m * (b - m) * x / ((a + 2 * m - 1) * (a + 2 * m));
+    d = 1 + coefficient * d;
+    d = Math.abs(d) < TINY ? TINY : d;
+    c = 1 + coefficient / c;
+    c = Math.abs(c) < TINY ? TINY : c;
+    d = 1 / d;
+    h *= d * c;
+
+    // Odd step
+    coefficient = -(a + m) * (a + b + m) * x / ((a + 2 * m) * (a + 2 * m + 1));
+    d = 1 + coefficient * d;
+    d = Math.abs(d) < TINY ? TINY : d;
+    c = 1 + coefficient / c;
+    c = Math.abs(c) < TINY ? TINY : c;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+
+    if (Math.abs(delta - 1) < EPSILON) {
+      break;
+    }
+  }
+
+  return h;
+}
+
+/**
+ * Calculate the regularized incomplete beta function I_x(a, b), which is the cumulative
+ * distribution function of the beta distribution.
+ *
+ * @param {number} a - First shape parameter. Should be positive
+ * @param {number} b - Second shape parameter. Should be positive
+ * @param {number} x - Upper integration limit, in [0, 1]
+ * @return {number} Value of I_x(a, b), in [0, 1]
+ */
+export function regularizedBeta(a, b, x) {
+  if (x <= 0) {
+    return 0;
+  }
+
+  if (x >= 1) {
+    return 1;
+  }
+
+  const logFront = logGamma(a + b) - logGamma(a) - logGamma(b)
+    + a * Math.log(x) + b * Math.log(1 - x);
+
+  // The continued fraction converges quickly for x < (a + 1) / (a + b + 2). Otherwise, use the
+  // symmetry relation I_x(a, b) = 1 - I_{1-x}(b, a)
+  if (x < (a + 1) / (a + b + 2)) {
+    return Math.exp(logFront) * betaContinuedFraction(a, b, x) / a;
+  }
+
+  return 1 - Math.exp(logFront) * betaContinuedFraction(b, a, 1 - x) / b;
+}
+
+/**
+ * Calculate the error function.
+ *
+ * @param {number} x - Input number
+ * @return {number} Value of the error function at x
+ */
+export function erf(x) {
+  const value = regularizedLowerGamma(0.5, x * x);
+  return x < 0 ? -value : value;
+}
+
+/**
+ * Calculate the cumulative distribution function of the normal distribution.
+ *
+ * @param {number} x - Value to evaluate the CDF at
+ * @param {number} [mean = 0] - Mean of the distribution
+ * @param {number} [std = 1] - Standard deviation of the distribution
+ * @return {number} Probability of a value smaller than or equal to x
+ */
+export function normalCdf(x, mean = 0, std = 1) {
+  const z = (x - mean) / std;
+
+  // Use the upper incomplete gamma function for the tail, to preserve accuracy
+  const tail = 0.5 * regularizedUpperGamma(0.5, z * z / 2);
+  return z < 0 ? tail : 1 - tail;
+}
+
+/**
+ * Calculate the cumulative distribution function of Student's t-distribution.
+ *
+ * @param {number} t - Value to evaluate the CDF at
+ * @param {number} df - Degrees of freedom
+ * @return {number} Probability of a value smaller than or equal to t
+ */
+export function studentTCdf(t, df) {
+  const tail = 0.5 * regularizedBeta(df / 2, 0.5, df / (df + t * t));
+  return t < 0 ? tail : 1 - tail;
+}
+
+/**
+ * Calculate the cumulative distribution function of the chi-square distribution.
+ *
+ * @param {number} x - Value to evaluate the CDF at
+ * @param {number} df - Degrees of freedom
+ * @return {number} Probability of a value smaller than or equal to x
+ */
+export function chiSquareCdf(x, df) {
+  return regularizedLowerGamma(df / 2, x / 2);
+}
+
+/**
+ * Calculate the survival function (1 - CDF) of the chi-square distribution. Computed directly to
+ * preserve accuracy for small probabilities.
+ *
+ * @param {number} x - Value to evaluate the survival function at
+ * @param {number} df - Degrees of freedom
+ * @return {number} Probability of a value larger than x
+ */
+export function chiSquareSf(x, df) {
+  return regularizedUpperGamma(df / 2, x / 2);
+}
+
+/**
+ * Calculate the survival function of the Kolmogorov distribution, which is the limiting
+ * distribution of sqrt(n) times the Kolmogorov-Smirnov statistic.
+ *
+ * @param {number} x - Value to evaluate the survival function at
+ * @return {number} Probability of a value larger than x
+ */
+export function kolmogorovSf(x) {
+  if (x < 0.18) {
+    // The series converges very slowly here, but the probability is 1 up to double precision
+    return 1;
+  }
+
+  let sum = 0;
+
+  for (let j = 1; j < 100; j += 1) {
+    const term = (j % 2 === 1 ? 1 : -1) * Math.exp(-2 * j * j * x * x);
+    sum += term;
+
+    if (Math.abs(term) < EPSILON * Math.abs(sum)) {
+      break;
+    }
+  }
+
+  return Math.min(1, Math.max(0, 2 * sum));
+}
@@ -0,0 +1,50 @@
+var chai = require('chai');
+var chaiAlmost = require('chai-almost');
+var special = require('./special.js');
+
+// Set up float equality testing
+chai.use(chaiAlmost(1e-4));
+var expect = chai.expect;
+
+describe('Stats.Special', function() {
+  describe('.erf, .normalCdf', function() {
+    it('should evaluate the error function and the normal distribution function', function() {
+      expect(special.erf(1)).to.almost.equal(0.8427007929);
+      expect(special.normalCdf(1.959964)).to.almost.equal(0.975);
+      expect(special.normalCdf(-1.959964)).to.almost.equal(0.025);
+    });
+  });
+
+  describe('.logGamma', function() {
+    it('should evaluate the logarithm of the gamma function', function() {
+      expect(special.logGamma(5)).to.almost.equal(Math.log(24));
+      expect(special.logGamma(0.5)).to.almost.equal(Math.log(Math.sqrt(Math.PI)));
+    });
+  });
+
+  describe('.regularizedLowerGamma, .regularizedUpperGamma', function() {
+    it('should evaluate the regularized incomplete gamma functions', function() {
+      expect(special.regularizedLowerGamma(1, 1)).to.almost.equal(1 - Math.exp(-1));
+      expect(special.regularizedUpperGamma(1, 1)).to.almost.equal(Math.exp(-1));
+      expect(special.regularizedLowerGamma(3, 2)).to.almost.equal(1 - 5 * Math.exp(-2));
+      expect(special.regularizedUpperGamma(3, 10)).to.almost.equal(61 * Math.exp(-10));
+    });
+  });
+
+  describe('.regularizedBeta', function() {
+    it('should evaluate the regularized incomplete beta function', function() {
+      expect(special.regularizedBeta(2, 3, 0.4)).to.almost.equal(0.5248);
+      expect(special.regularizedBeta(1, 1, 0.3)).to.almost.equal(0.3);
+    });
+  });
+
+  describe('.studentTCdf, .chiSquareCdf, .chiSquareSf, .kolmogorovSf', function() {
+    it('should evaluate the distribution functions of test statistics', function() {
+      expect(special.studentTCdf(2.776445, 4)).to.almost.equal(0.975);
+      expect(special.studentTCdf(-2.228139, 10)).to.almost.equal(0.025);
+      expect(special.chiSquareSf(3.841459, 1)).to.almost.equal(0.05);
+      expect(special.chiSquareCdf(5.991465, 2)).to.almost.equal(0.95);
+      expect(special.kolmogorovSf(1.3581)).to.almost.equal(0.05);
+    });
+  });
+});
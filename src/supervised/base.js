@@ -80,7 +80,7 @@ export class OneVsAllClassifier extends Classifier {
    *   internally class n
    */
   getClasses() {
-    return this.classifiers.map((x, i) => x);
+    return this.classifiers.map(x => x.classIndex);
   }
 
   /**
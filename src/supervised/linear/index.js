@@ -1,9 +1,11 @@
 import Perceptron, { BinaryPerceptron } from './perceptron';
 import LogisticRegression, { BinaryLogisticRegression } from './logistic-regression';
+import RidgeRegression from './ridge-regression';
 
 export default {
   Perceptron,
   BinaryPerceptron,
   LogisticRegression,
   BinaryLogisticRegression,
+  RidgeRegression,
 };
@@ -13,19 +13,23 @@ function sigmoid(x) {
 }
 
 /**
- * Logistic Regression learner for binary classification problem.
+ * Logistic Regression learner for binary classification problem. Feature matrices can be dense or
+ * sparse (CSR or COO).
  */
 export class BinaryLogisticRegression extends Classifier {
   /**
    * @see {Classifier#train}
    */
   train(X, y) {
+    // Rows of the feature matrix, which are sparse vectors if the feature matrix is sparse
+    const XRows = Arrays.getRows(X);
+
     // Weights increment to check for convergence
     this.weightsIncrement = Infinity;
 
     // Initialize weights vector to zero. Here, the number of weights equals one plus the number of
     // features, where the first weight (w0) is the weight used for the bias.
-    this.weights = Arrays.zeros(1 + X[0].length);
+    this.weights = Arrays.zeros(1 + XRows[0].length);
 
     // Iteration index
     let epoch = 0;
@@ -33,7 +37,7 @@ export class BinaryLogisticRegression extends Classifier {
     // A single iteration of this loop corresponds to a single iteration of training all data
     // points in the data set
     while (true) {
-      const weightsIncrement = this.trainIteration(X, y);
+      const weightsIncrement = this.trainIteration(XRows, y);
 
       if (weightsIncrement.reduce((r, a) => r + Math.abs(a), 0) < 0.0001 || epoch > 100) {
         break;
@@ -46,7 +50,7 @@ export class BinaryLogisticRegression extends Classifier {
   /**
    * Train the classifier for a single iteration on the stored training data.
    *
-   * @param {Array.<Array.<number>>} X - Features per data point
+   * @param {Array.<Array.<number>|SparseVector>} X - Features per data point
    * @param {Array.<mixed>} y Class labels per data point
    */
   trainIteration(X, y) {
@@ -95,7 +99,7 @@ export class BinaryLogisticRegression extends Classifier {
   /**
    * Make a prediction for a data set.
    *
-   * @param {Array.Array.<number>} features - Features for each data point
+   * @param {Array.Array.<number>|CSRMatrix} features - Features for each data point
    * @param {Object} [optionsUser] User-defined options
    * @param {string} [optionsUser.output = 'classLabels'] Output for predictions. Either
    *   "classLabels" (default, output predicted class label), "raw", or "normalized" (both returning
@@ -135,7 +139,7 @@ export class BinaryLogisticRegression extends Classifier {
   /**
    * Make a probabilistic prediction for a data set.
    *
-   * @param {Array.Array.<number>} features - Features for each data point
+   * @param {Array.Array.<number>|CSRMatrix} features - Features for each data point
    * @return {Array.Array.<number>} Probability predictions. Each array element contains the
    *   probability of the negative (0) class in the first element, and the probability of the
    *   positive (1) class in the second element
@@ -147,10 +151,13 @@ export class BinaryLogisticRegression extends Classifier {
     // Normalization factor for normalized output
     const weightsMagnitude = Math.sqrt(Arrays.dot(this.weights, this.weights));
 
+    // Rows of the feature matrix, which are sparse vectors if the feature matrix is sparse
+    const featuresRows = Arrays.getRows(features);
+
     // Loop over all datapoints
-    for (let i = 0; i < features.length; i += 1) {
+    for (let i = 0; i < featuresRows.length; i += 1) {
       // Copy features vector so it is not changed in the datapoint
-      const augmentedFeatures = features[i].slice();
+      const augmentedFeatures = featuresRows[i].slice();
 
       // Add feature with value 1 at the beginning of the feature vector to correpond with the
       // bias weight
@@ -0,0 +1,68 @@
+// Internal dependencies
+import { Estimator } from '../base';
+import * as Arrays from '../../arrays';
+import * as LinearAlgebra from '../../linear-algebra';
+
+/**
+ * Linear least-squares regression with L2 regularization of the weights (ridge regression). The
+ * intercept is not regularized.
+ *
+ * @example
+ * var regression = new RidgeRegression({ alpha: 0.1 });
+ * regression.train([[0], [1], [2]], [1, 3, 5]);
+ * regression.predict([[3]]); // Approximately [7]
+ */
+export default class RidgeRegression extends Estimator {
+  /**
+   * Constructor. Initialize class members and store user-defined options.
+   *
+   * @param {Object} [optionsUser] - User-defined options
+   * @param {number} [optionsUser.alpha = 1] - Regularization strength. Should be non-negative
+   */
+  constructor(optionsUser = {}) {
+    super();
+
+    // Parse options
+    const optionsDefault = {
+      alpha: 1,
+    };
+
+    const options = {
+      ...optionsDefault,
+      ...optionsUser,
+    };
+
+    if (options.alpha < 0) {
+      throw new Error('Regularization strength alpha must be non-negative.');
+    }
+
+    // Set options
+    this.alpha = options.alpha;
+  }
+
+  /**
+   * @see {@link Estimator#train}
+   */
+  train(X, y) {
+    // Center the data, so that the intercept is not regularized
+    const featureMeans = Arrays.mean(X, 0);
+    const targetMean = Arrays.mean(y);
+    const XCentered = X.map(x => x.map((value, j) => value - featureMeans[j]));
+    const yCentered = y.map(value => value - targetMean);
+
+    // Solve (X^T X + alpha I) w = X^T y
+    const XT = Arrays.transpose(XCentered);
+    const A = LinearAlgebra.matmul(XT, XCentered).map((row, i) =>
+      row.map((value, j) => value + (i === j ? this.alpha : 0)));
+
+    this.weights = LinearAlgebra.solve(A, XT.map(column => Arrays.dot(column, yCentered)));
+    this.intercept = targetMean - Arrays.dot(this.weights, featureMeans);
+  }
+
+  /**
+   * @see {@link Estimator#predict}
+   */
+  predict(X) {
+    return X.map(x => Arrays.dot(this.weights, x) + this.intercept);
+  }
+}
@@ -4,7 +4,8 @@ import * as Arrays from '../../arrays';
 
 /**
  * k-nearest neighbours learner. Classifies points based on the (possibly weighted) vote
- * of its k nearest neighbours (euclidian distance).
+ * of its k nearest neighbours (euclidian distance). Feature matrices can be dense or sparse (CSR or
+ * COO).
  */
 export default class KNN extends Neighbors {
   /**
@@ -35,12 +36,15 @@ export default class KNN extends Neighbors {
    * @see {@link Classifier#train}
    */
   train(X, y) {
-    if (X.length !== y.length) {
+    // Sparse feature matrices are stored as lists of sparse rows
+    const XRows = Arrays.getRows(X);
+
+    if (XRows.length !== y.length) {
       throw new Error('Number of data points should match number of labels.');
     }
 
     // Store data points
-    this.training = { X, y };
+    this.training = { X: XRows, y };
   }
 
   /**
@@ -51,12 +55,14 @@ export default class KNN extends Neighbors {
       throw new Error('Model has to be trained in order to make predictions.');
     }
 
-    if (X[0].length !== this.training.X[0].length) {
+    const XRows = Arrays.getRows(X);
+
+    if (XRows[0].length !== this.training.X[0].length) {
       throw new Error('Number of features of test data should match number of features of training data.');
     }
 
     // Make prediction for each data point
-    const predictions = X.map(x => this.predictSample(x));
+    const predictions = XRows.map(x => this.predictSample(x));
 
     return predictions;
   }
@@ -70,9 +76,7 @@ export default class KNN extends Neighbors {
   predictSample(sampleFeatures) {
     // Calculate distances to all other data points
     const distances = Arrays.zipWithIndex(
-      this.training.X.map(
-        x => Arrays.norm(Arrays.sum(sampleFeatures, Arrays.scale(x, -1)))
-      )
+      this.training.X.map(x => Arrays.norm(Arrays.subtract(x, sampleFeatures)))
     );
 
     // Sort training data points based on distance
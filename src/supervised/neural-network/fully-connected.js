@@ -34,6 +34,9 @@ export default class FullyConnected extends Classifier {
    * @param {number} [optionsUser.numEpochs = 20] Number of epochs (i.e., passes over all training
    *   data) to train the network for
    * @param {number} [optionsUser.learningRate = 0.01] Learning rate for training
+   * @param {RandomState|number} [optionsUser.randomState = null] Random state used for weight
+   *   initialization and for shuffling the samples in each epoch. If null, the global random state
+   *   is used. If an integer, a random state seeded with that integer is used
    */
   constructor(optionsUser = {}) {
     super();
@@ -45,6 +48,7 @@ export default class FullyConnected extends Classifier {
       hiddenLayers: [],
       numEpochs: 20,
       learningRate: 0.01,
+      randomState: null,
     };
 
     const options = {
@@ -57,6 +61,7 @@ export default class FullyConnected extends Classifier {
     this.hiddenLayers = options.hiddenLayers;
     this.numEpochs = options.numEpochs;
     this.learningRate = options.learningRate;
+    this.randomState = options.randomState;
 
     // Initialize layers, connectivity, and weights
 
@@ -109,7 +114,7 @@ export default class FullyConnected extends Classifier {
 
       // Initialize weights from this layer to the next layer to a random real number in the
       // range [-1, 1]
-      this.weights.push(Arrays.full(shape, () => Random.rand(-1, 1)));
+      this.weights.push(Arrays.full(shape, () => Random.rand(-1, 1, this.trainingRandomState)));
 
       // Initialize connectivity between nodes by connecting all nodes (including bias nodes; these
       // are removed in the next few lines)
@@ -139,6 +144,9 @@ export default class FullyConnected extends Classifier {
     // Initialize layers
     this.layers = [numInputs + 1, ...this.hiddenLayers, numOutputs];
 
+    // Random state used for weight initialization and shuffling
+    this.trainingRandomState = Random.checkRandomState(this.randomState);
+
     // Initialize weights arrays
     this.initializeWeights();
 
@@ -156,7 +164,7 @@ export default class FullyConnected extends Classifier {
    */
   trainEpoch(X, y) {
     // Shuffle data points
-    const [XUse, yUse] = Arrays.shuffle(X, y);
+    const [XUse, yUse] = Arrays.shuffle(X, y, Random.checkRandomState(this.trainingRandomState));
 
     // Train for each sample individually
     for (let i = 0; i < XUse.length; i += 1) {
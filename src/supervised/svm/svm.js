@@ -21,6 +21,9 @@ export class BinarySVM extends Classifier {
    * @param {boolean} [optionsUser.useKernelCache = true] - Whether to cache calculated kernel
    *   values for training sample pairs. Enabling this option (which is the default) generally
    *   improves the performance in terms of speed at the cost of memory
+   * @param {RandomState|number} [optionsUser.randomState = null] - Random state used for selecting
+   *   the second sample of each optimized pair. If null, the global random state is used. If an
+   *   integer, a random state seeded with that integer is used
    */
   constructor(optionsUser = {}) {
     super();
@@ -32,6 +35,7 @@ export class BinarySVM extends Classifier {
       convergenceNumPasses: 20,
       numericalTolerance: 1e-6,
       useKernelCache: true,
+      randomState: null,
     };
 
     const options = {
@@ -45,6 +49,7 @@ export class BinarySVM extends Classifier {
     this.convergenceNumPasses = options.convergenceNumPasses;
     this.numericalTolerance = options.numericalTolerance;
     this.useKernelCache = options.useKernelCache;
+    this.randomState = options.randomState;
 
     // Set properties
     this.isTraining = false;
@@ -93,6 +98,9 @@ export class BinarySVM extends Classifier {
     // Number of passes of the algorithm without any alphas changing
     let numPasses = 0;
 
+    // Random state for selecting sample pairs
+    const randomState = Random.checkRandomState(this.randomState);
+
     // Shorthand notation for features and labels
     this.training = { X, y };
     const ySigns = y.map(x => this.getClassIndexSign(x));
@@ -111,7 +119,7 @@ export class BinarySVM extends Classifier {
           /* Now, we need to update \alpha_i as it violates the KKT constraints */
 
           // Thus, we pick a random \alpha_j such that j does not equal i
-          let j = Random.randint(0, numSamples - 1);
+          let j = Random.randint(0, numSamples - 1, null, randomState);
           if (j >= i) j += 1;
 
           // Calculate offset to the 1-margin of sample j
@@ -393,6 +401,8 @@ export default class SVM extends OneVsAllClassifier {
    * @param {boolean} [optionsUser.useKernelCache = true] - Whether to cache calculated kernel
    *   values for training sample pairs. Enabling this option (which is the default) generally
    *   improves the performance in terms of speed at the cost of memory
+   * @param {RandomState|number} [optionsUser.randomState = null] - Random state used for selecting
+   *   the second sample of each optimized pair
    */
   constructor(optionsUser = {}) {
     super();
@@ -44,6 +44,9 @@ export default class DecisionTree extends Classifier {
    * @param {number} [optionsUser.maxDepth = -1] - Maximum depth of the tree. The depth of the
    *   tree is the number of nodes in the longest path from the decision tree root to a leaf. It
    *   is an indicator of the complexity of the tree. Use -1 for no maximum depth
+   * @param {RandomState|number} [optionsUser.randomState = null] - Random state used for sampling
+   *   the features to consider at each node. If null, the global random state is used. If an
+   *   integer, a random state seeded with that integer is used
    */
   constructor(optionsUser = {}) {
     super();
@@ -53,6 +56,7 @@ export default class DecisionTree extends Classifier {
       criterion: 'gini',
       numFeatures: 1.0,
       maxDepth: -1,
+      randomState: null,
     };
 
     const options = {
@@ -64,6 +68,7 @@ export default class DecisionTree extends Classifier {
     this.criterion = options.criterion;
     this.numFeatures = options.numFeatures;
     this.maxDepth = options.maxDepth;
+    this.randomState = options.randomState;
   }
 
   /**
@@ -199,7 +204,9 @@ export default class DecisionTree extends Classifier {
 
     // Randomly sample features to consider
     const possibleIndices = [...Array(shape[1])].map((x, i) => i);
-    const fIndices = Random.sample(possibleIndices, this.numFeaturesInt, false);
+    const fIndices = Random.sample(
+      possibleIndices, this.numFeaturesInt, false, 'uniform', this.trainingRandomState
+    );
 
     // Calculate best split by looping over all features and considering the split quality for
     // all of each feature's values. The best split is the feature value at which to split such
@@ -312,6 +319,9 @@ export default class DecisionTree extends Classifier {
       ));
     }
 
+    // Random state used during tree construction
+    this.trainingRandomState = Random.checkRandomState(this.randomState);
+
     // Construct decision tree
     this.tree = this.buildTree(X, y);
   }
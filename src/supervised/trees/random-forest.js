@@ -28,6 +28,9 @@ export default class RandomForest extends Classifier {
    *   If false, all samples are used for each tree. If true, n samples are drawn with replacement
    *   from the full set of samples for each tree (where n is the total number of samples)
    * @param {number} [optionsUser.numTrees = 10] - Number of trees to construct
+   * @param {RandomState|number} [optionsUser.randomState = null] - Random state used for
+   *   bootstrapping and for the feature sampling in the decision trees. If null, the global random
+   *   state is used. If an integer, a random state seeded with that integer is used
    */
   constructor(optionsUser = {}) {
     super();
@@ -39,6 +42,7 @@ export default class RandomForest extends Classifier {
       maxDepth: -1,
       numTrees: 10,
       bootstrap: true,
+      randomState: null,
     };
 
     const options = {
@@ -52,6 +56,7 @@ export default class RandomForest extends Classifier {
     this.maxDepth = options.maxDepth;
     this.numTrees = options.numTrees;
     this.bootstrap = options.bootstrap;
+    this.randomState = options.randomState;
   }
 
   /**
@@ -65,6 +70,9 @@ export default class RandomForest extends Classifier {
     // Construct and train decision trees
     this.trees = [];
 
+    // Random state shared by the bootstrapping procedure and all trees
+    const randomState = Random.checkRandomState(this.randomState);
+
     // All sample indices
     const sampleIndices = [...Array(X.length)].map((x, i) => i);
 
@@ -74,6 +82,7 @@ export default class RandomForest extends Classifier {
         criterion: this.criterion,
         numFeatures: this.numFeatures,
         maxDepth: this.maxDepth,
+        randomState,
       });
 
       // Select the input samples. If bootstrapping is disabled, use all samples. If it is enabled,
@@ -82,7 +91,7 @@ export default class RandomForest extends Classifier {
       let treeY;
 
       if (this.bootstrap) {
-        const treeSamples = Random.sample(sampleIndices, X.length, true);
+        const treeSamples = Random.sample(sampleIndices, X.length, true, 'uniform', randomState);
         treeX = treeSamples.map(sampleIndex => X[sampleIndex]);
         treeY = treeSamples.map(sampleIndex => y[sampleIndex]);
       } else {
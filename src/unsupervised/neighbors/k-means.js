@@ -16,6 +16,9 @@ export default class KMeans extends Clusterer {
    *   centers. Either 'random', for randomly selecting (without replacement) a datapoint for each
    *   cluster center, or 'kmeans++', for initializing cluster centroids with the
    *   [kmeans++ procedure](https://en.wikipedia.org/wiki/K-means%2B%2B)
+   * @param {RandomState|number} [optionsUser.randomState = null] - Random state used for
+   *   initializing the cluster centroids. If null, the global random state is used. If an integer,
+   *   a random state seeded with that integer is used
    */
   constructor(optionsUser = {}) {
     super();
@@ -24,6 +27,7 @@ export default class KMeans extends Clusterer {
     const optionsDefault = {
       numClusters: 2,
       initialization: 'kmeans++',
+      randomState: null,
     };
 
     const options = {
@@ -34,6 +38,7 @@ export default class KMeans extends Clusterer {
     // Set options
     this.numClusters = options.numClusters;
     this.initialization = options.initialization;
+    this.randomState = options.randomState;
   }
 
   /**
@@ -42,6 +47,8 @@ export default class KMeans extends Clusterer {
    * @param {Array.<Array.<number>>} X - Features per data point
    */
   initializeCentroids(X) {
+    const randomState = Random.checkRandomState(this.randomState);
+
     if (this.initialization === 'kmeans++') {
       // Clear list of centroids
       this.centroids = [];
@@ -58,9 +65,7 @@ export default class KMeans extends Clusterer {
             // Minimize distance to nearest centroid by maximizing negative squared distance
             Math.min(
               // Calculate negative squared distance from sample to each centroid
-              ...this.centroids.map(centroid =>
-                Arrays.norm(Arrays.sum(centroid, Arrays.scale(X[x], -1)))
-              )
+              ...Arrays.subtract(this.centroids, X[x]).map(diff => Arrays.norm(diff))
             )
           );
 
@@ -82,7 +87,7 @@ export default class KMeans extends Clusterer {
         // Step 4. Choose a data point from the remaining data points at random, with the computed
         // sample weights. Use it as the new cluster centroid, and remove it from the list of
         // potential cluster centroids
-        const sampleIndex = Random.sample(indices, 1, false, weights)[0];
+        const sampleIndex = Random.sample(indices, 1, false, weights, randomState)[0];
         this.centroids.push(X[sampleIndex]);
         indices = indices.filter(x => x !== sampleIndex);
       }
@@ -95,7 +100,8 @@ export default class KMeans extends Clusterer {
 
       // Sample a random index (without replacement) for each cluster, and use its features as
       // the initial centroid for that cluster
-      this.centroids = Random.sample(indices, this.numClusters).map(x => X[x]);
+      this.centroids = Random.sample(indices, this.numClusters, false, 'uniform', randomState)
+        .map(x => X[x]);
     }
   }
 
@@ -129,24 +135,16 @@ export default class KMeans extends Clusterer {
         // For each cluster, calculate the new centroid as the mean of the features of all samples
         // assigned to that cluster
         this.centroids = this.centroids.map((centroid, clusterId) => {
-          const clusterNumSamples = assignments.filter(x => x === clusterId).length;
+          const clusterSamples = Arrays.mask(X, Arrays.equalElementWise(assignments, clusterId));
 
           // If there are no samples assigned to this cluster, keep the centroid the same. This
           // is to prevent unstable behaviour from happening
-          if (clusterNumSamples === 0) {
+          if (clusterSamples.length === 0) {
             return centroid;
           }
 
           // The new cluster centroid is the mean of all samples assigned this cluster
-          return Arrays.scale(
-            // Sum of all assigned samples
-            Arrays.sum(
-              ...(X.filter((x, i) => assignments[i] === clusterId))
-            ),
-
-            // Divide by the number of assignments
-            1 / clusterNumSamples,
-          );
+          return Arrays.mean(clusterSamples, 0);
         });
       }
 
@@ -167,7 +165,7 @@ export default class KMeans extends Clusterer {
       // Minimize distance to centroid by maximizing negative squared distance
       Arrays.argMax(
         // Calculate negative squared distance from sample to centroid
-        this.centroids.map(centroid => -Arrays.norm(Arrays.sum(centroid, Arrays.scale(x, -1))))
+        Arrays.subtract(this.centroids, x).map(diff => -Arrays.norm(diff))
       )
     );
   }
@@ -0,0 +1,402 @@
+// Standard imports
+import * as Arrays from '../../arrays';
+import * as Stats from '../../stats';
+import {
+  logGamma,
+  normalCdf,
+  studentTCdf,
+  chiSquareSf,
+  kolmogorovSf,
+} from '../../stats/special';
+
+/**
+ * Calculate the p-value of a test statistic from its cumulative distribution function.
+ *
+ * @param {number} statistic - Test statistic
+ * @param {function(x: number): number} cdf - Cumulative distribution function of the test statistic
+ *   under the null hypothesis. Should be symmetric around zero
+ * @param {string} alternative - Alternative hypothesis: 'two-sided', 'less' or 'greater'
+ * @return {number} p-value
+ */
+function symmetricPValue(statistic, cdf, alternative) {
+  switch (alternative) {
+    case 'two-sided':
+      return Math.min(1, 2 * cdf(-Math.abs(statistic)));
+    case 'less':
+      return cdf(statistic);
+    case 'greater':
+      return cdf(-statistic);
+    default:
+      throw new Error(`Unknown alternative hypothesis "${alternative}".`);
+  }
+}
+
+/**
+ * Check whether two samples have the same length, and throw an error if they don't.
+ *
+ * @param {Array.<mixed>} a - First sample
+ * @param {Array.<mixed>} b - Second sample
+ */
+function checkPaired(a, b) {
+  if (a.length !== b.length) {
+    throw new Error('Paired samples must have the same length.');
+  }
+}
+
+/**
+ * Perform a paired t-test on two related samples, e.g. the scores of two classifiers on the same
+ * cross-validation folds. The null hypothesis is that the mean difference between the paired
+ * values is zero.
+ *
+ * @example
+ * // Accuracy of two classifiers on 5 folds
+ * var scoresA = [0.81, 0.84, 0.79, 0.86, 0.83];
+ * var scoresB = [0.78, 0.80, 0.79, 0.82, 0.80];
+ * var { statistic, pValue } = tTestRel(scoresA, scoresB);
+ *
+ * @param {Array.<number>} a - First sample
+ * @param {Array.<number>} b - Second sample, paired with the first
+ * @param {string} [alternative = 'two-sided'] - Alternative hypothesis: 'two-sided' (the mean
+ *   difference is not zero), 'less' (the mean of a is less than the mean of b) or 'greater' (the
+ *   mean of a is greater than the mean of b)
+ * @return {{statistic: number, pValue: number}} t-statistic and p-value
+ */
+export function tTestRel(a, b, alternative = 'two-sided') {
+  checkPaired(a, b);
+
+  if (a.length < 2) {
+    throw new Error('At least two pairs of observations are required.');
+  }
+
+  const differences = Arrays.subtract(a, b);
+  const df = differences.length - 1;
+  const statistic = Stats.mean(differences)
+    / Math.sqrt(Stats.variance(differences, 0, 1) / differences.length);
+
+  return {
+    statistic,
+    pValue: symmetricPValue(statistic, t => studentTCdf(t, df), alternative),
+  };
+}
+
+/**
+ * Perform a t-test on two independent samples. The null hypothesis is that both samples come from
+ * distributions with the same mean.
+ *
+ * @param {Array.<number>} a - First sample
+ * @param {Array.<number>} b - Second sample
+ * @param {boolean} [equalVariance = true] - Whether to assume that both distributions have the
+ *   same variance (Student's t-test). If false, Welch's t-test is performed
+ * @param {string} [alternative = 'two-sided'] - Alternative hypothesis: 'two-sided', 'less' or
+ *   'greater'. See {@link tTestRel}
+ * @return {{statistic: number, pValue: number}} t-statistic and p-value
+ */
+export function tTestInd(a, b, equalVariance = true, alternative = 'two-sided') {
+  const n1 = a.length;
+  const n2 = b.length;
+
+  if (n1 < 2 || n2 < 2) {
+    throw new Error('Both samples must contain at least two observations.');
+  }
+
+  const var1 = Stats.variance(a, 0, 1);
+  const var2 = Stats.variance(b, 0, 1);
+  let standardError;
+  let df;
+
+  if (equalVariance) {
+    df = n1 + n2 - 2;
+    const pooledVariance = ((n1 - 1) * var1 + (n2 - 1) * var2) / df;
+    standardError = Math.sqrt(pooledVariance * (1 / n1 + 1 / n2));
+  } else {
+    // Welch-Satterthwaite approximation of the degrees of freedom
+    const v1 = var1 / n1;
+    const v2 = var2 / n2;
+    df = (v1 + v2) ** 2 / (v1 ** 2 / (n1 - 1) + v2 ** 2 / (n2 - 1));
+    standardError = Math.sqrt(v1 + v2);
+  }
+
+  const statistic = (Stats.mean(a) - Stats.mean(b)) / standardError;
+
+  return {
+    statistic,
+    pValue: symmetricPValue(statistic, t => studentTCdf(t, df), alternative),
+  };
+}
+
+/**
+ * Count the number of subsets of {1, ..., n} with each possible sum, which gives the exact null
+ * distribution of the Wilcoxon signed-rank statistic.
+ *
+ * @param {number} n - Number of ranks
+ * @return {Array.<number>} For each sum s in [0, n(n+1)/2], the number of subsets with sum s
+ */
+function signedRankCounts(n) {
+  const maxSum = n * (n + 1) / 2;
+  const counts = Arrays.zeros(maxSum + 1);
+  counts[0] = 1;
+
+  for (let rank = 1; rank <= n; rank += 1) {
+    for (let s = maxSum; s >= rank; s -= 1) {
+      counts[s] += counts[s - rank];
+    }
+  }
+
+  return counts;
+}
+
+/**
+ * Perform the Wilcoxon signed-rank test on two related samples (or on one sample of differences).
+ * This is a non-parametric alternative to the paired t-test. The null hypothesis is that the
+ * distribution of the differences is symmetric around zero. Zero differences are discarded. For
+ * up to 25 non-zero differences without ties, the exact distribution of the statistic is used;
+ * otherwise, a normal approximation with a tie correction is used.
+ *
+ * @param {Array.<number>} a - First sample, or differences if b is null
+ * @param {Array.<number>} [b = null] - Second sample, paired with the first
+ * @param {string} [alternative = 'two-sided'] - Alternative hypothesis: 'two-sided', 'less' or
+ *   'greater'. See {@link tTestRel}
+ * @return {{statistic: number, pValue: number}} Test statistic and p-value. For the two-sided
+ *   test, the statistic is the smaller of the sums of ranks of positive and negative differences.
+ *   Otherwise, it is the sum of ranks of positive differences
+ */
+export function wilcoxon(a, b = null, alternative = 'two-sided') {
+  if (!['two-sided', 'less', 'greater'].includes(alternative)) {
+    throw new Error(`Unknown alternative hypothesis "${alternative}".`);
+  }
+
+  if (b !== null) {
+    checkPaired(a, b);
+  }
+
+  const differences = (b === null ? a : Arrays.subtract(a, b)).filter(x => x !== 0);
+  const n = differences.length;
+
+  if (n === 0) {
+    throw new Error('All differences are zero: the Wilcoxon test is undefined.');
+  }
+
+  const ranks = Stats.rankData(differences.map(x => Math.abs(x)));
+  const rankSumPositive = ranks.reduce((r, x, i) => r + (differences[i] > 0 ? x : 0), 0);
+  const rankSumNegative = n * (n + 1) / 2 - rankSumPositive;
+  const statistic = alternative === 'two-sided'
+    ? Math.min(rankSumPositive, rankSumNegative)
+    : rankSumPositive;
+  const hasTies = Arrays.unique(ranks).length < n;
+  let pValue;
+
+  if (n <= 25 && !hasTies) {
+    // Exact distribution. P(W+ <= w) is the fraction of subsets of ranks with sum <= w
+    const counts = signedRankCounts(n);
+    const total = 2 ** n;
+    const cdf = w => counts.slice(0, Math.floor(w) + 1).reduce((r, x) => r + x, 0) / total;
+
+    pValue = {
+      'two-sided': Math.min(1, 2 * cdf(statistic)),
+      less: cdf(rankSumPositive),
+      greater: cdf(rankSumNegative),
+    }[alternative];
+  } else {
+    // Normal approximation, where the variance is corrected for ties
+    const tieCorrection = Arrays.valueCounts(ranks)
+      .reduce((r, x) => r + (x[1] ** 3 - x[1]), 0) / 48;
+    const mean = n * (n + 1) / 4;
+    const std = Math.sqrt(n * (n + 1) * (2 * n + 1) / 24 - tieCorrection);
+    const z = (rankSumPositive - mean) / std;
+    pValue = symmetricPValue(z, x => normalCdf(x), alternative);
+  }
+
+  return { statistic, pValue };
+}
+
+/**
+ * Calculate the cumulative distribution function of the binomial distribution.
+ *
+ * @param {number} k - Number of successes to evaluate the CDF at
+ * @param {number} n - Number of trials
+ * @param {number} p - Success probability per trial
+ * @return {number} Probability of at most k successes
+ */
+function binomialCdf(k, n, p) {
+  let sum = 0;
+
+  for (let i = 0; i <= k; i += 1) {
+    sum += Math.exp(logGamma(n + 1) - logGamma(i + 1) - logGamma(n - i + 1)
+      + i * Math.log(p) + (n - i) * Math.log(1 - p));
+  }
+
+  return Math.min(1, sum);
+}
+
+/**
+ * Perform McNemar's test to compare the predictions of two classifiers on the same test set. Only
+ * the samples on which the classifiers disagree in correctness are taken into account. The null
+ * hypothesis is that both classifiers have the same error rate.
+ *
+ * @example
+ * var yTrue = [0, 1, 1, 0, 1, 0, 1, 1];
+ * var { statistic, pValue } = mcnemar(yTrue, classifierA.predict(X), classifierB.predict(X));
+ *
+ * @param {Array.<mixed>} yTrue - True labels
+ * @param {Array.<mixed>} yPredA - Labels predicted by the first classifier
+ * @param {Array.<mixed>} yPredB - Labels predicted by the second classifier
+ * @param {Object} [optionsUser] - User-defined options
+ * @param {boolean} [optionsUser.exact = false] - Whether to use the exact binomial test instead of
+ *   the chi-square approximation. Recommended when fewer than 25 samples are classified correctly
+ *   by exactly one of the classifiers
+ * @param {boolean} [optionsUser.correction = true] - Whether to apply a continuity correction to
+ *   the chi-square statistic. Only used if exact is false
+ * @return {{statistic: number, pValue: number}} Test statistic and p-value. For the exact test,
+ *   the statistic is the smaller of the two disagreement counts; otherwise, it is the chi-square
+ *   statistic
+ */
+export function mcnemar(yTrue, yPredA, yPredB, optionsUser = {}) {
+  // Options
+  const optionsDefault = {
+    exact: false,
+    correction: true,
+  };
+
+  const options = {
+    ...optionsDefault,
+    ...optionsUser,
+  };
+
+  checkPaired(yTrue, yPredA);
+  checkPaired(yTrue, yPredB);
+
+  // Number of samples classified correctly by only the first and only the second classifier
+  const correctA = Arrays.equalElementWise(yTrue, yPredA);
+  const correctB = Arrays.equalElementWise(yTrue, yPredB);
+  const onlyA = Arrays.mask(correctA, Arrays.logicalNot(correctB)).filter(x => x).length;
+  const onlyB = Arrays.mask(correctB, Arrays.logicalNot(correctA)).filter(x => x).length;
+  const numDisagreements = onlyA + onlyB;
+
+  if (numDisagreements === 0) {
+    return { statistic: 0, pValue: 1 };
+  }
+
+  if (options.exact) {
+    const statistic = Math.min(onlyA, onlyB);
+
+    return {
+      statistic,
+      pValue: Math.min(1, 2 * binomialCdf(statistic, numDisagreements, 0.5)),
+    };
+  }
+
+  const difference = Math.max(0, Math.abs(onlyA - onlyB) - (options.correction ? 1 : 0));
+  const statistic = difference ** 2 / numDisagreements;
+
+  return {
+    statistic,
+    pValue: chiSquareSf(statistic, 1),
+  };
+}
+
+/**
+ * Perform Pearson's chi-square test of independence on a contingency table. The null hypothesis
+ * is that the row and column variables are independent.
+ *
+ * @param {Array.<Array.<number>>} observed - Contingency table of observed frequencies
+ * @param {boolean} [correction = true] - Whether to apply Yates' continuity correction when the
+ *   table has one degree of freedom (i.e., for 2 x 2 tables)
+ * @return {{statistic: number, pValue: number, dof: number, expected: Array.<Array.<number>>}}
+ *   Chi-square statistic, p-value, degrees of freedom, and the expected frequencies under the null
+ *   hypothesis
+ */
+export function chiSquareIndependence(observed, correction = true) {
+  const rowSums = Arrays.internalSum(observed, 1);
+  const columnSums = Arrays.internalSum(observed, 0);
+  const total = Arrays.internalSum(rowSums);
+
+  if (rowSums.some(x => x === 0) || columnSums.some(x => x === 0)) {
+    throw new Error('The contingency table must not contain rows or columns without observations.');
+  }
+
+  const expected = rowSums.map(rowSum => columnSums.map(columnSum => rowSum * columnSum / total));
+  const dof = (rowSums.length - 1) * (columnSums.length - 1);
+
+  if (dof === 0) {
+    return {
+      statistic: 0,
+      pValue: 1,
+      dof,
+      expected,
+    };
+  }
+
+  const shift = correction && dof === 1 ? 0.5 : 0;
+  const statistic = observed.reduce((r, row, i) => r + row.reduce((s, x, j) => {
+    const deviation = Math.max(0, Math.abs(x - expected[i][j]) - shift);
+    return s + deviation ** 2 / expected[i][j];
+  }, 0), 0);
+
+  return {
+    statistic,
+    pValue: chiSquareSf(statistic, dof),
+    dof,
+    expected,
+  };
+}
+
+/**
+ * Perform the Kolmogorov-Smirnov test. In the two-sample version, the null hypothesis is that both
+ * samples come from the same continuous distribution. In the one-sample version, the null
+ * hypothesis is that the sample comes from the distribution with the specified cumulative
+ * distribution function. The p-value is computed using the asymptotic Kolmogorov distribution.
+ *
+ * @example
+ * // Two-sample test
+ * kolmogorovSmirnov([0.1, 0.4, 0.7], [0.2, 0.3, 0.9, 1.3]);
+ *
+ * // One-sample test against the standard normal distribution
+ * kolmogorovSmirnov(x, Stats.Special.normalCdf);
+ *
+ * @param {Array.<number>} a - First sample
+ * @param {Array.<number>|function(x: number): number} b - Second sample, or cumulative
+ *   distribution function to compare the first sample to
+ * @return {{statistic: number, pValue: number}} Kolmogorov-Smirnov statistic (the largest absolute
+ *   difference between the cumulative distribution functions) and p-value
+ */
+export function kolmogorovSmirnov(a, b) {
+  const sortedA = a.slice().sort((x, y) => x - y);
+  const n = sortedA.length;
+  let statistic = 0;
+  let effectiveSize;
+
+  if (typeof b === 'function') {
+    // Compare the empirical CDF just before and at each data point with the specified CDF
+    sortedA.forEach((x, i) => {
+      const cdf = b(x);
+      statistic = Math.max(statistic, (i + 1) / n - cdf, cdf - i / n);
+    });
+
+    effectiveSize = n;
+  } else {
+    const sortedB = b.slice().sort((x, y) => x - y);
+    const m = sortedB.length;
+    let i = 0;
+    let j = 0;
+
+    // Walk through the merged samples, comparing the empirical CDFs after each distinct value
+    while (i < n && j < m) {
+      const value = Math.min(sortedA[i], sortedB[j]);
+
+      while (i < n && sortedA[i] === value) i += 1;
+      while (j < m && sortedB[j] === value) j += 1;
+
+      statistic = Math.max(statistic, Math.abs(i / n - j / m));
+    }
+
+    effectiveSize = n * m / (n + m);
+  }
+
+  // Asymptotic p-value, with Stephens' correction for small samples
+  const sqrtSize = Math.sqrt(effectiveSize);
+
+  return {
+    statistic,
+    pValue: kolmogorovSf((sqrtSize + 0.12 + 0.11 / sqrtSize) * statistic),
+  };
+}
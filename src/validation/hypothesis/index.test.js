@@ -0,0 +1,119 @@
+var chai = require('chai');
+var chaiAlmost = require('chai-almost');
+var hypothesis = require('./index.js');
+var special = require('../../stats/special.js');
+
+// Set up float equality testing
+chai.use(chaiAlmost(1e-4));
+var expect = chai.expect;
+
+describe('Hypothesis', function() {
+  describe('.tTestRel', function() {
+    it('should compute the paired t-statistic and p-value', function() {
+      var result = hypothesis.tTestRel([0.81, 0.84, 0.79, 0.86, 0.83], [0.78, 0.80, 0.79, 0.82, 0.80]);
+
+      expect(result.statistic).to.almost.equal(3.8103);
+      expect(result.pValue).to.be.within(0.01, 0.05);
+    });
+
+    it('should support one-sided alternatives', function() {
+      var a = [2, 4, 3, 5];
+      var b = [1, 2, 3, 3];
+      var twoSided = hypothesis.tTestRel(a, b).pValue;
+
+      expect(hypothesis.tTestRel(a, b, 'greater').pValue).to.almost.equal(twoSided / 2);
+      expect(hypothesis.tTestRel(a, b, 'less').pValue).to.almost.equal(1 - twoSided / 2);
+      expect(function() { hypothesis.tTestRel(a, b, 'unknown'); }).to.throw();
+    });
+  });
+
+  describe('.tTestInd', function() {
+    it('should perform Student\'s and Welch\'s t-tests', function() {
+      var a = [1, 2, 3, 4, 5];
+      var b = [3, 4, 5, 6, 7];
+      var expectedP = 2 * special.studentTCdf(-2, 8);
+
+      expect(hypothesis.tTestInd(a, b).statistic).to.almost.equal(-2);
+      expect(hypothesis.tTestInd(a, b).pValue).to.almost.equal(expectedP);
+      expect(hypothesis.tTestInd(a, b, false).pValue).to.almost.equal(expectedP);
+    });
+  });
+
+  describe('.wilcoxon', function() {
+    it('should use the exact distribution for small samples without ties', function() {
+      var result = hypothesis.wilcoxon([1, 2, 3, 4, 5]);
+
+      expect(result.statistic).to.equal(0);
+      expect(result.pValue).to.almost.equal(0.0625);
+      expect(hypothesis.wilcoxon([2, 3, 4], [1, 1, 1], 'greater').pValue).to.almost.equal(0.125);
+    });
+
+    it('should discard zero differences', function() {
+      expect(hypothesis.wilcoxon([1, 2, 3, 4, 5, 6], [1, 1, 1, 1, 1, 1]).pValue).to.almost.equal(0.0625);
+    });
+
+    it('should use the normal approximation when there are ties', function() {
+      var result = hypothesis.wilcoxon([1, 1, 2, 2, -3, 4, 5, 6]);
+
+      expect(result.pValue).to.be.within(0, 1);
+      expect(result.statistic).to.equal(5);
+    });
+  });
+
+  describe('.mcnemar', function() {
+    // First classifier is correct on 10 samples where the second is wrong, and the second
+    // classifier is correct on 2 samples where the first is wrong
+    var yTrue = [];
+    var yPredA = [];
+    var yPredB = [];
+
+    for (var i = 0; i < 20; i += 1) {
+      yTrue.push(1);
+      yPredA.push(i < 10 || i >= 12 ? 1 : 0);
+      yPredB.push(i >= 10 ? 1 : 0);
+    }
+
+    it('should compute the chi-square statistic with continuity correction', function() {
+      var result = hypothesis.mcnemar(yTrue, yPredA, yPredB);
+
+      expect(result.statistic).to.almost.equal(49 / 12);
+      expect(result.pValue).to.almost.equal(special.chiSquareSf(49 / 12, 1));
+    });
+
+    it('should perform the exact binomial test', function() {
+      var result = hypothesis.mcnemar(yTrue, yPredA, yPredB, { exact: true });
+
+      expect(result.statistic).to.equal(2);
+      expect(result.pValue).to.almost.equal(2 * 79 / 4096);
+    });
+  });
+
+  describe('.chiSquareIndependence', function() {
+    it('should compute expected frequencies and the test statistic', function() {
+      var result = hypothesis.chiSquareIndependence([[10, 20], [20, 20]], false);
+
+      expect(result.dof).to.equal(1);
+      expect(result.expected).to.almost.deep.equal([[90 / 7, 120 / 7], [120 / 7, 160 / 7]]);
+      expect(result.statistic).to.almost.equal(1.9444);
+      expect(result.pValue).to.almost.equal(special.chiSquareSf(result.statistic, 1));
+      expect(hypothesis.chiSquareIndependence([[10, 20], [20, 20]]).statistic)
+        .to.be.lessThan(result.statistic);
+    });
+  });
+
+  describe('.kolmogorovSmirnov', function() {
+    it('should compute the two-sample statistic', function() {
+      expect(hypothesis.kolmogorovSmirnov([1, 2, 3], [4, 5, 6]).statistic).to.equal(1);
+      expect(hypothesis.kolmogorovSmirnov([1, 2, 3, 4], [1, 2, 3, 4]).pValue).to.equal(1);
+      expect(hypothesis.kolmogorovSmirnov([1, 2, 3, 4], [3, 4, 5, 6]).statistic).to.equal(0.5);
+    });
+
+    it('should compute the one-sample statistic against a CDF', function() {
+      var uniformCdf = function(x) { return Math.min(1, Math.max(0, x)); };
+      var result = hypothesis.kolmogorovSmirnov([0.1, 0.3, 0.5, 0.7, 0.9], uniformCdf);
+
+      expect(result.statistic).to.almost.equal(0.1);
+      expect(result.pValue).to.almost.equal(1);
+    });
+  });
+});
@@ -1,5 +1,7 @@
+import * as Hypothesis from './hypothesis';
 import * as Metrics from './metrics';
 
 export default {
+  Hypothesis,
   Metrics,
 };
@@ -0,0 +1,508 @@
+// Internal dependencies
+import * as Arrays from '../../arrays';
+import { logGamma } from '../../stats/special';
+
+/**
+ * Clustering metrics. Internal metrics evaluate a clustering using only the data and the cluster
+ * assignments, such as the output of {@link Clusterer#cluster}. External metrics compare a
+ * clustering to ground truth class labels; they are invariant to permutations of the cluster
+ * labels.
+ */
+
+/**
+ * Calculate the Euclidean distance between two vectors.
+ *
+ * @param {Array.<number>} x - First vector
+ * @param {Array.<number>} y - Second vector
+ * @return {number} Euclidean distance
+ */
+function euclideanDistance(x, y) {
+  return Arrays.norm(Arrays.subtract(x, y));
+}
+
+/**
+ * Group samples by their cluster, and check that the number of clusters is valid for internal
+ * metrics.
+ *
+ * @param {Array.<Array.<number>>|CSRMatrix} X - Features per data point
+ * @param {Array.<mixed>} labels - Cluster label per data point
+ * @return {Object} Object with the dense feature rows (rows), the unique cluster labels
+ *   (clusters), the sample indices per cluster (members) and the centroid per cluster (centroids)
+ */
+function groupClusters(X, labels) {
+  const rows = Arrays.toArray(X);
+
+  if (rows.length !== labels.length) {
+    throw new Error('Number of data points should match number of cluster labels.');
+  }
+
+  const clusters = Arrays.unique(labels);
+
+  if (clusters.length < 2 || clusters.length > rows.length - 1) {
+    throw new Error('Number of clusters must be between 2 and the number of samples minus one.');
+  }
+
+  const members = clusters.map(cluster => Arrays.argFilter(labels, x => x === cluster));
+  const centroids = members.map(indices => Arrays.mean(indices.map(i => rows[i]), 0));
+
+  return {
+    rows,
+    clusters,
+    members,
+    centroids,
+  };
+}
+
+/**
+ * Calculate the silhouette coefficient of each sample. For a sample with mean distance a to the
+ * other samples in its cluster, and mean distance b to the samples in the nearest other cluster,
+ * the coefficient is (b - a) / max(a, b). It ranges from -1 (probably assigned to the wrong
+ * cluster) to 1 (well separated from other clusters). Samples in singleton clusters have a
+ * coefficient of 0.
+ *
+ * @param {Array.<Array.<number>>|CSRMatrix} X - Features per data point
+ * @param {Array.<mixed>} labels - Cluster label per data point
+ * @return {Array.<number>} Silhouette coefficient per data point
+ */
+export function silhouetteSamples(X, labels) {
+  const { rows, clusters } = groupClusters(X, labels);
+  const clusterIndices = new Map(clusters.map((x, i) => [x, i]));
+  const clusterSizes = Arrays.valueCounts(labels).reduce((r, [label, count]) =>
+    r.set(label, count), new Map());
+
+  // Sum of distances from each sample to the samples of each cluster
+  const distanceSums = rows.map(() => Arrays.zeros(clusters.length));
+
+  for (let i = 0; i < rows.length; i += 1) {
+    for (let j = i + 1; j < rows.length; j += 1) {
+      const distance = euclideanDistance(rows[i], rows[j]);
+      distanceSums[i][clusterIndices.get(labels[j])] += distance;
+      distanceSums[j][clusterIndices.get(labels[i])] += distance;
+    }
+  }
+
+  return rows.map((x, i) => {
+    const ownCluster = clusterIndices.get(labels[i]);
+    const ownSize = clusterSizes.get(labels[i]);
+
+    if (ownSize === 1) {
+      return 0;
+    }
+
+    const a = distanceSums[i][ownCluster] / (ownSize - 1);
+    const b = Math.min(...clusters
+      .map((cluster, k) => distanceSums[i][k] / clusterSizes.get(cluster))
+      .filter((distance, k) => k !== ownCluster));
+
+    return (b - a) / Math.max(a, b);
+  });
+}
+
+/**
+ * Calculate the mean silhouette coefficient over all samples. Higher values indicate denser and
+ * better separated clusters.
+ *
+ * @example
+ * var labels = kMeans.cluster(X);
+ * silhouetteScore(X, labels);
+ *
+ * @param {Array.<Array.<number>>|CSRMatrix} X - Features per data point
+ * @param {Array.<mixed>} labels - Cluster label per data point
+ * @return {number} Mean silhouette coefficient, between -1 and 1
+ */
+export function silhouetteScore(X, labels) {
+  return Arrays.mean(silhouetteSamples(X, labels));
+}
+
+/**
+ * Calculate the Davies-Bouldin index of a clustering: the mean, over the clusters, of the maximum
+ * ratio of within-cluster scatter to between-cluster separation with any other cluster. Lower
+ * values indicate better separated clusters, with 0 as the minimum.
+ *
+ * @param {Array.<Array.<number>>|CSRMatrix} X - Features per data point
+ * @param {Array.<mixed>} labels - Cluster label per data point
+ * @return {number} Davies-Bouldin index
+ */
+export function daviesBouldinScore(X, labels) {
+  const { rows, members, centroids } = groupClusters(X, labels);
+
+  // Mean distance of the samples of each cluster to the cluster centroid
+  const scatters = members.map((indices, k) =>
+    Arrays.mean(indices.map(i => euclideanDistance(rows[i], centroids[k]))));
+
+  const ratios = centroids.map((centroid, k) => Math.max(...centroids
+    .map((other, l) => {
+      if (l === k) {
+        return 0;
+      }
+
+      const separation = euclideanDistance(centroid, other);
+      return separation === 0 ? Infinity : (scatters[k] + scatters[l]) / separation;
+    })));
+
+  return Arrays.mean(ratios);
+}
+
+/**
+ * Calculate the Calinski-Harabasz index (variance ratio criterion) of a clustering: the ratio of
+ * the between-cluster dispersion to the within-cluster dispersion, corrected for the numbers of
+ * clusters and samples. Higher values indicate denser and better separated clusters.
+ *
+ * @param {Array.<Array.<number>>|CSRMatrix} X - Features per data point
+ * @param {Array.<mixed>} labels - Cluster label per data point
+ * @return {number} Calinski-Harabasz index
+ */
+export function calinskiHarabaszScore(X, labels) {
+  const { rows, members, centroids } = groupClusters(X, labels);
+  const mean = Arrays.mean(rows, 0);
+
+  const betweenDispersion = members.reduce((r, indices, k) =>
+    r + indices.length * euclideanDistance(centroids[k], mean) ** 2, 0);
+  const withinDispersion = members.reduce((r, indices, k) =>
+    r + indices.reduce((s, i) => s + euclideanDistance(rows[i], centroids[k]) ** 2, 0), 0);
+
+  if (withinDispersion === 0) {
+    return 1;
+  }
+
+  return (betweenDispersion * (rows.length - members.length))
+    / (withinDispersion * (members.length - 1));
+}
+
+/**
+ * Calculate the inertia of a clustering: the sum of squared distances of the samples to the
+ * centroid of their cluster. This is the objective minimized by k-means.
+ *
+ * @param {Array.<Array.<number>>|CSRMatrix} X - Features per data point
+ * @param {Array.<number>} labels - Cluster label per data point
+ * @param {Array.<Array.<number>>} [centroids = null] - Centroid per cluster, indexed by cluster
+ *   label, such as the centroids of a trained {@link KMeans} clusterer. If null, the mean of each
+ *   cluster is used
+ * @return {number} Inertia
+ */
+export function inertia(X, labels, centroids = null) {
+  const rows = Arrays.toArray(X);
+
+  if (rows.length !== labels.length) {
+    throw new Error('Number of data points should match number of cluster labels.');
+  }
+
+  let getCentroid;
+
+  if (centroids === null) {
+    const means = new Map(Arrays.unique(labels).map(cluster => [
+      cluster,
+      Arrays.mean(Arrays.argFilter(labels, x => x === cluster).map(i => rows[i]), 0),
+    ]));
+
+    getCentroid = label => means.get(label);
+  } else {
+    getCentroid = label => centroids[label];
+  }
+
+  return rows.reduce((r, x, i) => r + euclideanDistance(x, getCentroid(labels[i])) ** 2, 0);
+}
+
+/**
+ * Build the contingency table of two labelings: the number of samples for each pair of labels.
+ *
+ * @param {Array.<mixed>} labelsTrue - Ground truth class labels
+ * @param {Array.<mixed>} labelsPred - Cluster labels
+ * @return {Array.<Array.<number>>} Contingency table, with one row per class and one column per
+ *   cluster
+ */
+function contingencyTable(labelsTrue, labelsPred) {
+  if (labelsTrue.length !== labelsPred.length) {
+    throw new Error('Number of true labels must match number of predicted labels.');
+  }
+
+  const classIndices = new Map(Arrays.unique(labelsTrue).map((x, i) => [x, i]));
+  const clusterIndices = new Map(Arrays.unique(labelsPred).map((x, i) => [x, i]));
+  const table = Arrays.zeros([classIndices.size, clusterIndices.size]);
+
+  labelsTrue.forEach((x, i) => {
+    table[classIndices.get(x)][clusterIndices.get(labelsPred[i])] += 1;
+  });
+
+  return table;
+}
+
+/**
+ * Calculate the entropy (in nats) of a distribution given by counts.
+ *
+ * @param {Array.<number>} counts - Count per outcome
+ * @return {number} Entropy
+ */
+function entropy(counts) {
+  const total = counts.reduce((r, a) => r + a, 0);
+
+  return counts.reduce((r, count) => (count > 0
+    ? r - (count / total) * Math.log(count / total)
+    : r), 0);
+}
+
+/**
+ * Calculate the mutual information (in nats) from a contingency table.
+ *
+ * @param {Array.<Array.<number>>} table - Contingency table
+ * @return {number} Mutual information
+ */
+function tableMutualInformation(table) {
+  const total = Arrays.internalSum(table);
+  const rowSums = Arrays.internalSum(table, 1);
+  const columnSums = Arrays.internalSum(table, 0);
+
+  return table.reduce((r, row, i) => r + row.reduce((s, count, j) => (count > 0
+    ? s + (count / total) * Math.log((total * count) / (rowSums[i] * columnSums[j]))
+    : s), 0), 0);
+}
+
+/**
+ * Calculate the number of unordered pairs that can be formed from n elements.
+ *
+ * @param {number} n - Number of elements
+ * @return {number} n choose 2
+ */
+function numPairs(n) {
+  return n * (n - 1) / 2;
+}
+
+/**
+ * Calculate the Rand index adjusted for chance between a clustering and ground truth labels. The
+ * Rand index is the proportion of sample pairs on which both labelings agree (same or different
+ * cluster). The adjusted index is 0 for random labelings and 1 for identical labelings.
+ *
+ * @example
+ * adjustedRandScore([0, 0, 1, 1], [1, 1, 0, 0]); // 1
+ *
+ * @param {Array.<mixed>} labelsTrue - Ground truth class labels
+ * @param {Array.<mixed>} labelsPred - Cluster labels
+ * @return {number} Adjusted Rand index, at most 1
+ */
+export function adjustedRandScore(labelsTrue, labelsPred) {
+  const table = contingencyTable(labelsTrue, labelsPred);
+
+  const sumCells = table.reduce((r, row) => r + row.reduce((s, x) => s + numPairs(x), 0), 0);
+  const sumRows = Arrays.internalSum(table, 1).reduce((r, x) => r + numPairs(x), 0);
+  const sumColumns = Arrays.internalSum(table, 0).reduce((r, x) => r + numPairs(x), 0);
+
+  const expected = sumRows * sumColumns / numPairs(labelsTrue.length);
+  const maximum = (sumRows + sumColumns) / 2;
+
+  // Both labelings consist of a single cluster, or both assign each sample to its own cluster
+  if (maximum === expected) {
+    return 1;
+  }
+
+  return (sumCells - expected) / (maximum - expected);
+}
+
+/**
+ * Calculate the mutual information (in nats) between a clustering and ground truth labels.
+ *
+ * @param {Array.<mixed>} labelsTrue - Ground truth class labels
+ * @param {Array.<mixed>} labelsPred - Cluster labels
+ * @return {number} Mutual information
+ */
+export function mutualInfoScore(labelsTrue, labelsPred) {
+  return tableMutualInformation(contingencyTable(labelsTrue, labelsPred));
+}
+
+/**
+ * Calculate the generalized mean of two entropies.
+ *
+ * @param {number} a - First entropy
+ * @param {number} b - Second entropy
+ * @param {string} method - 'min', 'geometric', 'arithmetic' or 'max'
+ * @return {number} Mean
+ */
+function generalizedMean(a, b, method) {
+  switch (method) {
+    case 'min':
+      return Math.min(a, b);
+    case 'geometric':
+      return Math.sqrt(a * b);
+    case 'arithmetic':
+      return (a + b) / 2;
+    case 'max':
+      return Math.max(a, b);
+    default:
+      throw new Error('Average method must be "min", "geometric", "arithmetic" or "max".');
+  }
+}
+
+/**
+ * Calculate the normalized mutual information between a clustering and ground truth labels: the
+ * mutual information divided by a mean of the entropies of both labelings. It is 1 for identical
+ * labelings, but not adjusted for chance.
+ *
+ * @param {Array.<mixed>} labelsTrue - Ground truth class labels
+ * @param {Array.<mixed>} labelsPred - Cluster labels
+ * @param {string} [averageMethod = 'arithmetic'] - Mean used for normalization: 'min',
+ *   'geometric', 'arithmetic' or 'max'
+ * @return {number} Normalized mutual information, between 0 and 1
+ */
+export function normalizedMutualInfoScore(labelsTrue, labelsPred, averageMethod = 'arithmetic') {
+  const table = contingencyTable(labelsTrue, labelsPred);
+  const normalizer = generalizedMean(
+    entropy(Arrays.internalSum(table, 1)),
+    entropy(Arrays.internalSum(table, 0)),
+    averageMethod
+  );
+
+  // Both labelings consist of a single cluster
+  if (table.length === 1 && table[0].length === 1) {
+    return 1;
+  }
+
+  return normalizer === 0 ? 0 : tableMutualInformation(table) / normalizer;
+}
+
+/**
+ * Calculate the expected mutual information of two random labelings with the cluster sizes of a
+ * contingency table, under the hypergeometric model of randomness.
+ *
+ * @param {Array.<Array.<number>>} table - Contingency table
+ * @return {number} Expected mutual information
+ */
+function expectedMutualInformation(table) {
+  const n = Arrays.internalSum(table);
+  const rowSums = Arrays.internalSum(table, 1);
+  const columnSums = Arrays.internalSum(table, 0);
+  let result = 0;
+
+  rowSums.forEach((a) => {
+    columnSums.forEach((b) => {
+      // Log of the constant part of the hypergeometric probability
+      const logConstant = logGamma(a + 1) + logGamma(b + 1) + logGamma(n - a + 1)
+        + logGamma(n - b + 1) - logGamma(n + 1);
+
+      for (let nij = Math.max(1, a + b - n); nij <= Math.min(a, b); nij += 1) {
+        const logProbability = logConstant - logGamma(nij + 1) - logGamma(a - nij + 1)
+          - logGamma(b - nij + 1) - logGamma(n - a - b + nij + 1);
+
+        result += (nij / n) * Math.log((n * nij) / (a * b)) * Math.exp(logProbability);
+      }
+    });
+  });
+
+  return result;
+}
+
+/**
+ * Calculate the mutual information between a clustering and ground truth labels, adjusted for
+ * chance. It is 1 for identical labelings and about 0 for random labelings, regardless of the
+ * numbers of clusters.
+ *
+ * @param {Array.<mixed>} labelsTrue - Ground truth class labels
+ * @param {Array.<mixed>} labelsPred - Cluster labels
+ * @param {string} [averageMethod = 'arithmetic'] - Mean of the entropies used for normalization:
+ *   'min', 'geometric', 'arithmetic' or 'max'
+ * @return {number} Adjusted mutual information, at most 1
+ */
+export function adjustedMutualInfoScore(labelsTrue, labelsPred, averageMethod = 'arithmetic') {
+  const table = contingencyTable(labelsTrue, labelsPred);
+
+  // Both labelings consist of a single cluster, or both assign each sample to its own cluster
+  if ((table.length === 1 && table[0].length === 1)
+    || (table.length === labelsTrue.length && table[0].length === labelsTrue.length)) {
+    return 1;
+  }
+
+  const mutualInformation = tableMutualInformation(table);
+  const expected = expectedMutualInformation(table);
+  const normalizer = generalizedMean(
+    entropy(Arrays.internalSum(table, 1)),
+    entropy(Arrays.internalSum(table, 0)),
+    averageMethod
+  );
+
+  const denominator = normalizer - expected;
+
+  // Avoid dividing by (almost) zero
+  if (Math.abs(denominator) < Number.EPSILON) {
+    return mutualInformation - expected < 0 ? -1 : 1;
+  }
+
+  return (mutualInformation - expected) / denominator;
+}
+
+/**
+ * Calculate the homogeneity, completeness and V-measure of a clustering. A clustering is
+ * homogeneous if each cluster contains only samples of a single class, and complete if all samples
+ * of a class are in the same cluster. The V-measure is their weighted harmonic mean.
+ *
+ * @param {Array.<mixed>} labelsTrue - Ground truth class labels
+ * @param {Array.<mixed>} labelsPred - Cluster labels
+ * @param {number} [beta = 1] - Weight of completeness relative to homogeneity in the V-measure
+ * @return {Object} Object with the homogeneity, completeness and vMeasure, each between 0 and 1
+ */
+export function homogeneityCompletenessVMeasure(labelsTrue, labelsPred, beta = 1) {
+  const table = contingencyTable(labelsTrue, labelsPred);
+  const entropyClasses = entropy(Arrays.internalSum(table, 1));
+  const entropyClusters = entropy(Arrays.internalSum(table, 0));
+  const mutualInformation = tableMutualInformation(table);
+
+  const homogeneity = entropyClasses === 0 ? 1 : mutualInformation / entropyClasses;
+  const completeness = entropyClusters === 0 ? 1 : mutualInformation / entropyClusters;
+  const vMeasure = homogeneity + completeness === 0
+    ? 0
+    : ((1 + beta) * homogeneity * completeness) / (beta * homogeneity + completeness);
+
+  return { homogeneity, completeness, vMeasure };
+}
+
+/**
+ * Calculate the homogeneity of a clustering. See {@link homogeneityCompletenessVMeasure}.
+ *
+ * @param {Array.<mixed>} labelsTrue - Ground truth class labels
+ * @param {Array.<mixed>} labelsPred - Cluster labels
+ * @return {number} Homogeneity, between 0 and 1
+ */
+export function homogeneityScore(labelsTrue, labelsPred) {
+  return homogeneityCompletenessVMeasure(labelsTrue, labelsPred).homogeneity;
+}
+
+/**
+ * Calculate the completeness of a clustering. See {@link homogeneityCompletenessVMeasure}.
+ *
+ * @param {Array.<mixed>} labelsTrue - Ground truth class labels
+ * @param {Array.<mixed>} labelsPred - Cluster labels
+ * @return {number} Completeness, between 0 and 1
+ */
+export function completenessScore(labelsTrue, labelsPred) {
+  return homogeneityCompletenessVMeasure(labelsTrue, labelsPred).completeness;
+}
+
+/**
+ * Calculate the V-measure of a clustering. See {@link homogeneityCompletenessVMeasure}.
+ *
+ * @param {Array.<mixed>} labelsTrue - Ground truth class labels
+ * @param {Array.<mixed>} labelsPred - Cluster labels
+ * @param {number} [beta = 1] - Weight of completeness relative to homogeneity
+ * @return {number} V-measure, between 0 and 1
+ */
+export function vMeasureScore(labelsTrue, labelsPred, beta = 1) {
+  return homogeneityCompletenessVMeasure(labelsTrue, labelsPred, beta).vMeasure;
+}
+
+/**
+ * Calculate the Fowlkes-Mallows index of a clustering: the geometric mean of the pairwise
+ * precision and recall, where a pair of samples is positive if both samples are in the same
+ * cluster (or class).
+ *
+ * @param {Array.<mixed>} labelsTrue - Ground truth class labels
+ * @param {Array.<mixed>} labelsPred - Cluster labels
+ * @return {number} Fowlkes-Mallows index, between 0 and 1
+ */
+export function fowlkesMallowsScore(labelsTrue, labelsPred) {
+  const table = contingencyTable(labelsTrue, labelsPred);
+  const n = labelsTrue.length;
+  const sumSquares = values => values.reduce((r, x) => r + x * x, 0);
+
+  const truePairs = table.reduce((r, row) => r + sumSquares(row), 0) - n;
+  const predictedPairs = sumSquares(Arrays.internalSum(table, 0)) - n;
+  const actualPairs = sumSquares(Arrays.internalSum(table, 1)) - n;
+
+  return truePairs === 0 ? 0 : truePairs / Math.sqrt(predictedPairs * actualPairs);
+}
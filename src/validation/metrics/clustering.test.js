@@ -0,0 +1,132 @@
+var expect = require('chai').expect;
+var metrics = require('./index.js');
+var CSRMatrix = require('../../arrays/csr-matrix.js');
+var KMeans = require('../../unsupervised/neighbors/k-means.js');
+
+describe('Metrics (clustering)', function() {
+  var X = [[1, 2], [1, 4], [1, 0], [10, 2], [10, 4], [10, 0]];
+  var labels = [0, 0, 0, 1, 1, 1];
+
+  var X2 = [[0, 0], [1, 0], [0, 1], [4, 4], [5, 4], [9, 9], [9, 8]];
+  var labels2 = [0, 0, 0, 1, 1, 2, 2];
+
+  var labelsTrue = [0, 0, 0, 1, 1, 1];
+  var labelsPred = [0, 0, 1, 1, 2, 2];
+
+  describe('.silhouetteSamples, .silhouetteScore', function() {
+    it('should compute the silhouette coefficients', function() {
+      var samples = metrics.silhouetteSamples(X, labels);
+
+      expect(samples[0]).to.be.closeTo(0.7813338475, 1e-8);
+      expect(samples[1]).to.be.closeTo(0.6793547450, 1e-8);
+      expect(samples[3]).to.be.closeTo(0.7813338475, 1e-8);
+      expect(metrics.silhouetteScore(X, labels)).to.be.closeTo(0.7133477792, 1e-8);
+      expect(metrics.silhouetteScore(X2, labels2)).to.be.closeTo(0.8158800064, 1e-8);
+    });
+
+    it('should assign 0 to samples in singleton clusters', function() {
+      var samples = metrics.silhouetteSamples([[0], [1], [10]], [0, 0, 1]);
+      expect(samples[2]).to.equal(0);
+    });
+
+    it('should be invariant to cluster labels and accept sparse features', function() {
+      expect(metrics.silhouetteScore(X2, ['b', 'b', 'b', 'a', 'a', 'c', 'c']))
+        .to.be.closeTo(0.8158800064, 1e-8);
+      expect(metrics.silhouetteScore(CSRMatrix.fromArray(X), labels))
+        .to.be.closeTo(0.7133477792, 1e-8);
+    });
+
+    it('should throw an error for an invalid number of clusters', function() {
+      expect(function() { metrics.silhouetteScore(X, [0, 0, 0, 0, 0, 0]); }).to.throw();
+      expect(function() { metrics.silhouetteScore(X, [0, 1, 2, 3, 4, 5]); }).to.throw();
+    });
+  });
+
+  describe('.daviesBouldinScore', function() {
+    it('should compute the Davies-Bouldin index', function() {
+      expect(metrics.daviesBouldinScore(X, labels)).to.be.closeTo(0.2962962963, 1e-8);
+      expect(metrics.daviesBouldinScore(X2, labels2)).to.be.closeTo(0.1909946885, 1e-8);
+    });
+  });
+
+  describe('.calinskiHarabaszScore', function() {
+    it('should compute the Calinski-Harabasz index', function() {
+      expect(metrics.calinskiHarabaszScore(X, labels)).to.be.closeTo(30.375, 1e-8);
+      expect(metrics.calinskiHarabaszScore(X2, labels2)).to.be.closeTo(146.6530612245, 1e-8);
+    });
+  });
+
+  describe('.inertia', function() {
+    it('should compute the sum of squared distances to the cluster means', function() {
+      expect(metrics.inertia(X, labels)).to.be.closeTo(16, 1e-8);
+      expect(metrics.inertia(X2, labels2)).to.be.closeTo(2.3333333333, 1e-8);
+    });
+
+    it('should use the specified centroids', function() {
+      expect(metrics.inertia(X, labels, [[1, 1], [10, 2]])).to.be.closeTo(19, 1e-8);
+    });
+
+    it('should evaluate the output of a k-means clusterer', function() {
+      var kMeans = new KMeans({ numClusters: 2, randomState: 0 });
+      kMeans.train(X);
+      var clusters = kMeans.cluster(X);
+
+      expect(metrics.inertia(X, clusters, kMeans.centroids)).to.be.closeTo(16, 1e-8);
+      expect(metrics.adjustedRandScore(labels, clusters)).to.equal(1);
+    });
+  });
+
+  describe('.adjustedRandScore', function() {
+    it('should compute the adjusted Rand index', function() {
+      expect(metrics.adjustedRandScore([0, 0, 1, 2], [0, 0, 1, 1]))
+        .to.be.closeTo(0.5714285714, 1e-8);
+      expect(metrics.adjustedRandScore([0, 0, 1, 1], [1, 1, 0, 0])).to.equal(1);
+      expect(metrics.adjustedRandScore([0, 0, 1, 1], [0, 1, 0, 1])).to.be.closeTo(-0.5, 1e-8);
+    });
+
+    it('should return 1 for trivial labelings', function() {
+      expect(metrics.adjustedRandScore([0, 0, 0], [1, 1, 1])).to.equal(1);
+      expect(metrics.adjustedRandScore([0, 1, 2], [2, 0, 1])).to.equal(1);
+    });
+  });
+
+  describe('.mutualInfoScore, .normalizedMutualInfoScore, .adjustedMutualInfoScore', function() {
+    it('should compute the (normalized) mutual information', function() {
+      expect(metrics.mutualInfoScore(labelsTrue, labelsPred)).to.be.closeTo(0.4620981204, 1e-8);
+      expect(metrics.normalizedMutualInfoScore(labelsTrue, labelsPred))
+        .to.be.closeTo(0.5158037430, 1e-8);
+      expect(metrics.normalizedMutualInfoScore([0, 0, 1, 1], [1, 1, 0, 0])).to.be.closeTo(1, 1e-8);
+    });
+
+    it('should compute the adjusted mutual information', function() {
+      expect(metrics.adjustedMutualInfoScore(labelsTrue, labelsPred))
+        .to.be.closeTo(0.2987924582, 1e-8);
+      expect(metrics.adjustedMutualInfoScore([0, 0, 1, 1], [1, 1, 0, 0])).to.be.closeTo(1, 1e-8);
+      expect(metrics.adjustedMutualInfoScore([0, 0, 0, 0], [0, 1, 2, 3])).to.be.closeTo(0, 1e-8);
+    });
+  });
+
+  describe('.homogeneityScore, .completenessScore, .vMeasureScore', function() {
+    it('should compute the homogeneity, completeness and V-measure', function() {
+      expect(metrics.homogeneityScore(labelsTrue, labelsPred)).to.be.closeTo(0.6666666667, 1e-8);
+      expect(metrics.completenessScore(labelsTrue, labelsPred)).to.be.closeTo(0.4206198357, 1e-8);
+      expect(metrics.vMeasureScore(labelsTrue, labelsPred)).to.be.closeTo(0.5158037430, 1e-8);
+    });
+
+    it('should distinguish homogeneous and complete clusterings', function() {
+      var result = metrics.homogeneityCompletenessVMeasure([0, 0, 1, 1], [0, 0, 1, 2]);
+
+      expect(result.homogeneity).to.be.closeTo(1, 1e-8);
+      expect(result.completeness).to.be.below(1);
+      expect(metrics.vMeasureScore([0, 0, 1, 2], [0, 0, 1, 1])).to.be.closeTo(0.8, 1e-8);
+    });
+  });
+
+  describe('.fowlkesMallowsScore', function() {
+    it('should compute the Fowlkes-Mallows index', function() {
+      expect(metrics.fowlkesMallowsScore(labelsTrue, labelsPred)).to.be.closeTo(0.4714045208, 1e-8);
+      expect(metrics.fowlkesMallowsScore([0, 0, 1, 1], [1, 1, 0, 0])).to.be.closeTo(1, 1e-8);
+      expect(metrics.fowlkesMallowsScore([0, 0, 0, 0], [0, 1, 2, 3])).to.equal(0);
+    });
+  });
+});
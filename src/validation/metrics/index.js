@@ -1,5 +1,50 @@
 // Standard imports
 import * as Arrays from '../../arrays';
+import * as Stats from '../../stats';
+
+export * from './regression';
+export * from './clustering';
+
+/**
+ * Get the sorted list of unique labels occurring in one or more label vectors. Numbers are sorted
+ * numerically; other labels are sorted by their string representation.
+ *
+ * @param {...Array.<mixed>} labelVectors - Label vectors
+ * @return {Array.<mixed>} Sorted unique labels
+ */
+function getLabels(...labelVectors) {
+  const labels = Arrays.unique([].concat(...labelVectors));
+
+  if (labels.every(x => typeof x === 'number')) {
+    return labels.sort((a, b) => a - b);
+  }
+
+  return labels.sort((a, b) => String(a).localeCompare(String(b)));
+}
+
+/**
+ * Check that the true and predicted label vectors have the same length.
+ *
+ * @param {Array.<mixed>} yTrue - True labels
+ * @param {Array.<mixed>} yPred - Predicted labels
+ */
+function checkLengths(yTrue, yPred) {
+  if (yTrue.length !== yPred.length) {
+    throw new Error('Number of true labels must match number of predicted labels.');
+  }
+}
+
+/**
+ * Divide two numbers, returning a fallback value if the denominator is zero.
+ *
+ * @param {number} numerator - Numerator
+ * @param {number} denominator - Denominator
+ * @param {number} zeroDivision - Value to return if the denominator is zero
+ * @return {number} Quotient, or the fallback value
+ */
+function safeDivide(numerator, denominator, zeroDivision) {
+  return denominator === 0 ? zeroDivision : numerator / denominator;
+}
 
 /**
  * Evaluate the accuracy of a set of predictions.
@@ -29,21 +74,372 @@ export function accuracy(yTrue, yPred, normalize = true) {
   return numCorrect;
 }
 
+/**
+ * Count the false positives and true positives for each distinct decision threshold, where samples
+ * with a score larger than or equal to the threshold are predicted to be positive.
+ *
+ * @param {Array.<mixed>} yTrue - True labels
+ * @param {Array.<number>} yScore - Prediction scores, where higher scores indicate the positive
+ *   class
+ * @param {mixed} posLabel - Label of the positive class
+ * @return {Object} Object with the arrays fps (false positives), tps (true positives) and
+ *   thresholds, with one element per distinct score, ordered by decreasing threshold
+ */
+function binaryClassificationCurve(yTrue, yScore, posLabel) {
+  checkLengths(yTrue, yScore);
+
+  const order = Arrays.argSort(yScore, (a, b) => b - a);
+  const fps = [];
+  const tps = [];
+  const thresholds = [];
+  let fp = 0;
+  let tp = 0;
+
+  order.forEach((index, i) => {
+    if (yTrue[index] === posLabel) {
+      tp += 1;
+    } else {
+      fp += 1;
+    }
+
+    // Only store the counts after the last sample with a given score
+    if (i === order.length - 1 || yScore[order[i + 1]] !== yScore[index]) {
+      fps.push(fp);
+      tps.push(tp);
+      thresholds.push(yScore[index]);
+    }
+  });
+
+  return { fps, tps, thresholds };
+}
+
+/**
+ * Compute the receiver operating characteristic (ROC) curve of a set of binary predictions: the
+ * false positive rate and true positive rate for each decision threshold.
+ *
+ * @example
+ * var { fpr, tpr, thresholds } = rocCurve([0, 0, 1, 1], [0.1, 0.4, 0.35, 0.8]);
+ * // fpr: [0, 0, 0.5, 0.5, 1], tpr: [0, 0.5, 0.5, 1, 1]
+ * // thresholds: [Infinity, 0.8, 0.4, 0.35, 0.1]
+ *
+ * @param {Array.<mixed>} yTrue - True labels
+ * @param {Array.<number>} yScore - Prediction scores, such as probabilities of the positive class
+ * @param {Object} [optionsUser] - User-defined options
+ * @param {mixed} [optionsUser.posLabel = 1] - Label of the positive class
+ * @param {boolean} [optionsUser.dropIntermediate = false] - Whether to drop thresholds whose
+ *   points lie on a straight line between their neighbours on the curve. This yields a lighter
+ *   curve with the same shape and area
+ * @return {Object} Object with the arrays fpr (false positive rates), tpr (true positive rates)
+ *   and thresholds, ordered by decreasing threshold. The first threshold is Infinity, for which no
+ *   samples are predicted to be positive
+ */
+export function rocCurve(yTrue, yScore, optionsUser = {}) {
+  // Options
+  const optionsDefault = {
+    posLabel: 1,
+    dropIntermediate: false,
+  };
+
+  const options = {
+    ...optionsDefault,
+    ...optionsUser,
+  };
+
+  const curve = binaryClassificationCurve(yTrue, yScore, options.posLabel);
+  let fps = [0, ...curve.fps];
+  let tps = [0, ...curve.tps];
+  let thresholds = [Infinity, ...curve.thresholds];
+
+  const numNegative = fps[fps.length - 1];
+  const numPositive = tps[tps.length - 1];
+
+  if (numNegative === 0 || numPositive === 0) {
+    throw new Error('ROC curves require both positive and negative samples.');
+  }
+
+  if (options.dropIntermediate && fps.length > 2) {
+    // Keep the end points and the points where the slope of the curve changes
+    const keep = fps.map((x, i) => i === 0 || i === fps.length - 1
+      || (fps[i + 1] - x) * (tps[i] - tps[i - 1]) !== (tps[i + 1] - tps[i]) * (x - fps[i - 1]));
+
+    fps = Arrays.mask(fps, keep);
+    tps = Arrays.mask(tps, keep);
+    thresholds = Arrays.mask(thresholds, keep);
+  }
+
+  return {
+    fpr: fps.map(x => x / numNegative),
+    tpr: tps.map(x => x / numPositive),
+    thresholds,
+  };
+}
+
+/**
+ * Calculate the area under a curve using the trapezoidal rule.
+ *
+ * @example
+ * var { fpr, tpr } = rocCurve(yTrue, yScore);
+ * auc(fpr, tpr); // Area under the ROC curve
+ *
+ * @param {Array.<number>} x - x-coordinates of the curve points. Should be either non-decreasing
+ *   or non-increasing
+ * @param {Array.<number>} y - y-coordinates of the curve points
+ * @return {number} Area under the curve
+ */
+export function auc(x, y) {
+  if (x.length !== y.length) {
+    throw new Error('The x- and y-coordinates must have the same length.');
+  }
+
+  if (x.length < 2) {
+    throw new Error('At least 2 points are needed to compute the area under a curve.');
+  }
+
+  const differences = x.slice(1).map((a, i) => a - x[i]);
+  let direction = 1;
+
+  if (differences.some(d => d < 0)) {
+    if (differences.every(d => d <= 0)) {
+      direction = -1;
+    } else {
+      throw new Error('The x-coordinates must be either non-decreasing or non-increasing.');
+    }
+  }
+
+  return direction * differences.reduce((r, d, i) => r + d * (y[i] + y[i + 1]) / 2, 0);
+}
+
+/**
+ * Compute the precision-recall curve of a set of binary predictions: the precision and recall for
+ * each decision threshold.
+ *
+ * @param {Array.<mixed>} yTrue - True labels
+ * @param {Array.<number>} yScore - Prediction scores, such as probabilities of the positive class
+ * @param {Object} [optionsUser] - User-defined options
+ * @param {mixed} [optionsUser.posLabel = 1] - Label of the positive class
+ * @return {Object} Object with the arrays precision, recall and thresholds, ordered by increasing
+ *   threshold. The precision and recall arrays contain one more element than the thresholds array:
+ *   a final point with precision 1 and recall 0, which has no corresponding threshold
+ */
+export function precisionRecallCurve(yTrue, yScore, optionsUser = {}) {
+  // Options
+  const optionsDefault = {
+    posLabel: 1,
+  };
+
+  const options = {
+    ...optionsDefault,
+    ...optionsUser,
+  };
+
+  const { fps, tps, thresholds } = binaryClassificationCurve(yTrue, yScore, options.posLabel);
+  const numPositive = tps[tps.length - 1];
+
+  const precisions = tps.map((x, i) => safeDivide(x, x + fps[i], 0));
+  const recalls = tps.map(x => safeDivide(x, numPositive, 1));
+
+  return {
+    precision: [...precisions.reverse(), 1],
+    recall: [...recalls.reverse(), 0],
+    thresholds: thresholds.reverse(),
+  };
+}
+
+/**
+ * Calculate the average precision of a set of binary predictions, which summarizes the
+ * precision-recall curve as the mean of the precisions at each threshold, weighted by the increase
+ * in recall from the previous threshold. No interpolation is used.
+ *
+ * @param {Array.<mixed>} yTrue - True labels
+ * @param {Array.<number>} yScore - Prediction scores, such as probabilities of the positive class
+ * @param {Object} [optionsUser] - User-defined options. See {@link precisionRecallCurve}
+ * @return {number} Average precision
+ */
+export function averagePrecision(yTrue, yScore, optionsUser = {}) {
+  const curve = precisionRecallCurve(yTrue, yScore, optionsUser);
+
+  // The curve is ordered by decreasing recall
+  return curve.recall.slice(1).reduce((r, x, i) =>
+    r + (curve.recall[i] - x) * curve.precision[i], 0);
+}
+
+/**
+ * Find the decision threshold that optimizes a criterion on the ROC or precision-recall curve.
+ *
+ * @example
+ * var { threshold } = optimalThreshold(yTrue, yScore);
+ * var yPred = yScore.map(x => (x >= threshold ? 1 : 0));
+ *
+ * @param {Array.<mixed>} yTrue - True labels
+ * @param {Array.<number>} yScore - Prediction scores, such as probabilities of the positive class
+ * @param {Object} [optionsUser] - User-defined options
+ * @param {string} [optionsUser.criterion = 'youden'] - Criterion to optimize. 'youden' maximizes
+ *   Youden's J statistic (true positive rate minus false positive rate). 'closest' minimizes the
+ *   distance of the ROC curve point to the top-left corner (0, 1). 'f1' maximizes the F1 score
+ * @param {mixed} [optionsUser.posLabel = 1] - Label of the positive class
+ * @return {Object} Object with the optimal threshold (threshold) and the value of the criterion
+ *   at that threshold (score). Samples with a score larger than or equal to the threshold should
+ *   be predicted to be positive
+ */
+export function optimalThreshold(yTrue, yScore, optionsUser = {}) {
+  // Options
+  const optionsDefault = {
+    criterion: 'youden',
+    posLabel: 1,
+  };
+
+  const options = {
+    ...optionsDefault,
+    ...optionsUser,
+  };
+
+  let thresholds;
+  let scores;
+
+  if (options.criterion === 'f1') {
+    const curve = precisionRecallCurve(yTrue, yScore, { posLabel: options.posLabel });
+    ({ thresholds } = curve);
+    scores = thresholds.map((x, i) =>
+      safeDivide(2 * curve.precision[i] * curve.recall[i], curve.precision[i] + curve.recall[i], 0)
+    );
+  } else if (options.criterion === 'youden' || options.criterion === 'closest') {
+    const curve = rocCurve(yTrue, yScore, { posLabel: options.posLabel });
+
+    // Skip the infinite threshold, for which no samples are predicted to be positive
+    thresholds = curve.thresholds.slice(1);
+    scores = thresholds.map((x, i) => (options.criterion === 'youden'
+      ? curve.tpr[i + 1] - curve.fpr[i + 1]
+      : -Math.sqrt(curve.fpr[i + 1] ** 2 + (1 - curve.tpr[i + 1]) ** 2)));
+  } else {
+    throw new Error('Criterion must be one of "youden", "closest" or "f1".');
+  }
+
+  const bestIndex = Arrays.argMax(scores);
+
+  return {
+    threshold: thresholds[bestIndex],
+    score: options.criterion === 'closest' ? -scores[bestIndex] : scores[bestIndex],
+  };
+}
+
+/**
+ * Calculate the area under the ROC curve for multiclass predictions, by averaging the AUROC of
+ * binary problems derived from the classes.
+ *
+ * @param {Array.<mixed>} yTrue - True labels
+ * @param {Array.<Array.<number>>} yScore - Prediction scores per sample, with one column per class
+ * @param {Object} options - Options. See {@link auroc}
+ * @return {number} Averaged AUROC
+ */
+function multiclassAuroc(yTrue, yScore, options) {
+  const labels = options.labels === null ? getLabels(yTrue) : options.labels;
+
+  if (yScore.some(x => x.length !== labels.length)) {
+    throw new Error('Number of prediction score columns must match number of labels.');
+  }
+
+  if (!['macro', 'weighted'].includes(options.average)) {
+    throw new Error('Average must be "macro" or "weighted".');
+  }
+
+  const binaryAuroc = (yTrueBinary, yScoreBinary) => {
+    const { fpr, tpr } = rocCurve(yTrueBinary, yScoreBinary, { posLabel: true });
+    return auc(fpr, tpr);
+  };
+
+  const classScores = labels.map((x, i) => yScore.map(scores => scores[i]));
+  const aurocs = [];
+  const weights = [];
+
+  if (options.multiClass === 'ovr') {
+    // One-vs-rest: each class against all other classes
+    labels.forEach((label, i) => {
+      const isClass = yTrue.map(x => x === label);
+      aurocs.push(binaryAuroc(isClass, classScores[i]));
+      weights.push(isClass.filter(x => x).length);
+    });
+  } else if (options.multiClass === 'ovo') {
+    // One-vs-one (Hand & Till): each pair of classes, using only the samples of those classes,
+    // averaging the AUROCs with either class as the positive class
+    for (let i = 0; i < labels.length; i += 1) {
+      for (let j = i + 1; j < labels.length; j += 1) {
+        const pairIndices = Arrays.argFilter(yTrue, x => x === labels[i] || x === labels[j]);
+        const isClassI = pairIndices.map(k => yTrue[k] === labels[i]);
+        const isClassJ = isClassI.map(x => !x);
+
+        aurocs.push((
+          binaryAuroc(isClassI, pairIndices.map(k => classScores[i][k]))
+          + binaryAuroc(isClassJ, pairIndices.map(k => classScores[j][k]))
+        ) / 2);
+        weights.push(pairIndices.length);
+      }
+    }
+  } else {
+    throw new Error('Multiclass method must be "ovr" or "ovo".');
+  }
+
+  if (options.average === 'weighted') {
+    const totalWeight = weights.reduce((r, a) => r + a, 0);
+    return aurocs.reduce((r, a, i) => r + a * weights[i] / totalWeight, 0);
+  }
+
+  return aurocs.reduce((r, a) => r + a, 0) / aurocs.length;
+}
+
 /**
  * Calculate the area under the receiver-operator characteristic curve (AUROC) for a set of
  * predictions. Area is calculated using the Trapezoidal rule.
  *
- * @param {Array.<number>} yTrue - True labels. Must contain only integers 0 and 1
- * @param {Array.<mixed>} yPred - Predicted label confidences. Must be between 0 (fully confident
- *   in negative prediction) and 1 (fully confident in positive prediction), both inclusive
+ * For multiclass problems, pass a matrix of prediction scores with one column per class, such as
+ * the output of {@link OneVsAllClassifier#predictProba}, and specify how the classes are combined
+ * into binary problems using the multiClass option.
+ *
+ * @example <caption>Multiclass AUROC of a one-vs-all classifier</caption>
+ * auroc(yTest, classifier.predictProba(XTest), {
+ *   multiClass: 'ovr',
+ *   labels: classifier.getClasses(),
+ * });
+ *
+ * @param {Array.<number>} yTrue - True labels. Must contain only integers 0 and 1 for binary
+ *   problems
+ * @param {Array.<mixed>|Array.<Array.<number>>} yPred - Predicted label confidences. For binary
+ *   problems, must be between 0 (fully confident in negative prediction) and 1 (fully confident in
+ *   positive prediction), both inclusive. For multiclass problems, the prediction scores of each
+ *   class per sample
+ * @param {Object} [optionsUser] - User-defined options, used for multiclass problems
+ * @param {string} [optionsUser.multiClass = 'ovr'] - How to compute the multiclass AUROC. 'ovr'
+ *   (one-vs-rest) averages the AUROC of each class against all other classes. 'ovo' (one-vs-one)
+ *   averages the AUROC of each pair of classes, which is insensitive to class imbalance
+ * @param {string} [optionsUser.average = 'macro'] - 'macro' takes the unweighted mean of the
+ *   binary AUROCs, 'weighted' weighs them by the number of samples of the class (ovr) or class
+ *   pair (ovo)
+ * @param {Array.<mixed>} [optionsUser.labels = null] - Class label of each column of the
+ *   prediction scores. Defaults to the sorted unique labels in yTrue
  * @return {number} Calculated AUROC
  */
-export function auroc(yTrue, yPred) {
+export function auroc(yTrue, yPred, optionsUser = {}) {
+  // Options
+  const optionsDefault = {
+    multiClass: 'ovr',
+    average: 'macro',
+    labels: null,
+  };
+
+  const options = {
+    ...optionsDefault,
+    ...optionsUser,
+  };
+
   // Check input lengths
   if (yTrue.length !== yPred.length) {
     throw new Error('Number of true labels must match number of predicted labels.');
   }
 
+  // Use the multiclass AUROC for matrices of prediction scores
+  if (yPred.length > 0 && Array.isArray(yPred[0])) {
+    return multiclassAuroc(yTrue, yPred, options);
+  }
+
   // Check number of classes
   const numClasses = Arrays.unique(yTrue).length;
 
@@ -119,3 +515,681 @@ export function auroc(yTrue, yPred) {
 
   return fprsDiff.reduce((r, a, i) => r + a * tprsMean[i], 0);
 }
+
+/**
+ * Compute the confusion matrix of a set of predictions. Element (i, j) is the number of samples
+ * with true label i that were predicted to have label j.
+ *
+ * @example
+ * confusionMatrix([0, 0, 1, 1, 2], [0, 1, 1, 1, 0]);
+ * // [[1, 1, 0], [0, 2, 0], [1, 0, 0]]
+ *
+ * @param {Array.<mixed>} yTrue - True labels
+ * @param {Array.<mixed>} yPred - Predicted labels
+ * @param {Object} [optionsUser] - User-defined options
+ * @param {Array.<mixed>} [optionsUser.labels = null] - Labels to include, in the order of the rows
+ *   and columns of the matrix. Defaults to the sorted unique labels in yTrue and yPred
+ * @param {string} [optionsUser.normalize = null] - Normalization of the matrix. 'true' divides
+ *   each row by the number of samples with that true label, 'pred' divides each column by the
+ *   number of samples with that predicted label, and 'all' divides all elements by the number of
+ *   samples. If null, the matrix contains counts
+ * @return {Array.<Array.<number>>} Confusion matrix
+ */
+export function confusionMatrix(yTrue, yPred, optionsUser = {}) {
+  // Options
+  const optionsDefault = {
+    labels: null,
+    normalize: null,
+  };
+
+  const options = {
+    ...optionsDefault,
+    ...optionsUser,
+  };
+
+  checkLengths(yTrue, yPred);
+
+  if (![null, 'true', 'pred', 'all'].includes(options.normalize)) {
+    throw new Error('Normalization must be one of "true", "pred", "all" or null.');
+  }
+
+  const labels = options.labels === null ? getLabels(yTrue, yPred) : options.labels;
+  const labelIndices = new Map(labels.map((x, i) => [x, i]));
+
+  // Count the (true label, predicted label) pairs. Samples with labels that are not included are
+  // ignored
+  const matrix = Arrays.zeros([labels.length, labels.length]);
+
+  yTrue.forEach((x, i) => {
+    if (labelIndices.has(x) && labelIndices.has(yPred[i])) {
+      matrix[labelIndices.get(x)][labelIndices.get(yPred[i])] += 1;
+    }
+  });
+
+  if (options.normalize === 'true') {
+    return matrix.map((row) => {
+      const rowSum = row.reduce((r, a) => r + a, 0);
+      return row.map(x => safeDivide(x, rowSum, 0));
+    });
+  }
+
+  if (options.normalize === 'pred') {
+    const columnSums = Arrays.internalSum(matrix, 0);
+    return matrix.map(row => row.map((x, j) => safeDivide(x, columnSums[j], 0)));
+  }
+
+  if (options.normalize === 'all') {
+    const total = Arrays.internalSum(matrix);
+    return matrix.map(row => row.map(x => safeDivide(x, total, 0)));
+  }
+
+  return matrix;
+}
+
+/**
+ * Compute the precision, recall, F-beta score and support of a set of predictions, either per
+ * class or averaged over the classes.
+ *
+ * @param {Array.<mixed>} yTrue - True labels
+ * @param {Array.<mixed>} yPred - Predicted labels
+ * @param {number} beta - Weight of recall relative to precision in the F-beta score
+ * @param {Object} options - Options. See {@link precision}
+ * @return {Object} Object with keys precision, recall, fScore and support. If averaging is
+ *   disabled, each value is an array with one element per class; otherwise, each value is a
+ *   number, and support is the total support of the classes averaged over
+ */
+function precisionRecallFScoreSupport(yTrue, yPred, beta, options) {
+  checkLengths(yTrue, yPred);
+
+  if (![null, 'none', 'binary', 'micro', 'macro', 'weighted'].includes(options.average)) {
+    throw new Error('Average must be one of "binary", "micro", "macro", "weighted", "none" or null.');
+  }
+
+  let labels = options.labels === null ? getLabels(yTrue, yPred) : options.labels;
+
+  if (options.average === 'binary') {
+    if (options.labels === null && labels.length > 2) {
+      throw new Error(`Binary averaging requires at most 2 classes, but ${labels.length} were found.`);
+    }
+
+    // A positive class that does not occur would silently score 0, e.g. for string labels
+    if (!labels.includes(options.posLabel)) {
+      throw new Error(`Positive label ${options.posLabel} is not among the labels [${labels.join(', ')}].`);
+    }
+
+    labels = [options.posLabel];
+  }
+
+  // Count true positives, predicted positives and actual positives per class
+  const labelIndices = new Map(labels.map((x, i) => [x, i]));
+  const truePositives = Arrays.zeros(labels.length);
+  const predictedPositives = Arrays.zeros(labels.length);
+  const support = Arrays.zeros(labels.length);
+
+  yTrue.forEach((x, i) => {
+    if (labelIndices.has(x)) {
+      support[labelIndices.get(x)] += 1;
+
+      if (x === yPred[i]) {
+        truePositives[labelIndices.get(x)] += 1;
+      }
+    }
+
+    if (labelIndices.has(yPred[i])) {
+      predictedPositives[labelIndices.get(yPred[i])] += 1;
+    }
+  });
+
+  const fScoreFromCounts = (tp, pp, s) => safeDivide(
+    (1 + beta ** 2) * tp,
+    beta ** 2 * s + pp,
+    options.zeroDivision
+  );
+
+  // Micro-averaging pools the counts of all classes
+  if (options.average === 'micro') {
+    const tp = truePositives.reduce((r, a) => r + a, 0);
+    const pp = predictedPositives.reduce((r, a) => r + a, 0);
+    const s = support.reduce((r, a) => r + a, 0);
+
+    return {
+      precision: safeDivide(tp, pp, options.zeroDivision),
+      recall: safeDivide(tp, s, options.zeroDivision),
+      fScore: fScoreFromCounts(tp, pp, s),
+      support: s,
+    };
+  }
+
+  const result = {
+    precision: truePositives.map((x, i) =>
+      safeDivide(x, predictedPositives[i], options.zeroDivision)
+    ),
+    recall: truePositives.map((x, i) => safeDivide(x, support[i], options.zeroDivision)),
+    fScore: truePositives.map((x, i) => fScoreFromCounts(x, predictedPositives[i], support[i])),
+    support,
+  };
+
+  if (options.average === null || options.average === 'none') {
+    return result;
+  }
+
+  if (options.average === 'binary') {
+    return {
+      precision: result.precision[0],
+      recall: result.recall[0],
+      fScore: result.fScore[0],
+      support: support[0],
+    };
+  }
+
+  // Macro-averaging weighs all classes equally; weighted averaging weighs them by their support
+  const totalSupport = support.reduce((r, a) => r + a, 0);
+  const weights = options.average === 'weighted'
+    ? support.map(x => safeDivide(x, totalSupport, 0))
+    : support.map(() => 1 / labels.length);
+  const average = values => values.reduce((r, a, i) => r + a * weights[i], 0);
+
+  return {
+    precision: average(result.precision),
+    recall: average(result.recall),
+    fScore: average(result.fScore),
+    support: totalSupport,
+  };
+}
+
+/**
+ * Get the options for the precision, recall and F-score metrics, filling in defaults.
+ *
+ * @param {Object} optionsUser - User-defined options
+ * @return {Object} Options
+ */
+function getAveragingOptions(optionsUser) {
+  const optionsDefault = {
+    average: 'binary',
+    posLabel: 1,
+    labels: null,
+    zeroDivision: 0,
+  };
+
+  return {
+    ...optionsDefault,
+    ...optionsUser,
+  };
+}
+
+/**
+ * Calculate the precision of a set of predictions: the proportion of samples predicted to have a
+ * class that actually have that class, i.e. tp / (tp + fp).
+ *
+ * @example
+ * precision([0, 1, 1, 0, 1], [0, 1, 0, 1, 1]); // 0.6667 (2 of 3 predicted positives are correct)
+ * precision([0, 1, 2, 2], [0, 2, 2, 2], { average: 'none' }); // [1, 0, 0.6667]
+ *
+ * @param {Array.<mixed>} yTrue - True labels
+ * @param {Array.<mixed>} yPred - Predicted labels
+ * @param {Object} [optionsUser] - User-defined options
+ * @param {string} [optionsUser.average = 'binary'] - Averaging method. 'binary' only reports the
+ *   score of the positive class (posLabel). 'micro' pools the true and false positives of all
+ *   classes. 'macro' takes the unweighted mean of the per-class scores. 'weighted' takes the mean
+ *   of the per-class scores weighted by the number of true samples per class. 'none' (or null)
+ *   returns the score of each class
+ * @param {mixed} [optionsUser.posLabel = 1] - Positive class for binary averaging. Should be one
+ *   of the labels
+ * @param {Array.<mixed>} [optionsUser.labels = null] - Classes to include, and their order when no
+ *   averaging is used. Defaults to the sorted unique labels in yTrue and yPred
+ * @param {number} [optionsUser.zeroDivision = 0] - Score to use for classes that are never
+ *   predicted
+ * @return {number|Array.<number>} Precision, or precision per class if no averaging is used
+ */
+export function precision(yTrue, yPred, optionsUser = {}) {
+  return precisionRecallFScoreSupport(yTrue, yPred, 1, getAveragingOptions(optionsUser)).precision;
+}
+
+/**
+ * Calculate the recall of a set of predictions: the proportion of samples of a class that are
+ * predicted to have that class, i.e. tp / (tp + fn).
+ *
+ * @param {Array.<mixed>} yTrue - True labels
+ * @param {Array.<mixed>} yPred - Predicted labels
+ * @param {Object} [optionsUser] - User-defined options. See {@link precision}
+ * @return {number|Array.<number>} Recall, or recall per class if no averaging is used
+ */
+export function recall(yTrue, yPred, optionsUser = {}) {
+  return precisionRecallFScoreSupport(yTrue, yPred, 1, getAveragingOptions(optionsUser)).recall;
+}
+
+/**
+ * Calculate the F-beta score of a set of predictions: the weighted harmonic mean of precision and
+ * recall, where recall is considered beta times as important as precision.
+ *
+ * @param {Array.<mixed>} yTrue - True labels
+ * @param {Array.<mixed>} yPred - Predicted labels
+ * @param {number} beta - Weight of recall relative to precision
+ * @param {Object} [optionsUser] - User-defined options. See {@link precision}
+ * @return {number|Array.<number>} F-beta score, or F-beta score per class if no averaging is used
+ */
+export function fbeta(yTrue, yPred, beta, optionsUser = {}) {
+  if (!(beta > 0)) {
+    throw new Error('Beta must be positive.');
+  }
+
+  return precisionRecallFScoreSupport(yTrue, yPred, beta, getAveragingOptions(optionsUser)).fScore;
+}
+
+/**
+ * Calculate the F1 score of a set of predictions: the harmonic mean of precision and recall.
+ *
+ * @param {Array.<mixed>} yTrue - True labels
+ * @param {Array.<mixed>} yPred - Predicted labels
+ * @param {Object} [optionsUser] - User-defined options. See {@link precision}
+ * @return {number|Array.<number>} F1 score, or F1 score per class if no averaging is used
+ */
+export function f1(yTrue, yPred, optionsUser = {}) {
+  return fbeta(yTrue, yPred, 1, optionsUser);
+}
+
+/**
+ * Calculate the balanced accuracy of a set of predictions: the mean recall over all classes in the
+ * true labels. Unlike accuracy, this is not inflated by predicting the majority class of an
+ * imbalanced dataset.
+ *
+ * @param {Array.<mixed>} yTrue - True labels
+ * @param {Array.<mixed>} yPred - Predicted labels
+ * @param {boolean} [adjusted = false] - Whether to adjust the score for chance, such that random
+ *   predictions score 0 and perfect predictions score 1
+ * @return {number} Balanced accuracy
+ */
+export function balancedAccuracy(yTrue, yPred, adjusted = false) {
+  const recalls = recall(yTrue, yPred, { average: 'none', labels: getLabels(yTrue) });
+  const score = recalls.reduce((r, a) => r + a, 0) / recalls.length;
+
+  if (adjusted) {
+    // With a single class, every prediction is as good as chance
+    const chance = 1 / recalls.length;
+    return safeDivide(score - chance, 1 - chance, 0);
+  }
+
+  return score;
+}
+
+/**
+ * Calculate the Matthews correlation coefficient of a set of predictions, using its multiclass
+ * generalization. The coefficient is 1 for perfect predictions, 0 for random predictions and -1
+ * for completely inverse (binary) predictions. It is informative even for very imbalanced classes.
+ *
+ * @param {Array.<mixed>} yTrue - True labels
+ * @param {Array.<mixed>} yPred - Predicted labels
+ * @return {number} Matthews correlation coefficient
+ */
+export function matthewsCorrcoef(yTrue, yPred) {
+  const matrix = confusionMatrix(yTrue, yPred);
+  const numSamples = yTrue.length;
+  const numCorrect = matrix.reduce((r, row, i) => r + row[i], 0);
+  const trueCounts = Arrays.internalSum(matrix, 1);
+  const predCounts = Arrays.internalSum(matrix, 0);
+
+  const covariance = numCorrect * numSamples - Arrays.dot(trueCounts, predCounts);
+  const varianceTrue = numSamples ** 2 - Arrays.dot(trueCounts, trueCounts);
+  const variancePred = numSamples ** 2 - Arrays.dot(predCounts, predCounts);
+
+  return safeDivide(covariance, Math.sqrt(varianceTrue * variancePred), 0);
+}
+
+/**
+ * Calculate Cohen's kappa for a set of predictions, which measures the agreement between the true
+ * and predicted labels corrected for the agreement expected by chance.
+ *
+ * @param {Array.<mixed>} yTrue - True labels
+ * @param {Array.<mixed>} yPred - Predicted labels
+ * @param {string} [weights = null] - Weighting of disagreements for ordinal labels. 'linear'
+ *   weighs disagreements by the distance between the (sorted) labels, 'quadratic' by the squared
+ *   distance. If null, all disagreements are weighted equally
+ * @return {number} Cohen's kappa, which is 1 for perfect agreement and 0 for chance agreement
+ */
+export function cohenKappa(yTrue, yPred, weights = null) {
+  if (![null, 'linear', 'quadratic'].includes(weights)) {
+    throw new Error('Weights must be "linear", "quadratic" or null.');
+  }
+
+  const matrix = confusionMatrix(yTrue, yPred);
+  const numLabels = matrix.length;
+  const numSamples = yTrue.length;
+  const trueCounts = Arrays.internalSum(matrix, 1);
+  const predCounts = Arrays.internalSum(matrix, 0);
+
+  // Weight of a disagreement between labels i and j
+  const weight = (i, j) => {
+    if (weights === 'linear') {
+      return Math.abs(i - j);
+    }
+
+    if (weights === 'quadratic') {
+      return (i - j) ** 2;
+    }
+
+    return i === j ? 0 : 1;
+  };
+
+  let observed = 0;
+  let expected = 0;
+
+  for (let i = 0; i < numLabels; i += 1) {
+    for (let j = 0; j < numLabels; j += 1) {
+      observed += weight(i, j) * matrix[i][j];
+      expected += weight(i, j) * trueCounts[i] * predCounts[j] / numSamples;
+    }
+  }
+
+  return 1 - safeDivide(observed, expected, 0);
+}
+
+/**
+ * Build a report of the main classification metrics per class: precision, recall, F1 score and
+ * support, along with the accuracy and the macro and weighted averages of the metrics.
+ *
+ * @example
+ * var report = classificationReport(['a', 'b', 'b'], ['a', 'b', 'a']);
+ * report.classes[0]; // { label: 'a', precision: 0.5, recall: 1, f1: 0.6667, support: 1 }
+ * report.accuracy; // 0.6667
+ *
+ * @param {Array.<mixed>} yTrue - True labels
+ * @param {Array.<mixed>} yPred - Predicted labels
+ * @param {Object} [optionsUser] - User-defined options
+ * @param {Array.<mixed>} [optionsUser.labels = null] - Classes to include in the report, in order.
+ *   Defaults to the sorted unique labels in yTrue and yPred
+ * @param {Array.<string>} [optionsUser.targetNames = null] - Display names of the classes, used
+ *   as the label in the report
+ * @param {number} [optionsUser.zeroDivision = 0] - Score to use for classes that are never
+ *   predicted or never occur
+ * @return {Object} Report, with a row per class in classes, the accuracy in accuracy, and the
+ *   averaged rows in macroAverage and weightedAverage. Each row contains the keys precision,
+ *   recall, f1 and support, and the class rows also contain the key label
+ */
+export function classificationReport(yTrue, yPred, optionsUser = {}) {
+  // Options
+  const optionsDefault = {
+    labels: null,
+    targetNames: null,
+    zeroDivision: 0,
+  };
+
+  const options = {
+    ...optionsDefault,
+    ...optionsUser,
+  };
+
+  const labels = options.labels === null ? getLabels(yTrue, yPred) : options.labels;
+
+  if (options.targetNames !== null && options.targetNames.length !== labels.length) {
+    throw new Error('Number of target names must match number of labels.');
+  }
+
+  const scores = average => precisionRecallFScoreSupport(yTrue, yPred, 1, {
+    average,
+    labels,
+    zeroDivision: options.zeroDivision,
+  });
+
+  const toRow = x => ({
+    precision: x.precision,
+    recall: x.recall,
+    f1: x.fScore,
+    support: x.support,
+  });
+
+  const perClass = scores('none');
+
+  return {
+    classes: labels.map((label, i) => ({
+      label: options.targetNames === null ? label : options.targetNames[i],
+      precision: perClass.precision[i],
+      recall: perClass.recall[i],
+      f1: perClass.fScore[i],
+      support: perClass.support[i],
+    })),
+    accuracy: accuracy(yTrue, yPred),
+    macroAverage: toRow(scores('macro')),
+    weightedAverage: toRow(scores('weighted')),
+  };
+}
+
+/**
+ * Convert probability predictions to a matrix with one column per class. Binary predictions,
+ * given as the probability of the positive (last) class, are converted to two columns.
+ *
+ * @param {Array.<number>|Array.<Array.<number>>} yProb - Probability predictions
+ * @param {number} numLabels - Number of classes
+ * @return {Array.<Array.<number>>} Probability per sample and class
+ */
+function toProbabilityMatrix(yProb, numLabels) {
+  const matrix = yProb.map(x => (Array.isArray(x) ? x : [1 - x, x]));
+
+  if (matrix.some(x => x.length !== numLabels)) {
+    throw new Error('Number of probability columns must match number of labels.');
+  }
+
+  return matrix;
+}
+
+/**
+ * Calculate the logarithmic loss (cross-entropy) of a set of probability predictions: the mean
+ * negative log-probability assigned to the true class. Confident wrong predictions are penalized
+ * heavily.
+ *
+ * @example
+ * logLoss(['a', 'b', 'b'], [[0.9, 0.1], [0.2, 0.8], [0.6, 0.4]]); // 0.4149
+ * logLoss([0, 1, 1], [0.1, 0.8, 0.4]); // 0.4149 (probabilities of the positive class)
+ *
+ * @param {Array.<mixed>} yTrue - True labels
+ * @param {Array.<number>|Array.<Array.<number>>} yProb - Probability predictions. Either a matrix
+ *   with the probability of each class per sample, or, for binary problems, the probability of
+ *   the positive (greater) class per sample
+ * @param {Object} [optionsUser] - User-defined options
+ * @param {number} [optionsUser.eps = 1e-15] - Probabilities are clipped to [eps, 1 - eps] to avoid
+ *   infinite losses, after which each row is renormalized
+ * @param {Array.<mixed>} [optionsUser.labels = null] - Class label of each probability column.
+ *   Defaults to the sorted unique labels in yTrue, so it is required if yTrue does not contain all
+ *   classes
+ * @param {boolean} [optionsUser.normalize = true] - Whether to return the mean loss per sample.
+ *   If false, the sum of the losses is returned
+ * @return {number} Logarithmic loss
+ */
+export function logLoss(yTrue, yProb, optionsUser = {}) {
+  // Options
+  const optionsDefault = {
+    eps: 1e-15,
+    labels: null,
+    normalize: true,
+  };
+
+  const options = {
+    ...optionsDefault,
+    ...optionsUser,
+  };
+
+  checkLengths(yTrue, yProb);
+
+  const labels = options.labels === null ? getLabels(yTrue) : options.labels;
+  const labelIndices = new Map(labels.map((x, i) => [x, i]));
+
+  if (!yTrue.every(x => labelIndices.has(x))) {
+    throw new Error('All true labels must occur in the labels list.');
+  }
+
+  // Labels cannot be assigned to the probability columns if yTrue lacks some of the classes
+  const numColumns = Array.isArray(yProb[0]) ? yProb[0].length : 2;
+
+  if (labels.length < numColumns) {
+    throw new Error(`Labels [${labels.join(', ')}] do not cover ${numColumns} probability columns.`);
+  }
+
+  const probabilities = toProbabilityMatrix(yProb, labels.length);
+
+  const loss = yTrue.reduce((r, label, i) => {
+    const clipped = probabilities[i].map(x => Math.min(1 - options.eps, Math.max(options.eps, x)));
+    const rowSum = clipped.reduce((s, a) => s + a, 0);
+
+    return r - Math.log(clipped[labelIndices.get(label)] / rowSum);
+  }, 0);
+
+  return options.normalize ? loss / yTrue.length : loss;
+}
+
+/**
+ * Calculate the Brier score of a set of probability predictions: the mean squared difference
+ * between the predicted probabilities and the actual outcomes. Lower is better.
+ *
+ * @param {Array.<mixed>} yTrue - True labels
+ * @param {Array.<number>|Array.<Array.<number>>} yProb - Probability predictions. Either the
+ *   probability of the positive class per sample (binary Brier score), or a matrix with the
+ *   probability of each class per sample (multiclass Brier score, summed over the classes)
+ * @param {Object} [optionsUser] - User-defined options
+ * @param {mixed} [optionsUser.posLabel = 1] - Label of the positive class, for binary predictions
+ * @param {Array.<mixed>} [optionsUser.labels = null] - Class label of each probability column, for
+ *   multiclass predictions. Defaults to the sorted unique labels in yTrue
+ * @return {number} Brier score
+ */
+export function brierScore(yTrue, yProb, optionsUser = {}) {
+  // Options
+  const optionsDefault = {
+    posLabel: 1,
+    labels: null,
+  };
+
+  const options = {
+    ...optionsDefault,
+    ...optionsUser,
+  };
+
+  checkLengths(yTrue, yProb);
+
+  if (!yProb.every(x => (Array.isArray(x) ? x : [x]).every(p => p >= 0 && p <= 1))) {
+    throw new Error('Probabilities must be between 0 and 1 (inclusive).');
+  }
+
+  if (yProb.length > 0 && Array.isArray(yProb[0])) {
+    const labels = options.labels === null ? getLabels(yTrue) : options.labels;
+    const probabilities = toProbabilityMatrix(yProb, labels.length);
+
+    return yTrue.reduce((r, label, i) => r + probabilities[i].reduce((s, p, j) =>
+      s + (p - (labels[j] === label ? 1 : 0)) ** 2, 0), 0) / yTrue.length;
+  }
+
+  return yTrue.reduce((r, label, i) =>
+    r + (yProb[i] - (label === options.posLabel ? 1 : 0)) ** 2, 0) / yTrue.length;
+}
+
+/**
+ * Divide binary probability predictions into bins, and compute the mean predicted probability and
+ * the observed frequency of the positive class per bin.
+ *
+ * @param {Array.<mixed>} yTrue - True labels
+ * @param {Array.<number>} yProb - Predicted probability of the positive class per sample
+ * @param {Object} options - Options. See {@link calibrationCurve}
+ * @return {Array.<Object>} Non-empty bins, in increasing order of probability. Each bin contains
+ *   the mean predicted probability (probPred), observed frequency (probTrue) and number of
+ *   samples (count)
+ */
+function calibrationBins(yTrue, yProb, options) {
+  checkLengths(yTrue, yProb);
+
+  if (!yProb.every(x => x >= 0 && x <= 1)) {
+    throw new Error('Probabilities must be between 0 and 1 (inclusive).');
+  }
+
+  let edges;
+
+  if (options.strategy === 'uniform') {
+    edges = Arrays.linspace(0, 1, options.numBins + 1);
+  } else if (options.strategy === 'quantile') {
+    edges = Stats.quantile(yProb, Arrays.linspace(0, 1, options.numBins + 1));
+  } else {
+    throw new Error('Binning strategy must be "uniform" or "quantile".');
+  }
+
+  // Assign each sample to a bin: the number of inner bin edges smaller than its probability
+  const innerEdges = edges.slice(1, -1);
+  const bins = edges.slice(1).map(() => ({ sumPred: 0, sumTrue: 0, count: 0 }));
+
+  yProb.forEach((x, i) => {
+    const bin = bins[innerEdges.filter(edge => edge < x).length];
+    bin.sumPred += x;
+    bin.sumTrue += yTrue[i] === options.posLabel ? 1 : 0;
+    bin.count += 1;
+  });
+
+  return bins.filter(x => x.count > 0).map(x => ({
+    probPred: x.sumPred / x.count,
+    probTrue: x.sumTrue / x.count,
+    count: x.count,
+  }));
+}
+
+/**
+ * Get the options for the calibration metrics, filling in defaults.
+ *
+ * @param {Object} optionsUser - User-defined options
+ * @param {number} numBins - Default number of bins
+ * @return {Object} Options
+ */
+function getCalibrationOptions(optionsUser, numBins) {
+  const optionsDefault = {
+    numBins,
+    strategy: 'uniform',
+    posLabel: 1,
+  };
+
+  return {
+    ...optionsDefault,
+    ...optionsUser,
+  };
+}
+
+/**
+ * Compute the calibration curve (reliability diagram) of binary probability predictions. The
+ * predictions are divided into bins, and for each bin the mean predicted probability is compared
+ * to the observed frequency of the positive class. For a well-calibrated classifier, both are
+ * (approximately) equal.
+ *
+ * @example
+ * var { probTrue, probPred } = calibrationCurve(yTest, classifier.predict(XTest, {
+ *   output: 'raw',
+ * }), { numBins: 10 });
+ *
+ * @param {Array.<mixed>} yTrue - True labels
+ * @param {Array.<number>} yProb - Predicted probability of the positive class per sample
+ * @param {Object} [optionsUser] - User-defined options
+ * @param {number} [optionsUser.numBins = 5] - Number of bins
+ * @param {string} [optionsUser.strategy = 'uniform'] - Binning strategy. 'uniform' uses bins of
+ *   equal width on [0, 1]; 'quantile' uses bins with (approximately) equal numbers of samples
+ * @param {mixed} [optionsUser.posLabel = 1] - Label of the positive class
+ * @return {Object} Object with the arrays probTrue (observed frequency of the positive class),
+ *   probPred (mean predicted probability) and counts (number of samples), with one element per
+ *   non-empty bin
+ */
+export function calibrationCurve(yTrue, yProb, optionsUser = {}) {
+  const bins = calibrationBins(yTrue, yProb, getCalibrationOptions(optionsUser, 5));
+
+  return {
+    probTrue: bins.map(x => x.probTrue),
+    probPred: bins.map(x => x.probPred),
+    counts: bins.map(x => x.count),
+  };
+}
+
+/**
+ * Calculate the expected calibration error (ECE) of binary probability predictions: the mean
+ * absolute difference between the predicted probability and observed frequency over the bins of
+ * the calibration curve, weighted by the number of samples per bin.
+ *
+ * @param {Array.<mixed>} yTrue - True labels
+ * @param {Array.<number>} yProb - Predicted probability of the positive class per sample
+ * @param {Object} [optionsUser] - User-defined options. See {@link calibrationCurve}. The number
+ *   of bins defaults to 10
+ * @return {number} Expected calibration error, between 0 (perfectly calibrated) and 1
+ */
+export function expectedCalibrationError(yTrue, yProb, optionsUser = {}) {
+  const bins = calibrationBins(yTrue, yProb, getCalibrationOptions(optionsUser, 10));
+
+  return bins.reduce((r, x) => r + x.count * Math.abs(x.probTrue - x.probPred), 0) / yTrue.length;
+}
@@ -51,5 +51,317 @@ describe('Metrics', function() {
       expect(() => metrics.auroc([0, 1], [-0.1, 0]).to.throw());
       expect(() => metrics.auroc([0, 1], [1.1, 0]).to.throw());
     });
+
+    it('should compute the one-vs-rest and one-vs-one AUROC for multiclass scores', function() {
+      var yTrue = [0, 1, 2, 0, 1, 2, 1];
+      var yScore = [
+        [0.6, 0.3, 0.1], [0.2, 0.5, 0.3], [0.2, 0.2, 0.6], [0.3, 0.4, 0.3],
+        [0.1, 0.3, 0.6], [0.3, 0.3, 0.4], [0.5, 0.4, 0.1],
+      ];
+
+      var binaryAurocs = [0, 1, 2].map(label =>
+        metrics.auroc(yTrue.map(x => (x === label ? 1 : 0)), yScore.map(x => x[label])));
+
+      expect(metrics.auroc(yTrue, yScore)).to.be.closeTo((binaryAurocs[0] + binaryAurocs[1] + binaryAurocs[2]) / 3, 1e-12);
+      expect(metrics.auroc(yTrue, yScore, { average: 'weighted' }))
+        .to.be.closeTo((2 * binaryAurocs[0] + 3 * binaryAurocs[1] + 2 * binaryAurocs[2]) / 7, 1e-12);
+
+      var ovo = metrics.auroc(yTrue, yScore, { multiClass: 'ovo' });
+      expect(ovo).to.be.within(0, 1);
+
+      var perfect = [[1, 0, 0], [0, 1, 0], [0, 0, 1], [1, 0, 0], [0, 1, 0], [0, 0, 1], [0, 1, 0]];
+      expect(metrics.auroc(yTrue, perfect, { multiClass: 'ovo' })).to.equal(1);
+    });
+
+    it('should map the prediction score columns to the specified labels', function() {
+      var yTrue = ['b', 'a', 'b', 'a'];
+      var yScore = [[0.9, 0.1], [0.2, 0.8], [0.7, 0.3], [0.4, 0.6]];
+
+      expect(metrics.auroc(yTrue, yScore, { labels: ['b', 'a'] })).to.equal(1);
+      expect(metrics.auroc(yTrue, yScore)).to.equal(0);
+    });
+  });
+
+  describe('.rocCurve', function() {
+    it('should compute the false and true positive rate for each threshold', function() {
+      var curve = metrics.rocCurve([0, 0, 1, 1], [0.1, 0.4, 0.35, 0.8]);
+
+      expect(curve.fpr).to.deep.equal([0, 0, 0.5, 0.5, 1]);
+      expect(curve.tpr).to.deep.equal([0, 0.5, 0.5, 1, 1]);
+      expect(curve.thresholds).to.deep.equal([Infinity, 0.8, 0.4, 0.35, 0.1]);
+      expect(metrics.auc(curve.fpr, curve.tpr)).to.equal(0.75);
+    });
+
+    it('should drop intermediate thresholds on straight segments', function() {
+      var curve = metrics.rocCurve(['y', 'y', 'n', 'n'], [0.9, 0.8, 0.3, 0.2], {
+        posLabel: 'y',
+        dropIntermediate: true,
+      });
+
+      expect(curve.fpr).to.deep.equal([0, 0, 1]);
+      expect(curve.tpr).to.deep.equal([0, 1, 1]);
+      expect(curve.thresholds).to.deep.equal([Infinity, 0.8, 0.2]);
+    });
+
+    it('should match the AUROC metric', function() {
+      var yTrue = [0, 1, 0, 1, 0, 0, 1, 1, 0, 0, 0, 0, 1, 1, 1];
+      var yPred = [0.3, 0.7, 0.2, 0.4, 0.6, 0.2, 0.7, 0.8, 0.1, 0.0, 0.9, 0.6, 0.9, 0.8, 0.95];
+      var curve = metrics.rocCurve(yTrue, yPred);
+
+      expect(metrics.auc(curve.fpr, curve.tpr)).to.be.closeTo(metrics.auroc(yTrue, yPred), 1e-12);
+    });
+
+    it('should throw an error if there are no positive or no negative samples', function() {
+      expect(() => metrics.rocCurve([1, 1], [0.2, 0.6])).to.throw();
+    });
+  });
+
+  describe('.auc', function() {
+    it('should compute the area under increasing and decreasing curves', function() {
+      expect(metrics.auc([0, 1, 2], [0, 1, 1])).to.equal(1.5);
+      expect(metrics.auc([2, 1, 0], [1, 1, 0])).to.equal(1.5);
+      expect(() => metrics.auc([0, 2, 1], [0, 1, 1])).to.throw();
+    });
+  });
+
+  describe('.precisionRecallCurve', function() {
+    it('should compute the precision and recall for each threshold', function() {
+      var curve = metrics.precisionRecallCurve([0, 0, 1, 1], [0.1, 0.4, 0.35, 0.8]);
+
+      expect(curve.precision).to.deep.equal([0.5, 2 / 3, 0.5, 1, 1]);
+      expect(curve.recall).to.deep.equal([1, 1, 0.5, 0.5, 0]);
+      expect(curve.thresholds).to.deep.equal([0.1, 0.35, 0.4, 0.8]);
+    });
+  });
+
+  describe('.averagePrecision', function() {
+    it('should compute the recall-weighted mean precision', function() {
+      expect(metrics.averagePrecision([0, 0, 1, 1], [0.1, 0.4, 0.35, 0.8])).to.be.closeTo(5 / 6, 1e-12);
+      expect(metrics.averagePrecision([0, 1, 1], [0.1, 0.5, 0.9])).to.equal(1);
+    });
+  });
+
+  describe('.optimalThreshold', function() {
+    var yTrue = [0, 0, 0, 0, 1, 1, 1];
+    var yScore = [0.1, 0.2, 0.3, 0.6, 0.4, 0.7, 0.9];
+
+    it('should maximize Youden\'s J statistic', function() {
+      var result = metrics.optimalThreshold(yTrue, yScore);
+      expect(result.threshold).to.equal(0.4);
+      expect(result.score).to.equal(0.75);
+    });
+
+    it('should minimize the distance to the top-left corner', function() {
+      var result = metrics.optimalThreshold(yTrue, yScore, { criterion: 'closest' });
+      expect(result.threshold).to.equal(0.4);
+      expect(result.score).to.equal(0.25);
+    });
+
+    it('should maximize the F1 score', function() {
+      var result = metrics.optimalThreshold(yTrue, yScore, { criterion: 'f1' });
+      expect(result.threshold).to.equal(0.4);
+      expect(result.score).to.be.closeTo(6 / 7, 1e-12);
+    });
+
+    it('should throw an error for unknown criteria', function() {
+      expect(() => metrics.optimalThreshold(yTrue, yScore, { criterion: 'unknown' })).to.throw();
+    });
+  });
+
+  // Multiclass example with confusion matrix [[3, 0, 0], [1, 1, 1], [0, 2, 2]]
+  var yTrueMulti = [0, 1, 2, 0, 1, 2, 0, 1, 2, 2];
+  var yPredMulti = [0, 2, 1, 0, 0, 2, 0, 1, 2, 1];
+
+  // Binary example with 2 true positives, 1 false positive and 2 false negatives
+  var yTrueBinary = [0, 1, 1, 0, 1, 1];
+  var yPredBinary = [0, 1, 0, 1, 1, 0];
+
+  describe('.confusionMatrix', function() {
+    it('should count the true and predicted label pairs', function() {
+      expect(metrics.confusionMatrix(yTrueMulti, yPredMulti)).to.deep.equal([[3, 0, 0], [1, 1, 1], [0, 2, 2]]);
+    });
+
+    it('should order the rows and columns by the specified labels', function() {
+      expect(metrics.confusionMatrix(yTrueMulti, yPredMulti, { labels: [2, 1, 0] }))
+        .to.deep.equal([[2, 2, 0], [1, 1, 1], [0, 0, 3]]);
+      expect(metrics.confusionMatrix(['b', 'a', 'b'], ['b', 'b', 'a'])).to.deep.equal([[0, 1], [1, 1]]);
+    });
+
+    it('should normalize the matrix', function() {
+      var normalized = metrics.confusionMatrix(yTrueMulti, yPredMulti, { normalize: 'true' });
+      expect(normalized[1]).to.deep.equal([1 / 3, 1 / 3, 1 / 3]);
+      expect(normalized[2]).to.deep.equal([0, 0.5, 0.5]);
+
+      var normalizedPred = metrics.confusionMatrix(yTrueMulti, yPredMulti, { normalize: 'pred' });
+      expect(normalizedPred.map(row => row[0])).to.deep.equal([0.75, 0.25, 0]);
+
+      var normalizedAll = metrics.confusionMatrix(yTrueMulti, yPredMulti, { normalize: 'all' });
+      expect(normalizedAll[0][0]).to.equal(0.3);
+    });
+  });
+
+  describe('.precision, .recall, .fbeta, .f1', function() {
+    it('should compute binary scores for the positive class', function() {
+      expect(metrics.precision(yTrueBinary, yPredBinary)).to.be.closeTo(2 / 3, 1e-12);
+      expect(metrics.recall(yTrueBinary, yPredBinary)).to.equal(0.5);
+      expect(metrics.f1(yTrueBinary, yPredBinary)).to.be.closeTo(4 / 7, 1e-12);
+      expect(metrics.fbeta(yTrueBinary, yPredBinary, 2)).to.be.closeTo(10 / 19, 1e-12);
+      expect(metrics.recall(yTrueBinary, yPredBinary, { posLabel: 0 })).to.equal(0.5);
+    });
+
+    it('should throw an error if the positive class does not occur', function() {
+      expect(() => metrics.precision(['a', 'b', 'b'], ['a', 'b', 'a'])).to.throw(/\[a, b\]/);
+      expect(metrics.precision(['a', 'b', 'b'], ['a', 'b', 'a'], { posLabel: 'b' })).to.equal(1);
+    });
+
+    it('should compute per-class scores without averaging', function() {
+      var precisions = metrics.precision(yTrueMulti, yPredMulti, { average: 'none' });
+      var recalls = metrics.recall(yTrueMulti, yPredMulti, { average: 'none' });
+      var f1s = metrics.f1(yTrueMulti, yPredMulti, { average: 'none' });
+
+      [0.75, 1 / 3, 2 / 3].forEach((x, i) => expect(precisions[i]).to.be.closeTo(x, 1e-12));
+      [1, 1 / 3, 0.5].forEach((x, i) => expect(recalls[i]).to.be.closeTo(x, 1e-12));
+      [6 / 7, 1 / 3, 4 / 7].forEach((x, i) => expect(f1s[i]).to.be.closeTo(x, 1e-12));
+    });
+
+    it('should support micro, macro and weighted averaging', function() {
+      expect(metrics.precision(yTrueMulti, yPredMulti, { average: 'micro' })).to.be.closeTo(0.6, 1e-12);
+      expect(metrics.f1(yTrueMulti, yPredMulti, { average: 'micro' })).to.be.closeTo(0.6, 1e-12);
+      expect(metrics.precision(yTrueMulti, yPredMulti, { average: 'macro' })).to.be.closeTo(0.583333, 1e-6);
+      expect(metrics.f1(yTrueMulti, yPredMulti, { average: 'weighted' })).to.be.closeTo(0.585714, 1e-6);
+    });
+
+    it('should use the zero division value for classes that are never predicted', function() {
+      expect(metrics.precision([0, 1], [0, 0])).to.equal(0);
+      expect(metrics.precision([0, 1], [0, 0], { zeroDivision: 1 })).to.equal(1);
+    });
+
+    it('should throw an error for binary averaging with more than 2 classes', function() {
+      expect(() => metrics.precision(yTrueMulti, yPredMulti)).to.throw();
+      expect(() => metrics.f1(yTrueBinary, yPredBinary, { average: 'unknown' })).to.throw();
+    });
+  });
+
+  describe('.balancedAccuracy', function() {
+    it('should compute the mean recall over the classes', function() {
+      expect(metrics.balancedAccuracy(yTrueMulti, yPredMulti)).to.be.closeTo(0.611111, 1e-6);
+      expect(metrics.balancedAccuracy(yTrueMulti, yPredMulti, true)).to.be.closeTo(0.416667, 1e-6);
+      expect(metrics.balancedAccuracy([0, 0, 0, 1], [0, 0, 0, 0])).to.equal(0.5);
+      expect(metrics.balancedAccuracy([1, 1], [1, 1], true)).to.equal(0);
+    });
+  });
+
+  describe('.matthewsCorrcoef', function() {
+    it('should compute the Matthews correlation coefficient', function() {
+      expect(metrics.matthewsCorrcoef(yTrueMulti, yPredMulti)).to.be.closeTo(27 / 66, 1e-12);
+      expect(metrics.matthewsCorrcoef([0, 1, 0, 1], [1, 0, 1, 0])).to.equal(-1);
+      expect(metrics.matthewsCorrcoef([0, 1, 0, 1], [0, 0, 0, 0])).to.equal(0);
+    });
+  });
+
+  describe('.cohenKappa', function() {
+    it('should compute unweighted and weighted kappa', function() {
+      expect(metrics.cohenKappa(yTrueMulti, yPredMulti)).to.be.closeTo(0.402985, 1e-6);
+      expect(metrics.cohenKappa(yTrueMulti, yPredMulti, 'quadratic')).to.be.closeTo(0.718310, 1e-6);
+      expect(metrics.cohenKappa([0, 1, 2], [0, 1, 2])).to.equal(1);
+    });
+  });
+
+  describe('.classificationReport', function() {
+    it('should report the metrics per class and their averages', function() {
+      var report = metrics.classificationReport(yTrueMulti, yPredMulti, {
+        targetNames: ['zero', 'one', 'two'],
+      });
+
+      expect(report.classes.map(x => x.label)).to.deep.equal(['zero', 'one', 'two']);
+      expect(report.classes[0]).to.deep.equal({ label: 'zero', precision: 0.75, recall: 1, f1: 6 / 7, support: 3 });
+      expect(report.accuracy).to.equal(0.6);
+      expect(report.macroAverage.precision).to.be.closeTo(0.583333, 1e-6);
+      expect(report.macroAverage.support).to.equal(10);
+      expect(report.weightedAverage.f1).to.be.closeTo(0.585714, 1e-6);
+    });
+  });
+
+  describe('.logLoss', function() {
+    it('should compute the mean negative log-probability of the true classes', function() {
+      var expected = -(Math.log(0.9) + Math.log(0.8) + Math.log(0.4)) / 3;
+
+      expect(metrics.logLoss(['a', 'b', 'b'], [[0.9, 0.1], [0.2, 0.8], [0.6, 0.4]])).to.be.closeTo(expected, 1e-12);
+      expect(metrics.logLoss([0, 1, 1], [0.1, 0.8, 0.4])).to.be.closeTo(expected, 1e-12);
+      expect(metrics.logLoss([0, 1, 1], [0.1, 0.8, 0.4], { normalize: false })).to.be.closeTo(3 * expected, 1e-12);
+    });
+
+    it('should clip probabilities to avoid infinite losses', function() {
+      var loss = metrics.logLoss([1, 0], [[1, 0], [1, 0]]);
+
+      expect(loss).to.be.closeTo(-Math.log(1e-15) / 2, 1e-6);
+    });
+
+    it('should use the specified label order for the probability columns', function() {
+      var loss = metrics.logLoss([2, 0], [[0.1, 0.2, 0.7], [0.6, 0.3, 0.1]], { labels: [1, 0, 2] });
+
+      expect(loss).to.be.closeTo(-(Math.log(0.7) + Math.log(0.3)) / 2, 1e-12);
+      expect(() => metrics.logLoss([3], [[0.5, 0.5]], { labels: [0, 1] })).to.throw();
+    });
+
+    it('should require the labels of all columns if yTrue contains fewer classes', function() {
+      expect(() => metrics.logLoss([1, 1], [0.9, 0.9])).to.throw();
+      expect(() => metrics.logLoss([1, 1], [[0.1, 0.9], [0.1, 0.9]])).to.throw();
+      expect(metrics.logLoss([1, 1], [0.9, 0.9], { labels: [0, 1] })).to.be.closeTo(-Math.log(0.9), 1e-12);
+    });
+  });
+
+  describe('.brierScore', function() {
+    it('should compute the binary Brier score', function() {
+      expect(metrics.brierScore([0, 1, 1, 0], [0.1, 0.9, 0.8, 0.3])).to.be.closeTo(0.0375, 1e-12);
+      expect(metrics.brierScore(['n', 'y'], [0, 1], { posLabel: 'y' })).to.equal(0);
+    });
+
+    it('should compute the multiclass Brier score', function() {
+      expect(metrics.brierScore(['a', 'b'], [[0.8, 0.2], [0.4, 0.6]])).to.be.closeTo(0.2, 1e-12);
+    });
+
+    it('should throw an error for probabilities outside [0, 1]', function() {
+      expect(() => metrics.brierScore([0, 1], [0.5, 1.5])).to.throw();
+    });
+  });
+
+  describe('.calibrationCurve', function() {
+    var yTrue = [0, 0, 1, 1, 1, 0];
+    var yProb = [0.1, 0.2, 0.3, 0.6, 0.8, 0.9];
+
+    it('should compute the observed frequency per uniform bin', function() {
+      var curve = metrics.calibrationCurve(yTrue, yProb, { numBins: 2 });
+
+      expect(curve.counts).to.deep.equal([3, 3]);
+      expect(curve.probTrue[0]).to.be.closeTo(1 / 3, 1e-12);
+      expect(curve.probTrue[1]).to.be.closeTo(2 / 3, 1e-12);
+      expect(curve.probPred[0]).to.be.closeTo(0.2, 1e-12);
+      expect(curve.probPred[1]).to.be.closeTo(2.3 / 3, 1e-12);
+    });
+
+    it('should omit empty bins', function() {
+      var curve = metrics.calibrationCurve(yTrue, yProb, { numBins: 10 });
+
+      expect(curve.counts).to.deep.equal([1, 1, 1, 1, 1, 1]);
+    });
+
+    it('should support quantile binning', function() {
+      var curve = metrics.calibrationCurve(yTrue, yProb, { numBins: 3, strategy: 'quantile' });
+
+      expect(curve.counts).to.deep.equal([2, 2, 2]);
+      expect(curve.probTrue).to.deep.equal([0, 1, 0.5]);
+      [0.15, 0.45, 0.85].forEach((x, i) => expect(curve.probPred[i]).to.be.closeTo(x, 1e-12));
+    });
+  });
+
+  describe('.expectedCalibrationError', function() {
+    it('should compute the weighted mean calibration gap over the bins', function() {
+      var yTrue = [0, 0, 1, 1, 1, 0];
+      var yProb = [0.1, 0.2, 0.3, 0.6, 0.8, 0.9];
+
+      expect(metrics.expectedCalibrationError(yTrue, yProb, { numBins: 2 })).to.be.closeTo(0.7 / 6, 1e-12);
+      expect(metrics.expectedCalibrationError([0, 1], [0, 1])).to.equal(0);
+    });
   });
-});
\ No newline at end of file
+});
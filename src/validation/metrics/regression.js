@@ -0,0 +1,370 @@
+/**
+ * Regression metrics. All metrics accept single-output targets (arrays of numbers) and
+ * multi-output targets (arrays with one array of outputs per sample), and support weighting the
+ * samples.
+ */
+
+/**
+ * Split targets into columns, one per output.
+ *
+ * @param {Array.<number>|Array.<Array.<number>>} y - Single-output or multi-output targets
+ * @return {Array.<Array.<number>>} Target values per output
+ */
+function toColumns(y) {
+  if (y.length > 0 && Array.isArray(y[0])) {
+    return y[0].map((x, j) => y.map(row => row[j]));
+  }
+
+  return [y];
+}
+
+/**
+ * Parse the common options of the regression metrics, and check the inputs.
+ *
+ * @param {Array.<number>|Array.<Array.<number>>} yTrue - True target values
+ * @param {Array.<number>|Array.<Array.<number>>} yPred - Predicted target values
+ * @param {Object} optionsUser - User-defined options
+ * @return {Object} Object containing the true and predicted values per output (columnsTrue and
+ *   columnsPred), the sample weights (sampleWeight) and the options
+ */
+function prepare(yTrue, yPred, optionsUser) {
+  const optionsDefault = {
+    sampleWeight: null,
+    multiOutput: 'uniformAverage',
+  };
+
+  const options = {
+    ...optionsDefault,
+    ...optionsUser,
+  };
+
+  if (yTrue.length !== yPred.length) {
+    throw new Error('Number of true values must match number of predicted values.');
+  }
+
+  if (yTrue.length === 0) {
+    throw new Error('At least one sample is required.');
+  }
+
+  const columnsTrue = toColumns(yTrue);
+  const columnsPred = toColumns(yPred);
+
+  if (columnsTrue.length !== columnsPred.length) {
+    throw new Error('Number of true outputs must match number of predicted outputs.');
+  }
+
+  const sampleWeight = options.sampleWeight === null
+    ? yTrue.map(() => 1)
+    : options.sampleWeight;
+
+  if (sampleWeight.length !== yTrue.length) {
+    throw new Error('Number of sample weights must match number of samples.');
+  }
+
+  if (!sampleWeight.every(x => x >= 0) || !sampleWeight.some(x => x > 0)) {
+    throw new Error('Sample weights must be non-negative, and at least one must be positive.');
+  }
+
+  return {
+    columnsTrue,
+    columnsPred,
+    sampleWeight,
+    options,
+  };
+}
+
+/**
+ * Calculate the weighted mean of an array.
+ *
+ * @param {Array.<number>} values - Values
+ * @param {Array.<number>} weights - Weight per value
+ * @return {number} Weighted mean
+ */
+function weightedMean(values, weights) {
+  const totalWeight = weights.reduce((r, a) => r + a, 0);
+  return values.reduce((r, a, i) => r + a * weights[i], 0) / totalWeight;
+}
+
+/**
+ * Calculate the weighted median of an array: the smallest value for which the cumulative weight
+ * of the values up to and including it is at least half the total weight. Without weights, the
+ * median is the mean of the two middle values for arrays of even length.
+ *
+ * @param {Array.<number>} values - Values
+ * @param {Array.<number>} weights - Weight per value
+ * @param {boolean} weighted - Whether the weights are user-specified
+ * @return {number} Weighted median
+ */
+function weightedMedian(values, weights, weighted) {
+  const order = values.map((x, i) => i).sort((a, b) => values[a] - values[b]);
+
+  if (!weighted) {
+    const middle = Math.floor(order.length / 2);
+
+    return order.length % 2 === 1
+      ? values[order[middle]]
+      : (values[order[middle - 1]] + values[order[middle]]) / 2;
+  }
+
+  const halfWeight = weights.reduce((r, a) => r + a, 0) / 2;
+  let cumulativeWeight = 0;
+
+  for (let i = 0; i < order.length; i += 1) {
+    cumulativeWeight += weights[order[i]];
+
+    if (cumulativeWeight >= halfWeight) {
+      return values[order[i]];
+    }
+  }
+
+  return values[order[order.length - 1]];
+}
+
+/**
+ * Combine the scores of multiple outputs.
+ *
+ * @param {Array.<number>} scores - Score per output
+ * @param {string|Array.<number>} multiOutput - 'uniformAverage' to average the scores,
+ *   'rawValues' to return the score per output, or an array of weights per output
+ * @param {Array.<number>} [varianceWeights = null] - Variance per output, used to weigh the scores
+ *   when multiOutput is 'varianceWeighted'
+ * @return {number|Array.<number>} Combined score, or score per output
+ */
+function combineOutputs(scores, multiOutput, varianceWeights = null) {
+  if (multiOutput === 'rawValues') {
+    return scores;
+  }
+
+  if (multiOutput === 'uniformAverage') {
+    return scores.reduce((r, a) => r + a, 0) / scores.length;
+  }
+
+  if (multiOutput === 'varianceWeighted' && varianceWeights !== null) {
+    if (varianceWeights.every(x => x === 0)) {
+      return scores.reduce((r, a) => r + a, 0) / scores.length;
+    }
+
+    return weightedMean(scores, varianceWeights);
+  }
+
+  if (Array.isArray(multiOutput)) {
+    if (multiOutput.length !== scores.length) {
+      throw new Error('Number of output weights must match number of outputs.');
+    }
+
+    return weightedMean(scores, multiOutput);
+  }
+
+  throw new Error(`Unknown multi-output mode "${multiOutput}".`);
+}
+
+/**
+ * Calculate a metric defined as the weighted mean of a per-sample error, for each output.
+ *
+ * @param {Array.<number>|Array.<Array.<number>>} yTrue - True target values
+ * @param {Array.<number>|Array.<Array.<number>>} yPred - Predicted target values
+ * @param {Object} optionsUser - User-defined options
+ * @param {function(number, number): number} error - Error of a single prediction, given the true
+ *   and predicted value
+ * @return {Object} Object with the metric per output (scores) and the options
+ */
+function meanError(yTrue, yPred, optionsUser, error) {
+  const {
+    columnsTrue,
+    columnsPred,
+    sampleWeight,
+    options,
+  } = prepare(yTrue, yPred, optionsUser);
+
+  const scores = columnsTrue.map((column, j) => weightedMean(
+    column.map((x, i) => error(x, columnsPred[j][i])),
+    sampleWeight
+  ));
+
+  return { scores, options };
+}
+
+/**
+ * Calculate the mean squared error of a set of regression predictions.
+ *
+ * @example
+ * meanSquaredError([3, -0.5, 2, 7], [2.5, 0, 2, 8]); // 0.375
+ *
+ * @param {Array.<number>|Array.<Array.<number>>} yTrue - True target values. For multi-output
+ *   targets, an array of outputs per sample
+ * @param {Array.<number>|Array.<Array.<number>>} yPred - Predicted target values
+ * @param {Object} [optionsUser] - User-defined options
+ * @param {Array.<number>} [optionsUser.sampleWeight = null] - Weight per sample. If null, all
+ *   samples are weighted equally
+ * @param {string|Array.<number>} [optionsUser.multiOutput = 'uniformAverage'] - How to combine
+ *   the errors of multiple outputs: 'uniformAverage' averages them, 'rawValues' returns the error
+ *   per output, and an array of weights computes the weighted average
+ * @return {number|Array.<number>} Mean squared error, or the error per output
+ */
+export function meanSquaredError(yTrue, yPred, optionsUser = {}) {
+  const { scores, options } = meanError(yTrue, yPred, optionsUser, (a, b) => (a - b) ** 2);
+  return combineOutputs(scores, options.multiOutput);
+}
+
+/**
+ * Calculate the root mean squared error of a set of regression predictions. For multiple outputs,
+ * the root is taken per output before combining the outputs.
+ *
+ * @param {Array.<number>|Array.<Array.<number>>} yTrue - True target values
+ * @param {Array.<number>|Array.<Array.<number>>} yPred - Predicted target values
+ * @param {Object} [optionsUser] - User-defined options. See {@link meanSquaredError}
+ * @return {number|Array.<number>} Root mean squared error, or the error per output
+ */
+export function rootMeanSquaredError(yTrue, yPred, optionsUser = {}) {
+  const { scores, options } = meanError(yTrue, yPred, optionsUser, (a, b) => (a - b) ** 2);
+  return combineOutputs(scores.map(x => Math.sqrt(x)), options.multiOutput);
+}
+
+/**
+ * Calculate the mean absolute error of a set of regression predictions.
+ *
+ * @param {Array.<number>|Array.<Array.<number>>} yTrue - True target values
+ * @param {Array.<number>|Array.<Array.<number>>} yPred - Predicted target values
+ * @param {Object} [optionsUser] - User-defined options. See {@link meanSquaredError}
+ * @return {number|Array.<number>} Mean absolute error, or the error per output
+ */
+export function meanAbsoluteError(yTrue, yPred, optionsUser = {}) {
+  const { scores, options } = meanError(yTrue, yPred, optionsUser, (a, b) => Math.abs(a - b));
+  return combineOutputs(scores, options.multiOutput);
+}
+
+/**
+ * Calculate the mean absolute percentage error of a set of regression predictions: the mean of
+ * the absolute errors relative to the absolute true values. Note that the result is a fraction
+ * rather than a percentage, and that it can be arbitrarily large for true values close to zero.
+ *
+ * @param {Array.<number>|Array.<Array.<number>>} yTrue - True target values
+ * @param {Array.<number>|Array.<Array.<number>>} yPred - Predicted target values
+ * @param {Object} [optionsUser] - User-defined options. See {@link meanSquaredError}
+ * @return {number|Array.<number>} Mean absolute percentage error, or the error per output
+ */
+export function meanAbsolutePercentageError(yTrue, yPred, optionsUser = {}) {
+  const { scores, options } = meanError(yTrue, yPred, optionsUser, (a, b) =>
+    Math.abs(a - b) / Math.max(Math.abs(a), Number.EPSILON));
+
+  return combineOutputs(scores, options.multiOutput);
+}
+
+/**
+ * Calculate the median absolute error of a set of regression predictions, which is robust to
+ * outliers.
+ *
+ * @param {Array.<number>|Array.<Array.<number>>} yTrue - True target values
+ * @param {Array.<number>|Array.<Array.<number>>} yPred - Predicted target values
+ * @param {Object} [optionsUser] - User-defined options. See {@link meanSquaredError}
+ * @return {number|Array.<number>} Median absolute error, or the error per output
+ */
+export function medianAbsoluteError(yTrue, yPred, optionsUser = {}) {
+  const {
+    columnsTrue,
+    columnsPred,
+    sampleWeight,
+    options,
+  } = prepare(yTrue, yPred, optionsUser);
+
+  const scores = columnsTrue.map((column, j) => weightedMedian(
+    column.map((x, i) => Math.abs(x - columnsPred[j][i])),
+    sampleWeight,
+    options.sampleWeight !== null
+  ));
+
+  return combineOutputs(scores, options.multiOutput);
+}
+
+/**
+ * Calculate the maximum absolute error of a set of single-output regression predictions.
+ *
+ * @param {Array.<number>} yTrue - True target values
+ * @param {Array.<number>} yPred - Predicted target values
+ * @return {number} Maximum absolute error
+ */
+export function maxError(yTrue, yPred) {
+  const { columnsTrue, columnsPred } = prepare(yTrue, yPred, {});
+
+  if (columnsTrue.length > 1) {
+    throw new Error('The maximum error is only defined for single-output targets.');
+  }
+
+  return Math.max(...columnsTrue[0].map((x, i) => Math.abs(x - columnsPred[0][i])));
+}
+
+/**
+ * Calculate a metric of the form 1 - (unexplained variation / total variation) per output.
+ *
+ * @param {Array.<number>|Array.<Array.<number>>} yTrue - True target values
+ * @param {Array.<number>|Array.<Array.<number>>} yPred - Predicted target values
+ * @param {Object} optionsUser - User-defined options
+ * @param {boolean} centerResiduals - Whether to subtract the mean residual from the residuals,
+ *   which yields the explained variance score instead of the coefficient of determination
+ * @return {number|Array.<number>} Score, or score per output
+ */
+function varianceScore(yTrue, yPred, optionsUser, centerResiduals) {
+  const {
+    columnsTrue,
+    columnsPred,
+    sampleWeight,
+    options,
+  } = prepare(yTrue, yPred, optionsUser);
+
+  const totalVariations = [];
+
+  const scores = columnsTrue.map((column, j) => {
+    const residuals = column.map((x, i) => x - columnsPred[j][i]);
+    const residualMean = centerResiduals ? weightedMean(residuals, sampleWeight) : 0;
+    const columnMean = weightedMean(column, sampleWeight);
+
+    const residualVariation = weightedMean(
+      residuals.map(x => (x - residualMean) ** 2),
+      sampleWeight
+    );
+    const totalVariation = weightedMean(column.map(x => (x - columnMean) ** 2), sampleWeight);
+    totalVariations.push(totalVariation);
+
+    // For constant true values, the score is 1 for perfect predictions and 0 otherwise
+    if (totalVariation === 0) {
+      return residualVariation === 0 ? 1 : 0;
+    }
+
+    return 1 - residualVariation / totalVariation;
+  });
+
+  return combineOutputs(scores, options.multiOutput, totalVariations);
+}
+
+/**
+ * Calculate the coefficient of determination (R²) of a set of regression predictions: the
+ * proportion of the variance of the true values explained by the predictions. The best possible
+ * score is 1; a constant prediction of the mean scores 0, and worse predictions score negatively.
+ *
+ * @example
+ * r2Score([3, -0.5, 2, 7], [2.5, 0, 2, 8]); // 0.9486
+ *
+ * @param {Array.<number>|Array.<Array.<number>>} yTrue - True target values
+ * @param {Array.<number>|Array.<Array.<number>>} yPred - Predicted target values
+ * @param {Object} [optionsUser] - User-defined options. See {@link meanSquaredError}. In addition
+ *   to the other modes, multiOutput can be 'varianceWeighted', which weighs the scores of the
+ *   outputs by the variance of their true values
+ * @return {number|Array.<number>} Coefficient of determination, or the coefficient per output
+ */
+export function r2Score(yTrue, yPred, optionsUser = {}) {
+  return varianceScore(yTrue, yPred, optionsUser, false);
+}
+
+/**
+ * Calculate the explained variance score of a set of regression predictions: one minus the
+ * variance of the residuals relative to the variance of the true values. Unlike the coefficient of
+ * determination, it does not penalize a constant bias of the predictions.
+ *
+ * @param {Array.<number>|Array.<Array.<number>>} yTrue - True target values
+ * @param {Array.<number>|Array.<Array.<number>>} yPred - Predicted target values
+ * @param {Object} [optionsUser] - User-defined options. See {@link r2Score}
+ * @return {number|Array.<number>} Explained variance score, or the score per output
+ */
+export function explainedVarianceScore(yTrue, yPred, optionsUser = {}) {
+  return varianceScore(yTrue, yPred, optionsUser, true);
+}
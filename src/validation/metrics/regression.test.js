@@ -0,0 +1,89 @@
+var expect = require('chai').expect;
+var metrics = require('./index.js');
+
+describe('Metrics (regression)', function() {
+  var yTrue = [3, -0.5, 2, 7];
+  var yPred = [2.5, 0, 2, 8];
+
+  var yTrueMulti = [[0.5, 1], [-1, 1], [7, -6]];
+  var yPredMulti = [[0, 2], [-1, 2], [8, -5]];
+
+  describe('.meanSquaredError, .rootMeanSquaredError', function() {
+    it('should compute the (root) mean squared error', function() {
+      expect(metrics.meanSquaredError(yTrue, yPred)).to.equal(0.375);
+      expect(metrics.rootMeanSquaredError(yTrue, yPred)).to.be.closeTo(Math.sqrt(0.375), 1e-12);
+    });
+
+    it('should support multiple outputs', function() {
+      var raw = metrics.meanSquaredError(yTrueMulti, yPredMulti, { multiOutput: 'rawValues' });
+
+      expect(raw[0]).to.be.closeTo(0.416667, 1e-6);
+      expect(raw[1]).to.equal(1);
+      expect(metrics.meanSquaredError(yTrueMulti, yPredMulti)).to.be.closeTo(0.708333, 1e-6);
+      expect(metrics.meanSquaredError(yTrueMulti, yPredMulti, { multiOutput: [0.3, 0.7] })).to.be.closeTo(0.825, 1e-6);
+    });
+
+    it('should support sample weights', function() {
+      expect(metrics.meanSquaredError(yTrue, yPred, { sampleWeight: [1, 1, 0, 2] })).to.equal(0.625);
+      expect(() => metrics.meanSquaredError(yTrue, yPred, { sampleWeight: [1, 1] })).to.throw();
+    });
+
+    it('should throw an error if different-length inputs are passed', function() {
+      expect(() => metrics.meanSquaredError([1, 2], [1])).to.throw();
+    });
+  });
+
+  describe('.meanAbsoluteError', function() {
+    it('should compute the mean absolute error', function() {
+      expect(metrics.meanAbsoluteError(yTrue, yPred)).to.equal(0.5);
+      expect(metrics.meanAbsoluteError(yTrueMulti, yPredMulti, { multiOutput: 'rawValues' })).to.deep.equal([0.5, 1]);
+      expect(metrics.meanAbsoluteError(yTrueMulti, yPredMulti)).to.equal(0.75);
+    });
+  });
+
+  describe('.meanAbsolutePercentageError', function() {
+    it('should compute the mean absolute error relative to the true values', function() {
+      expect(metrics.meanAbsolutePercentageError(yTrue, yPred)).to.be.closeTo(0.327381, 1e-6);
+    });
+  });
+
+  describe('.medianAbsoluteError', function() {
+    it('should compute the (weighted) median absolute error', function() {
+      expect(metrics.medianAbsoluteError(yTrue, yPred)).to.equal(0.5);
+      expect(metrics.medianAbsoluteError(yTrueMulti, yPredMulti, { multiOutput: 'rawValues' })).to.deep.equal([0.5, 1]);
+      expect(metrics.medianAbsoluteError(yTrue, yPred, { sampleWeight: [1, 1, 1, 5] })).to.equal(1);
+    });
+  });
+
+  describe('.maxError', function() {
+    it('should compute the maximum absolute error', function() {
+      expect(metrics.maxError(yTrue, yPred)).to.equal(1);
+      expect(() => metrics.maxError(yTrueMulti, yPredMulti)).to.throw();
+    });
+  });
+
+  describe('.r2Score', function() {
+    it('should compute the coefficient of determination', function() {
+      expect(metrics.r2Score(yTrue, yPred)).to.be.closeTo(0.948608, 1e-6);
+      expect(metrics.r2Score(yTrueMulti, yPredMulti)).to.be.closeTo(0.936800, 1e-6);
+      expect(metrics.r2Score(yTrueMulti, yPredMulti, { multiOutput: 'varianceWeighted' })).to.be.closeTo(0.938256, 1e-6);
+    });
+
+    it('should handle constant true values', function() {
+      expect(metrics.r2Score([1, 1, 1], [1, 1, 1])).to.equal(1);
+      expect(metrics.r2Score([1, 1, 1], [1, 2, 1])).to.equal(0);
+    });
+  });
+
+  describe('.explainedVarianceScore', function() {
+    it('should compute the explained variance score', function() {
+      expect(metrics.explainedVarianceScore(yTrue, yPred)).to.be.closeTo(0.957173, 1e-6);
+      expect(metrics.explainedVarianceScore(yTrueMulti, yPredMulti)).to.be.closeTo(0.983871, 1e-6);
+    });
+
+    it('should not penalize a constant bias', function() {
+      expect(metrics.explainedVarianceScore([1, 2, 3], [2, 3, 4])).to.equal(1);
+      expect(metrics.r2Score([1, 2, 3], [2, 3, 4])).to.equal(-0.5);
+    });
+  });
+});